@@ -11,6 +11,11 @@ defmodule TqfApi.Accounts.User do
     field(:subscription_id, :string)
     field(:subscription_current_period_end, :utc_datetime)
     field(:terms_accepted_at, :utc_datetime)
+    # Set when the user took the paywall's one-time trial extension
+    field(:trial_extended_at, :utc_datetime)
+    # Set when the user bought a one-time (lifetime) plan. Subscription
+    # changes leave it alone.
+    field(:lifetime_access_at, :utc_datetime)
 
     has_many(:devices, TqfApi.Accounts.Device)
     has_many(:queries, TqfApi.Usage.Query)
@@ -31,7 +36,9 @@ defmodule TqfApi.Accounts.User do
       :subscription_status,
       :subscription_id,
       :subscription_current_period_end,
-      :terms_accepted_at
+      :terms_accepted_at,
+      :trial_extended_at,
+      :lifetime_access_at
     ])
     |> validate_required([])
     |> unique_constraint(:email)
@@ -45,8 +52,9 @@ defmodule TqfApi.Accounts.User do
     status == "active"
   end
 
-  # Deprecated: lifetime access is no longer supported
-  def has_lifetime_access?(_user), do: false
+  def has_lifetime_access?(%__MODULE__{lifetime_access_at: lifetime_access_at}) do
+    lifetime_access_at != nil
+  end
 
   def is_trial?(%__MODULE__{subscription_status: "trial"}), do: true
   def is_trial?(_user), do: false
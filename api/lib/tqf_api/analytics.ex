@@ -1,11 +1,15 @@
 defmodule TqfApi.Analytics do
   @moduledoc """
-  The Analytics context for aggregating usage metrics and statistics.
+  The Analytics context for aggregating usage metrics and statistics, and for
+  storing the onboarding funnel events the macOS app reports.
   """
 
   import Ecto.Query, warn: false
   alias TqfApi.Repo
   alias TqfApi.Usage.Query
+  alias TqfApi.Analytics.OnboardingEvent
+
+  @max_onboarding_events_per_batch 100
 
   @doc """
   Get comprehensive analytics metrics for a user within a time range.
@@ -247,4 +251,55 @@ defmodule TqfApi.Analytics do
       %{date: Date.to_iso8601(date), count: count}
     end)
   end
+
+  @doc """
+  Store a batch of onboarding funnel events sent by the macOS app for `device`.
+
+  Each event is a map with "event_id", "name", "session_id", "occurred_at" and
+  optional "properties". Events that don't validate are dropped instead of
+  failing the batch, so one bad event can't keep the client retrying the rest;
+  events already stored (a retried batch) are skipped.
+
+  Returns `{:ok, stored_count}` or `{:error, :too_many_events}`.
+  """
+  def record_onboarding_events(_device, events)
+      when length(events) > @max_onboarding_events_per_batch do
+    {:error, :too_many_events}
+  end
+
+  def record_onboarding_events(device, events) when is_list(events) do
+    now = DateTime.utc_now() |> DateTime.truncate(:second)
+    owner = %{"user_id" => device.user_id, "device_id" => device.id}
+
+    rows =
+      events
+      |> Enum.filter(&is_map/1)
+      |> Enum.map(&OnboardingEvent.changeset(%OnboardingEvent{}, Map.merge(&1, owner)))
+      |> Enum.filter(& &1.valid?)
+      |> Enum.map(fn changeset ->
+        changeset
+        |> Ecto.Changeset.apply_changes()
+        |> Map.take([
+          :event_id,
+          :name,
+          :session_id,
+          :properties,
+          :occurred_at,
+          :user_id,
+          :device_id
+        ])
+        |> Map.update!(:properties, &(&1 || %{}))
+        |> Map.put(:inserted_at, now)
+      end)
+
+    {stored, _} =
+      Repo.insert_all(OnboardingEvent, rows, on_conflict: :nothing, conflict_target: [:event_id])
+
+    {:ok, stored}
+  end
+
+  @doc """
+  Max events accepted in one `record_onboarding_events/2` call.
+  """
+  def max_onboarding_events_per_batch, do: @max_onboarding_events_per_batch
 end
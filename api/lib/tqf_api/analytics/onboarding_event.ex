@@ -0,0 +1,40 @@
+defmodule TqfApi.Analytics.OnboardingEvent do
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  # Names come from the onboarding page's event catalog, e.g. "step_dwell"
+  @name_format ~r/^[a-z][a-z0-9_]*$/
+
+  schema "onboarding_events" do
+    field(:event_id, :string)
+    field(:name, :string)
+    # One onboarding run, kept across the app restarts a permission grant causes
+    field(:session_id, :string)
+    field(:properties, :map, default: %{})
+    field(:occurred_at, :utc_datetime_usec)
+
+    belongs_to(:user, TqfApi.Accounts.User)
+    belongs_to(:device, TqfApi.Accounts.Device)
+
+    timestamps(type: :utc_datetime, updated_at: false)
+  end
+
+  @doc false
+  def changeset(event, attrs) do
+    event
+    |> cast(attrs, [
+      :event_id,
+      :name,
+      :session_id,
+      :properties,
+      :occurred_at,
+      :user_id,
+      :device_id
+    ])
+    |> validate_required([:event_id, :name, :session_id, :occurred_at, :device_id])
+    |> validate_length(:event_id, max: 64)
+    |> validate_length(:name, max: 64)
+    |> validate_format(:name, @name_format)
+    |> validate_length(:session_id, max: 64)
+  end
+end
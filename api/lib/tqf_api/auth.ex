@@ -7,11 +7,20 @@ defmodule TqfApi.Auth do
   alias TqfApi.Repo
   alias TqfApi.Auth.EmailVerification
   alias TqfApi.Accounts
+  alias TqfApi.Accounts.Device
   alias TqfApi.Accounts.User
 
   # Verification tokens expire after 15 minutes
   @token_expiry_minutes 60
 
+  # Wrong codes allowed before a verification has to be requested again
+  @max_code_attempts 5
+
+  # Wrong codes for one address, across all of its verifications, before the
+  # address is locked out. Stops guessing by requesting code after code.
+  @max_failed_codes_per_address 10
+  @address_lockout_minutes 60
+
   @doc """
   Creates a new email verification record and returns it.
   Generates a unique token for the magic link.
@@ -32,6 +41,80 @@ defmodule TqfApi.Auth do
     |> Repo.insert()
   end
 
+  @doc """
+  Creates an email verification for a signed-in app device.
+  Besides the magic link token it carries a 6-digit code the user can type
+  into onboarding; either one verifies the same record.
+
+  With purpose "sign_in" verifying it links the device to the account that
+  owns the address. Only the code can do that, since the device that asked
+  gets the account: its owner has to type the code on that device, not just
+  click a link in an email anyone could have requested. An address without
+  an account still gets a verification, so the response doesn't reveal
+  whether the account exists, but it has no code: nothing can confirm it
+  and no email should be sent for it.
+
+  Returns `{:error, :address_locked}` after too many wrong codes for the address.
+  """
+  def create_device_email_verification(email, device, purpose \\ "verify") do
+    if address_locked?(email) do
+      {:error, :address_locked}
+    else
+      insert_device_email_verification(email, device, purpose)
+    end
+  end
+
+  defp insert_device_email_verification(email, device, purpose) do
+    expires_at = DateTime.add(DateTime.utc_now(), @token_expiry_minutes * 60, :second)
+
+    %EmailVerification{}
+    |> EmailVerification.changeset(%{
+      email: email,
+      verification_token: generate_verification_token(),
+      socket_token: generate_socket_token(),
+      code: verification_code(email, purpose),
+      purpose: purpose,
+      expires_at: expires_at,
+      status: "pending",
+      user_id: device.user_id,
+      device_id: device.id
+    })
+    |> Repo.insert()
+  end
+
+  @doc """
+  Confirms a device verification with the code from the email.
+  `verification_id` is the socket token handed to the client.
+  """
+  def confirm_email_code(verification_id, device, code) do
+    case Repo.get_by(EmailVerification, socket_token: verification_id, device_id: device.id) do
+      nil ->
+        {:error, :not_found}
+
+      verification ->
+        cond do
+          EmailVerification.verified?(verification) ->
+            {:ok, verification}
+
+          EmailVerification.expired?(verification) ->
+            {:error, :expired}
+
+          verification.code_attempts >= @max_code_attempts ->
+            {:error, :too_many_attempts}
+
+          address_locked?(verification.email) ->
+            {:error, :too_many_attempts}
+
+          verification.code != nil and
+              Plug.Crypto.secure_compare(verification.code, String.trim(code)) ->
+            complete_device_verification(verification)
+
+          true ->
+            record_failed_code(verification)
+        end
+    end
+  end
+
   @doc """
   Gets an email verification by its token.
   """
@@ -68,6 +151,16 @@ defmodule TqfApi.Auth do
           EmailVerification.verified?(verification) ->
             {:error, :already_verified}
 
+          # Sign-ins are code-only, see create_device_email_verification/3
+          EmailVerification.sign_in?(verification) ->
+            {:error, :not_found}
+
+          # Started from the app: the device already exists, only the address needs confirming
+          verification.device_id != nil ->
+            with {:ok, updated_verification} <- complete_device_verification(verification) do
+              {:ok, %{verification: updated_verification, user: nil, device: nil}}
+            end
+
           true ->
             # Find or create user by email
             user = find_or_create_user_by_email(verification.email)
@@ -122,6 +215,82 @@ defmodule TqfApi.Auth do
     Repo.get_by(User, email: email)
   end
 
+  defp complete_device_verification(verification) do
+    Repo.transaction(fn ->
+      with :ok <- link_device(verification),
+           {:ok, updated} <- mark_verified(verification) do
+        updated
+      else
+        {:error, reason} -> Repo.rollback(reason)
+      end
+    end)
+  end
+
+  # Sign-in verifications move the device onto the account that owns the
+  # address. The anonymous user created at device registration is left behind.
+  # The account or device may have been deleted since the code was sent.
+  defp link_device(verification) do
+    if EmailVerification.sign_in?(verification) do
+      with %User{} = user <- get_user_by_email(verification.email),
+           %Device{} = device <- Repo.get(Device, verification.device_id),
+           {:ok, _device} <- Accounts.update_device(device, %{user_id: user.id}) do
+        :ok
+      else
+        nil -> {:error, :account_not_found}
+        {:error, changeset} -> {:error, changeset}
+      end
+    else
+      :ok
+    end
+  end
+
+  # Sign-in codes are only issued for addresses that have an account
+  defp verification_code(email, "sign_in") do
+    if get_user_by_email(email), do: generate_verification_code()
+  end
+
+  defp verification_code(_email, _purpose), do: generate_verification_code()
+
+  defp record_failed_code(verification) do
+    verification
+    |> EmailVerification.changeset(%{code_attempts: verification.code_attempts + 1})
+    |> Repo.update()
+    |> case do
+      {:ok, updated} -> {:error, {:invalid_code, @max_code_attempts - updated.code_attempts}}
+      {:error, changeset} -> {:error, changeset}
+    end
+  end
+
+  defp address_locked?(email) do
+    since =
+      DateTime.utc_now()
+      |> DateTime.add(-@address_lockout_minutes * 60, :second)
+      |> DateTime.truncate(:second)
+
+    failed_codes =
+      from(v in EmailVerification,
+        where: v.email == ^email and v.inserted_at > ^since,
+        select: coalesce(sum(v.code_attempts), 0)
+      )
+      |> Repo.one()
+
+    failed_codes >= @max_failed_codes_per_address
+  end
+
+  defp mark_verified(verification) do
+    verification
+    |> EmailVerification.changeset(%{status: "verified", verified_at: DateTime.utc_now()})
+    |> Repo.update()
+  end
+
+  defp generate_verification_code do
+    :crypto.strong_rand_bytes(4)
+    |> :binary.decode_unsigned()
+    |> rem(1_000_000)
+    |> Integer.to_string()
+    |> String.pad_leading(6, "0")
+  end
+
   defp generate_verification_token do
     :crypto.strong_rand_bytes(32)
     |> Base.url_encode64(padding: false)
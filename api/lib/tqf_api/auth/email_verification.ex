@@ -3,11 +3,17 @@ defmodule TqfApi.Auth.EmailVerification do
   import Ecto.Changeset
 
   @verification_statuses ["pending", "verified", "expired"]
+  # "verify" confirms the address; "sign_in" also moves the device onto the account that owns it
+  @purposes ["verify", "sign_in"]
 
   schema "email_verifications" do
     field(:email, :string)
     field(:verification_token, :string)
     field(:socket_token, :string)
+    # One-time code for verifying from the macOS app without leaving onboarding
+    field(:code, :string)
+    field(:code_attempts, :integer, default: 0)
+    field(:purpose, :string, default: "verify")
     field(:status, :string, default: "pending")
     field(:expires_at, :utc_datetime)
     field(:verified_at, :utc_datetime)
@@ -25,6 +31,9 @@ defmodule TqfApi.Auth.EmailVerification do
       :email,
       :verification_token,
       :socket_token,
+      :code,
+      :code_attempts,
+      :purpose,
       :status,
       :expires_at,
       :verified_at,
@@ -34,6 +43,7 @@ defmodule TqfApi.Auth.EmailVerification do
     |> validate_required([:email, :verification_token, :socket_token, :expires_at])
     |> validate_format(:email, ~r/^[^\s]+@[^\s]+$/, message: "must have the @ sign and no spaces")
     |> validate_inclusion(:status, @verification_statuses)
+    |> validate_inclusion(:purpose, @purposes)
     |> unique_constraint(:verification_token)
     |> unique_constraint(:socket_token)
   end
@@ -47,4 +57,7 @@ defmodule TqfApi.Auth.EmailVerification do
 
   def verified?(%__MODULE__{status: "verified"}), do: true
   def verified?(_), do: false
+
+  def sign_in?(%__MODULE__{purpose: "sign_in"}), do: true
+  def sign_in?(_), do: false
 end
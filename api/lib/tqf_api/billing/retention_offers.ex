@@ -0,0 +1,130 @@
+defmodule TqfApi.Billing.RetentionOffers do
+  @moduledoc """
+  The paywall's "Not now" path. The user says why they aren't upgrading,
+  and depending on the reason gets an offer:
+
+    - "too_expensive": the promotion code in STRIPE_RETENTION_PROMOTION_CODE
+    - "not_using_enough": a one-time extension of the free trial
+
+  Each answer is kept as a feedback entry (category "upgrade_declined"),
+  together with the offer made and whether the user took it.
+  """
+
+  import Ecto.Query, warn: false
+  require Logger
+
+  alias TqfApi.{Accounts, Feedback, Repo}
+  alias TqfApi.Accounts.User
+  alias TqfApi.Billing.StripeService
+
+  @reasons ["too_expensive", "not_using_enough", "missing_feature", "other"]
+  @trial_extension_queries 20
+  @max_details_length 1000
+
+  def reasons, do: @reasons
+
+  @doc """
+  Records why `user` declined and returns the offer to show them, if any
+  Returns {:ok, %{feedback_id: id, offer: offer | nil}}
+  """
+  def decline(user, reason, details) when reason in @reasons and is_binary(details) do
+    details = details |> String.trim() |> String.slice(0, @max_details_length)
+    offer = offer_for(user, reason)
+
+    attrs = %{
+      user_id: user.id,
+      message: if(details == "", do: "Declined upgrade: #{reason}", else: details),
+      metadata: %{
+        category: "upgrade_declined",
+        reason: reason,
+        offer: offer && offer.type
+      },
+      status: "pending"
+    }
+
+    with {:ok, feedback} <- Feedback.create_feedback(attrs) do
+      {:ok, %{feedback_id: feedback.id, offer: offer}}
+    end
+  end
+
+  def decline(_user, reason, _details) when reason in @reasons, do: {:error, :invalid_details}
+  def decline(_user, _reason, _details), do: {:error, :invalid_reason}
+
+  @doc """
+  Records whether the user took the offer made for `feedback_id`, and
+  grants a trial extension they accepted
+  """
+  def respond(user, feedback_id, accepted) do
+    with {:ok, feedback_id} <- Ecto.UUID.cast(feedback_id),
+         %{} = feedback <- Feedback.get_feedback_by_id_and_user(feedback_id, user.id),
+         {:ok, offer} <- offer_made(feedback),
+         {:ok, user} <- maybe_extend_trial(user, offer, accepted),
+         {:ok, _feedback} <-
+           Feedback.update_feedback(feedback, %{
+             metadata: Map.put(feedback.metadata, "offer_accepted", accepted)
+           }) do
+      {:ok,
+       %{
+         accepted: accepted,
+         trial_queries_remaining: max(0, user.trial_queries_limit - user.trial_queries_used)
+       }}
+    else
+      :error -> {:error, :not_found}
+      nil -> {:error, :not_found}
+      error -> error
+    end
+  end
+
+  defp offer_made(%{metadata: %{"category" => "upgrade_declined", "offer" => offer}})
+       when is_binary(offer),
+       do: {:ok, offer}
+
+  defp offer_made(_feedback), do: {:error, :no_offer}
+
+  defp offer_for(user, "too_expensive") do
+    with code when code not in [nil, ""] <- System.get_env("STRIPE_RETENTION_PROMOTION_CODE"),
+         {:ok, promotion} <- StripeService.find_promotion_code(code) do
+      %{type: "discount", promotion: promotion}
+    else
+      blank when blank in [nil, ""] ->
+        nil
+
+      error ->
+        Logger.warning("No retention discount for user #{user.id}: #{inspect(error)}")
+        nil
+    end
+  end
+
+  defp offer_for(user, "not_using_enough") do
+    if trial_extendable?(user) do
+      %{type: "trial_extension", queries: @trial_extension_queries}
+    end
+  end
+
+  defp offer_for(_user, _reason), do: nil
+
+  defp trial_extendable?(user) do
+    is_nil(user.trial_extended_at) and not StripeService.has_active_subscription?(user)
+  end
+
+  defp maybe_extend_trial(user, "trial_extension", true) do
+    if trial_extendable?(user), do: extend_trial(user), else: {:error, :already_extended}
+  end
+
+  defp maybe_extend_trial(user, _offer, _accepted), do: {:ok, user}
+
+  # A single conditional update, so two accepts racing each other can't
+  # both extend the trial
+  defp extend_trial(user) do
+    now = DateTime.utc_now() |> DateTime.truncate(:second)
+    query = from(u in User, where: u.id == ^user.id and is_nil(u.trial_extended_at))
+
+    case Repo.update_all(query,
+           inc: [trial_queries_limit: @trial_extension_queries],
+           set: [trial_extended_at: now, updated_at: now]
+         ) do
+      {0, _} -> {:error, :already_extended}
+      {_count, _} -> {:ok, Accounts.get_user!(user.id)}
+    end
+  end
+end
@@ -7,11 +7,24 @@ defmodule TqfApi.Billing.StripeService do
   alias TqfApi.{Accounts, Repo}
   require Logger
 
+  # Subscription statuses "Restore purchase" syncs, best first
+  @restorable_statuses ["active", "trialing", "past_due"]
+
   def monthly_price_id,
     do: System.get_env("STRIPE_MONTHLY_PRICE_ID") || "price_monthly_placeholder"
 
   def yearly_price_id, do: System.get_env("STRIPE_YEARLY_PRICE_ID") || "price_yearly_placeholder"
 
+  @doc """
+  Further plans to offer on the paywall (lifetime, quarterly, ...), as a
+  comma-separated list of Stripe price IDs in STRIPE_EXTRA_PRICE_IDS
+  """
+  def extra_price_ids do
+    (System.get_env("STRIPE_EXTRA_PRICE_IDS") || "")
+    |> String.split(",", trim: true)
+    |> Enum.map(&String.trim/1)
+  end
+
   @doc """
   Checks if Stripe is properly configured
   """
@@ -43,8 +56,15 @@ defmodule TqfApi.Billing.StripeService do
   @doc """
   Creates a Stripe checkout session using a specific price ID
   This is the preferred method as it's completely agnostic
+  Pass the id of a promotion code accepted on the paywall to apply it up front
   """
-  def create_checkout_session_with_price_id(user, price_id, success_url, cancel_url) do
+  def create_checkout_session_with_price_id(
+        user,
+        price_id,
+        success_url,
+        cancel_url,
+        promotion_code_id \\ nil
+      ) do
     unless configured?() do
       {:error, "Stripe is not configured"}
     else
@@ -55,13 +75,83 @@ defmodule TqfApi.Billing.StripeService do
                user.email,
                price_id,
                success_url,
-               cancel_url
+               cancel_url,
+               promotion_code_id
              ) do
         {:ok, session}
       end
     end
   end
 
+  @doc """
+  Reports how far a checkout session opened from the paywall has got
+  `status` is Stripe's "open", "complete" or "expired"; a complete session
+  whose subscription isn't active yet is still waiting on the payment or
+  on our webhook
+  """
+  # Sessions without a customer belong to nobody, and neither does a user without one
+  def get_checkout_status(%{stripe_customer_id: customer_id}, _session_id)
+      when customer_id in [nil, ""] do
+    {:error, :not_found}
+  end
+
+  def get_checkout_status(user, session_id) do
+    case Session.retrieve(session_id) do
+      {:ok, %{customer: customer_id} = session} when customer_id == user.stripe_customer_id ->
+        checkout_status(user, session)
+
+      {:ok, _other_customers_session} ->
+        {:error, :not_found}
+
+      {:error, %Stripe.Error{code: "resource_missing"}} ->
+        {:error, :not_found}
+
+      error ->
+        error
+    end
+  end
+
+  @doc """
+  Reports a checkout session already known to be `user`'s
+  A paid one-time (lifetime) purchase is granted right here: no subscription
+  follows it to confirm it, and its webhook may still be on the way
+  """
+  def checkout_status(user, session) do
+    with {:ok, user} <- grant_paid_purchase(user, session) do
+      {:ok,
+       %{
+         status: session.status,
+         payment_status: session.payment_status,
+         has_subscription: has_active_subscription?(user)
+       }}
+    end
+  end
+
+  @doc """
+  Looks up an active promotion code typed on the paywall
+  Returns its coupon's discount so the app can preview it on each plan
+  """
+  def find_promotion_code(code) do
+    code = String.trim(code)
+
+    cond do
+      not configured?() ->
+        {:error, "Stripe is not configured"}
+
+      code == "" ->
+        {:error, :not_found}
+
+      true ->
+        params = %{code: code, active: true, limit: 1, expand: ["data.coupon.applies_to"]}
+
+        case Stripe.PromotionCode.list(params) do
+          {:ok, %{data: [promotion | _]}} -> {:ok, format_promotion_code(promotion)}
+          {:ok, %{data: []}} -> {:error, :not_found}
+          error -> error
+        end
+    end
+  end
+
   @doc """
   Creates or retrieves a Stripe customer for the user
   """
@@ -105,7 +195,8 @@ defmodule TqfApi.Billing.StripeService do
   """
   def has_active_subscription?(user) do
     # Check local database fields - no Stripe API calls
-    TqfApi.Accounts.User.has_active_subscription?(user)
+    TqfApi.Accounts.User.has_active_subscription?(user) or
+      TqfApi.Accounts.User.has_lifetime_access?(user)
   end
 
   @doc """
@@ -115,6 +206,9 @@ defmodule TqfApi.Billing.StripeService do
     Logger.info("get_subscription_details for user #{user.id}: status=#{user.subscription_status}, sub_id=#{user.subscription_id}")
 
     cond do
+      TqfApi.Accounts.User.has_lifetime_access?(user) ->
+        {:ok, %{type: "lifetime"}}
+
       TqfApi.Accounts.User.has_active_subscription?(user) ->
         Logger.info("User #{user.id} has active subscription")
         # Try to fetch from Stripe if we have a subscription ID
@@ -129,11 +223,14 @@ defmodule TqfApi.Billing.StripeService do
                 Logger.info("Returning active subscription details for user #{user.id}")
                 {:ok, %{
                   type: "subscription",
+                  status: subscription.status,
+                  price_id: price.id,
                   interval: price.recurring.interval,
                   interval_count: price.recurring.interval_count,
                   amount: price.unit_amount,
                   currency: price.currency,
-                  cancel_at_period_end: subscription.cancel_at_period_end
+                  cancel_at_period_end: subscription.cancel_at_period_end,
+                  current_period_end: unix_time(user.subscription_current_period_end)
                 }}
               else
                 # Subscription exists but isn't active - sync the status
@@ -163,6 +260,80 @@ defmodule TqfApi.Billing.StripeService do
     end
   end
 
+  @doc """
+  Re-syncs the user's entitlement from Stripe, for when the webhook that
+  should have activated it never arrived, e.g. after paying on another
+  device signed in to the same account
+  Looks at the customer's subscriptions and at paid one-time (lifetime)
+  checkouts; a user with neither is left as they are
+  Returns `restored` when the user has Pro now, and `past_due` when the
+  only thing found is a subscription whose latest payment failed
+  """
+  # A Mac that hasn't signed in yet has its own anonymous user without a
+  # customer; the upgrade window then offers onboarding's sign-in instead
+  def restore_purchase(%{stripe_customer_id: customer_id}) when customer_id in [nil, ""] do
+    {:ok, %{restored: false, past_due: false}}
+  end
+
+  def restore_purchase(user) do
+    Logger.info("Restoring purchase for user #{user.id}, customer: #{user.stripe_customer_id}")
+
+    with {:ok, %{data: subscriptions}} <-
+           Subscription.list(%{customer: user.stripe_customer_id, status: "all", limit: 100}),
+         {:ok, %{data: sessions}} <-
+           Session.list(%{customer: user.stripe_customer_id, limit: 100}) do
+      restore_purchase_from(user, subscriptions, sessions)
+    end
+  end
+
+  @doc """
+  The part of restore_purchase/1 after the Stripe lookups: syncs the best of
+  the customer's `subscriptions` and grants lifetime access for a paid
+  one-time checkout among `checkout_sessions`
+  """
+  def restore_purchase_from(user, subscriptions, checkout_sessions) do
+    with {:ok, subscription} <- restore_subscription(subscriptions),
+         {:ok, user} <- restore_lifetime_purchase(user, checkout_sessions) do
+      user = Accounts.get_user!(user.id)
+      restored = has_active_subscription?(user)
+
+      {:ok,
+       %{
+         restored: restored,
+         past_due: not restored and subscription != nil and subscription.status == "past_due"
+       }}
+    end
+  end
+
+  defp restore_subscription(subscriptions) do
+    case Enum.find_value(@restorable_statuses, fn status ->
+           Enum.find(subscriptions, &(&1.status == status))
+         end) do
+      nil ->
+        {:ok, nil}
+
+      subscription ->
+        # Same path as the customer.subscription.updated webhook
+        attrs = %{
+          "id" => subscription.id,
+          "customer" => subscription.customer,
+          "status" => subscription.status,
+          "current_period_end" => subscription.current_period_end
+        }
+
+        with :ok <- handle_subscription_updated(attrs) do
+          {:ok, subscription}
+        end
+    end
+  end
+
+  defp restore_lifetime_purchase(user, checkout_sessions) do
+    case Enum.find(checkout_sessions, &paid_one_time_checkout?/1) do
+      nil -> {:ok, user}
+      _session -> grant_lifetime_access(user)
+    end
+  end
+
   @doc """
   Retrieves subscription status for a user
   """
@@ -227,6 +398,10 @@ defmodule TqfApi.Billing.StripeService do
         Logger.info("Processing checkout.session.completed for session: #{session_id}")
         handle_checkout_completed(event_data)
 
+      # Delayed payment methods complete the session before the money arrives
+      "checkout.session.async_payment_succeeded" ->
+        handle_checkout_completed(event_data)
+
       "customer.subscription.created" ->
         # Handle new subscription creation (important for resubscribe flow)
         Logger.info("Processing customer.subscription.created")
@@ -290,8 +465,18 @@ defmodule TqfApi.Billing.StripeService do
     Session.create(session_params)
   end
 
-  defp create_session_with_price_id(customer_id, email, price_id, success_url, cancel_url) do
-    Logger.info("Creating Stripe session - customer: #{customer_id}, price_id: #{price_id}")
+  defp create_session_with_price_id(
+         customer_id,
+         email,
+         price_id,
+         success_url,
+         cancel_url,
+         promotion_code_id
+       ) do
+    Logger.info(
+      "Creating Stripe session - customer: #{customer_id}, price_id: #{price_id}, " <>
+        "promotion_code: #{inspect(promotion_code_id)}"
+    )
 
     # First fetch the price to determine if it's one-time or recurring
     case Stripe.Price.retrieve(price_id) do
@@ -325,6 +510,16 @@ defmodule TqfApi.Billing.StripeService do
             session_params
           end
 
+        # Stripe takes either a code applied up front or the checkout's own code field
+        session_params =
+          if promotion_code_id do
+            session_params
+            |> Map.delete(:allow_promotion_codes)
+            |> Map.put(:discounts, [%{promotion_code: promotion_code_id}])
+          else
+            session_params
+          end
+
         Session.create(session_params)
 
       {:error, _} = error ->
@@ -332,6 +527,24 @@ defmodule TqfApi.Billing.StripeService do
     end
   end
 
+  defp format_promotion_code(promotion) do
+    coupon = promotion.coupon
+
+    %{
+      promotion_code_id: promotion.id,
+      code: promotion.code,
+      # One of these is set; amount_off is in currency's smallest unit
+      percent_off: coupon.percent_off,
+      amount_off: coupon.amount_off,
+      currency: coupon.currency,
+      # "once", "repeating" (for duration_in_months) or "forever"
+      duration: coupon.duration,
+      duration_in_months: coupon.duration_in_months,
+      # nil when the coupon applies to every product
+      product_ids: coupon.applies_to && coupon.applies_to.products
+    }
+  end
+
   defp handle_checkout_completed(session) do
     # Handle both Stripe objects and plain maps
     customer_id =
@@ -344,6 +557,11 @@ defmodule TqfApi.Billing.StripeService do
         do: session["amount_total"],
         else: session.amount_total
 
+    payment_status =
+      if is_map(session) && session["payment_status"],
+        do: session["payment_status"],
+        else: session.payment_status
+
     session_id = if is_map(session) && session["id"], do: session["id"], else: session.id
 
     Logger.info("Processing checkout completed for customer: #{customer_id}")
@@ -376,6 +594,16 @@ defmodule TqfApi.Billing.StripeService do
           updates
         end
 
+      # One-time prices are the lifetime plans; no subscription webhook follows them
+      updates =
+        if mode == "payment" and payment_status == "paid" and
+             not TqfApi.Accounts.User.has_lifetime_access?(user) do
+          Logger.info("This is a paid lifetime checkout")
+          Map.put(updates, :lifetime_access_at, DateTime.utc_now() |> DateTime.truncate(:second))
+        else
+          updates
+        end
+
       # Apply updates if any
       if map_size(updates) > 0 do
         Logger.info("Updating user with: #{inspect(updates)}")
@@ -396,7 +624,29 @@ defmodule TqfApi.Billing.StripeService do
     :ok
   end
 
+  defp grant_paid_purchase(user, session) do
+    if paid_one_time_checkout?(session), do: grant_lifetime_access(user), else: {:ok, user}
+  end
+
+  defp paid_one_time_checkout?(%{mode: "payment", status: "complete", payment_status: "paid"}),
+    do: true
+
+  defp paid_one_time_checkout?(_session), do: false
+
+  defp grant_lifetime_access(user) do
+    if TqfApi.Accounts.User.has_lifetime_access?(user) do
+      {:ok, user}
+    else
+      Logger.info("Granting lifetime access to user #{user.id}")
+      bought_at = DateTime.utc_now() |> DateTime.truncate(:second)
+      Accounts.update_user(user, %{lifetime_access_at: bought_at})
+    end
+  end
+
   # Helper function to extract current_period_end from subscription data
+  defp unix_time(nil), do: nil
+  defp unix_time(datetime), do: DateTime.to_unix(datetime)
+
   defp get_subscription_period_end(subscription) when is_map(subscription) do
     cond do
       # First check top level
@@ -571,6 +821,7 @@ defmodule TqfApi.Billing.StripeService do
           prices
           |> Enum.filter(&(&1.id in allowed_price_ids))
           |> Enum.map(&format_price_for_display/1)
+          |> add_paywall_display()
 
         {:ok,
          %{
@@ -589,8 +840,8 @@ defmodule TqfApi.Billing.StripeService do
   end
 
   defp get_allowed_price_ids(_user) do
-    # All users see monthly and yearly pricing
-    [monthly_price_id(), yearly_price_id()]
+    # All users see monthly and yearly pricing, plus any extra plans
+    [monthly_price_id(), yearly_price_id() | extra_price_ids()]
     # Remove any nil values from missing env vars
     |> Enum.filter(&(&1 != nil))
   end
@@ -598,12 +849,22 @@ defmodule TqfApi.Billing.StripeService do
   defp format_price_for_display(price) do
     # Get features for this price
     features = get_features_for_price(price)
+    price_metadata = price.metadata || %{}
 
     base_data = %{
       price_id: price.id,
       product_id: price.product.id,
+      # In the currency's smallest unit (cents, or whole yen for JPY)
       amount: price.unit_amount,
       currency: price.currency,
+      # "inclusive", "exclusive" or "unspecified", for the tax label
+      tax_behavior: price.tax_behavior,
+      # Optional display locale set on the price in Stripe, e.g. "de-DE"
+      locale: price_metadata["locale"],
+      # Paywall overrides from the price's metadata; add_paywall_display/1 fills the rest
+      highlighted: price_metadata["highlight"] == "true",
+      badge: price_metadata["badge"],
+      cta: price_metadata["cta"],
       # Product info from expanded data
       name: price.product.name || format_price_name(price),
       description: price.product.description,
@@ -627,6 +888,57 @@ defmodule TqfApi.Billing.StripeService do
     end
   end
 
+  @doc """
+  Fills in what the paywall shows for each formatted price: which card is
+  highlighted, what its badge and button say, and which plan its savings are
+  measured against (`compare_to`).
+  Badge and CTA values are names the app translates ("recommended",
+  "bestValue", "popular"; "start", "get", "buy"); anything else is shown as
+  written. Set "highlight", "badge" or "cta" in a price's metadata in Stripe
+  to override the defaults below.
+  """
+  def add_paywall_display(prices) do
+    highlighted_id =
+      case Enum.find(prices, & &1.highlighted) do
+        nil -> yearly_price_id()
+        price -> price.price_id
+      end
+
+    Enum.map(prices, fn price ->
+      highlighted = price.price_id == highlighted_id
+
+      price
+      |> Map.put(:highlighted, highlighted)
+      |> Map.put(:badge, price.badge || if(highlighted, do: "recommended"))
+      |> Map.put(:cta, price.cta || default_cta(price, highlighted))
+      |> Map.put(:compare_to, base_plan_id(price, prices))
+    end)
+  end
+
+  defp default_cta(%{interval: "one_time"}, _highlighted), do: "buy"
+  defp default_cta(_price, true), do: "get"
+  defp default_cta(_price, false), do: "start"
+
+  # Savings are measured against the shortest recurring plan in the same
+  # currency: yearly against monthly, quarterly against weekly. A one-time
+  # price has no period to compare.
+  defp base_plan_id(%{interval: "one_time"}, _prices), do: nil
+
+  defp base_plan_id(price, prices) do
+    prices
+    |> Enum.filter(&(&1.interval != "one_time" and &1.currency == price.currency))
+    |> Enum.filter(&(period_days(&1) < period_days(price)))
+    |> Enum.min_by(&period_days/1, fn -> nil end)
+    |> case do
+      nil -> nil
+      base -> base.price_id
+    end
+  end
+
+  @interval_days %{"day" => 1, "week" => 7, "month" => 30, "year" => 365}
+
+  defp period_days(price), do: @interval_days[price.interval] * price.interval_count
+
   defp get_features_for_price(price) do
     # Define features based on price ID or product metadata
     cond do
@@ -651,6 +963,16 @@ defmodule TqfApi.Billing.StripeService do
           "33% discount vs monthly"
         ]
 
+      # Extra plans (lifetime, quarterly, ...)
+      price.id in extra_price_ids() ->
+        [
+          "Unlimited AI-powered replies",
+          "Screenshot context capture",
+          "Compose and reply to emails, messages, etc",
+          "Ask questions about your screen in Ask mode",
+          "Chat & Email support"
+        ]
+
       # Default features
       true ->
         [
@@ -677,6 +999,8 @@ defmodule TqfApi.Billing.StripeService do
         case {interval, count} do
           {"month", 1} -> "#{base}/month"
           {"year", 1} -> "#{base}/year"
+          {"week", 1} -> "#{base}/week"
+          {"week", n} -> "#{base} every #{n} weeks"
           {"month", n} -> "#{base} every #{n} months"
           {"year", n} -> "#{base} every #{n} years"
           _ -> base
@@ -692,6 +1016,7 @@ defmodule TqfApi.Billing.StripeService do
       price.type == "one_time" -> "Lifetime"
       price.recurring && price.recurring.interval == "month" -> "Monthly"
       price.recurring && price.recurring.interval == "year" -> "Yearly"
+      price.recurring && price.recurring.interval == "week" -> "Weekly"
       true -> "Plan"
     end
   end
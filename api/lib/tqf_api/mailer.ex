@@ -33,6 +33,58 @@ defmodule TqfApi.Mailer do
     end
   end
 
+  @doc """
+  Sends the code the macOS app asks for during onboarding, plus a magic link
+  for users reading the email on another device.
+  """
+  def send_verification_code_email(to_email, code, token) do
+    verify_url = get_verify_url(token)
+
+    body = %{
+      from: @from_email,
+      to: [to_email],
+      subject: "#{code} is your TheQuickFox verification code",
+      html: verification_code_email_html(code, verify_url),
+      text: verification_code_email_text(code, verify_url)
+    }
+
+    case send_email(body) do
+      {:ok, response} ->
+        Logger.info("Verification code email sent to #{to_email}")
+        {:ok, response}
+
+      {:error, reason} = error ->
+        Logger.error("Failed to send verification code email to #{to_email}: #{inspect(reason)}")
+        error
+    end
+  end
+
+  @doc """
+  Sends the code a device asks for to sign in to the account that owns
+  `to_email`. There is no link: typing the code on the device that asked is
+  the only way to sign it in, and the email names that device so the owner
+  can tell whether it's theirs.
+  """
+  def send_sign_in_code_email(to_email, code, device_name) do
+    body = %{
+      from: @from_email,
+      to: [to_email],
+      subject: "#{code} is your TheQuickFox sign-in code",
+      html: sign_in_code_email_html(code, device_name),
+      text: sign_in_code_email_text(code, device_name)
+    }
+
+    case send_email(body) do
+      {:ok, response} ->
+        Logger.info("Sign-in code email sent to #{to_email}")
+        {:ok, response}
+
+      {:error, reason} = error ->
+        Logger.error("Failed to send sign-in code email to #{to_email}: #{inspect(reason)}")
+        error
+    end
+  end
+
   defp send_email(body) do
     api_key = get_api_key()
 
@@ -108,6 +160,127 @@ defmodule TqfApi.Mailer do
     """
   end
 
+  defp verification_code_email_html(code, verify_url) do
+    """
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Your verification code</title>
+    </head>
+    <body style="font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #09213F; max-width: 500px; margin: 0 auto; padding: 40px 20px; background: #FFF9F5;">
+      <div style="background: #fff; border-radius: 16px; padding: 40px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06); border: 1px solid #E9EDF3;">
+        <div style="text-align: center; margin-bottom: 32px;">
+          <img src="https://www.thequickfox.ai/images/fox-icon.png" alt="TheQuickFox" style="width: 56px; height: 56px; margin-bottom: 16px;">
+          <h1 style="color: #09213F; margin: 0; font-size: 24px; font-weight: 700;">Verify your email</h1>
+        </div>
+
+        <p style="color: #475569; font-size: 15px; margin-bottom: 20px; text-align: center;">
+          Enter this code in TheQuickFox to verify your email:
+        </p>
+
+        <div style="text-align: center; margin-bottom: 28px; font-size: 32px; font-weight: 700; letter-spacing: 8px; color: #09213F;">
+          #{code}
+        </div>
+
+        <p style="color: #475569; font-size: 14px; margin-bottom: 28px; text-align: center;">
+          Not at your Mac? <a href="#{verify_url}" style="color: #FF7A00;">Verify from here</a> instead.
+        </p>
+
+        <p style="color: #94a3b8; font-size: 13px; text-align: center; margin: 0;">
+          Code expires in 1 hour. If you didn't request this, ignore this email.
+        </p>
+      </div>
+
+      <p style="color: #94a3b8; font-size: 12px; text-align: center; margin-top: 24px;">
+        TheQuickFox &mdash; AI-powered writing for any text field
+      </p>
+    </body>
+    </html>
+    """
+  end
+
+  defp verification_code_email_text(code, verify_url) do
+    """
+    Verify your email for TheQuickFox
+
+    Enter this code in TheQuickFox to verify your email:
+
+    #{code}
+
+    Not at your Mac? Verify from here instead:
+
+    #{verify_url}
+
+    Code expires in 1 hour. If you didn't request this, ignore this email.
+
+    --
+    TheQuickFox - AI-powered writing for any text field
+    """
+  end
+
+  # The device name is whatever the device registered with, so it's escaped
+  defp sign_in_code_email_html(code, device_name) do
+    device_name = Plug.HTML.html_escape(device_name)
+
+    """
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Your sign-in code</title>
+    </head>
+    <body style="font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #09213F; max-width: 500px; margin: 0 auto; padding: 40px 20px; background: #FFF9F5;">
+      <div style="background: #fff; border-radius: 16px; padding: 40px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06); border: 1px solid #E9EDF3;">
+        <div style="text-align: center; margin-bottom: 32px;">
+          <img src="https://www.thequickfox.ai/images/fox-icon.png" alt="TheQuickFox" style="width: 56px; height: 56px; margin-bottom: 16px;">
+          <h1 style="color: #09213F; margin: 0; font-size: 24px; font-weight: 700;">Sign in to TheQuickFox</h1>
+        </div>
+
+        <p style="color: #475569; font-size: 15px; margin-bottom: 20px; text-align: center;">
+          <strong>#{device_name}</strong> asked to sign in to your account. To sign it in, enter this code on that Mac:
+        </p>
+
+        <div style="text-align: center; margin-bottom: 28px; font-size: 32px; font-weight: 700; letter-spacing: 8px; color: #09213F;">
+          #{code}
+        </div>
+
+        <p style="color: #475569; font-size: 14px; margin-bottom: 28px; text-align: center;">
+          Don't share this code. Anyone who has it can use your account on that Mac.
+        </p>
+
+        <p style="color: #94a3b8; font-size: 13px; text-align: center; margin: 0;">
+          Code expires in 1 hour. If that isn't your Mac, ignore this email and your account stays as it is.
+        </p>
+      </div>
+
+      <p style="color: #94a3b8; font-size: 12px; text-align: center; margin-top: 24px;">
+        TheQuickFox &mdash; AI-powered writing for any text field
+      </p>
+    </body>
+    </html>
+    """
+  end
+
+  defp sign_in_code_email_text(code, device_name) do
+    """
+    Sign in to TheQuickFox
+
+    "#{device_name}" asked to sign in to your account. To sign it in, enter this code on that Mac:
+
+    #{code}
+
+    Don't share this code. Anyone who has it can use your account on that Mac.
+
+    Code expires in 1 hour. If that isn't your Mac, ignore this email and your account stays as it is.
+
+    --
+    TheQuickFox - AI-powered writing for any text field
+    """
+  end
+
   defp verification_email_text(verify_url) do
     """
     Verify your email for TheQuickFox
@@ -46,6 +46,89 @@ defmodule TqfApi.ScenarioPresets do
     ["whatsapp", "linkedin", "email", "flirty", "linkedin_recruiter", "article_summary", "logo_feedback"]
   end
 
+  @doc """
+  Display metadata for the compose scenarios offered in the app's onboarding demo.
+  The raw context_text is OCR output, so each scenario carries a readable excerpt
+  of the conversation for the client to show next to the input.
+  """
+  def demo_scenarios do
+    [
+      %{
+        id: "whatsapp",
+        label: "Reassure a friend",
+        app_name: "WhatsApp",
+        contact: "Clingy Cliff",
+        tone: "friendly",
+        sample_input: "sorry been swamped w work, coffee sat?",
+        messages: [
+          %{
+            from: "them",
+            text: ~s(You've been really distant lately and always "busy" when I want to hang out)
+          },
+          %{from: "them", text: "Did I do something wrong? I thought we were best friends..."}
+        ]
+      },
+      %{
+        id: "linkedin",
+        label: "Follow up on a lead",
+        app_name: "LinkedIn",
+        contact: "Jake Morrison · VP of Sales at TechFlow",
+        tone: "formal",
+        sample_input: "still keen on that demo? can do next week",
+        messages: [
+          %{
+            from: "them",
+            text: "Thanks for reaching out. We're evaluating CRMs right now, so good timing. Let me check my calendar and get back to you."
+          },
+          %{
+            from: "you",
+            text: "Sounds great! I'm free Thursday or Friday afternoon if either works for you."
+          }
+        ]
+      },
+      %{
+        id: "email",
+        label: "Answer an email",
+        app_name: "Gmail",
+        contact: "Marcus Chen · Expense Report - Client Dinner Dec 12",
+        tone: "formal",
+        sample_input: "approved, will reimburse by fri",
+        messages: [
+          %{
+            from: "them",
+            text: "Please find attached my expense report for the client dinner last Thursday with the Acme Corp team. Total: $347.82. Let me know if you need anything else!"
+          }
+        ]
+      },
+      %{
+        id: "flirty",
+        label: "Flirt with a match",
+        app_name: "Tinder",
+        contact: "Jordan",
+        tone: "flirty",
+        sample_input: "sat morning hike? loser buys coffee",
+        messages: [
+          %{from: "them", text: "Thank you! That was from last weekend at Mt. Wilson"},
+          %{from: "you", text: "Nice! I love hiking too. We should go sometime!"}
+        ]
+      },
+      %{
+        id: "linkedin_recruiter",
+        label: "Reply to a recruiter",
+        app_name: "LinkedIn",
+        contact: "Peter File · Senior Recruiter at TechTalent Solutions",
+        tone: "formal",
+        sample_input: "interested, free thu afternoon",
+        messages: [
+          %{
+            from: "them",
+            text: "Hi! I came across your profile and I'm impressed with your background. We have an exciting Senior Developer role that I think would be a great fit. Would you be open to a quick chat this week?"
+          }
+        ]
+      }
+    ]
+  end
+
   @doc """
   Get the app context for a scenario (app_info, context_text, tone)
   """
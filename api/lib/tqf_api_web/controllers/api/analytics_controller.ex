@@ -22,4 +22,36 @@ defmodule TqfApiWeb.Api.AnalyticsController do
       data: metrics
     })
   end
+
+  @doc """
+  Record a batch of onboarding funnel events from the macOS app.
+
+  Expects `events`: a list of maps with event_id, name, session_id,
+  occurred_at (ISO 8601) and properties. Responds 202 with the number stored;
+  invalid or already stored events are skipped.
+  """
+  def create_events(conn, %{"events" => events}) when is_list(events) do
+    device = conn.assigns.current_device
+
+    case Analytics.record_onboarding_events(device, events) do
+      {:ok, stored} ->
+        conn
+        |> put_status(:accepted)
+        |> json(%{data: %{stored: stored}})
+
+      {:error, :too_many_events} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{
+          error:
+            "Too many events in one batch (max #{Analytics.max_onboarding_events_per_batch()})"
+        })
+    end
+  end
+
+  def create_events(conn, _params) do
+    conn
+    |> put_status(:bad_request)
+    |> json(%{error: "events must be a list"})
+  end
 end
@@ -48,11 +48,17 @@ defmodule TqfApiWeb.Api.AuthController do
   def verify(conn, %{"token" => token}) do
     case Auth.verify_email(token) do
       {:ok, %{verification: verification, user: _user, device: device}} ->
-        # Broadcast to Phoenix channel that verification is complete
+        # Broadcast to Phoenix channel that verification is complete.
+        # App verifications already have a device, so there is no token to hand out.
+        payload =
+          if device,
+            do: %{auth_token: device.auth_token},
+            else: %{email: verification.email, method: "link", purpose: verification.purpose}
+
         TqfApiWeb.Endpoint.broadcast(
           "verification:#{verification.socket_token}",
           "verified",
-          %{auth_token: device.auth_token}
+          payload
         )
 
         # Redirect to success page
@@ -73,6 +79,12 @@ defmodule TqfApiWeb.Api.AuthController do
         # Still redirect to success page if already verified
         success_url = get_success_url()
         redirect(conn, external: success_url)
+
+      # A sign-in whose account or device no longer exists, or a failed update
+      {:error, _reason} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{error: "This link can no longer be used. Please request a new one."})
     end
   end
 
@@ -8,6 +8,7 @@ defmodule TqfApiWeb.Api.ComposeController do
 
   alias TqfApi.Accounts
   alias TqfApi.Prompts
+  alias TqfApi.ScenarioPresets
 
   require Logger
 
@@ -84,13 +85,53 @@ defmodule TqfApiWeb.Api.ComposeController do
 
   defp check_access(user) do
     cond do
-      TqfApi.Accounts.User.has_active_subscription?(user) -> {:ok, user}
+      TqfApi.Billing.StripeService.has_active_subscription?(user) -> {:ok, user}
       user.trial_queries_used < user.trial_queries_limit -> {:ok, user}
       true -> {:error, :no_access}
     end
   end
 
   defp handle_request(conn, params) do
+    case apply_scenario(params) do
+      {:ok, params} ->
+        dispatch_request(conn, params)
+
+      {:error, :invalid_scenario} ->
+        conn
+        |> put_status(:bad_request)
+        |> json(%{
+          error: %{
+            message:
+              "Invalid scenario_id. Available scenarios: #{Enum.join(ScenarioPresets.available_scenarios(), ", ")}",
+            type: "invalid_scenario"
+          }
+        })
+    end
+  end
+
+  # Demo requests name a preset scenario instead of sending captured context;
+  # the preset's app info and context replace whatever the client sent, and its
+  # tone applies unless the client picked one (e.g. when comparing tones).
+  defp apply_scenario(%{"scenario_id" => scenario_id} = params) when is_binary(scenario_id) do
+    case ScenarioPresets.get_scenario_context(scenario_id) do
+      {:ok, %{app_info: app_info, context_text: context_text, tone: tone} = context} ->
+        {:ok,
+         Map.merge(params, %{
+           "mode" => Map.get(context, :mode, "compose"),
+           "app_info" => app_info,
+           "context_text" => context_text,
+           "screenshot_base64" => Map.get(context, :image_base64),
+           "tone" => Map.get(params, "tone") || tone
+         })}
+
+      {:error, _} = error ->
+        error
+    end
+  end
+
+  defp apply_scenario(params), do: {:ok, params}
+
+  defp dispatch_request(conn, params) do
     mode = Map.get(params, "mode", "compose")
     query = Map.get(params, "query", "")
     app_info = Map.get(params, "app_info", %{})
@@ -52,6 +52,7 @@ defmodule TqfApiWeb.Api.DeviceController do
       data: %{
         device_id: device.id,
         user_id: device.user_id,
+        email: device.user.email,
         auth_token: device.auth_token,
         trial_queries_used: device.user.trial_queries_used,
         trial_queries_remaining: max(0, device.user.trial_queries_limit - device.user.trial_queries_used),
@@ -0,0 +1,170 @@
+defmodule TqfApiWeb.Api.EmailVerificationController do
+  @moduledoc """
+  Email verification for the macOS app's onboarding.
+  The app requests a code for the address the user typed, then either the
+  user enters the code or clicks the link in the email; both broadcast
+  "verified" on the VerificationChannel topic returned as verification_id.
+
+  Returning users pass `purpose: "sign_in"`: verifying links this device to
+  the account that owns the address. The response is the same whether or
+  not that account exists; without one no email goes out. Sign-ins are
+  code-only: their email names this device and has no link.
+
+  Errors carry a `reason` next to the message ("invalid_code", "expired",
+  "rate_limited", ...) so the app can word them in the user's language.
+  """
+
+  use TqfApiWeb, :controller
+
+  alias TqfApi.Auth
+  alias TqfApi.Mailer
+
+  # Code emails per device, per address and in total. Devices are free to
+  # register, so the per-address and global limits are what stop guessing.
+  @request_limit 5
+  @request_window_ms :timer.minutes(15)
+  @address_limit 5
+  @address_window_ms :timer.minutes(15)
+  @global_limit 1_000
+  @global_window_ms :timer.minutes(1)
+
+  @purposes ["verify", "sign_in"]
+
+  def create(conn, %{"email" => email} = params) do
+    device = conn.assigns.current_device
+    purpose = params["purpose"] || "verify"
+    email = String.trim(email)
+
+    with true <- purpose in @purposes,
+         {:allow, _count} <-
+           Hammer.check_rate("email_code:#{device.id}", @request_window_ms, @request_limit),
+         {:allow, _count} <-
+           Hammer.check_rate(
+             "email_code_address:#{String.downcase(email)}",
+             @address_window_ms,
+             @address_limit
+           ),
+         {:allow, _count} <- Hammer.check_rate("email_code_global", @global_window_ms, @global_limit) do
+      send_code(conn, device, email, purpose)
+    else
+      false ->
+        conn
+        |> put_status(:bad_request)
+        |> json(%{error: "Invalid purpose", reason: "invalid_purpose"})
+
+      {:deny, _limit} ->
+        too_many_emails(conn)
+    end
+  end
+
+  def confirm(conn, %{"verification_id" => verification_id, "code" => code}) do
+    device = conn.assigns.current_device
+
+    case Auth.confirm_email_code(verification_id, device, code) do
+      {:ok, verification} ->
+        TqfApiWeb.Endpoint.broadcast("verification:#{verification.socket_token}", "verified", %{
+          email: verification.email,
+          method: "code",
+          purpose: verification.purpose
+        })
+
+        conn
+        |> put_status(:ok)
+        |> json(%{
+          data: %{
+            status: verification.status,
+            email: verification.email,
+            purpose: verification.purpose
+          }
+        })
+
+      {:error, {:invalid_code, attempts_left}} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{
+          error: "That code doesn't match. #{attempts_left} attempts left.",
+          reason: "invalid_code",
+          attempts_left: attempts_left
+        })
+
+      {:error, :too_many_attempts} ->
+        conn
+        |> put_status(:too_many_requests)
+        |> json(%{
+          error: "Too many wrong codes. Please request a new one.",
+          reason: "too_many_attempts"
+        })
+
+      {:error, :expired} ->
+        conn
+        |> put_status(:gone)
+        |> json(%{error: "This code has expired. Please request a new one.", reason: "expired"})
+
+      # :account_not_found when the account or device went away after the code was sent
+      {:error, reason} when reason in [:not_found, :account_not_found] ->
+        conn
+        |> put_status(:not_found)
+        |> json(%{error: "Verification not found", reason: "not_found"})
+
+      {:error, %Ecto.Changeset{}} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{error: "Verification could not be completed", reason: "error"})
+    end
+  end
+
+  defp send_code(conn, device, email, purpose) do
+    with {:ok, verification} <- Auth.create_device_email_verification(email, device, purpose),
+         {:ok, _} <- send_code_email(verification, device) do
+      conn
+      |> put_status(:ok)
+      |> json(%{
+        data: %{
+          verification_id: verification.socket_token,
+          expires_at: verification.expires_at
+        }
+      })
+    else
+      {:error, :address_locked} ->
+        too_many_emails(conn)
+
+      {:error, %Ecto.Changeset{}} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{error: "Invalid email", reason: "invalid_email"})
+
+      {:error, reason} ->
+        conn
+        |> put_status(:internal_server_error)
+        |> json(%{
+          error: "Failed to send verification email",
+          reason: "send_failed",
+          details: inspect(reason)
+        })
+    end
+  end
+
+  # Sign-in verifications for addresses without an account have no code to send
+  defp send_code_email(%{code: nil}, _device), do: {:ok, :no_account}
+
+  defp send_code_email(%{purpose: "sign_in"} = verification, device) do
+    Mailer.send_sign_in_code_email(verification.email, verification.code, device.device_name)
+  end
+
+  defp send_code_email(verification, _device) do
+    Mailer.send_verification_code_email(
+      verification.email,
+      verification.code,
+      verification.verification_token
+    )
+  end
+
+  defp too_many_emails(conn) do
+    conn
+    |> put_status(:too_many_requests)
+    |> json(%{
+      error: "Too many verification emails. Please try again later.",
+      reason: "rate_limited"
+    })
+  end
+end
@@ -81,6 +81,13 @@ defmodule TqfApiWeb.Api.FeedbackController do
       category: params["category"] || "general"
     }
 
+    # Structured context for non-free-text feedback, e.g. onboarding tone ratings
+    metadata =
+      case params["details"] do
+        details when is_map(details) -> Map.put(metadata, :details, details)
+        _ -> metadata
+      end
+
     Feedback.create_feedback(%{
       user_id: user.id,
       message: message,
@@ -150,7 +150,7 @@ defmodule TqfApiWeb.Api.ProxyController do
     # Only users with active subscriptions can use the proxy
     # Trial users need remaining quota
     cond do
-      TqfApi.Accounts.User.has_active_subscription?(user) ->
+      TqfApi.Billing.StripeService.has_active_subscription?(user) ->
         # Active subscribers can use proxy
         true
 
@@ -0,0 +1,15 @@
+defmodule TqfApiWeb.Api.ScenarioController do
+  @moduledoc """
+  Lists the preset scenarios the app's onboarding demo can compose against.
+  """
+
+  use TqfApiWeb, :controller
+
+  alias TqfApi.ScenarioPresets
+
+  def index(conn, _params) do
+    conn
+    |> put_status(:ok)
+    |> json(%{data: ScenarioPresets.demo_scenarios()})
+  end
+end
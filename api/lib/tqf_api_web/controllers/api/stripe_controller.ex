@@ -7,7 +7,11 @@ defmodule TqfApiWeb.Api.StripeController do
 
   action_fallback(TqfApiWeb.FallbackController)
 
-  def create_checkout_session(conn, %{"price_id" => price_id}) do
+  # Promotion code lookups per device, so codes can't be guessed by brute force
+  @promotion_code_limit 20
+  @promotion_code_window_ms :timer.minutes(15)
+
+  def create_checkout_session(conn, %{"price_id" => price_id} = params) do
     device = conn.assigns.current_device
     user = device.user
 
@@ -21,7 +25,8 @@ defmodule TqfApiWeb.Api.StripeController do
            user,
            price_id,
            success_url,
-           cancel_url
+           cancel_url,
+           params["promotion_code_id"]
          ) do
       {:ok, session} ->
         conn
@@ -54,6 +59,62 @@ defmodule TqfApiWeb.Api.StripeController do
     end
   end
 
+  def checkout_status(conn, %{"session_id" => session_id}) do
+    device = conn.assigns.current_device
+
+    case StripeService.get_checkout_status(device.user, session_id) do
+      {:ok, status} ->
+        conn
+        |> put_status(:ok)
+        |> json(%{data: status})
+
+      {:error, :not_found} ->
+        conn
+        |> put_status(:not_found)
+        |> json(%{error: "Checkout session not found"})
+
+      {:error, reason} ->
+        Logger.error("Checkout status error: #{inspect(reason)}")
+
+        conn
+        |> put_status(:service_unavailable)
+        |> json(%{error: "Failed to fetch checkout status", details: inspect(reason)})
+    end
+  end
+
+  def promotion_code(conn, %{"code" => code}) do
+    device = conn.assigns.current_device
+
+    with {:allow, _count} <-
+           Hammer.check_rate(
+             "promotion_code:#{device.id}",
+             @promotion_code_window_ms,
+             @promotion_code_limit
+           ),
+         {:ok, promotion} <- StripeService.find_promotion_code(code) do
+      conn
+      |> put_status(:ok)
+      |> json(%{data: promotion})
+    else
+      {:deny, _limit} ->
+        conn
+        |> put_status(:too_many_requests)
+        |> json(%{error: "Too many codes tried. Please try again later."})
+
+      {:error, :not_found} ->
+        conn
+        |> put_status(:not_found)
+        |> json(%{error: "That code isn't valid."})
+
+      {:error, reason} ->
+        Logger.error("Promotion code lookup error: #{inspect(reason)}")
+
+        conn
+        |> put_status(:service_unavailable)
+        |> json(%{error: "Failed to check the code", details: inspect(reason)})
+    end
+  end
+
   def webhook(conn, params) do
     payload = conn.assigns[:raw_body]
     signature = get_req_header(conn, "stripe-signature") |> List.first()
@@ -98,7 +159,26 @@ defmodule TqfApiWeb.Api.StripeController do
     end
   end
 
-  def customer_portal(conn, _params) do
+  def restore(conn, _params) do
+    device = conn.assigns.current_device
+
+    case StripeService.restore_purchase(device.user) do
+      {:ok, result} ->
+        conn
+        |> put_status(:ok)
+        |> json(%{data: result})
+
+      {:error, reason} ->
+        Logger.error("Restore purchase error: #{inspect(reason)}")
+
+        conn
+        |> put_status(:service_unavailable)
+        |> json(%{error: "Failed to restore purchase", details: inspect(reason)})
+    end
+  end
+
+  # `flow: "switch_plan"` opens the portal straight on the plan picker
+  def customer_portal(conn, params) do
     device = conn.assigns.current_device
     user = device.user
 
@@ -119,11 +199,9 @@ defmodule TqfApiWeb.Api.StripeController do
 
       true ->
         return_url = TqfApiWeb.Endpoint.url()
+        portal_params = portal_params(user, return_url, params["flow"])
 
-        case Stripe.BillingPortal.Session.create(%{
-               customer: user.stripe_customer_id,
-               return_url: return_url
-             }) do
+        case Stripe.BillingPortal.Session.create(portal_params) do
           {:ok, session} ->
             conn
             |> put_status(:ok)
@@ -159,4 +237,18 @@ defmodule TqfApiWeb.Api.StripeController do
         |> json(%{error: "Failed to fetch pricing", details: inspect(reason)})
     end
   end
+
+  defp portal_params(%{subscription_id: subscription_id} = user, return_url, "switch_plan")
+       when is_binary(subscription_id) do
+    user
+    |> portal_params(return_url, nil)
+    |> Map.put(:flow_data, %{
+      type: "subscription_update",
+      subscription_update: %{subscription: subscription_id}
+    })
+  end
+
+  defp portal_params(user, return_url, _flow) do
+    %{customer: user.stripe_customer_id, return_url: return_url}
+  end
 end
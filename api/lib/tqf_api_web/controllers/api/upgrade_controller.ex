@@ -0,0 +1,74 @@
+defmodule TqfApiWeb.Api.UpgradeController do
+  @moduledoc """
+  The upgrade window's "Not now" path: the reason a user gives for not
+  upgrading, the retention offer it earns, and whether they took it.
+  See TqfApi.Billing.RetentionOffers.
+  """
+
+  use TqfApiWeb, :controller
+  require Logger
+
+  alias TqfApi.Billing.RetentionOffers
+
+  def decline(conn, %{"reason" => reason} = params) do
+    device = conn.assigns.current_device
+
+    case RetentionOffers.decline(device.user, reason, params["details"] || "") do
+      {:ok, result} ->
+        conn
+        |> put_status(:created)
+        |> json(%{data: result})
+
+      {:error, :invalid_reason} ->
+        conn
+        |> put_status(:bad_request)
+        |> json(%{error: "Invalid reason", reasons: RetentionOffers.reasons()})
+
+      {:error, :invalid_details} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{error: "Details must be text"})
+
+      {:error, reason} ->
+        Logger.error("Upgrade decline error: #{inspect(reason)}")
+
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{error: "Failed to record the reason", details: inspect(reason)})
+    end
+  end
+
+  def respond_to_offer(conn, %{"feedback_id" => feedback_id, "accepted" => accepted})
+      when is_boolean(accepted) do
+    device = conn.assigns.current_device
+
+    case RetentionOffers.respond(device.user, feedback_id, accepted) do
+      {:ok, result} ->
+        conn
+        |> put_status(:ok)
+        |> json(%{data: result})
+
+      {:error, :not_found} ->
+        conn
+        |> put_status(:not_found)
+        |> json(%{error: "Offer not found"})
+
+      {:error, :no_offer} ->
+        conn
+        |> put_status(:not_found)
+        |> json(%{error: "Offer not found"})
+
+      {:error, :already_extended} ->
+        conn
+        |> put_status(:conflict)
+        |> json(%{error: "The free trial has already been extended"})
+
+      {:error, reason} ->
+        Logger.error("Retention offer error: #{inspect(reason)}")
+
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{error: "Failed to record the answer", details: inspect(reason)})
+    end
+  end
+end
@@ -1,10 +1,13 @@
 defmodule TqfApiWeb.Api.UsageController do
   use TqfApiWeb, :controller
 
-  alias TqfApi.{Accounts, Usage, Repo}
+  alias TqfApi.{Accounts, Analytics, Usage, Repo}
 
   action_fallback(TqfApiWeb.FallbackController)
 
+  # Days of history behind the upgrade page's usage sparkline
+  @daily_usage_days 14
+
   def track(conn, params) do
     device = conn.assigns.current_device
     
@@ -62,12 +65,19 @@ defmodule TqfApiWeb.Api.UsageController do
         nil
     end
 
+    # What the trial went on, for the upgrade page: queries per day lately
+    # and per mode since the account was created
+    usage_since = DateTime.add(DateTime.utc_now(), -@daily_usage_days, :day)
+
     conn
     |> json(%{
       data: %{
         trial_queries_used: device.user.trial_queries_used,
         trial_queries_remaining: max(0, device.user.trial_queries_limit - device.user.trial_queries_used),
+        trial_queries_limit: device.user.trial_queries_limit,
         queries_today: queries_today,
+        daily_usage: Analytics.daily_usage(device.user_id, usage_since),
+        queries_by_mode: Analytics.queries_by_mode(device.user_id, device.user.inserted_at),
         has_subscription: TqfApi.Billing.StripeService.has_active_subscription?(device.user),
         has_lifetime_access: TqfApi.Accounts.User.has_lifetime_access?(device.user),
         subscription_details: subscription_details
@@ -92,20 +92,35 @@ defmodule TqfApiWeb.Router do
 
       post("/users/accept-terms", DeviceController, :accept_terms)
 
+      # Email verification from onboarding (code entry or magic link)
+      post("/email/verification", EmailVerificationController, :create)
+      post("/email/verification/confirm", EmailVerificationController, :confirm)
+
       post("/usage/track", UsageController, :track)
       get("/usage", UsageController, :show)
 
       # Analytics endpoints
       get("/analytics/metrics", AnalyticsController, :metrics)
+      post("/analytics/events", AnalyticsController, :create_events)
 
       # Stripe endpoints
       get("/pricing", StripeController, :pricing)
       post("/stripe/checkout", StripeController, :create_checkout_session)
+      get("/stripe/checkout/:session_id", StripeController, :checkout_status)
+      post("/stripe/promotion_code", StripeController, :promotion_code)
       post("/stripe/portal", StripeController, :customer_portal)
+      post("/stripe/restore", StripeController, :restore)
+
+      # "Not now" on the upgrade window: why, and the retention offer it earns
+      post("/upgrade/decline", UpgradeController, :decline)
+      post("/upgrade/decline/:feedback_id/offer", UpgradeController, :respond_to_offer)
 
       # Compose endpoint - API builds prompts, streams AI response
       post("/compose", ComposeController, :create)
 
+      # Onboarding demo scenarios (compose accepts their ids as scenario_id)
+      get("/scenarios", ScenarioController, :index)
+
       # Title generation endpoint
       post("/title", TitleController, :create)
 
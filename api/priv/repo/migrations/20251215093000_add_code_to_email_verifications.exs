@@ -0,0 +1,10 @@
+defmodule TqfApi.Repo.Migrations.AddCodeToEmailVerifications do
+  use Ecto.Migration
+
+  def change do
+    alter table(:email_verifications) do
+      add(:code, :string)
+      add(:code_attempts, :integer, null: false, default: 0)
+    end
+  end
+end
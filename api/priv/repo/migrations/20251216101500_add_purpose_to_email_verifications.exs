@@ -0,0 +1,9 @@
+defmodule TqfApi.Repo.Migrations.AddPurposeToEmailVerifications do
+  use Ecto.Migration
+
+  def change do
+    alter table(:email_verifications) do
+      add(:purpose, :string, null: false, default: "verify")
+    end
+  end
+end
@@ -0,0 +1,22 @@
+defmodule TqfApi.Repo.Migrations.CreateOnboardingEvents do
+  use Ecto.Migration
+
+  def change do
+    create table(:onboarding_events) do
+      # Generated by the client so a retried batch doesn't insert twice
+      add(:event_id, :string, null: false)
+      add(:name, :string, null: false)
+      add(:session_id, :string, null: false)
+      add(:properties, :map, null: false, default: %{})
+      add(:occurred_at, :utc_datetime_usec, null: false)
+      add(:user_id, references(:users, on_delete: :delete_all))
+      add(:device_id, references(:devices, on_delete: :delete_all))
+
+      timestamps(type: :utc_datetime, updated_at: false)
+    end
+
+    create(unique_index(:onboarding_events, [:event_id]))
+    create(index(:onboarding_events, [:session_id]))
+    create(index(:onboarding_events, [:name, :occurred_at]))
+  end
+end
@@ -0,0 +1,9 @@
+defmodule TqfApi.Repo.Migrations.AddTrialExtendedAtToUsers do
+  use Ecto.Migration
+
+  def change do
+    alter table(:users) do
+      add :trial_extended_at, :timestamptz
+    end
+  end
+end
@@ -0,0 +1,9 @@
+defmodule TqfApi.Repo.Migrations.AddLifetimeAccessAtToUsers do
+  use Ecto.Migration
+
+  def change do
+    alter table(:users) do
+      add :lifetime_access_at, :timestamptz
+    end
+  end
+end
@@ -35,4 +35,27 @@ defmodule TqfApiWeb.ConnCase do
     TqfApi.DataCase.setup_sandbox(tags)
     {:ok, conn: Phoenix.ConnTest.build_conn()}
   end
+
+  @doc """
+  Setup helper that registers a device for a new user and
+  authenticates the connection with the device's token.
+
+      setup :register_device
+
+  It stores an updated connection, the user and the device
+  in the test context.
+  """
+  def register_device(%{conn: conn}) do
+    user = TqfApi.AccountsFixtures.user_fixture()
+    device = TqfApi.AccountsFixtures.device_fixture(%{user_id: user.id})
+
+    %{conn: authenticate_device(conn, device), user: user, device: device}
+  end
+
+  @doc """
+  Sends the device's auth token with every request on `conn`.
+  """
+  def authenticate_device(conn, device) do
+    Plug.Conn.put_req_header(conn, "authorization", "Bearer #{device.auth_token}")
+  end
 end
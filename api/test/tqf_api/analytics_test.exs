@@ -0,0 +1,130 @@
+defmodule TqfApi.AnalyticsTest do
+  use TqfApi.DataCase
+
+  alias TqfApi.Analytics
+  alias TqfApi.Analytics.OnboardingEvent
+
+  import TqfApi.AccountsFixtures
+  import TqfApi.UsageFixtures
+
+  describe "onboarding events" do
+    setup do
+      user = user_fixture()
+      %{user: user, device: device_fixture(%{user_id: user.id})}
+    end
+
+    test "record_onboarding_events/2 stores the events for the device and its user", %{
+      user: user,
+      device: device
+    } do
+      assert {:ok, 2} =
+               Analytics.record_onboarding_events(device, [
+                 event_attrs(%{"name" => "onboarding_started"}),
+                 event_attrs(%{"name" => "step_dwell", "properties" => %{"step" => "intro"}})
+               ])
+
+      events = Repo.all(from(e in OnboardingEvent, order_by: e.name))
+      assert Enum.map(events, & &1.name) == ["onboarding_started", "step_dwell"]
+      assert Enum.all?(events, &(&1.device_id == device.id and &1.user_id == user.id))
+      assert List.last(events).properties == %{"step" => "intro"}
+      assert hd(events).properties == %{}
+    end
+
+    test "record_onboarding_events/2 skips a retried batch", %{device: device} do
+      events = [event_attrs(), event_attrs()]
+
+      assert {:ok, 2} = Analytics.record_onboarding_events(device, events)
+      assert {:ok, 0} = Analytics.record_onboarding_events(device, events)
+      assert Repo.aggregate(OnboardingEvent, :count) == 2
+    end
+
+    test "record_onboarding_events/2 drops invalid events and keeps the rest", %{
+      device: device
+    } do
+      assert {:ok, 1} =
+               Analytics.record_onboarding_events(device, [
+                 event_attrs(),
+                 event_attrs(%{"name" => "Not A Name"}),
+                 event_attrs(%{"event_id" => nil}),
+                 "not an event"
+               ])
+    end
+
+    test "record_onboarding_events/2 refuses batches over the limit", %{device: device} do
+      events = for _ <- 0..Analytics.max_onboarding_events_per_batch(), do: event_attrs()
+
+      assert {:error, :too_many_events} = Analytics.record_onboarding_events(device, events)
+      assert Repo.aggregate(OnboardingEvent, :count) == 0
+    end
+  end
+
+  describe "usage aggregates" do
+    setup do
+      user = user_fixture()
+      %{user: user, device: device_fixture(%{user_id: user.id})}
+    end
+
+    test "daily_usage/2 counts queries per day since the given time, oldest first", %{
+      user: user,
+      device: device
+    } do
+      now = DateTime.utc_now()
+      query_at(user, device, "compose", DateTime.add(now, -3, :day))
+      query_at(user, device, "compose", DateTime.add(now, -3, :day))
+      query_at(user, device, "ask", now)
+      query_at(user, device, "ask", DateTime.add(now, -20, :day))
+
+      assert Analytics.daily_usage(user.id, DateTime.add(now, -14, :day)) == [
+               %{date: iso_date(DateTime.add(now, -3, :day)), count: 2},
+               %{date: iso_date(now), count: 1}
+             ]
+    end
+
+    test "queries_by_mode/2 counts the user's queries per mode since the given time", %{
+      user: user,
+      device: device
+    } do
+      now = DateTime.utc_now()
+      query_at(user, device, "compose", now)
+      query_at(user, device, "compose", now)
+      query_at(user, device, "code", now)
+      query_at(user, device, "ask", DateTime.add(now, -20, :day))
+
+      other_user = user_fixture()
+      other_device = device_fixture(%{user_id: other_user.id, device_uuid: Ecto.UUID.generate()})
+      query_at(other_user, other_device, "respond", now)
+
+      assert Analytics.queries_by_mode(user.id, DateTime.add(now, -14, :day)) == %{
+               "compose" => 2,
+               "code" => 1
+             }
+    end
+
+    test "both are empty for a user without queries", %{user: user} do
+      since = DateTime.add(DateTime.utc_now(), -14, :day)
+
+      assert Analytics.daily_usage(user.id, since) == []
+      assert Analytics.queries_by_mode(user.id, since) == %{}
+    end
+  end
+
+  defp query_at(user, device, mode, inserted_at) do
+    query_fixture(%{user_id: user.id, device_id: device.id, mode: mode})
+    |> Ecto.Changeset.change(inserted_at: DateTime.truncate(inserted_at, :second))
+    |> Repo.update!()
+  end
+
+  defp iso_date(datetime), do: datetime |> DateTime.to_date() |> Date.to_iso8601()
+
+  defp event_attrs(attrs \\ %{}) do
+    Map.merge(
+      %{
+        "event_id" => Ecto.UUID.generate(),
+        "name" => "onboarding_started",
+        "session_id" => "some session_id",
+        "occurred_at" => "2026-10-19T12:00:00.000Z"
+      },
+      attrs
+    )
+  end
+end
@@ -0,0 +1,215 @@
+defmodule TqfApi.AuthTest do
+  use TqfApi.DataCase
+
+  alias TqfApi.Accounts
+  alias TqfApi.Auth
+  alias TqfApi.Auth.EmailVerification
+
+  import TqfApi.AccountsFixtures
+
+  describe "device email verifications" do
+    setup do
+      user = user_fixture()
+      %{user: user, device: device_fixture(%{user_id: user.id})}
+    end
+
+    test "create_device_email_verification/2 creates a pending verification with a 6-digit code",
+         %{user: user, device: device} do
+      assert {:ok, %EmailVerification{} = verification} =
+               Auth.create_device_email_verification("jane@example.com", device)
+
+      assert verification.status == "pending"
+      assert verification.purpose == "verify"
+      assert verification.code =~ ~r/^\d{6}$/
+      assert verification.device_id == device.id
+      assert verification.user_id == user.id
+    end
+
+    test "create_device_email_verification/2 with an invalid address returns error changeset",
+         %{device: device} do
+      assert {:error, %Ecto.Changeset{}} =
+               Auth.create_device_email_verification("not an address", device)
+    end
+
+    test "confirm_email_code/3 with the right code verifies", %{device: device} do
+      {:ok, verification} = Auth.create_device_email_verification("jane@example.com", device)
+
+      code = " #{verification.code} "
+
+      assert {:ok, %EmailVerification{} = verified} =
+               Auth.confirm_email_code(verification.socket_token, device, code)
+
+      assert verified.status == "verified"
+      assert verified.verified_at
+    end
+
+    test "confirm_email_code/3 with a wrong code counts the attempt", %{device: device} do
+      {:ok, verification} = Auth.create_device_email_verification("jane@example.com", device)
+
+      code = wrong_code(verification)
+
+      assert {:error, {:invalid_code, 4}} =
+               Auth.confirm_email_code(verification.socket_token, device, code)
+
+      assert Repo.get!(EmailVerification, verification.id).code_attempts == 1
+    end
+
+    test "confirm_email_code/3 refuses the right code after five wrong ones", %{device: device} do
+      {:ok, verification} = Auth.create_device_email_verification("jane@example.com", device)
+
+      code = wrong_code(verification)
+
+      for attempts_left <- 4..0//-1 do
+        assert {:error, {:invalid_code, ^attempts_left}} =
+                 Auth.confirm_email_code(verification.socket_token, device, code)
+      end
+
+      assert {:error, :too_many_attempts} =
+               Auth.confirm_email_code(verification.socket_token, device, verification.code)
+    end
+
+    test "confirm_email_code/3 returns :expired for an expired code", %{device: device} do
+      {:ok, verification} = Auth.create_device_email_verification("jane@example.com", device)
+
+      expires_at = DateTime.add(DateTime.utc_now(), -60, :second)
+
+      verification
+      |> EmailVerification.changeset(%{expires_at: expires_at})
+      |> Repo.update!()
+
+      assert {:error, :expired} =
+               Auth.confirm_email_code(verification.socket_token, device, verification.code)
+    end
+
+    test "confirm_email_code/3 only finds the device's own verifications", %{
+      user: user,
+      device: device
+    } do
+      {:ok, verification} = Auth.create_device_email_verification("jane@example.com", device)
+      other_device = device_fixture(%{user_id: user.id, device_uuid: "other device_uuid"})
+
+      assert {:error, :not_found} =
+               Auth.confirm_email_code(verification.socket_token, other_device, verification.code)
+    end
+
+    test "confirm_email_code/3 reports a verified code as verified again", %{device: device} do
+      {:ok, verification} = Auth.create_device_email_verification("jane@example.com", device)
+      {:ok, _} = Auth.confirm_email_code(verification.socket_token, device, verification.code)
+
+      assert {:ok, %EmailVerification{status: "verified"}} =
+               Auth.confirm_email_code(verification.socket_token, device, verification.code)
+    end
+
+    test "verify_email/1 verifies the device's address without creating a device", %{
+      device: device
+    } do
+      {:ok, verification} = Auth.create_device_email_verification("jane@example.com", device)
+
+      assert {:ok, %{verification: verified, user: nil, device: nil}} =
+               Auth.verify_email(verification.verification_token)
+
+      assert verified.status == "verified"
+    end
+  end
+
+  describe "sign-in verifications" do
+    setup do
+      user = user_fixture()
+      account = user_fixture(%{email: "jane@example.com"})
+      %{user: user, account: account, device: device_fixture(%{user_id: user.id})}
+    end
+
+    test "confirming the code moves the device onto the account", %{
+      account: account,
+      device: device
+    } do
+      {:ok, verification} =
+        Auth.create_device_email_verification("jane@example.com", device, "sign_in")
+
+      assert {:ok, %EmailVerification{status: "verified", purpose: "sign_in"}} =
+               Auth.confirm_email_code(verification.socket_token, device, verification.code)
+
+      assert Accounts.get_device!(device.id).user_id == account.id
+    end
+
+    test "the magic link can't sign the device in", %{user: user, device: device} do
+      {:ok, verification} =
+        Auth.create_device_email_verification("jane@example.com", device, "sign_in")
+
+      assert {:error, :not_found} = Auth.verify_email(verification.verification_token)
+      assert Repo.get!(EmailVerification, verification.id).status == "pending"
+      assert Accounts.get_device!(device.id).user_id == user.id
+    end
+
+    test "an address without an account gets a verification without a code", %{
+      user: user,
+      device: device
+    } do
+      assert {:ok, verification} =
+               Auth.create_device_email_verification("nobody@example.com", device, "sign_in")
+
+      assert verification.code == nil
+
+      assert {:error, {:invalid_code, 4}} =
+               Auth.confirm_email_code(verification.socket_token, device, "123456")
+
+      assert Accounts.get_device!(device.id).user_id == user.id
+    end
+
+    test "fails without linking when the account was deleted after the code was sent", %{
+      user: user,
+      account: account,
+      device: device
+    } do
+      {:ok, verification} =
+        Auth.create_device_email_verification("jane@example.com", device, "sign_in")
+
+      {:ok, _} = Accounts.delete_user(account)
+
+      assert {:error, :account_not_found} =
+               Auth.confirm_email_code(verification.socket_token, device, verification.code)
+
+      assert Repo.get!(EmailVerification, verification.id).status == "pending"
+      assert Accounts.get_device!(device.id).user_id == user.id
+    end
+  end
+
+  describe "address lockout" do
+    setup do
+      user = user_fixture()
+      %{device: device_fixture(%{user_id: user.id})}
+    end
+
+    test "no new codes are issued for a locked address", %{device: device} do
+      lock_address("jane@example.com", device)
+
+      assert {:error, :address_locked} =
+               Auth.create_device_email_verification("jane@example.com", device)
+
+      assert {:ok, _verification} =
+               Auth.create_device_email_verification("john@example.com", device)
+    end
+
+    test "a code issued before the lockout can't be confirmed either", %{device: device} do
+      {:ok, verification} = Auth.create_device_email_verification("jane@example.com", device)
+      lock_address("jane@example.com", device)
+
+      assert {:error, :too_many_attempts} =
+               Auth.confirm_email_code(verification.socket_token, device, verification.code)
+    end
+  end
+
+  # Ten wrong codes for the address, spread over two verifications
+  defp lock_address(email, device) do
+    for _ <- 1..2 do
+      {:ok, verification} = Auth.create_device_email_verification(email, device)
+
+      verification
+      |> EmailVerification.changeset(%{code_attempts: 5})
+      |> Repo.update!()
+    end
+  end
+
+  defp wrong_code(%EmailVerification{code: "000000"}), do: "111111"
+  defp wrong_code(_verification), do: "000000"
+end
@@ -0,0 +1,137 @@
+defmodule TqfApi.Billing.RetentionOffersTest do
+  use TqfApi.DataCase
+
+  alias TqfApi.{Accounts, Feedback}
+  alias TqfApi.Billing.RetentionOffers
+
+  import TqfApi.AccountsFixtures
+
+  setup :unset_retention_promotion_code
+
+  setup do
+    %{user: user_fixture()}
+  end
+
+  describe "decline/3" do
+    test "offers a trial extension to users not using it enough", %{user: user} do
+      assert {:ok, %{feedback_id: feedback_id, offer: offer}} =
+               RetentionOffers.decline(user, "not_using_enough", "  Only tried it twice  ")
+
+      assert offer == %{type: "trial_extension", queries: 20}
+
+      feedback = Feedback.get_feedback_by_id_and_user(feedback_id, user.id)
+      assert feedback.message == "Only tried it twice"
+
+      assert feedback.metadata == %{
+               "category" => "upgrade_declined",
+               "reason" => "not_using_enough",
+               "offer" => "trial_extension"
+             }
+    end
+
+    test "makes no discount offer without a retention promotion code", %{user: user} do
+      assert {:ok, %{feedback_id: feedback_id, offer: nil}} =
+               RetentionOffers.decline(user, "too_expensive", "")
+
+      feedback = Feedback.get_feedback_by_id_and_user(feedback_id, user.id)
+      assert feedback.message == "Declined upgrade: too_expensive"
+      assert feedback.metadata["offer"] == nil
+    end
+
+    test "makes no offer for the other reasons", %{user: user} do
+      assert {:ok, %{offer: nil}} = RetentionOffers.decline(user, "missing_feature", "Linux")
+      assert {:ok, %{offer: nil}} = RetentionOffers.decline(user, "other", "")
+    end
+
+    test "offers no trial extension to subscribers" do
+      user = user_fixture(%{subscription_status: "active"})
+
+      assert {:ok, %{offer: nil}} = RetentionOffers.decline(user, "not_using_enough", "")
+    end
+
+    test "rejects unknown reasons", %{user: user} do
+      assert {:error, :invalid_reason} = RetentionOffers.decline(user, "bored", "")
+    end
+
+    test "rejects details that aren't text", %{user: user} do
+      for details <- [%{"text" => "hi"}, ["hi"], nil] do
+        assert {:error, :invalid_details} = RetentionOffers.decline(user, "other", details)
+      end
+    end
+  end
+
+  describe "respond/3" do
+    test "extends the trial when the user accepts the extension", %{user: user} do
+      {:ok, %{feedback_id: feedback_id}} =
+        RetentionOffers.decline(user, "not_using_enough", "")
+
+      assert {:ok, %{accepted: true, trial_queries_remaining: remaining}} =
+               RetentionOffers.respond(user, feedback_id, true)
+
+      user = Accounts.get_user!(user.id)
+      assert user.trial_queries_limit == 100_020
+      assert remaining == 100_020
+      assert user.trial_extended_at
+
+      feedback = Feedback.get_feedback_by_id_and_user(feedback_id, user.id)
+      assert feedback.metadata["offer_accepted"] == true
+    end
+
+    test "extends the trial only once", %{user: user} do
+      {:ok, %{feedback_id: first_id}} = RetentionOffers.decline(user, "not_using_enough", "")
+      {:ok, %{feedback_id: second_id}} = RetentionOffers.decline(user, "not_using_enough", "")
+      {:ok, _result} = RetentionOffers.respond(user, first_id, true)
+
+      user = Accounts.get_user!(user.id)
+      assert {:error, :already_extended} = RetentionOffers.respond(user, second_id, true)
+      assert {:ok, %{offer: nil}} = RetentionOffers.decline(user, "not_using_enough", "")
+      assert Accounts.get_user!(user.id).trial_queries_limit == 100_020
+    end
+
+    test "extends the trial once when two accepts race", %{user: user} do
+      {:ok, %{feedback_id: first_id}} = RetentionOffers.decline(user, "not_using_enough", "")
+      {:ok, %{feedback_id: second_id}} = RetentionOffers.decline(user, "not_using_enough", "")
+
+      # Both requests loaded the user before either extended the trial
+      assert {:ok, _result} = RetentionOffers.respond(user, first_id, true)
+      assert {:error, :already_extended} = RetentionOffers.respond(user, second_id, true)
+      assert Accounts.get_user!(user.id).trial_queries_limit == 100_020
+    end
+
+    test "records a turned-down offer without extending the trial", %{user: user} do
+      {:ok, %{feedback_id: feedback_id}} =
+        RetentionOffers.decline(user, "not_using_enough", "")
+
+      assert {:ok, %{accepted: false}} = RetentionOffers.respond(user, feedback_id, false)
+
+      assert Accounts.get_user!(user.id).trial_extended_at == nil
+      feedback = Feedback.get_feedback_by_id_and_user(feedback_id, user.id)
+      assert feedback.metadata["offer_accepted"] == false
+    end
+
+    test "reports answers without an offer", %{user: user} do
+      {:ok, %{feedback_id: feedback_id}} = RetentionOffers.decline(user, "other", "")
+
+      assert {:error, :no_offer} = RetentionOffers.respond(user, feedback_id, true)
+    end
+
+    test "only finds the user's own feedback", %{user: user} do
+      {:ok, %{feedback_id: feedback_id}} =
+        RetentionOffers.decline(user, "not_using_enough", "")
+
+      assert {:error, :not_found} = RetentionOffers.respond(user_fixture(), feedback_id, true)
+      assert {:error, :not_found} = RetentionOffers.respond(user, "not-a-uuid", true)
+      assert {:error, :not_found} = RetentionOffers.respond(user, Ecto.UUID.generate(), true)
+    end
+  end
+
+  # The discount offer looks the code up in Stripe
+  defp unset_retention_promotion_code(_context) do
+    code = System.get_env("STRIPE_RETENTION_PROMOTION_CODE")
+    System.delete_env("STRIPE_RETENTION_PROMOTION_CODE")
+
+    on_exit(fn ->
+      if code, do: System.put_env("STRIPE_RETENTION_PROMOTION_CODE", code)
+    end)
+  end
+end
@@ -0,0 +1,220 @@
+defmodule TqfApi.Billing.StripeServiceTest do
+  use TqfApi.DataCase
+
+  alias TqfApi.Accounts.User
+  alias TqfApi.Billing.StripeService
+
+  import TqfApi.AccountsFixtures
+
+  describe "add_paywall_display/1" do
+    test "highlights the yearly plan and measures its savings against monthly" do
+      [monthly, yearly] =
+        StripeService.add_paywall_display([
+          price_fixture("price_monthly", "month"),
+          price_fixture(StripeService.yearly_price_id(), "year")
+        ])
+
+      assert %{highlighted: false, badge: nil, cta: "start", compare_to: nil} = monthly
+
+      assert %{highlighted: true, badge: "recommended", cta: "get", compare_to: "price_monthly"} =
+               yearly
+    end
+
+    test "highlights the plan marked in Stripe instead of the yearly one" do
+      [monthly, yearly] =
+        StripeService.add_paywall_display([
+          price_fixture("price_monthly", "month", %{highlighted: true}),
+          price_fixture(StripeService.yearly_price_id(), "year")
+        ])
+
+      assert %{highlighted: true, badge: "recommended", cta: "get"} = monthly
+      assert %{highlighted: false, badge: nil, cta: "start"} = yearly
+    end
+
+    test "keeps badges and CTAs set in Stripe" do
+      [yearly] =
+        StripeService.add_paywall_display([
+          price_fixture(StripeService.yearly_price_id(), "year", %{
+            badge: "bestValue",
+            cta: "Go yearly"
+          })
+        ])
+
+      assert %{badge: "bestValue", cta: "Go yearly"} = yearly
+    end
+
+    test "offers one-time prices to buy, without savings" do
+      [monthly, lifetime] =
+        StripeService.add_paywall_display([
+          price_fixture("price_monthly", "month"),
+          price_fixture("price_lifetime", "one_time", %{interval_count: nil})
+        ])
+
+      assert %{cta: "start", compare_to: nil} = monthly
+      assert %{cta: "buy", compare_to: nil} = lifetime
+    end
+
+    test "compares against the shortest plan in the same currency" do
+      [weekly, monthly_eur, quarterly] =
+        StripeService.add_paywall_display([
+          price_fixture("price_weekly", "week"),
+          price_fixture("price_monthly_eur", "month", %{currency: "eur"}),
+          price_fixture("price_quarterly", "month", %{interval_count: 3})
+        ])
+
+      assert weekly.compare_to == nil
+      assert monthly_eur.compare_to == nil
+      assert quarterly.compare_to == "price_weekly"
+    end
+  end
+
+  describe "lifetime access" do
+    setup do
+      bought_at = DateTime.truncate(DateTime.utc_now(), :second)
+      %{user: user_fixture(%{lifetime_access_at: bought_at})}
+    end
+
+    test "has_active_subscription?/1 counts a lifetime purchase", %{user: user} do
+      assert User.has_lifetime_access?(user)
+      refute User.has_active_subscription?(user)
+      assert StripeService.has_active_subscription?(user)
+      refute StripeService.has_active_subscription?(user_fixture())
+    end
+
+    test "get_subscription_details/1 reports lifetime without calling Stripe", %{user: user} do
+      assert {:ok, %{type: "lifetime"}} = StripeService.get_subscription_details(user)
+    end
+  end
+
+  describe "find_promotion_code/1" do
+    setup :unconfigure_stripe
+
+    test "returns an error without calling Stripe when it isn't configured" do
+      assert {:error, "Stripe is not configured"} = StripeService.find_promotion_code("SPRING50")
+    end
+  end
+
+  describe "get_checkout_status/2" do
+    test "finds no session for a user without a Stripe customer" do
+      for customer_id <- [nil, ""] do
+        user = %User{stripe_customer_id: customer_id}
+        assert {:error, :not_found} = StripeService.get_checkout_status(user, "cs_test_123")
+      end
+    end
+  end
+
+  describe "checkout_status/2" do
+    test "grants lifetime access for a paid one-time purchase" do
+      user = user_fixture()
+      session = checkout_session_fixture("payment", "complete", "paid")
+
+      assert {:ok, %{status: "complete", payment_status: "paid", has_subscription: true}} =
+               StripeService.checkout_status(user, session)
+
+      assert User.has_lifetime_access?(TqfApi.Accounts.get_user!(user.id))
+    end
+
+    test "keeps waiting on a one-time purchase that isn't paid yet" do
+      user = user_fixture()
+      session = checkout_session_fixture("payment", "complete", "unpaid")
+
+      assert {:ok, %{has_subscription: false}} = StripeService.checkout_status(user, session)
+      refute User.has_lifetime_access?(TqfApi.Accounts.get_user!(user.id))
+    end
+
+    test "leaves subscriptions to their webhook" do
+      user = user_fixture()
+      session = checkout_session_fixture("subscription", "complete", "paid")
+
+      assert {:ok, %{has_subscription: false}} = StripeService.checkout_status(user, session)
+    end
+  end
+
+  describe "restore_purchase/1" do
+    test "restores nothing for a user without a Stripe customer" do
+      for customer_id <- [nil, ""] do
+        user = %User{stripe_customer_id: customer_id}
+        assert {:ok, %{restored: false, past_due: false}} =
+                 StripeService.restore_purchase(user)
+      end
+    end
+  end
+
+  describe "restore_purchase_from/3" do
+    test "restores a trialing subscription" do
+      user = user_fixture()
+      subscriptions =
+        for status <- ["canceled", "trialing"], do: subscription_fixture(user, status)
+
+      assert {:ok, %{restored: true, past_due: false}} =
+               StripeService.restore_purchase_from(user, subscriptions, [])
+
+      assert TqfApi.Accounts.get_user!(user.id).subscription_status == "active"
+    end
+
+    test "reports a past-due subscription without restoring it" do
+      user = user_fixture()
+
+      subscriptions = [subscription_fixture(user, "past_due")]
+
+      assert {:ok, %{restored: false, past_due: true}} =
+               StripeService.restore_purchase_from(user, subscriptions, [])
+
+      assert TqfApi.Accounts.get_user!(user.id).subscription_status == "past_due"
+    end
+
+    test "restores a paid one-time purchase as lifetime access" do
+      user = user_fixture()
+      sessions = [checkout_session_fixture("payment", "complete", "paid")]
+
+      assert {:ok, %{restored: true, past_due: false}} =
+               StripeService.restore_purchase_from(user, [], sessions)
+
+      assert User.has_lifetime_access?(TqfApi.Accounts.get_user!(user.id))
+    end
+
+    test "restores nothing from unpaid checkouts" do
+      user = user_fixture()
+      sessions = [checkout_session_fixture("payment", "complete", "unpaid")]
+
+      assert {:ok, %{restored: false, past_due: false}} =
+               StripeService.restore_purchase_from(user, [], sessions)
+    end
+  end
+
+  defp unconfigure_stripe(_context) do
+    api_key = Application.get_env(:stripity_stripe, :api_key)
+    Application.delete_env(:stripity_stripe, :api_key)
+    on_exit(fn -> Application.put_env(:stripity_stripe, :api_key, api_key) end)
+  end
+
+  defp checkout_session_fixture(mode, status, payment_status) do
+    %{id: "cs_test_123", mode: mode, status: status, payment_status: payment_status}
+  end
+
+  defp subscription_fixture(user, status) do
+    %{
+      id: "sub_#{status}",
+      customer: user.stripe_customer_id,
+      status: status,
+      current_period_end: nil
+    }
+  end
+
+  # The shape format_price_for_display/1 gives a Stripe price
+  defp price_fixture(price_id, interval, attrs \\ %{}) do
+    Map.merge(
+      %{
+        price_id: price_id,
+        amount: 999,
+        currency: "usd",
+        interval: interval,
+        interval_count: 1,
+        highlighted: false,
+        badge: nil,
+        cta: nil
+      },
+      attrs
+    )
+  end
+end
@@ -0,0 +1,49 @@
+defmodule TqfApi.ScenarioPresetsTest do
+  use ExUnit.Case, async: true
+
+  alias TqfApi.ScenarioPresets
+
+  describe "demo_scenarios/0" do
+    test "only offers scenarios compose accepts" do
+      for scenario <- ScenarioPresets.demo_scenarios() do
+        assert scenario.id in ScenarioPresets.available_scenarios()
+        assert {:ok, _context} = ScenarioPresets.get_scenario_context(scenario.id)
+      end
+    end
+
+    test "uses the tone of the preset it composes against" do
+      for scenario <- ScenarioPresets.demo_scenarios() do
+        {:ok, context} = ScenarioPresets.get_scenario_context(scenario.id)
+        assert scenario.tone == context.tone
+      end
+    end
+
+    test "gives every scenario a label, a sample draft and a conversation" do
+      for scenario <- ScenarioPresets.demo_scenarios() do
+        assert is_binary(scenario.label) and scenario.label != ""
+        assert is_binary(scenario.sample_input) and scenario.sample_input != ""
+        assert scenario.messages != []
+        assert Enum.all?(scenario.messages, &(&1.from in ["them", "you"]))
+      end
+    end
+
+    test "has unique ids" do
+      ids = Enum.map(ScenarioPresets.demo_scenarios(), & &1.id)
+      assert ids == Enum.uniq(ids)
+    end
+  end
+
+  describe "get_scenario_params/2" do
+    test "builds messages for a known scenario" do
+      assert {:ok, %{"messages" => [system, user]}} =
+               ScenarioPresets.get_scenario_params("whatsapp", "coffee sat?")
+
+      assert system["role"] == "system"
+      assert user["role"] == "user"
+    end
+
+    test "returns an error for an unknown scenario" do
+      assert {:error, :invalid_scenario} = ScenarioPresets.get_scenario_params("unknown", "hi")
+    end
+  end
+end
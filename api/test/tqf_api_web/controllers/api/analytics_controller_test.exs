@@ -0,0 +1,41 @@
+defmodule TqfApiWeb.Api.AnalyticsControllerTest do
+  use TqfApiWeb.ConnCase
+
+  alias TqfApi.Analytics
+
+  setup :register_device
+
+  describe "create_events" do
+    test "stores the batch and reports how many events were new", %{conn: conn} do
+      events = [event_attrs(), event_attrs()]
+
+      conn = post(conn, ~p"/api/v1/analytics/events", %{events: events})
+      assert json_response(conn, 202)["data"] == %{"stored" => 2}
+
+      conn = post(conn, ~p"/api/v1/analytics/events", %{events: events})
+      assert json_response(conn, 202)["data"] == %{"stored" => 0}
+    end
+
+    test "refuses a batch over the limit", %{conn: conn} do
+      events = for _ <- 0..Analytics.max_onboarding_events_per_batch(), do: event_attrs()
+
+      conn = post(conn, ~p"/api/v1/analytics/events", %{events: events})
+      assert json_response(conn, 422)["error"]
+    end
+
+    test "requires a list of events", %{conn: conn} do
+      conn = post(conn, ~p"/api/v1/analytics/events", %{events: "onboarding_started"})
+      assert json_response(conn, 400)["error"] == "events must be a list"
+    end
+  end
+
+  defp event_attrs do
+    %{
+      event_id: Ecto.UUID.generate(),
+      name: "onboarding_started",
+      session_id: "some session_id",
+      occurred_at: "2026-10-19T12:00:00.000Z",
+      properties: %{}
+    }
+  end
+end
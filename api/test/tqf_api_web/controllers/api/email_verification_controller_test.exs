@@ -0,0 +1,163 @@
+defmodule TqfApiWeb.Api.EmailVerificationControllerTest do
+  use TqfApiWeb.ConnCase
+
+  alias TqfApi.Auth
+  alias TqfApi.Auth.EmailVerification
+  alias TqfApi.Repo
+
+  setup :register_device
+
+  # Sign-ins for addresses without an account send no email, so they can
+  # go through the endpoint without a mail provider
+  describe "create" do
+    setup do
+      %{email: "nobody#{System.unique_integer([:positive])}@example.com"}
+    end
+
+    test "answers a sign-in for an unknown address like any other", %{conn: conn, email: email} do
+      conn = post(conn, ~p"/api/v1/email/verification", %{email: email, purpose: "sign_in"})
+
+      assert %{"verification_id" => verification_id, "expires_at" => _} =
+               json_response(conn, 200)["data"]
+
+      assert %EmailVerification{code: nil} =
+               Repo.get_by(EmailVerification, socket_token: verification_id)
+    end
+
+    test "rejects an unknown purpose", %{conn: conn, email: email} do
+      conn = post(conn, ~p"/api/v1/email/verification", %{email: email, purpose: "reset"})
+      assert json_response(conn, 400)["reason"] == "invalid_purpose"
+    end
+
+    test "limits codes per address across devices", %{conn: conn, user: user, email: email} do
+      for _ <- 1..5 do
+        conn = post(conn, ~p"/api/v1/email/verification", %{email: email, purpose: "sign_in"})
+        assert json_response(conn, 200)
+      end
+
+      conn =
+        build_conn()
+        |> authenticate_device(other_device(user))
+        |> post(~p"/api/v1/email/verification", %{
+          email: String.upcase(email),
+          purpose: "sign_in"
+        })
+
+      assert json_response(conn, 429)["reason"] == "rate_limited"
+    end
+
+    test "refuses a locked address", %{conn: conn, device: device, email: email} do
+      for _ <- 1..2 do
+        {:ok, verification} = Auth.create_device_email_verification(email, device, "sign_in")
+
+        verification
+        |> EmailVerification.changeset(%{code_attempts: 5})
+        |> Repo.update!()
+      end
+
+      conn = post(conn, ~p"/api/v1/email/verification", %{email: email, purpose: "sign_in"})
+      assert json_response(conn, 429)["reason"] == "rate_limited"
+    end
+  end
+
+  describe "confirm a sign-in" do
+    setup %{device: device} do
+      account = TqfApi.AccountsFixtures.user_fixture(%{email: "jane@example.com"})
+
+      {:ok, verification} =
+        Auth.create_device_email_verification("jane@example.com", device, "sign_in")
+
+      %{account: account, verification: verification}
+    end
+
+    test "moves the device onto the account", %{
+      conn: conn,
+      account: account,
+      device: device,
+      verification: verification
+    } do
+      conn = post(conn, ~p"/api/v1/email/verification/confirm", confirm_params(verification))
+
+      assert json_response(conn, 200)["data"]["purpose"] == "sign_in"
+      assert TqfApi.Accounts.get_device!(device.id).user_id == account.id
+    end
+
+    test "returns 404 when the account is gone", %{
+      conn: conn,
+      account: account,
+      verification: verification
+    } do
+      {:ok, _} = TqfApi.Accounts.delete_user(account)
+
+      conn = post(conn, ~p"/api/v1/email/verification/confirm", confirm_params(verification))
+      assert json_response(conn, 404)["reason"] == "not_found"
+    end
+  end
+
+  describe "confirm" do
+    setup %{device: device} do
+      {:ok, verification} = Auth.create_device_email_verification("jane@example.com", device)
+      %{verification: verification}
+    end
+
+    test "verifies the address with the right code", %{conn: conn, verification: verification} do
+      conn = post(conn, ~p"/api/v1/email/verification/confirm", confirm_params(verification))
+
+      assert %{"status" => "verified", "email" => "jane@example.com", "purpose" => "verify"} =
+               json_response(conn, 200)["data"]
+    end
+
+    test "reports a wrong code with the attempts left", %{
+      conn: conn,
+      verification: verification
+    } do
+      params = %{confirm_params(verification) | code: wrong_code(verification)}
+      conn = post(conn, ~p"/api/v1/email/verification/confirm", params)
+
+      assert %{"reason" => "invalid_code", "attempts_left" => 4} = json_response(conn, 422)
+    end
+
+    test "refuses codes after too many wrong ones", %{conn: conn, verification: verification} do
+      verification
+      |> EmailVerification.changeset(%{code_attempts: 5})
+      |> Repo.update!()
+
+      conn = post(conn, ~p"/api/v1/email/verification/confirm", confirm_params(verification))
+      assert json_response(conn, 429)["reason"] == "too_many_attempts"
+    end
+
+    test "refuses an expired code", %{conn: conn, verification: verification} do
+      expires_at = DateTime.add(DateTime.utc_now(), -60, :second)
+
+      verification
+      |> EmailVerification.changeset(%{expires_at: expires_at})
+      |> Repo.update!()
+
+      conn = post(conn, ~p"/api/v1/email/verification/confirm", confirm_params(verification))
+      assert json_response(conn, 410)["reason"] == "expired"
+    end
+
+    test "doesn't find another device's verification", %{
+      user: user,
+      verification: verification
+    } do
+      conn =
+        build_conn()
+        |> authenticate_device(other_device(user))
+        |> post(~p"/api/v1/email/verification/confirm", confirm_params(verification))
+
+      assert json_response(conn, 404)["reason"] == "not_found"
+    end
+  end
+
+  defp other_device(user) do
+    TqfApi.AccountsFixtures.device_fixture(%{user_id: user.id, device_uuid: "other device_uuid"})
+  end
+
+  defp confirm_params(verification) do
+    %{verification_id: verification.socket_token, code: verification.code}
+  end
+
+  defp wrong_code(%EmailVerification{code: "000000"}), do: "111111"
+  defp wrong_code(_verification), do: "000000"
+end
@@ -0,0 +1,36 @@
+defmodule TqfApiWeb.Api.ScenarioControllerTest do
+  use TqfApiWeb.ConnCase
+
+  alias TqfApi.ScenarioPresets
+
+  describe "index" do
+    setup :register_device
+
+    test "lists the demo scenarios", %{conn: conn} do
+      conn = get(conn, ~p"/api/v1/scenarios")
+
+      ids = Enum.map(json_response(conn, 200)["data"], & &1["id"])
+      assert ids == Enum.map(ScenarioPresets.demo_scenarios(), & &1.id)
+    end
+
+    test "requires a device token" do
+      conn = get(build_conn(), ~p"/api/v1/scenarios")
+      assert json_response(conn, 401)
+    end
+  end
+
+  describe "compose with a scenario_id" do
+    setup :register_device
+
+    setup %{user: user} do
+      accepted_at = DateTime.truncate(DateTime.utc_now(), :second)
+      {:ok, _user} = TqfApi.Accounts.update_user(user, %{terms_accepted_at: accepted_at})
+      :ok
+    end
+
+    test "rejects an unknown scenario", %{conn: conn} do
+      conn = post(conn, ~p"/api/v1/compose", %{query: "hi", scenario_id: "unknown"})
+      assert json_response(conn, 400)["error"]["type"] == "invalid_scenario"
+    end
+  end
+end
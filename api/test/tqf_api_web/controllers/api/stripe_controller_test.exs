@@ -0,0 +1,48 @@
+defmodule TqfApiWeb.Api.StripeControllerTest do
+  use TqfApiWeb.ConnCase
+
+  # Stripe isn't called here: the paths under test answer before it, or
+  # fail fast because it isn't configured
+  setup [:register_device, :unconfigure_stripe]
+
+  describe "promotion_code" do
+    test "reports a failed lookup as unavailable", %{conn: conn} do
+      conn = post(conn, ~p"/api/v1/stripe/promotion_code", %{code: "SPRING50"})
+      assert json_response(conn, 503)["error"] == "Failed to check the code"
+    end
+
+    test "limits how many codes a device can try", %{conn: conn} do
+      for _ <- 1..20 do
+        conn = post(conn, ~p"/api/v1/stripe/promotion_code", %{code: "SPRING50"})
+        assert json_response(conn, 503)
+      end
+
+      conn = post(conn, ~p"/api/v1/stripe/promotion_code", %{code: "SPRING50"})
+      assert json_response(conn, 429)["error"] =~ "Too many codes"
+    end
+  end
+
+  describe "checkout_status" do
+    test "finds no session for a user without a Stripe customer", %{conn: conn, user: user} do
+      {:ok, _user} = TqfApi.Accounts.update_user(user, %{stripe_customer_id: nil})
+
+      conn = get(conn, ~p"/api/v1/stripe/checkout/cs_test_123")
+      assert json_response(conn, 404)["error"] == "Checkout session not found"
+    end
+  end
+
+  describe "restore" do
+    test "restores nothing for a user without a Stripe customer", %{conn: conn, user: user} do
+      {:ok, _user} = TqfApi.Accounts.update_user(user, %{stripe_customer_id: nil})
+
+      conn = post(conn, ~p"/api/v1/stripe/restore")
+      assert json_response(conn, 200)["data"] == %{"restored" => false, "past_due" => false}
+    end
+  end
+
+  defp unconfigure_stripe(_context) do
+    api_key = Application.get_env(:stripity_stripe, :api_key)
+    Application.delete_env(:stripity_stripe, :api_key)
+    on_exit(fn -> Application.put_env(:stripity_stripe, :api_key, api_key) end)
+  end
+end
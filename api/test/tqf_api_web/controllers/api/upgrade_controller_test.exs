@@ -0,0 +1,52 @@
+defmodule TqfApiWeb.Api.UpgradeControllerTest do
+  use TqfApiWeb.ConnCase
+
+  alias TqfApi.Billing.RetentionOffers
+
+  setup :register_device
+
+  describe "decline" do
+    test "records the reason and returns the offer it earns", %{conn: conn} do
+      conn = post(conn, ~p"/api/v1/upgrade/decline", %{reason: "not_using_enough"})
+      data = json_response(conn, 201)["data"]
+
+      assert data["feedback_id"]
+      assert data["offer"] == %{"type" => "trial_extension", "queries" => 20}
+    end
+
+    test "lists the valid reasons for an unknown one", %{conn: conn} do
+      conn = post(conn, ~p"/api/v1/upgrade/decline", %{reason: "bored"})
+      assert json_response(conn, 400)["reasons"] == RetentionOffers.reasons()
+    end
+
+    test "rejects details that aren't text", %{conn: conn} do
+      conn = post(conn, ~p"/api/v1/upgrade/decline", %{reason: "other", details: %{text: "hi"}})
+      assert json_response(conn, 422)["error"] == "Details must be text"
+    end
+  end
+
+  describe "respond_to_offer" do
+    test "extends the trial once", %{conn: conn} do
+      first_id = decline(conn)
+      second_id = decline(conn)
+
+      conn = post(conn, ~p"/api/v1/upgrade/decline/#{first_id}/offer", %{accepted: true})
+      assert json_response(conn, 200)["data"]["accepted"] == true
+
+      conn = post(conn, ~p"/api/v1/upgrade/decline/#{second_id}/offer", %{accepted: true})
+      assert json_response(conn, 409)["error"] == "The free trial has already been extended"
+    end
+
+    test "reports unknown offers as not found", %{conn: conn} do
+      conn =
+        post(conn, ~p"/api/v1/upgrade/decline/#{Ecto.UUID.generate()}/offer", %{accepted: true})
+
+      assert json_response(conn, 404)["error"] == "Offer not found"
+    end
+  end
+
+  defp decline(conn) do
+    conn = post(conn, ~p"/api/v1/upgrade/decline", %{reason: "not_using_enough"})
+    json_response(conn, 201)["data"]["feedback_id"]
+  end
+end
@@ -0,0 +1,40 @@
+defmodule TqfApiWeb.Api.UsageControllerTest do
+  use TqfApiWeb.ConnCase
+
+  import TqfApi.UsageFixtures
+
+  setup :register_device
+
+  describe "show" do
+    test "includes the trial's daily usage and queries per mode", %{
+      conn: conn,
+      user: user,
+      device: device
+    } do
+      for mode <- ["compose", "compose", "ask"] do
+        query_fixture(%{user_id: user.id, device_id: device.id, mode: mode})
+      end
+
+      conn = get(conn, ~p"/api/v1/usage")
+      data = json_response(conn, 200)["data"]
+
+      today = Date.utc_today() |> Date.to_iso8601()
+      assert data["daily_usage"] == [%{"date" => today, "count" => 3}]
+      assert data["queries_by_mode"] == %{"compose" => 2, "ask" => 1}
+      assert data["subscription_details"]["type"] == "trial"
+    end
+
+    test "returns empty aggregates before the first query", %{conn: conn} do
+      conn = get(conn, ~p"/api/v1/usage")
+      data = json_response(conn, 200)["data"]
+
+      assert data["daily_usage"] == []
+      assert data["queries_by_mode"] == %{}
+    end
+
+    test "requires a device token" do
+      conn = get(build_conn(), ~p"/api/v1/usage")
+      assert json_response(conn, 401)
+    end
+  end
+end
@@ -52,11 +52,13 @@ let package = Package(
                 .product(name: "ToonFormat", package: "toon-swift")
             ],
             path: "Sources/TheQuickFox",
-            exclude: ["CLI"],
+            // WebShared/Preview is served by scripts/preview-web.py only, never bundled
+            exclude: ["CLI", "WebShared/Preview"],
             resources: [
                 .process("Onboarding/Resources"),
                 .process("Upgrade/Resources"),
                 .process("Reminder/Resources"),
+                .process("WebShared/Resources"),
                 .process("Visual/MorphShader.metal"),
                 .process("../../Resources")
             ]
@@ -18,6 +18,8 @@ enum APIError: Error {
     case decodingError(Error)
     case serverError(String)
     case unauthorized
+    /// The server turned an email code request down and said why ("expired", "rate_limited", ...)
+    case verificationRejected(reason: String, attemptsLeft: Int?)
 }
 
 @MainActor
@@ -356,6 +358,69 @@ final class APIClient {
         }
     }
 
+    /// Send a batch of onboarding funnel events. Returns how many the API stored;
+    /// events it already has (a retried batch) aren't counted again.
+    func sendOnboardingEvents(_ events: [OnboardingEvent]) async throws -> Int {
+        guard let authToken = try KeychainManager.shared.getAuthToken() else {
+            throw APIError.noAuthToken
+        }
+
+        let url = URL(string: "\(baseURL)/analytics/events")!
+        var urlRequest = URLRequest(url: url)
+        urlRequest.httpMethod = "POST"
+        urlRequest.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        urlRequest.setValue("Bearer \(authToken)", forHTTPHeaderField: "Authorization")
+        urlRequest.httpBody = try encoder.encode(OnboardingEventsRequest(events: events))
+
+        // Record request in network monitor
+        let monitorEntry = NetworkMonitor.createOnboardingEventsEntry(
+            url: url,
+            headers: getHeaders(from: urlRequest),
+            body: urlRequest.httpBody
+        )
+        NetworkMonitor.shared.recordRequest(monitorEntry)
+        monitorEntry.markInProgress()
+
+        let (data, response) = try await session.data(for: urlRequest)
+
+        guard let httpResponse = response as? HTTPURLResponse else {
+            monitorEntry.fail(error: "Invalid response")
+            throw APIError.networkError(URLError(.badServerResponse))
+        }
+
+        switch httpResponse.statusCode {
+        case 200...299:
+            let eventsResponse = try decoder.decode(OnboardingEventsResponse.self, from: data)
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "\(eventsResponse.data.stored) events stored"
+            )
+            return eventsResponse.data.stored
+        case 401:
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "Unauthorized"
+            )
+            throw APIError.unauthorized
+        default:
+            if let errorResponse = try? decoder.decode(APIErrorResponse.self, from: data) {
+                monitorEntry.complete(
+                    statusCode: httpResponse.statusCode,
+                    responseHeaders: getResponseHeaders(from: httpResponse),
+                    responseBody: data,
+                    responseSummary: "Error: \(errorResponse.error)"
+                )
+                throw APIError.serverError(errorResponse.error)
+            }
+            monitorEntry.fail(error: "Failed to send events (status \(httpResponse.statusCode))")
+            throw APIError.serverError("Failed to send events")
+        }
+    }
+
     // MARK: - Helpers
 
     private func getDeviceUUID() -> String? {
@@ -382,12 +447,12 @@ final class APIClient {
 
     // MARK: - Stripe Checkout
 
-    func createCheckoutSession(priceId: String) async throws -> StripeCheckoutResponse {
+    func createCheckoutSession(priceId: String, promotionCodeId: String? = nil) async throws -> StripeCheckoutResponse {
         guard let authToken = try KeychainManager.shared.getAuthToken() else {
             throw APIError.noAuthToken
         }
 
-        let request = StripeCheckoutRequest(price_id: priceId)
+        let request = StripeCheckoutRequest(price_id: priceId, promotion_code_id: promotionCodeId)
 
         let url = URL(string: "\(baseURL)/stripe/checkout")!
         var urlRequest = URLRequest(url: url)
@@ -445,6 +510,134 @@ final class APIClient {
         }
     }
 
+    func getCheckoutStatus(sessionId: String) async throws -> CheckoutStatus {
+        guard let authToken = try KeychainManager.shared.getAuthToken() else {
+            throw APIError.noAuthToken
+        }
+
+        let url = URL(string: "\(baseURL)/stripe/checkout")!.appendingPathComponent(sessionId)
+        var urlRequest = URLRequest(url: url)
+        urlRequest.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        urlRequest.setValue("Bearer \(authToken)", forHTTPHeaderField: "Authorization")
+
+        // Record request in network monitor
+        let monitorEntry = NetworkMonitor.createCheckoutStatusEntry(
+            url: url,
+            headers: getHeaders(from: urlRequest)
+        )
+        NetworkMonitor.shared.recordRequest(monitorEntry)
+        monitorEntry.markInProgress()
+
+        let (data, response) = try await session.data(for: urlRequest)
+
+        guard let httpResponse = response as? HTTPURLResponse else {
+            monitorEntry.fail(error: "Invalid response")
+            throw APIError.networkError(URLError(.badServerResponse))
+        }
+
+        switch httpResponse.statusCode {
+        case 200...299:
+            let statusResponse = try decoder.decode(CheckoutStatusResponse.self, from: data)
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "Checkout \(statusResponse.data.status)"
+            )
+            return statusResponse.data
+        case 401:
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "Unauthorized"
+            )
+            throw APIError.unauthorized
+        default:
+            if let errorResponse = try? decoder.decode(APIErrorResponse.self, from: data) {
+                monitorEntry.complete(
+                    statusCode: httpResponse.statusCode,
+                    responseHeaders: getResponseHeaders(from: httpResponse),
+                    responseBody: data,
+                    responseSummary: "Error: \(errorResponse.error)"
+                )
+                throw APIError.serverError(errorResponse.error)
+            }
+            monitorEntry.fail(error: "Unknown error (status \(httpResponse.statusCode))")
+            throw APIError.serverError("Unknown error")
+        }
+    }
+
+    /// Look up a promotion code typed on the paywall; nil when Stripe has no active code by that name
+    func findPromotionCode(_ code: String) async throws -> PromotionCode? {
+        guard let authToken = try KeychainManager.shared.getAuthToken() else {
+            throw APIError.noAuthToken
+        }
+
+        let url = URL(string: "\(baseURL)/stripe/promotion_code")!
+        var urlRequest = URLRequest(url: url)
+        urlRequest.httpMethod = "POST"
+        urlRequest.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        urlRequest.setValue("Bearer \(authToken)", forHTTPHeaderField: "Authorization")
+        urlRequest.httpBody = try encoder.encode(PromotionCodeRequest(code: code))
+
+        // Record request in network monitor
+        let monitorEntry = NetworkMonitor.createPromotionCodeEntry(
+            url: url,
+            headers: getHeaders(from: urlRequest),
+            body: urlRequest.httpBody
+        )
+        NetworkMonitor.shared.recordRequest(monitorEntry)
+        monitorEntry.markInProgress()
+
+        let (data, response) = try await session.data(for: urlRequest)
+
+        guard let httpResponse = response as? HTTPURLResponse else {
+            monitorEntry.fail(error: "Invalid response")
+            throw APIError.networkError(URLError(.badServerResponse))
+        }
+
+        switch httpResponse.statusCode {
+        case 200...299:
+            let promotionResponse = try decoder.decode(PromotionCodeResponse.self, from: data)
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "Promotion code found"
+            )
+            return promotionResponse.data
+        case 404:
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "No such promotion code"
+            )
+            return nil
+        case 401:
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "Unauthorized"
+            )
+            throw APIError.unauthorized
+        default:
+            if let errorResponse = try? decoder.decode(APIErrorResponse.self, from: data) {
+                monitorEntry.complete(
+                    statusCode: httpResponse.statusCode,
+                    responseHeaders: getResponseHeaders(from: httpResponse),
+                    responseBody: data,
+                    responseSummary: "Error: \(errorResponse.error)"
+                )
+                throw APIError.serverError(errorResponse.error)
+            }
+            monitorEntry.fail(error: "Unknown error (status \(httpResponse.statusCode))")
+            throw APIError.serverError("Unknown error")
+        }
+    }
+
     // MARK: - Pricing
 
     func getPricing() async throws -> PricingResponse {
@@ -505,6 +698,66 @@ final class APIClient {
         }
     }
 
+    // MARK: - Demo Scenarios
+
+    func getDemoScenarios() async throws -> [DemoScenario] {
+        guard let authToken = try KeychainManager.shared.getAuthToken() else {
+            throw APIError.noAuthToken
+        }
+
+        let url = URL(string: "\(baseURL)/scenarios")!
+        var urlRequest = URLRequest(url: url)
+        urlRequest.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        urlRequest.setValue("Bearer \(authToken)", forHTTPHeaderField: "Authorization")
+
+        // Record request in network monitor
+        let monitorEntry = NetworkMonitor.createDemoScenariosEntry(
+            url: url,
+            headers: getHeaders(from: urlRequest)
+        )
+        NetworkMonitor.shared.recordRequest(monitorEntry)
+        monitorEntry.markInProgress()
+
+        let (data, response) = try await session.data(for: urlRequest)
+
+        guard let httpResponse = response as? HTTPURLResponse else {
+            monitorEntry.fail(error: "Invalid response")
+            throw APIError.networkError(URLError(.badServerResponse))
+        }
+
+        switch httpResponse.statusCode {
+        case 200...299:
+            let scenariosResponse = try decoder.decode(DemoScenariosResponse.self, from: data)
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "\(scenariosResponse.data.count) scenarios retrieved"
+            )
+            return scenariosResponse.data
+        case 401:
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "Unauthorized"
+            )
+            throw APIError.unauthorized
+        default:
+            if let errorResponse = try? decoder.decode(APIErrorResponse.self, from: data) {
+                monitorEntry.complete(
+                    statusCode: httpResponse.statusCode,
+                    responseHeaders: getResponseHeaders(from: httpResponse),
+                    responseBody: data,
+                    responseSummary: "Error: \(errorResponse.error)"
+                )
+                throw APIError.serverError(errorResponse.error)
+            }
+            monitorEntry.fail(error: "Unknown error (status \(httpResponse.statusCode))")
+            throw APIError.serverError("Unknown error")
+        }
+    }
+
     // MARK: - Terms of Service
 
     func acceptTerms(email: String) async throws {
@@ -569,9 +822,98 @@ final class APIClient {
         }
     }
 
+    // MARK: - Email Verification
+
+    /// Email a verification code (and magic link) to `email`.
+    /// `purpose: "sign_in"` requires an existing account and links this device to it once verified.
+    func requestEmailVerification(email: String, purpose: String? = nil) async throws -> EmailVerificationResponse.EmailVerificationData {
+        let (data, _) = try await postEmailVerification(
+            path: "email/verification",
+            body: EmailVerificationRequest(email: email, purpose: purpose),
+            successSummary: "Verification code sent"
+        )
+        return try decoder.decode(EmailVerificationResponse.self, from: data).data
+    }
+
+    /// Confirm a verification with the code the user typed
+    func confirmEmailVerification(verificationId: String, code: String) async throws -> EmailVerificationConfirmResponse.ConfirmData {
+        let (data, _) = try await postEmailVerification(
+            path: "email/verification/confirm",
+            body: EmailVerificationConfirmRequest(verification_id: verificationId, code: code),
+            successSummary: "Email verified"
+        )
+        return try decoder.decode(EmailVerificationConfirmResponse.self, from: data).data
+    }
+
+    private func postEmailVerification<Body: Encodable>(
+        path: String, body: Body, successSummary: String
+    ) async throws -> (Data, HTTPURLResponse) {
+        guard let authToken = try KeychainManager.shared.getAuthToken() else {
+            throw APIError.noAuthToken
+        }
+
+        let url = URL(string: "\(baseURL)/\(path)")!
+        var urlRequest = URLRequest(url: url)
+        urlRequest.httpMethod = "POST"
+        urlRequest.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        urlRequest.setValue("Bearer \(authToken)", forHTTPHeaderField: "Authorization")
+        urlRequest.httpBody = try encoder.encode(body)
+
+        // Record request in network monitor
+        let monitorEntry = NetworkMonitor.createEmailVerificationEntry(
+            url: url,
+            headers: getHeaders(from: urlRequest),
+            body: urlRequest.httpBody
+        )
+        NetworkMonitor.shared.recordRequest(monitorEntry)
+        monitorEntry.markInProgress()
+
+        let (data, response) = try await session.data(for: urlRequest)
+
+        guard let httpResponse = response as? HTTPURLResponse else {
+            monitorEntry.fail(error: "Invalid response")
+            throw APIError.networkError(URLError(.badServerResponse))
+        }
+
+        switch httpResponse.statusCode {
+        case 200...299:
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: successSummary
+            )
+            return (data, httpResponse)
+        case 401:
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "Unauthorized"
+            )
+            throw APIError.unauthorized
+        default:
+            if let errorResponse = try? decoder.decode(APIErrorResponse.self, from: data) {
+                monitorEntry.complete(
+                    statusCode: httpResponse.statusCode,
+                    responseHeaders: getResponseHeaders(from: httpResponse),
+                    responseBody: data,
+                    responseSummary: "Error: \(errorResponse.error)"
+                )
+                if let reason = errorResponse.reason {
+                    throw APIError.verificationRejected(reason: reason, attemptsLeft: errorResponse.attempts_left)
+                }
+                throw APIError.serverError(errorResponse.error)
+            }
+            monitorEntry.fail(error: "Email verification failed (status \(httpResponse.statusCode))")
+            throw APIError.serverError("Email verification failed")
+        }
+    }
+
     // MARK: - Stripe Customer Portal
 
-    func createCustomerPortalSession() async throws -> String {
+    /// Pass `flow: "switch_plan"` to open the portal on the plan picker
+    func createCustomerPortalSession(flow: String? = nil) async throws -> String {
         guard let authToken = try KeychainManager.shared.getAuthToken() else {
             throw APIError.noAuthToken
         }
@@ -581,11 +923,15 @@ final class APIClient {
         urlRequest.httpMethod = "POST"
         urlRequest.setValue("application/json", forHTTPHeaderField: "Content-Type")
         urlRequest.setValue("Bearer \(authToken)", forHTTPHeaderField: "Authorization")
+        if flow != nil {
+            urlRequest.httpBody = try encoder.encode(StripePortalRequest(flow: flow))
+        }
 
         // Record request in network monitor
         let monitorEntry = NetworkMonitor.createPortalEntry(
             url: url,
-            headers: getHeaders(from: urlRequest)
+            headers: getHeaders(from: urlRequest),
+            body: urlRequest.httpBody
         )
         NetworkMonitor.shared.recordRequest(monitorEntry)
         monitorEntry.markInProgress()
@@ -630,6 +976,194 @@ final class APIClient {
         }
     }
 
+    // MARK: - Restore Purchase
+
+    /// Ask the server to re-sync the user's subscription from Stripe
+    func restorePurchase() async throws -> RestoreResult {
+        guard let authToken = try KeychainManager.shared.getAuthToken() else {
+            throw APIError.noAuthToken
+        }
+
+        let url = URL(string: "\(baseURL)/stripe/restore")!
+        var urlRequest = URLRequest(url: url)
+        urlRequest.httpMethod = "POST"
+        urlRequest.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        urlRequest.setValue("Bearer \(authToken)", forHTTPHeaderField: "Authorization")
+
+        // Record request in network monitor
+        let monitorEntry = NetworkMonitor.createRestorePurchaseEntry(
+            url: url,
+            headers: getHeaders(from: urlRequest)
+        )
+        NetworkMonitor.shared.recordRequest(monitorEntry)
+        monitorEntry.markInProgress()
+
+        let (data, response) = try await session.data(for: urlRequest)
+
+        guard let httpResponse = response as? HTTPURLResponse else {
+            monitorEntry.fail(error: "Invalid response")
+            throw APIError.networkError(URLError(.badServerResponse))
+        }
+
+        switch httpResponse.statusCode {
+        case 200...299:
+            let restoreResponse = try decoder.decode(RestorePurchaseResponse.self, from: data)
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: restoreResponse.data.restored ? "Subscription restored" : "No subscription found"
+            )
+            return restoreResponse.data
+        case 401:
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "Unauthorized"
+            )
+            throw APIError.unauthorized
+        default:
+            if let errorResponse = try? decoder.decode(APIErrorResponse.self, from: data) {
+                monitorEntry.complete(
+                    statusCode: httpResponse.statusCode,
+                    responseHeaders: getResponseHeaders(from: httpResponse),
+                    responseBody: data,
+                    responseSummary: "Error: \(errorResponse.error)"
+                )
+                throw APIError.serverError(errorResponse.error)
+            }
+            monitorEntry.fail(error: "Unknown error (status \(httpResponse.statusCode))")
+            throw APIError.serverError("Unknown error")
+        }
+    }
+
+    // MARK: - Upgrade Decline
+
+    /// Send why the user said "Not now" on the paywall; the result may carry an offer
+    func declineUpgrade(reason: String, details: String?) async throws -> DeclineResult {
+        guard let authToken = try KeychainManager.shared.getAuthToken() else {
+            throw APIError.noAuthToken
+        }
+
+        let url = URL(string: "\(baseURL)/upgrade/decline")!
+        var urlRequest = URLRequest(url: url)
+        urlRequest.httpMethod = "POST"
+        urlRequest.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        urlRequest.setValue("Bearer \(authToken)", forHTTPHeaderField: "Authorization")
+        urlRequest.httpBody = try encoder.encode(UpgradeDeclineRequest(reason: reason, details: details))
+
+        // Record request in network monitor
+        let monitorEntry = NetworkMonitor.createUpgradeDeclineEntry(
+            url: url,
+            headers: getHeaders(from: urlRequest),
+            body: urlRequest.httpBody
+        )
+        NetworkMonitor.shared.recordRequest(monitorEntry)
+        monitorEntry.markInProgress()
+
+        let (data, response) = try await session.data(for: urlRequest)
+
+        guard let httpResponse = response as? HTTPURLResponse else {
+            monitorEntry.fail(error: "Invalid response")
+            throw APIError.networkError(URLError(.badServerResponse))
+        }
+
+        switch httpResponse.statusCode {
+        case 200...299:
+            let declineResponse = try decoder.decode(UpgradeDeclineResponse.self, from: data)
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: declineResponse.data.offer.map { "Offer: \($0.type)" } ?? "No offer"
+            )
+            return declineResponse.data
+        case 401:
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "Unauthorized"
+            )
+            throw APIError.unauthorized
+        default:
+            if let errorResponse = try? decoder.decode(APIErrorResponse.self, from: data) {
+                monitorEntry.complete(
+                    statusCode: httpResponse.statusCode,
+                    responseHeaders: getResponseHeaders(from: httpResponse),
+                    responseBody: data,
+                    responseSummary: "Error: \(errorResponse.error)"
+                )
+                throw APIError.serverError(errorResponse.error)
+            }
+            monitorEntry.fail(error: "Unknown error (status \(httpResponse.statusCode))")
+            throw APIError.serverError("Unknown error")
+        }
+    }
+
+    /// Record whether the user took the offer `declineUpgrade` returned
+    func respondToRetentionOffer(feedbackId: String, accepted: Bool) async throws -> RetentionOfferResult {
+        guard let authToken = try KeychainManager.shared.getAuthToken() else {
+            throw APIError.noAuthToken
+        }
+
+        let url = URL(string: "\(baseURL)/upgrade/decline/\(feedbackId)/offer")!
+        var urlRequest = URLRequest(url: url)
+        urlRequest.httpMethod = "POST"
+        urlRequest.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        urlRequest.setValue("Bearer \(authToken)", forHTTPHeaderField: "Authorization")
+        urlRequest.httpBody = try encoder.encode(RetentionOfferRequest(accepted: accepted))
+
+        // Record request in network monitor
+        let monitorEntry = NetworkMonitor.createRetentionOfferEntry(
+            url: url,
+            headers: getHeaders(from: urlRequest),
+            body: urlRequest.httpBody
+        )
+        NetworkMonitor.shared.recordRequest(monitorEntry)
+        monitorEntry.markInProgress()
+
+        let (data, response) = try await session.data(for: urlRequest)
+
+        guard let httpResponse = response as? HTTPURLResponse else {
+            monitorEntry.fail(error: "Invalid response")
+            throw APIError.networkError(URLError(.badServerResponse))
+        }
+
+        switch httpResponse.statusCode {
+        case 200...299:
+            let offerResponse = try decoder.decode(RetentionOfferResponse.self, from: data)
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: offerResponse.data.accepted ? "Offer accepted" : "Offer declined"
+            )
+            return offerResponse.data
+        case 401:
+            monitorEntry.complete(
+                statusCode: httpResponse.statusCode,
+                responseHeaders: getResponseHeaders(from: httpResponse),
+                responseBody: data,
+                responseSummary: "Unauthorized"
+            )
+            throw APIError.unauthorized
+        default:
+            if let errorResponse = try? decoder.decode(APIErrorResponse.self, from: data) {
+                monitorEntry.complete(
+                    statusCode: httpResponse.statusCode,
+                    responseHeaders: getResponseHeaders(from: httpResponse),
+                    responseBody: data,
+                    responseSummary: "Error: \(errorResponse.error)"
+                )
+                throw APIError.serverError(errorResponse.error)
+            }
+            monitorEntry.fail(error: "Unknown error (status \(httpResponse.statusCode))")
+            throw APIError.serverError("Unknown error")
+        }
+    }
+
 
     // MARK: - Bug Report
 
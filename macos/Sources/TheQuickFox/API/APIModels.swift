@@ -21,11 +21,13 @@ struct DeviceRegistrationResponse: Decodable {
     struct DeviceData: Decodable {
         let device_id: Int
         let user_id: Int
+        let email: String?
         let auth_token: String
         let trial_queries_used: Int
         let trial_queries_remaining: Int
         let has_subscription: Bool
         let subscription_details: SubscriptionDetails?
+        let terms_accepted_at: String?
     }
 }
 
@@ -55,24 +57,32 @@ struct UsageTrackResponse: Decodable {
 struct UsageStatusResponse: Decodable {
     let data: StatusData
 
-    struct StatusData: Decodable {
+    // Codable so the upgrade page gets it over the bridge
+    struct StatusData: Codable {
         let trial_queries_used: Int
         let trial_queries_remaining: Int
+        let trial_queries_limit: Int?
         let queries_today: Int
+        let daily_usage: [DailyUsage]?  // Last 14 days, days without queries left out
+        let queries_by_mode: [String: Int]?  // e.g. ["compose": 45, "ask": 12]
         let has_subscription: Bool
+        let has_lifetime_access: Bool?
         let subscription_details: SubscriptionDetails?
     }
 }
 
 // MARK: - Subscription Details
 
-struct SubscriptionDetails: Decodable {
-    let type: String  // "subscription" or "trial"
+struct SubscriptionDetails: Codable {
+    let type: String  // "subscription", "lifetime" or "trial"
+    let status: String?  // Stripe's "active" or "trialing"
+    let price_id: String?
     let interval: String?  // "month" or "year" for subscriptions
     let interval_count: Int?  // 1 for monthly, 1 for yearly
     let amount: Int?  // Amount in cents
     let currency: String?  // Currency code (e.g., "usd")
     let cancel_at_period_end: Bool?
+    let current_period_end: Int?  // Unix time the plan renews or ends
     let trial_queries_remaining: Int?
 }
 
@@ -82,6 +92,8 @@ struct APIErrorResponse: Decodable {
     let error: String
     let upgrade_required: Bool?
     let terms_required: Bool?
+    let reason: String?  // Machine-readable cause, e.g. "invalid_code" or "rate_limited"
+    let attempts_left: Int?  // Code tries left after an "invalid_code"
 }
 
 // MARK: - Accept Terms
@@ -90,10 +102,75 @@ struct AcceptTermsRequest: Encodable {
     let email: String
 }
 
+// MARK: - Email Verification
+
+struct EmailVerificationRequest: Encodable {
+    let email: String
+    /// "verify" (default) or "sign_in" to link this device to the account that owns `email`
+    let purpose: String?
+}
+
+struct EmailVerificationConfirmRequest: Encodable {
+    let verification_id: String
+    let code: String
+}
+
+struct EmailVerificationResponse: Decodable {
+    let data: EmailVerificationData
+
+    struct EmailVerificationData: Decodable {
+        /// Topic suffix of the VerificationChannel that announces the confirmation
+        let verification_id: String
+        let expires_at: String
+    }
+}
+
+struct EmailVerificationConfirmResponse: Decodable {
+    let data: ConfirmData
+
+    struct ConfirmData: Decodable {
+        let status: String
+        let email: String
+        let purpose: String?
+    }
+}
+
 // MARK: - Stripe Checkout
 
 struct StripeCheckoutRequest: Encodable {
     let price_id: String
+    let promotion_code_id: String?  // A code accepted on the paywall, applied up front
+}
+
+struct CheckoutStatusResponse: Decodable {
+    let data: CheckoutStatus
+}
+
+/// Where a checkout opened from the paywall has got, polled while the user is in the browser
+struct CheckoutStatus: Codable {
+    let status: String  // "open", "complete" or "expired"
+    let payment_status: String  // "paid", "unpaid" or "no_payment_required"
+    let has_subscription: Bool
+}
+
+struct PromotionCodeRequest: Encodable {
+    let code: String
+}
+
+struct PromotionCodeResponse: Decodable {
+    let data: PromotionCode
+}
+
+/// A Stripe promotion code and the coupon behind it, previewed on the paywall
+struct PromotionCode: Codable {
+    let promotion_code_id: String
+    let code: String
+    let percent_off: Double?
+    let amount_off: Int?  // In the currency's smallest unit
+    let currency: String?
+    let duration: String  // "once", "repeating" or "forever"
+    let duration_in_months: Int?
+    let product_ids: [String]?  // nil when it applies to every product
 }
 
 struct StripeCheckoutResponse: Decodable {
@@ -128,6 +205,13 @@ struct Price: Codable {
     let metadata: [String: String]?
     let display_price: String
     let features: [String]  // Make non-optional to ensure it's always present
+    let tax_behavior: String?  // "inclusive", "exclusive" or "unspecified"
+    let locale: String?  // Display locale for this price, e.g. "de-DE"
+    // Paywall display, decided by the server
+    let highlighted: Bool?
+    let badge: String?  // e.g. "recommended", translated by upgrade.js
+    let cta: String?  // "start", "get", "buy" or literal text
+    let compare_to: String?  // price_id that savings are measured against
 }
 
 struct TrialInfo: Codable {
@@ -146,12 +230,107 @@ struct StripePortalResponse: Decodable {
     }
 }
 
+struct StripePortalRequest: Encodable {
+    let flow: String?  // "switch_plan" opens the portal on the plan picker
+}
+
+// MARK: - Restore Purchase
+
+struct RestorePurchaseResponse: Decodable {
+    let data: RestoreResult
+}
+
+struct RestoreResult: Codable {
+    let restored: Bool  // false when Stripe has nothing that unlocks Pro for the user
+    let past_due: Bool?  // a subscription was found, but its latest payment failed
+}
+
+// MARK: - Upgrade Decline
+
+struct UpgradeDeclineRequest: Encodable {
+    let reason: String  // "too_expensive", "not_using_enough", "missing_feature" or "other"
+    let details: String?
+}
+
+struct UpgradeDeclineResponse: Decodable {
+    let data: DeclineResult
+}
+
+struct DeclineResult: Codable {
+    let feedback_id: String
+    let offer: RetentionOffer?  // nil when the reason earns no offer
+}
+
+/// What the paywall offers a user who said "Not now", decided by the server
+struct RetentionOffer: Codable {
+    let type: String  // "discount" or "trial_extension"
+    let queries: Int?  // Extra free queries for "trial_extension"
+    let promotion: PromotionCode?  // The code to apply for "discount"
+}
+
+struct RetentionOfferRequest: Encodable {
+    let accepted: Bool
+}
+
+struct RetentionOfferResponse: Decodable {
+    let data: RetentionOfferResult
+}
+
+struct RetentionOfferResult: Codable {
+    let accepted: Bool
+    let trial_queries_remaining: Int
+}
+
+// MARK: - Demo Scenarios
+
+struct DemoScenariosResponse: Codable {
+    let data: [DemoScenario]
+}
+
+/// A preset conversation the onboarding demo can compose a reply in
+struct DemoScenario: Codable {
+    let id: String
+    let label: String
+    let app_name: String
+    let contact: String?
+    let tone: String
+    let sample_input: String?
+    let messages: [Message]
+
+    struct Message: Codable {
+        let from: String  // "them" or "you"
+        let text: String
+    }
+}
+
 // MARK: - Analytics
 
 struct AnalyticsMetricsResponse: Decodable {
     let data: AnalyticsData
 }
 
+/// One onboarding funnel event as the onboarding page records it.
+/// `properties` values are strings, numbers or bools.
+struct OnboardingEvent: Codable {
+    let event_id: String
+    let name: String
+    let session_id: String
+    let occurred_at: String  // ISO 8601
+    let properties: [String: AnyCodable]
+}
+
+struct OnboardingEventsRequest: Encodable {
+    let events: [OnboardingEvent]
+}
+
+struct OnboardingEventsResponse: Decodable {
+    let data: EventsData
+
+    struct EventsData: Decodable {
+        let stored: Int
+    }
+}
+
 struct SystemInfo: Encodable {
     let appVersion: String
     let osVersion: String
@@ -182,16 +361,46 @@ struct BugReportSubmission: Encodable {
     let app_version: String?
     let os_version: String?
     let timestamp: String?
+    let details: [String: String]?
     
     static func create(message: String) -> BugReportSubmission {
+        return create(message: message, category: "bug")
+    }
+
+    /// Thumbs up/down on a tone in the onboarding "Compare tones" demo
+    static func toneRating(tone: String, rating: String, details: [String: String]) -> BugReportSubmission {
+        let emoji = rating == "up" ? "👍" : "👎"
+        var details = details
+        details["tone"] = tone
+        details["rating"] = rating
+        return create(
+            message: "\(emoji) \(tone) reply in onboarding demo",
+            category: "tone_rating",
+            details: details
+        )
+    }
+
+    /// "Contact support" on the completion screen when the shortcut never opened the HUD
+    static func hotkeyTrouble(message: String, details: [String: String]) -> BugReportSubmission {
+        return create(
+            message: message.isEmpty ? "Double Control doesn't open the HUD" : message,
+            category: "hotkey_trouble",
+            details: details
+        )
+    }
+
+    private static func create(
+        message: String, category: String, details: [String: String]? = nil
+    ) -> BugReportSubmission {
         let systemInfo = SystemInfo.current()
         return BugReportSubmission(
             message: message,
-            category: "bug",
+            category: category,
             device_id: getDeviceUUID(),
             app_version: systemInfo.appVersion,
             os_version: systemInfo.osVersion,
-            timestamp: ISO8601DateFormatter().string(from: Date())
+            timestamp: ISO8601DateFormatter().string(from: Date()),
+            details: details
         )
     }
     
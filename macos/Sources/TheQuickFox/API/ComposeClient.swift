@@ -58,6 +58,7 @@ public final class ComposeClient {
         let context_text: String
         let screenshot_base64: String?
         let tone: String?
+        let scenario_id: String?
 
         struct AppInfo: Encodable {
             let bundle_id: String?
@@ -127,6 +128,7 @@ public final class ComposeClient {
     ///   - contextText: OCR/accessibility extracted text
     ///   - screenshot: Optional screenshot for visual queries
     ///   - tone: Optional tone override
+    ///   - scenarioId: Optional preset scenario; the server swaps in its app info, context and tone
     ///   - onGroundingMetadata: Optional callback for web search grounding data
     /// - Returns: AsyncThrowingStream of incremental content strings
     public func stream(
@@ -136,6 +138,7 @@ public final class ComposeClient {
         contextText: String,
         screenshot: NSImage? = nil,
         tone: ResponseTone? = nil,
+        scenarioId: String? = nil,
         onGroundingMetadata: ((GroundingMetadata) -> Void)? = nil
     ) async throws -> AsyncThrowingStream<String, Error> {
 
@@ -169,7 +172,8 @@ public final class ComposeClient {
             ),
             context_text: contextText,
             screenshot_base64: screenshotBase64,
-            tone: tone?.rawValue
+            tone: tone?.rawValue,
+            scenario_id: scenarioId
         )
 
         let requestData = try JSONEncoder().encode(requestBody)
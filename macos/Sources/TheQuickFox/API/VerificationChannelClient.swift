@@ -0,0 +1,126 @@
+//
+//  VerificationChannelClient.swift
+//  TheQuickFox
+//
+//  Minimal Phoenix channel client for the API's `verification:<id>` topic.
+//  The API broadcasts "verified" there when the user confirms their email,
+//  by code or by clicking the magic link on another device.
+//
+
+import Foundation
+import os
+
+@MainActor
+final class VerificationChannelClient {
+
+    struct Verified {
+        let email: String?
+        let method: String?
+        let purpose: String?
+    }
+
+    private let socketURL: URL = {
+        #if LOCAL_API || DEBUG
+        return URL(string: "ws://localhost:4003/socket/websocket?vsn=2.0.0")!
+        #else
+        return URL(string: "wss://api.thequickfox.ai/socket/websocket?vsn=2.0.0")!
+        #endif
+    }()
+
+    private let logger = Logger(subsystem: Bundle.main.bundleIdentifier ?? "TheQuickFox", category: "VerificationChannel")
+    private let verificationId: String
+    private let onVerified: (Verified) -> Void
+
+    private var task: URLSessionWebSocketTask?
+    private var heartbeatTimer: Timer?
+    private var messageRef = 1
+
+    private var topic: String { "verification:\(verificationId)" }
+
+    init(verificationId: String, onVerified: @escaping (Verified) -> Void) {
+        self.verificationId = verificationId
+        self.onVerified = onVerified
+    }
+
+    func connect() {
+        guard task == nil else { return }
+
+        let task = URLSession.shared.webSocketTask(with: socketURL)
+        self.task = task
+        task.resume()
+
+        send(event: "phx_join", payload: [:], joinRef: "1")
+        receiveNext()
+
+        // Phoenix drops sockets that stay silent for 60s
+        heartbeatTimer = Timer.scheduledTimer(withTimeInterval: 30, repeats: true) { [weak self] _ in
+            Task { @MainActor in
+                self?.send(topic: "phoenix", event: "heartbeat", payload: [:])
+            }
+        }
+    }
+
+    func disconnect() {
+        heartbeatTimer?.invalidate()
+        heartbeatTimer = nil
+        task?.cancel(with: .normalClosure, reason: nil)
+        task = nil
+    }
+
+    // MARK: - Private
+
+    private func send(topic: String? = nil, event: String, payload: [String: Any], joinRef: String? = nil) {
+        guard let task else { return }
+
+        messageRef += 1
+        // vsn 2.0.0 frames: [join_ref, ref, topic, event, payload]
+        let frame: [Any] = [joinRef ?? NSNull(), String(messageRef), topic ?? self.topic, event, payload]
+        guard let data = try? JSONSerialization.data(withJSONObject: frame),
+              let text = String(data: data, encoding: .utf8) else { return }
+
+        task.send(.string(text)) { [weak self] error in
+            if let error {
+                Task { @MainActor in
+                    self?.logger.error("Verification channel send failed: \(error.localizedDescription)")
+                }
+            }
+        }
+    }
+
+    private func receiveNext() {
+        task?.receive { [weak self] result in
+            Task { @MainActor in
+                guard let self else { return }
+                switch result {
+                case .success(.string(let text)):
+                    self.handle(text)
+                    self.receiveNext()
+                case .success:
+                    self.receiveNext()
+                case .failure(let error):
+                    // Cancelled on purpose, or the socket dropped; the page still
+                    // accepts the code, so there is nothing to recover here.
+                    if self.task != nil {
+                        self.logger.warning("Verification channel closed: \(error.localizedDescription)")
+                        self.disconnect()
+                    }
+                }
+            }
+        }
+    }
+
+    private func handle(_ text: String) {
+        guard let data = text.data(using: .utf8),
+              let frame = try? JSONSerialization.jsonObject(with: data) as? [Any],
+              frame.count == 5,
+              let topic = frame[2] as? String, topic == self.topic,
+              let event = frame[3] as? String, event == "verified" else { return }
+
+        let payload = frame[4] as? [String: Any] ?? [:]
+        onVerified(Verified(
+            email: payload["email"] as? String,
+            method: payload["method"] as? String,
+            purpose: payload["purpose"] as? String
+        ))
+    }
+}
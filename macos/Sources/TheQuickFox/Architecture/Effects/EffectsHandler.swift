@@ -428,6 +428,14 @@ final class DefaultEffectsHandler: EffectsHandler {
 
         dispatch(.history(.addEntry(entry)))
 
+        // Real uses tick off the first-use checklist on the completion screen
+        if state.session.demoPageContext == nil {
+            var info: [String: Any] = ["mode": state.hud.mode.rawValue]
+            info["bundleID"] = state.session.cachedScreenshot?.activeInfo.bundleID
+            info["appName"] = state.session.cachedScreenshot?.activeInfo.appName
+            NotificationCenter.default.post(name: .hudQueryCompleted, object: nil, userInfo: info)
+        }
+
         print("🔍 DEBUG: handleCompleteProcessing - mode: \(state.hud.mode), canRespond: \(state.hud.canRespond)")
 
         // For all modes except ask, insert text and close HUD
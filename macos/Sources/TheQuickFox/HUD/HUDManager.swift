@@ -13,6 +13,9 @@ import Combine
 extension NSNotification.Name {
     /// Posted when the HUD appears on screen
     static let hudDidAppear = NSNotification.Name("com.foxwiseai.thequickfox.hudDidAppear")
+    /// Posted when a HUD query gets its response (not in the onboarding demo);
+    /// userInfo has "mode" and, when known, "bundleID" and "appName" of the app it was used in
+    static let hudQueryCompleted = NSNotification.Name("com.foxwiseai.thequickfox.hudQueryCompleted")
 }
 
 /// HUD manager that coordinates between the AppStore and UI
@@ -27,6 +27,30 @@ func createFoxTailMenuItems(includeKeyEquivalents: Bool = true) -> [NSMenuItem]
     }
     items.append(onboardingItem)
 
+    // First-use checklist (until finished - hidden by AppDelegate.validateMenuItem otherwise)
+    let checklistItem = NSMenuItem(
+        title: "Things to Try...",
+        action: #selector(AppDelegate.showCompletionScreen),
+        keyEquivalent: ""
+    )
+    if let icon = NSImage(systemSymbolName: "checklist", accessibilityDescription: nil) {
+        checklistItem.image = icon
+    }
+    checklistItem.isHidden = !FirstUseChecklist.isOffered
+    items.append(checklistItem)
+
+    // Enable Screen Context (limited mode only - hidden by AppDelegate.validateMenuItem otherwise)
+    let screenContextItem = NSMenuItem(
+        title: "Enable Screen Context...",
+        action: #selector(AppDelegate.showScreenContextSetup),
+        keyEquivalent: ""
+    )
+    if let icon = NSImage(systemSymbolName: "rectangle.dashed.badge.record", accessibilityDescription: nil) {
+        screenContextItem.image = icon
+    }
+    screenContextItem.isHidden = !LimitedMode.isEnabled
+    items.append(screenContextItem)
+
     // Statistics
     let statsItem = NSMenuItem(
         title: "Statistics...",
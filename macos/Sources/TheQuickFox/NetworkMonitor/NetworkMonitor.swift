@@ -369,6 +369,25 @@ public final class NetworkMonitor: ObservableObject {
         )
     }
 
+    /// Create an entry for onboarding funnel event batches
+    public static func createOnboardingEventsEntry(
+        url: URL,
+        headers: [String: String],
+        body: Data?
+    ) -> NetworkRequestEntry {
+        return NetworkRequestEntry(
+            url: url,
+            method: "POST",
+            endpoint: "Onboarding Events",
+            requestHeaders: sanitizeHeaders(headers),
+            requestBody: body,
+            requestBodySummary: "Sending which onboarding steps you saw and how long they took",
+            category: .analytics,
+            isSavedOnServer: true,
+            serverDataDescription: "Step names, timings and outcomes are stored with an onboarding session id"
+        )
+    }
+
     /// Create an entry for usage status requests
     public static func createUsageStatusEntry(
         url: URL,
@@ -406,6 +425,43 @@ public final class NetworkMonitor: ObservableObject {
         )
     }
 
+    /// Create an entry for checkout status polling
+    public static func createCheckoutStatusEntry(
+        url: URL,
+        headers: [String: String]
+    ) -> NetworkRequestEntry {
+        return NetworkRequestEntry(
+            url: url,
+            method: "GET",
+            endpoint: "Checkout Status",
+            requestHeaders: sanitizeHeaders(headers),
+            requestBody: nil,
+            requestBodySummary: "Checking whether your payment went through",
+            category: .billing,
+            isSavedOnServer: false,
+            serverDataDescription: nil
+        )
+    }
+
+    /// Create an entry for promotion code lookups
+    public static func createPromotionCodeEntry(
+        url: URL,
+        headers: [String: String],
+        body: Data?
+    ) -> NetworkRequestEntry {
+        return NetworkRequestEntry(
+            url: url,
+            method: "POST",
+            endpoint: "Promotion Code",
+            requestHeaders: sanitizeHeaders(headers),
+            requestBody: body,
+            requestBodySummary: "Checking a promotion code",
+            category: .billing,
+            isSavedOnServer: false,
+            serverDataDescription: nil
+        )
+    }
+
     /// Create an entry for pricing requests
     public static func createPricingEntry(
         url: URL,
@@ -424,17 +480,36 @@ public final class NetworkMonitor: ObservableObject {
         )
     }
 
+    /// Create an entry for onboarding demo scenario requests
+    public static func createDemoScenariosEntry(
+        url: URL,
+        headers: [String: String]
+    ) -> NetworkRequestEntry {
+        return NetworkRequestEntry(
+            url: url,
+            method: "GET",
+            endpoint: "Demo Scenarios",
+            requestHeaders: sanitizeHeaders(headers),
+            requestBody: nil,
+            requestBodySummary: "Fetching onboarding demo scenarios",
+            category: .aiCompose,
+            isSavedOnServer: false,
+            serverDataDescription: nil
+        )
+    }
+
     /// Create an entry for customer portal requests
     public static func createPortalEntry(
         url: URL,
-        headers: [String: String]
+        headers: [String: String],
+        body: Data? = nil
     ) -> NetworkRequestEntry {
         return NetworkRequestEntry(
             url: url,
             method: "POST",
             endpoint: "Stripe Portal",
             requestHeaders: sanitizeHeaders(headers),
-            requestBody: nil,
+            requestBody: body,
             requestBodySummary: "Opening subscription management",
             category: .billing,
             isSavedOnServer: false,
@@ -442,6 +517,69 @@ public final class NetworkMonitor: ObservableObject {
         )
     }
 
+    /// Create an entry for restore purchase requests
+    public static func createRestorePurchaseEntry(
+        url: URL,
+        headers: [String: String]
+    ) -> NetworkRequestEntry {
+        return NetworkRequestEntry(
+            url: url,
+            method: "POST",
+            endpoint: "Restore Purchase",
+            requestHeaders: sanitizeHeaders(headers),
+            requestBody: nil,
+            requestBodySummary: "Re-checking your subscription with Stripe",
+            category: .billing,
+            isSavedOnServer: false,
+            serverDataDescription: nil
+        )
+    }
+
+    /// Create an entry for the reason a user gave for not upgrading
+    public static func createUpgradeDeclineEntry(
+        url: URL,
+        headers: [String: String],
+        body: Data?
+    ) -> NetworkRequestEntry {
+        var summary = "Sending why you didn't upgrade"
+        if let body = body,
+           let json = try? JSONSerialization.jsonObject(with: body) as? [String: Any],
+           let reason = json["reason"] as? String {
+            summary = "Not upgrading: \(reason)"
+        }
+
+        return NetworkRequestEntry(
+            url: url,
+            method: "POST",
+            endpoint: "Upgrade Decline",
+            requestHeaders: sanitizeHeaders(headers),
+            requestBody: body,
+            requestBodySummary: summary,
+            category: .feedback,
+            isSavedOnServer: true,
+            serverDataDescription: "Reason and note are stored as feedback"
+        )
+    }
+
+    /// Create an entry for answering a retention offer
+    public static func createRetentionOfferEntry(
+        url: URL,
+        headers: [String: String],
+        body: Data?
+    ) -> NetworkRequestEntry {
+        return NetworkRequestEntry(
+            url: url,
+            method: "POST",
+            endpoint: "Retention Offer",
+            requestHeaders: sanitizeHeaders(headers),
+            requestBody: body,
+            requestBodySummary: "Answering the upgrade offer",
+            category: .billing,
+            isSavedOnServer: true,
+            serverDataDescription: "Whether you took the offer is stored with your reason"
+        )
+    }
+
     /// Create an entry for bug report submission
     public static func createBugReportEntry(
         url: URL,
@@ -507,6 +645,25 @@ public final class NetworkMonitor: ObservableObject {
         )
     }
 
+    /// Create an entry for email verification requests (sending or confirming a code)
+    public static func createEmailVerificationEntry(
+        url: URL,
+        headers: [String: String],
+        body: Data?
+    ) -> NetworkRequestEntry {
+        return NetworkRequestEntry(
+            url: url,
+            method: "POST",
+            endpoint: "Email Verification",
+            requestHeaders: sanitizeHeaders(headers),
+            requestBody: body,
+            requestBodySummary: "Verifying your email address",
+            category: .authentication,
+            isSavedOnServer: true,
+            serverDataDescription: "Email, verification code and verification time are stored"
+        )
+    }
+
     /// Create a generic entry for unknown endpoints
     public static func createGenericEntry(
         url: URL,
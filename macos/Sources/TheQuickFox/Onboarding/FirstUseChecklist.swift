@@ -0,0 +1,92 @@
+//
+//  FirstUseChecklist.swift
+//  TheQuickFox
+//
+//  The completion screen turns into a checklist of first things to try
+//  ("Reply in Mail", "Ask about a screenshot"...). The page builds the list
+//  and decides what ticks an item; this side keeps the list between launches
+//  and logs every real HUD use with the app it happened in, so uses made
+//  while the window is closed still count the next time it opens. The menu
+//  bar offers the checklist until it's finished.
+//
+
+import Foundation
+
+extension NSNotification.Name {
+    /// Posted after a HUD use is logged for the checklist; userInfo is the logged use
+    static let firstUseRecorded = NSNotification.Name("com.foxwiseai.thequickfox.firstUseRecorded")
+}
+
+enum FirstUseChecklist {
+    private static let checklistKey = "com.foxwiseai.thequickfox.firstUseChecklist"
+    private static let usesKey = "com.foxwiseai.thequickfox.firstUses"
+
+    /// Only the latest uses are needed to tick the few items on the list
+    private static let maxUses = 20
+
+    private static var observer: NSObjectProtocol?
+
+    /// The page's checklist (JSON), nil until the page first saves one
+    static var saved: [String: Any]? {
+        guard let data = UserDefaults.standard.data(forKey: checklistKey) else { return nil }
+        return (try? JSONSerialization.jsonObject(with: data)) as? [String: Any]
+    }
+
+    static var isFinished: Bool {
+        saved?["finished"] as? Bool ?? false
+    }
+
+    /// From the end of onboarding until the last item is ticked
+    static var isOffered: Bool {
+        UserDefaults.standard.bool(forKey: onboardingCompletedKey) && !isFinished
+    }
+
+    /// Logged HUD uses, oldest first: [{ id, bundleId, appName, mode }]
+    static var uses: [[String: Any]] {
+        guard let data = UserDefaults.standard.data(forKey: usesKey) else { return [] }
+        return (try? JSONSerialization.jsonObject(with: data)) as? [[String: Any]] ?? []
+    }
+
+    static func save(_ checklist: [String: Any]) {
+        guard JSONSerialization.isValidJSONObject(checklist),
+              let data = try? JSONSerialization.data(withJSONObject: checklist) else {
+            print("❌ Checklist is not JSON serializable")
+            return
+        }
+        UserDefaults.standard.set(data, forKey: checklistKey)
+
+        if isFinished {
+            UserDefaults.standard.removeObject(forKey: usesKey)
+            print("🏁 First-use checklist finished")
+        }
+    }
+
+    /// Log HUD uses from now on - call once at launch
+    static func startRecording() {
+        guard observer == nil else { return }
+        observer = NotificationCenter.default.addObserver(
+            forName: .hudQueryCompleted, object: nil, queue: .main
+        ) { notification in
+            record(notification.userInfo ?? [:])
+        }
+    }
+
+    /// Ids only grow, so the page can tell which uses it has already counted
+    private static func record(_ info: [AnyHashable: Any]) {
+        guard !isFinished, let mode = info["mode"] as? String else { return }
+
+        var logged = uses
+        var use: [String: Any] = [
+            "id": (logged.last?["id"] as? Int ?? 0) + 1,
+            "mode": mode
+        ]
+        use["bundleId"] = info["bundleID"] as? String
+        use["appName"] = info["appName"] as? String
+        logged.append(use)
+
+        guard let data = try? JSONSerialization.data(withJSONObject: Array(logged.suffix(maxUses))) else { return }
+        UserDefaults.standard.set(data, forKey: usesKey)
+
+        NotificationCenter.default.post(name: .firstUseRecorded, object: nil, userInfo: use)
+    }
+}
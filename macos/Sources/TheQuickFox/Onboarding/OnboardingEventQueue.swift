@@ -0,0 +1,88 @@
+//
+//  OnboardingEventQueue.swift
+//  TheQuickFox
+//
+//  Holds onboarding funnel events from the page until the API has them.
+//  The queue is persisted, so events recorded offline - or right before the
+//  window closed or the app restarted for a permission - go out once the
+//  connection returns.
+//
+
+import Foundation
+import Network
+import os
+
+@MainActor
+final class OnboardingEventQueue {
+    static let shared = OnboardingEventQueue()
+
+    private static let storageKey = "com.foxwiseai.thequickfox.onboardingEventQueue"
+    /// Oldest events are dropped past this, so a long offline stretch can't grow without bound
+    private static let maxQueuedEvents = 500
+    private static let batchSize = 50
+
+    private let logger = Logger(subsystem: Bundle.main.bundleIdentifier ?? "TheQuickFox", category: "OnboardingEvents")
+    private let pathMonitor = NWPathMonitor()
+    private var events: [OnboardingEvent] = []
+    private var isFlushing = false
+
+    private init() {
+        if let data = UserDefaults.standard.data(forKey: Self.storageKey),
+           let saved = try? JSONDecoder().decode([OnboardingEvent].self, from: data) {
+            events = saved
+        }
+
+        // Also reports the current path once started, which flushes anything left from last time
+        pathMonitor.pathUpdateHandler = { [weak self] path in
+            guard path.status == .satisfied else { return }
+            Task { @MainActor in
+                self?.flush()
+            }
+        }
+        pathMonitor.start(queue: DispatchQueue(label: "com.foxwiseai.thequickfox.onboardingEvents.path"))
+    }
+
+    func enqueue(_ newEvents: [OnboardingEvent]) {
+        guard !newEvents.isEmpty else { return }
+
+        events.append(contentsOf: newEvents)
+        if events.count > Self.maxQueuedEvents {
+            events.removeFirst(events.count - Self.maxQueuedEvents)
+        }
+        persist()
+        flush()
+    }
+
+    /// Send queued events in batches until the queue is empty or a send fails
+    func flush() {
+        guard !isFlushing, !events.isEmpty else { return }
+        isFlushing = true
+
+        Task {
+            while !events.isEmpty {
+                let batch = Array(events.prefix(Self.batchSize))
+                do {
+                    let stored = try await APIClient.shared.sendOnboardingEvents(batch)
+                    logger.debug("Sent \(batch.count) onboarding events (\(stored) stored)")
+                } catch {
+                    // Kept for the next enqueue, connection change or launch
+                    logger.warning("Onboarding events not sent, \(self.events.count) queued: \(error.localizedDescription)")
+                    break
+                }
+                // By id: enqueue may have trimmed the front while the batch was out
+                let sentIDs = Set(batch.map(\.event_id))
+                events.removeAll { sentIDs.contains($0.event_id) }
+                persist()
+            }
+            isFlushing = false
+        }
+    }
+
+    private func persist() {
+        if events.isEmpty {
+            UserDefaults.standard.removeObject(forKey: Self.storageKey)
+        } else if let data = try? JSONEncoder().encode(events) {
+            UserDefaults.standard.set(data, forKey: Self.storageKey)
+        }
+    }
+}
@@ -23,6 +23,8 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
     private let headerHeight: CGFloat = 70
     private var shouldShowPermissionsError = false
     private var shouldShowTOSError = false
+    private var shouldShowScreenContextSetup = false
+    private var shouldShowSignIn = false
     private var isCompletionMode = false
     private var hudAppearedBeforeWebViewLoaded = false  // Track if HUD appeared before completion.html loaded
     private var completionWebViewReady = false  // Track if completion.html JS is ready
@@ -72,8 +74,13 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
         permissionStatusTimer?.invalidate()
         permissionStatusTimer = nil
 
-        // Remove HUD notification observer
+        // Remove HUD, checklist and key press notification observers
         NotificationCenter.default.removeObserver(self, name: .hudDidAppear, object: nil)
+        NotificationCenter.default.removeObserver(self, name: .firstUseRecorded, object: nil)
+        NotificationCenter.default.removeObserver(self, name: .controlKeyPressed, object: nil)
+
+        // Let the page record where the user left and hand over its unsent events
+        webView?.evaluateJavaScript("window.onOnboardingWindowClose && window.onOnboardingWindowClose();")
 
         print("🧹 Window closing - timer and observers cleaned up")
     }
@@ -213,6 +220,8 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
 
         // Add message handler for JS->Native communication
         userContentController.add(messageHandler, name: "onboarding")
+        // Page strings follow the user's language (i18n.js)
+        userContentController.addUserScript(WebLocale.userScript())
         configuration.userContentController = userContentController
 
         // Create web view with initial frame
@@ -314,6 +323,22 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
             object: nil
         )
 
+        // Tick checklist items off as the user tries things
+        NotificationCenter.default.addObserver(
+            self,
+            selector: #selector(handleFirstUseRecorded(_:)),
+            name: .firstUseRecorded,
+            object: nil
+        )
+
+        // Show the Control presses we receive while the shortcut isn't working
+        NotificationCenter.default.addObserver(
+            self,
+            selector: #selector(handleControlKeyPressed(_:)),
+            name: .controlKeyPressed,
+            object: nil
+        )
+
         window?.makeKeyAndOrderFront(nil)
         NSApp.activate(ignoringOtherApps: true)
     }
@@ -350,6 +375,25 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
         }
     }
 
+    /// Uses logged before the page loaded reach it through loadChecklist instead
+    @objc private func handleFirstUseRecorded(_ notification: Notification) {
+        guard completionWebViewReady,
+              let use = notification.userInfo,
+              let jsonData = try? JSONSerialization.data(withJSONObject: use),
+              let jsonString = String(data: jsonData, encoding: .utf8) else { return }
+
+        webView?.evaluateJavaScript("window.onHUDUsed && window.onHUDUsed(\(jsonString));")
+    }
+
+    @objc private func handleControlKeyPressed(_ notification: Notification) {
+        guard completionWebViewReady,
+              let press = notification.userInfo,
+              let jsonData = try? JSONSerialization.data(withJSONObject: press),
+              let jsonString = String(data: jsonData, encoding: .utf8) else { return }
+
+        webView?.evaluateJavaScript("window.onControlKey && window.onControlKey(\(jsonString));")
+    }
+
     private func loadCompletionContent() {
         let fileManager = FileManager.default
         var htmlURL: URL?
@@ -419,21 +463,17 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
             app.localizedName != nil
         }
 
-        // Take first 5 apps
-        for app in runningApps.prefix(5) {
+        // All of them, so the checklist can find the apps it has tasks for
+        for app in runningApps {
             guard let name = app.localizedName,
-                  let icon = app.icon else { continue }
-
-            // Convert icon to base64
-            if let tiffData = icon.tiffRepresentation,
-               let bitmapRep = NSBitmapImageRep(data: tiffData),
-               let pngData = bitmapRep.representation(using: .png, properties: [:]) {
-                let base64 = pngData.base64EncodedString()
-                appsData.append([
-                    "name": name,
-                    "icon": "data:image/png;base64,\(base64)"
-                ])
-            }
+                  let icon = app.icon,
+                  let iconURL = smallIconDataURL(icon) else { continue }
+
+            appsData.append([
+                "name": name,
+                "bundleId": app.bundleIdentifier ?? "",
+                "icon": iconURL
+            ])
         }
 
         // Inject into JavaScript
@@ -450,48 +490,57 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
         }
     }
 
+    /// PNG data URL of `icon` drawn at 64×64 - the full icon carries every size up to 1024 pixels
+    private func smallIconDataURL(_ icon: NSImage) -> String? {
+        let size = 64
+        guard let bitmap = NSBitmapImageRep(
+            bitmapDataPlanes: nil, pixelsWide: size, pixelsHigh: size,
+            bitsPerSample: 8, samplesPerPixel: 4, hasAlpha: true, isPlanar: false,
+            colorSpaceName: .deviceRGB, bytesPerRow: 0, bitsPerPixel: 0
+        ) else { return nil }
+
+        NSGraphicsContext.saveGraphicsState()
+        NSGraphicsContext.current = NSGraphicsContext(bitmapImageRep: bitmap)
+        icon.draw(in: NSRect(x: 0, y: 0, width: size, height: size))
+        NSGraphicsContext.restoreGraphicsState()
+
+        guard let pngData = bitmap.representation(using: .png, properties: [:]) else { return nil }
+        return "data:image/png;base64,\(pngData.base64EncodedString())"
+    }
+
     // MARK: - Permission Status Updates
 
     /// Track if we've already checked screen recording to avoid repeated dialogs
     private var hasCheckedScreenRecording = false
 
-    /// Update permission status in JS - panel-aware to avoid triggering unwanted dialogs
-    /// Panel 3 = Accessibility, Panel 4 = Email/TOS (no permissions), Panel 5 = Screen Recording
-    private func updatePermissionStatus(forPanel panel: Int) {
-        // Only check the permission relevant to the current panel
-        let accessibilityGranted = PermissionsState.shared.checkAccessibilityPermission()
-
-        // For screen recording, only use cached value to avoid triggering the dialog repeatedly
-        // The actual check happens only when user clicks "Enable" button
-        let screenRecordingGranted = PermissionsState.shared.hasScreenRecordingPermissions
-
-        print("🔍 Updating permission status (panel \(panel)) - accessibility: \(accessibilityGranted), screenRecording: \(screenRecordingGranted)")
-        let script = """
-            window.updatePermissionStatus({
-                accessibility: \(accessibilityGranted ? "true" : "false"),
-                screenRecording: \(screenRecordingGranted ? "true" : "false")
-            });
-        """
-        webView?.evaluateJavaScript(script) { _, error in
-            if let error = error {
-                print("❌ Failed to update permission status: \(error)")
-            } else {
-                print("✅ Permission status updated in JS")
-            }
-        }
+    /// Update permission status in JS while a permission step is shown
+    /// `permission` is the one the current onboarding step asks for ("accessibility" or "screenRecording")
+    private func updatePermissionStatus(forPermission permission: String) {
+        // Screen recording uses cached results to avoid triggering the dialog repeatedly;
+        // the actual capture check happens only when user clicks "Enable"
+        let status = PermissionDiagnostics.shared.snapshot()
+        print("🔍 Updating permission status (\(permission) step) - \(status)")
+        pushPermissionStatus(status)
     }
 
     /// Check screen recording permission once - called after user clicks Enable and returns from System Settings
     func checkScreenRecordingOnce() {
         let granted = PermissionsState.shared.checkScreenRecordingPermission()
         print("🔍 Screen recording check: \(granted)")
-        let script = """
-            window.updatePermissionStatus({
-                accessibility: \(PermissionsState.shared.hasAccessibilityPermissions ? "true" : "false"),
-                screenRecording: \(granted ? "true" : "false")
-            });
-        """
-        webView?.evaluateJavaScript(script, completionHandler: nil)
+        pushPermissionStatus(PermissionDiagnostics.shared.snapshot())
+    }
+
+    /// Send `{accessibility: {state}, screenRecording: {state}}` to window.updatePermissionStatus
+    func pushPermissionStatus(_ status: [String: Any]) {
+        guard let data = try? JSONSerialization.data(withJSONObject: status),
+              let json = String(data: data, encoding: .utf8) else { return }
+
+        // Not defined on the completion page, whose diagnostics card also sends permission fixes
+        webView?.evaluateJavaScript("window.updatePermissionStatus && window.updatePermissionStatus(\(json));") { _, error in
+            if let error = error {
+                print("❌ Failed to update permission status: \(error)")
+            }
+        }
     }
 
     /// Observer for app activation
@@ -527,31 +576,35 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
         webView?.evaluateJavaScript(script, completionHandler: completion)
     }
 
+    /// Web view hosting the onboarding pages - used by message handler to answer NativeBridge requests
+    var bridgeWebView: WKWebView? {
+        webView
+    }
+
     func startPermissionStatusTimer() {
         // Stop any existing timer
         permissionStatusTimer?.invalidate()
 
-        // Get current panel and do initial check
-        webView?.evaluateJavaScript("window.currentPanel") { [weak self] result, _ in
+        // Get current step's permission and do initial check
+        webView?.evaluateJavaScript("window.currentStepPermission") { [weak self] result, _ in
             guard let self = self else { return }
-            let panel = result as? Int ?? 3
-            self.updatePermissionStatus(forPanel: panel)
+            let permission = result as? String ?? "accessibility"
+            self.updatePermissionStatus(forPermission: permission)
         }
 
-        // Update permission status every second while on a permissions page (panel 3 or 5)
+        // Update permission status every second while on a permission step
         permissionStatusTimer = Timer.scheduledTimer(withTimeInterval: 1.0, repeats: true) { [weak self] timer in
             guard let self = self else {
                 timer.invalidate()
                 return
             }
 
-            // Check which panel we're on
-            self.webView?.evaluateJavaScript("window.currentPanel") { result, error in
-                if let panel = result as? Int, panel == 3 || panel == 5 {
-                    // Only update for permission panels (3 = Accessibility, 5 = Screen Recording)
-                    self.updatePermissionStatus(forPanel: panel)
+            // Check which permission the current step asks for (null on other steps)
+            self.webView?.evaluateJavaScript("window.currentStepPermission") { result, error in
+                if let permission = result as? String {
+                    self.updatePermissionStatus(forPermission: permission)
                 } else {
-                    // Stop timer when leaving permission panels
+                    // Stop timer when leaving permission steps
                     timer.invalidate()
                     self.permissionStatusTimer = nil
                 }
@@ -569,6 +622,18 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
         show()
     }
 
+    /// Open straight on the screen recording step, for users who finished in limited mode
+    func showScreenContextSetup() {
+        shouldShowScreenContextSetup = true
+        show()
+    }
+
+    /// Open on the sign-in card, for a user whose purchase belongs to another account
+    func showSignIn() {
+        shouldShowSignIn = true
+        show()
+    }
+
     func insertTextIntoReplyField(_ text: String, completion: @escaping (Bool) -> Void) {
         // Use JSON encoding to safely pass the text to JavaScript
         guard let textData = try? JSONEncoder().encode(text),
@@ -713,12 +778,12 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
                     "  View hierarchy: \(self.containerView.subviews.map { String(describing: type(of: $0)) })"
                 )
 
-                // Check if we need to show permissions error
+                // Check if we need to show permissions error, on the step that owns the failing permission
                 if self.shouldShowPermissionsError {
                     self.shouldShowPermissionsError = false
-                    let script = """
-                        window.navigateToPermissionsWithError('Accessibility permission is required for TheQuickFox to work.');
-                    """
+                    let permission = PermissionDiagnostics.shared.firstFailingPermission() ?? .accessibility
+                    // The page shows its own catalog string for the permission
+                    let script = "window.navigateToPermissionsWithError('\(permission.rawValue)');"
                     self.webView?.evaluateJavaScript(script) { _, error in
                         if let error = error {
                             print("❌ Failed to navigate to permissions with error: \(error)")
@@ -729,15 +794,31 @@ final class OnboardingWindowController: NSWindowController, NSWindowDelegate {
                 // Check if we need to show TOS error
                 if self.shouldShowTOSError {
                     self.shouldShowTOSError = false
-                    let script = """
-                        window.navigateToPermissionsWithError('Please accept our Terms of Service to continue using TheQuickFox.');
-                    """
+                    let script = "window.navigateToPermissionsWithError('account');"
                     self.webView?.evaluateJavaScript(script) { _, error in
                         if let error = error {
                             print("❌ Failed to navigate to TOS error: \(error)")
                         }
                     }
                 }
+
+                if self.shouldShowScreenContextSetup {
+                    self.shouldShowScreenContextSetup = false
+                    self.webView?.evaluateJavaScript("window.openScreenContextSetup();") { _, error in
+                        if let error = error {
+                            print("❌ Failed to open screen context setup: \(error)")
+                        }
+                    }
+                }
+
+                if self.shouldShowSignIn {
+                    self.shouldShowSignIn = false
+                    self.webView?.evaluateJavaScript("window.openSignIn();") { _, error in
+                        if let error = error {
+                            print("❌ Failed to open sign-in: \(error)")
+                        }
+                    }
+                }
             }
         }
     }
@@ -766,15 +847,8 @@ extension OnboardingWindowController: WKNavigationDelegate {
             return
         }
 
-        // Don't check permissions on initial load - wait until user reaches permissions page
-        // Just set initial state to false
-        let initialScript = """
-            window.updatePermissionStatus({
-                accessibility: false,
-                screenRecording: false
-            });
-        """
-        webView.evaluateJavaScript(initialScript)
+        // Initial permission states - cached values only, nothing here shows a system dialog
+        pushPermissionStatus(PermissionDiagnostics.shared.snapshot())
 
         // Trigger the animation to show web content
         DispatchQueue.main.async { [weak self] in
@@ -800,6 +874,15 @@ extension OnboardingWindowController: WKNavigationDelegate {
 private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
     weak var windowController: OnboardingWindowController?
 
+    /// In-flight bridge requests that JS may cancel, keyed by requestId
+    private var activeTasks: [String: Task<Void, Never>] = [:]
+
+    /// Live confirmation for the email the user is verifying, if any
+    private var verificationChannel: VerificationChannelClient?
+
+    /// Snapshot of the onboarding page state (JSON), restored after an app restart
+    private static let onboardingStateKey = "com.foxwiseai.thequickfox.onboardingState"
+
     func userContentController(
         _ userContentController: WKUserContentController, didReceive message: WKScriptMessage
     ) {
@@ -816,6 +899,12 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
                     self.handleRequestPermissions(type: permissionType)
                 }
 
+            case "permissionAction":
+                if let permission = (body["permission"] as? String).flatMap(AppPermission.init(rawValue:)),
+                   let fix = body["fix"] as? String {
+                    self.handlePermissionAction(permission, fix: fix)
+                }
+
             case "openLink":
                 if let url = body["url"] as? String {
                     self.handleOpenLink(url: url)
@@ -823,7 +912,7 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
 
             case "completeOnboarding":
                 let email = body["email"] as? String
-                self.handleCompleteOnboarding(email: email)
+                self.handleCompleteOnboarding(email: email, limited: body["limited"] as? Bool ?? false)
 
             case "track":
                 if let event = body["event"] as? String,
@@ -832,6 +921,12 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
                     self.handleTrack(event: event, props: props)
                 }
 
+            case "trackEvents":
+                if let requestId = body["requestId"] as? String,
+                   let events = body["events"] as? [[String: Any]] {
+                    self.handleTrackEvents(requestId: requestId, events: events)
+                }
+
             case "activateHUD":
                 self.handleActivateHUD(body: body)
 
@@ -839,9 +934,55 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
                 self.windowController?.startPermissionStatusTimer()
 
             case "composeDemo":
-                if let input = body["input"] as? String,
+                if let requestId = body["requestId"] as? String,
+                   let input = body["input"] as? String,
                    let tone = body["tone"] as? String {
-                    self.handleComposeDemo(input: input, tone: tone)
+                    self.handleComposeDemo(
+                        requestId: requestId, input: input, tone: tone,
+                        scenarioId: body["scenarioId"] as? String)
+                }
+
+            case "rateDemoResult":
+                if let tone = body["tone"] as? String,
+                   let rating = body["rating"] as? String {
+                    self.handleRateDemoResult(tone: tone, rating: rating, body: body)
+                }
+
+            case "getDemoScenarios":
+                if let requestId = body["requestId"] as? String {
+                    self.handleGetDemoScenarios(requestId: requestId)
+                }
+
+            case "requestEmailCode":
+                if let requestId = body["requestId"] as? String,
+                   let email = body["email"] as? String {
+                    self.handleRequestEmailCode(
+                        requestId: requestId, email: email, purpose: body["purpose"] as? String)
+                }
+
+            case "confirmEmailCode":
+                if let requestId = body["requestId"] as? String,
+                   let verificationId = body["verificationId"] as? String,
+                   let code = body["code"] as? String {
+                    self.handleConfirmEmailCode(
+                        requestId: requestId, verificationId: verificationId, code: code)
+                }
+
+            case "watchEmailVerification":
+                if let verificationId = body["verificationId"] as? String {
+                    self.watchEmailVerification(verificationId)
+                } else {
+                    self.stopWatchingEmailVerification()
+                }
+
+            case "loadAccount":
+                if let requestId = body["requestId"] as? String {
+                    self.handleLoadAccount(requestId: requestId)
+                }
+
+            case "cancelRequest":
+                if let requestId = body["requestId"] as? String {
+                    self.handleCancelRequest(requestId: requestId)
                 }
 
             case "closeWindow":
@@ -849,6 +990,40 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
                 // Activate a non-Finder app (Finder causes issues)
                 self.activateNonFinderApp()
 
+            case "saveOnboardingState":
+                if let state = body["state"] as? [String: Any] {
+                    self.handleSaveOnboardingState(state)
+                }
+
+            case "loadOnboardingState":
+                if let requestId = body["requestId"] as? String {
+                    self.handleLoadOnboardingState(requestId: requestId)
+                }
+
+            case "saveChecklist":
+                if let checklist = body["checklist"] as? [String: Any] {
+                    FirstUseChecklist.save(checklist)
+                }
+
+            case "loadChecklist":
+                if let requestId = body["requestId"] as? String {
+                    self.handleLoadChecklist(requestId: requestId)
+                }
+
+            case "getHotkeyDiagnostics":
+                if let requestId = body["requestId"] as? String {
+                    self.windowController?.bridgeWebView?.resolveBridgeRequest(
+                        requestId, result: HotkeyDiagnostics.snapshot())
+                }
+
+            case "contactSupport":
+                if let requestId = body["requestId"] as? String {
+                    self.handleContactSupport(
+                        requestId: requestId,
+                        message: body["message"] as? String ?? "",
+                        pageDetails: body["details"] as? [String: Any] ?? [:])
+                }
+
             case "saveOnboardingProgress":
                 // Save onboarding progress early (before screen recording which may restart app)
                 let email = body["email"] as? String
@@ -862,6 +1037,9 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
 
     private func handleRequestPermissions(type: String) {
         print("🔑 Request permissions for: \(type)")
+        if let permission = AppPermission(rawValue: type) {
+            PermissionDiagnostics.shared.markRequested(permission)
+        }
 
         switch type {
         case "accessibility":
@@ -886,6 +1064,31 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
         }
     }
 
+    /// One-click fixes offered by the permission cards' troubleshooting steps
+    private func handlePermissionAction(_ permission: AppPermission, fix: String) {
+        print("🛠️ Permission fix for \(permission.rawValue): \(fix)")
+
+        switch fix {
+        case "openSettings":
+            PermissionDiagnostics.shared.openSettings(for: permission)
+            windowController?.startPermissionStatusTimer()
+
+        case "relaunch":
+            // Resume right where we are after the restart
+            UserDefaults.standard.set(true, forKey: "com.foxwiseai.thequickfox.needsPostRestartScreen")
+            PermissionDiagnostics.shared.relaunch()
+
+        case "reset":
+            PermissionDiagnostics.shared.resetEntry(for: permission)
+            windowController?.pushPermissionStatus(PermissionDiagnostics.shared.snapshot())
+            // Ask again so this copy of the app gets a fresh entry
+            handleRequestPermissions(type: permission.rawValue)
+
+        default:
+            print("Unknown permission fix: \(fix)")
+        }
+    }
+
     private func handleOpenLink(url: String) {
         if let nsUrl = URL(string: url) {
             NSWorkspace.shared.open(nsUrl)
@@ -920,8 +1123,52 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
         print("✅ Onboarding progress saved to UserDefaults (with post-restart flag)")
     }
 
-    private func handleCompleteOnboarding(email: String?) {
-        print("✅ Onboarding completed")
+    /// Persist the page's state snapshot - sent on every step transition
+    private func handleSaveOnboardingState(_ state: [String: Any]) {
+        guard JSONSerialization.isValidJSONObject(state),
+              let data = try? JSONSerialization.data(withJSONObject: state) else {
+            print("❌ Onboarding state is not JSON serializable")
+            return
+        }
+        UserDefaults.standard.set(data, forKey: Self.onboardingStateKey)
+    }
+
+    /// Return the saved snapshot along with live permission status, so JS can resume at the right step
+    private func handleLoadOnboardingState(requestId: String) {
+        var state: Any = NSNull()
+        if let data = UserDefaults.standard.data(forKey: Self.onboardingStateKey),
+           let saved = try? JSONSerialization.jsonObject(with: data) {
+            state = saved
+        }
+
+        // Screen recording uses cached values - an explicit check could trigger the system dialog
+        let permissions = PermissionDiagnostics.shared.snapshot()
+
+        print("📂 Restoring onboarding state: \(state is NSNull ? "none" : "found")")
+        windowController?.bridgeWebView?.resolveBridgeRequest(
+            requestId, result: ["state": state, "permissions": permissions])
+    }
+
+    /// The saved checklist plus the HUD uses logged so far; the page skips uses it already counted
+    private func handleLoadChecklist(requestId: String) {
+        var checklist: Any = NSNull()
+        if let saved = FirstUseChecklist.saved {
+            checklist = saved
+        }
+
+        windowController?.bridgeWebView?.resolveBridgeRequest(
+            requestId, result: ["checklist": checklist, "uses": FirstUseChecklist.uses])
+    }
+
+    private func handleCompleteOnboarding(email: String?, limited: Bool) {
+        print("✅ Onboarding completed\(limited ? " in limited mode" : "")")
+
+        // Without screen recording, replies are composed from typed text until it's granted
+        if limited {
+            LimitedMode.enable()
+        } else {
+            LimitedMode.disable()
+        }
 
         // Onboarding flag should already be set by saveOnboardingProgress
         // But set it again just in case
@@ -930,6 +1177,9 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
         // Clear the post-restart flag since we completed normally
         UserDefaults.standard.set(false, forKey: "com.foxwiseai.thequickfox.needsPostRestartScreen")
 
+        // Nothing left to resume
+        UserDefaults.standard.removeObject(forKey: Self.onboardingStateKey)
+
         // Stop the permission status timer
         windowController?.permissionStatusTimer?.invalidate()
         windowController?.permissionStatusTimer = nil
@@ -950,6 +1200,21 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
         print("📊 Track event: \(event), props: \(props)")
     }
 
+    /// Batch from the page's analytics module. Resolves once the events are in the
+    /// persisted queue; delivery to the API happens from there.
+    @MainActor
+    private func handleTrackEvents(requestId: String, events: [[String: Any]]) {
+        guard let data = try? JSONSerialization.data(withJSONObject: events),
+              let decoded = try? JSONDecoder().decode([OnboardingEvent].self, from: data) else {
+            windowController?.bridgeWebView?.rejectBridgeRequest(
+                requestId, message: "Events could not be read")
+            return
+        }
+
+        OnboardingEventQueue.shared.enqueue(decoded)
+        windowController?.bridgeWebView?.resolveBridgeRequest(requestId, result: ["queued": decoded.count])
+    }
+
     @MainActor
     private func handleActivateHUD(body: [String: Any]) {
         guard let modeString = body["mode"] as? String,
@@ -1048,26 +1313,18 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
     }
 
     /// Handle the compose demo request from onboarding
-    /// Calls the actual API and streams the result back to JavaScript
-    private func handleComposeDemo(input: String, tone: String) {
-        print("🎨 Compose demo request - input: '\(input)', tone: \(tone)")
+    /// Calls the actual API, streams tokens back as bridge chunks and resolves with the full text.
+    /// With a scenario id the server composes against that preset conversation instead of an empty context.
+    private func handleComposeDemo(requestId: String, input: String, tone: String, scenarioId: String?) {
+        print("🎨 Compose demo request \(requestId) - input: '\(input)', tone: \(tone), scenario: \(scenarioId ?? "none")")
 
-        Task {
+        activeTasks[requestId] = Task { [weak self] in
             do {
-                // Map tone string to ResponseTone
-                // Note: "professional" maps to .formal since ResponseTone doesn't have a professional case
-                let responseTone: ResponseTone
-                switch tone {
-                case "friendly":
-                    responseTone = .friendly
-                case "flirty":
-                    responseTone = .flirty
-                default:
-                    // "professional" and "formal" both map to .formal
-                    responseTone = .formal
+                guard let responseTone = ResponseTone(rawValue: tone) else {
+                    throw ComposeClient.ComposeError.apiError("Unknown tone: \(tone)")
                 }
 
-                // Create minimal app info for demo
+                // Create minimal app info for demo (replaced server-side when a scenario is given)
                 let appInfo = ActiveWindowInfo(
                     bundleID: "com.foxwiseai.thequickfox.onboarding",
                     appName: "TheQuickFox Onboarding",
@@ -1082,55 +1339,296 @@ private final class OnboardingMessageHandler: NSObject, WKScriptMessageHandler {
                     appInfo: appInfo,
                     contextText: "",
                     screenshot: nil,
-                    tone: responseTone
+                    tone: responseTone,
+                    scenarioId: scenarioId
                 )
 
-                // Collect all tokens
+                // Stream tokens to JavaScript as they arrive, collecting the full text
                 var fullResponse = ""
                 for try await token in stream {
+                    try Task.checkCancellation()
                     fullResponse += token
+                    await MainActor.run {
+                        self?.windowController?.bridgeWebView?.emitBridgeChunk(
+                            requestId, chunk: ["token": token])
+                    }
                 }
 
                 // Send result back to JavaScript
                 await MainActor.run {
-                    self.sendComposeResult(success: true, text: fullResponse)
+                    self?.finishRequest(requestId)
+                    self?.windowController?.bridgeWebView?.resolveBridgeRequest(
+                        requestId, result: ["text": fullResponse])
                 }
 
+            } catch is CancellationError {
+                print("🛑 Compose demo \(requestId) cancelled")
+                await MainActor.run { self?.finishRequest(requestId) }
             } catch {
-                print("❌ Compose demo failed: \(error)")
+                let reason = Self.composeDemoFailureReason(error)
+                print("❌ Compose demo failed (\(reason)): \(error)")
                 await MainActor.run {
-                    self.sendComposeResult(success: false, error: error.localizedDescription)
+                    self?.finishRequest(requestId)
+                    self?.windowController?.bridgeWebView?.rejectBridgeRequest(
+                        requestId, message: error.localizedDescription,
+                        details: ["reason": reason])
                 }
             }
         }
     }
 
-    /// Send compose result back to JavaScript
-    @MainActor
-    private func sendComposeResult(success: Bool, text: String? = nil, error: String? = nil) {
-        var script: String
-        if success, let text = text {
-            // Escape the text for JavaScript
-            let escapedText = text
-                .replacingOccurrences(of: "\\", with: "\\\\")
-                .replacingOccurrences(of: "\"", with: "\\\"")
-                .replacingOccurrences(of: "\n", with: "\\n")
-                .replacingOccurrences(of: "\r", with: "\\r")
-            script = "window.handleComposeResult({ success: true, text: \"\(escapedText)\" });"
-        } else {
-            let escapedError = (error ?? "Unknown error")
-                .replacingOccurrences(of: "\\", with: "\\\\")
-                .replacingOccurrences(of: "\"", with: "\\\"")
-            script = "window.handleComposeResult({ success: false, error: \"\(escapedError)\" });"
+    /// Why a demo compose failed, so the page can say so: offline, timeout, auth, quota or error
+    private static func composeDemoFailureReason(_ error: Error) -> String {
+        if let urlError = error as? URLError {
+            switch urlError.code {
+            case .timedOut:
+                return "timeout"
+            case .notConnectedToInternet, .networkConnectionLost, .cannotConnectToHost,
+                 .cannotFindHost, .dnsLookupFailed, .dataNotAllowed:
+                return "offline"
+            default:
+                return "error"
+            }
+        }
+
+        guard let composeError = error as? ComposeClient.ComposeError else { return "error" }
+        switch composeError {
+        case .connectionFailed:
+            return "offline"
+        case .authTokenMissing:
+            return "auth"
+        case .httpError(let status, let body):
+            if status == 429 || body?.contains("subscription_required") == true {
+                return "quota"
+            }
+            if status == 401 || status == 403 {
+                return "auth"
+            }
+            return "error"
+        default:
+            return "error"
+        }
+    }
+
+    /// Fetch the preset conversations the demo panel offers
+    private func handleGetDemoScenarios(requestId: String) {
+        Task { [weak self] in
+            do {
+                let scenarios = try await APIClient.shared.getDemoScenarios()
+                await MainActor.run {
+                    self?.windowController?.bridgeWebView?.resolveBridgeRequest(
+                        requestId, result: scenarios.bridgeJSONObject() ?? [Any]())
+                }
+            } catch {
+                print("❌ Failed to fetch demo scenarios: \(error)")
+                await MainActor.run {
+                    self?.windowController?.bridgeWebView?.rejectBridgeRequest(
+                        requestId, message: error.localizedDescription)
+                }
+            }
+        }
+    }
+
+    /// Send a thumbs up/down from the tone comparison to the feedback pipeline
+    private func handleRateDemoResult(tone: String, rating: String, body: [String: Any]) {
+        print("👍 Demo rating - tone: \(tone), rating: \(rating)")
+
+        var details: [String: String] = ["source": "onboarding_compare"]
+        for key in ["scenarioId", "input", "output"] {
+            if let value = body[key] as? String {
+                details[key] = value
+            }
+        }
+
+        let submission = BugReportSubmission.toneRating(tone: tone, rating: rating, details: details)
+        Task {
+            do {
+                _ = try await APIClient.shared.submitBugReport(submission)
+            } catch {
+                print("❌ Failed to submit demo rating: \(error)")
+            }
+        }
+    }
+
+    /// Email a verification code for the address typed on the email step,
+    /// or with purpose "sign_in" for a returning user's existing account
+    private func handleRequestEmailCode(requestId: String, email: String, purpose: String?) {
+        Task { [weak self] in
+            do {
+                let verification = try await APIClient.shared.requestEmailVerification(
+                    email: email, purpose: purpose)
+                await MainActor.run {
+                    self?.watchEmailVerification(verification.verification_id)
+                    self?.windowController?.bridgeWebView?.resolveBridgeRequest(
+                        requestId,
+                        result: [
+                            "verificationId": verification.verification_id,
+                            "expiresAt": verification.expires_at
+                        ])
+                }
+            } catch {
+                print("❌ Failed to request email code: \(error)")
+                await MainActor.run {
+                    self?.windowController?.bridgeWebView?.rejectBridgeRequest(
+                        requestId, message: error.localizedDescription,
+                        details: Self.apiFailureDetails(error))
+                }
+            }
+        }
+    }
+
+    /// Check the code the user typed; the channel also fires, but the page
+    /// handles both arriving
+    private func handleConfirmEmailCode(requestId: String, verificationId: String, code: String) {
+        Task { [weak self] in
+            do {
+                let result = try await APIClient.shared.confirmEmailVerification(
+                    verificationId: verificationId, code: code)
+                await MainActor.run {
+                    self?.stopWatchingEmailVerification()
+                    self?.windowController?.bridgeWebView?.resolveBridgeRequest(
+                        requestId,
+                        result: [
+                            "status": result.status,
+                            "email": result.email,
+                            "purpose": result.purpose ?? "verify"
+                        ])
+                }
+            } catch {
+                print("❌ Failed to confirm email code: \(error)")
+                await MainActor.run {
+                    self?.windowController?.bridgeWebView?.rejectBridgeRequest(
+                        requestId, message: error.localizedDescription,
+                        details: Self.apiFailureDetails(error))
+                }
+            }
+        }
+    }
+
+    /// Listen for the "verified" broadcast, e.g. when the magic link is opened on a phone
+    private func watchEmailVerification(_ verificationId: String) {
+        stopWatchingEmailVerification()
+
+        let channel = VerificationChannelClient(verificationId: verificationId) { [weak self] verified in
+            guard let self else { return }
+            print("✅ Email verified via \(verified.method ?? "unknown")")
+            self.stopWatchingEmailVerification()
+
+            let payload: [String: Any] = [
+                "email": verified.email ?? NSNull(),
+                "method": verified.method ?? NSNull(),
+                "purpose": verified.purpose ?? "verify"
+            ]
+            if let data = try? JSONSerialization.data(withJSONObject: payload),
+               let json = String(data: data, encoding: .utf8) {
+                self.windowController?.evaluateJavaScript(
+                    "window.onEmailVerified && window.onEmailVerified(\(json));")
+            }
+        }
+        verificationChannel = channel
+        channel.connect()
+    }
+
+    private func stopWatchingEmailVerification() {
+        verificationChannel?.disconnect()
+        verificationChannel = nil
+    }
+
+    /// Re-register to pick up the account this device now belongs to (after a sign-in),
+    /// and report what the page shows a returning user
+    private func handleLoadAccount(requestId: String) {
+        Task { [weak self] in
+            do {
+                let account = try await APIClient.shared.registerDevice().data
+                let details = account.has_subscription ? account.subscription_details : nil
+                let result: [String: Any] = [
+                    "email": account.email ?? NSNull(),
+                    "termsAccepted": account.terms_accepted_at != nil,
+                    "hasSubscription": account.has_subscription,
+                    "plan": details.map(Self.planDetails) ?? NSNull(),
+                    "trialQueriesUsed": account.trial_queries_used,
+                    "trialQueriesRemaining": account.trial_queries_remaining
+                ]
+                await MainActor.run {
+                    self?.windowController?.bridgeWebView?.resolveBridgeRequest(requestId, result: result)
+                }
+            } catch {
+                print("❌ Failed to load account: \(error)")
+                await MainActor.run {
+                    self?.windowController?.bridgeWebView?.rejectBridgeRequest(
+                        requestId, message: error.localizedDescription,
+                        details: Self.apiFailureDetails(error))
+                }
+            }
+        }
+    }
+
+    /// What the page needs to word a subscription's plan line; it says "Free trial" itself
+    private static func planDetails(_ details: SubscriptionDetails) -> [String: Any] {
+        [
+            "interval": details.interval ?? NSNull(),
+            "amount": details.amount ?? NSNull(),
+            "currency": details.currency ?? NSNull()
+        ]
+    }
+
+    /// Send the shortcut diagnostics to support, with what the page saw (its own Control presses, time waited)
+    private func handleContactSupport(requestId: String, message: String, pageDetails: [String: Any]) {
+        var details = HotkeyDiagnostics.supportDetails()
+        for (key, value) in pageDetails {
+            details["page_\(key)"] = "\(value)"
         }
 
-        windowController?.evaluateJavaScript(script) { _, jsError in
-            if let jsError = jsError {
-                print("❌ Failed to send compose result to JS: \(jsError)")
+        let submission = BugReportSubmission.hotkeyTrouble(
+            message: message.trimmingCharacters(in: .whitespacesAndNewlines), details: details)
+        Task { [weak self] in
+            do {
+                let response = try await APIClient.shared.submitBugReport(submission)
+                await MainActor.run {
+                    self?.windowController?.bridgeWebView?.resolveBridgeRequest(
+                        requestId, result: ["feedbackId": response.feedback_id ?? NSNull()])
+                }
+            } catch {
+                print("❌ Failed to contact support: \(error)")
+                await MainActor.run {
+                    self?.windowController?.bridgeWebView?.rejectBridgeRequest(
+                        requestId, message: error.localizedDescription,
+                        details: Self.apiFailureDetails(error))
+                }
             }
         }
     }
 
+    /// Why an API call failed, for the page to word from its catalog: the server's
+    /// reason for email codes, otherwise unregistered, offline or error
+    private static func apiFailureDetails(_ error: Error) -> [String: Any] {
+        switch error {
+        case APIError.verificationRejected(let reason, let attemptsLeft):
+            var details: [String: Any] = ["reason": reason]
+            if let attemptsLeft = attemptsLeft {
+                details["attemptsLeft"] = attemptsLeft
+            }
+            return details
+        case APIError.noAuthToken, APIError.unauthorized:
+            return ["reason": "unregistered"]
+        case is URLError, APIError.networkError:
+            return ["reason": "offline"]
+        default:
+            return ["reason": "error"]
+        }
+    }
+
+    /// JS abandoned a request (AbortSignal) - stop the work behind it
+    private func handleCancelRequest(requestId: String) {
+        guard let task = activeTasks.removeValue(forKey: requestId) else { return }
+        print("🛑 Cancelling bridge request \(requestId)")
+        task.cancel()
+    }
+
+    private func finishRequest(_ requestId: String) {
+        activeTasks.removeValue(forKey: requestId)
+    }
+
     /// Activate a non-Finder app after closing onboarding (Finder causes issues)
     private func activateNonFinderApp() {
         // Find a running app that isn't Finder and isn't our app
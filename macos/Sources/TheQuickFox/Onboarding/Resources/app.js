@@ -2,9 +2,11 @@
 // Onboarding State Management
 // ============================================
 
-let currentPanel = 1;
-const totalPanels = 5;
-window.currentPanel = currentPanel;
+// Index into `steps`, the enabled entries of ONBOARDING_STEPS
+let currentStepIndex = 0;
+let steps = [];
+// Ids of steps the user has moved forward past (including skipped ones)
+let completedSteps = new Set();
 
 // Permission states
 let permissionsGranted = {
@@ -16,8 +18,124 @@ let permissionsGranted = {
 let termsAccepted = false;
 let emailValid = false;
 let userEmail = '';
-let selectedTone = 'professional';
+let selectedScenarioId = 'rewrite';  // Demo scenario picked in panel 2
+// Account a returning user signed in to from panel 1; null for new users
+let signedInAccount = null;
 let hasTransformed = false;  // Track if user has tried the transform
+let onboardingCompleted = false;
+let appRestarting = false;  // Set just before a "Restart" fix quits the app
+
+
+// ============================================
+// Onboarding Steps
+// ============================================
+//
+// Every carousel step is declared once here, in order. Navigation, progress
+// dots and the Skip/Back/Continue/Finish buttons are derived from this list;
+// each entry drives the `.panel[data-step]` with the same id in index.html.
+//
+//   canProceed()   gate for the Continue/Finish button
+//   buttonLabel    catalog key of the Continue button text while the step is shown
+//   skippable      Skip jumps past it to the next non-skippable step
+//   focus          selector focused once the step has slid in (default: the panel's heading)
+//   permission     permission the step asks for; Swift polls it while shown
+//   onEnter(dir)   called after arriving ('forward' | 'back')
+//   onLeave(dir)   called before departing ('forward' | 'back'), and when passed over going forward
+//   analyticsName  step name reported with navigation events
+//   enabled()      return false to leave the step out of this build
+
+const STEP_DEFAULTS = {
+    buttonLabel: 'nav.continue',
+    skippable: false,
+    focus: null,
+    permission: null,
+    canProceed: () => true,
+    onEnter: null,
+    onLeave: null,
+    enabled: () => true
+};
+
+const ONBOARDING_STEPS = [
+    {
+        id: 'intro',
+        analyticsName: 'intro',
+        skippable: true
+    },
+    {
+        id: 'try-it',
+        analyticsName: 'try_it',
+        skippable: true,
+        focus: '#user-input'
+    },
+    {
+        id: 'accessibility',
+        analyticsName: 'accessibility',
+        permission: 'accessibility',
+        canProceed: () => permissionsGranted.accessibility,
+        onEnter: startPermissionMonitoring
+    },
+    {
+        id: 'account',
+        analyticsName: 'email_terms',
+        focus: '#email-field',
+        canProceed: () => termsAccepted && emailValid,
+        onLeave: (direction) => {
+            // Save progress early: the screen recording step may restart the app.
+            // A signed-in account that accepted the terms already has them.
+            if (direction === 'forward') {
+                const alreadyAccepted = signedInAccount && signedInAccount.termsAccepted;
+                NativeBridge.post('saveOnboardingProgress', { email: alreadyAccepted ? null : userEmail });
+            }
+        }
+    },
+    {
+        id: 'screen-recording',
+        analyticsName: 'screen_recording',
+        permission: 'screenRecording',
+        buttonLabel: 'nav.finish',
+        canProceed: () => permissionsGranted.screenRecording,
+        onEnter: startPermissionMonitoring
+    }
+];
+
+function currentStep() {
+    return steps[currentStepIndex];
+}
+
+function stepIndex(id) {
+    return steps.findIndex(step => step.id === id);
+}
+
+function isLastStep() {
+    return currentStepIndex === steps.length - 1;
+}
+
+function panelForStep(id) {
+    return document.querySelector(`.panel[data-step="${id}"]`);
+}
+
+// Resolve the enabled steps and build the matching panels and progress dots
+function setupSteps() {
+    steps = ONBOARDING_STEPS
+        .map(step => ({ ...STEP_DEFAULTS, ...step }))
+        .filter(step => step.enabled());
+
+    const enabledIds = new Set(steps.map(step => step.id));
+    document.querySelectorAll('.panel[data-step]').forEach(panel => {
+        panel.hidden = !enabledIds.has(panel.dataset.step);
+        // Focus target for steps without a `focus` selector
+        const heading = panel.querySelector('h1');
+        if (heading) heading.tabIndex = -1;
+    });
+
+    const dots = document.querySelector('.progress-dots');
+    dots.replaceChildren(...steps.map(step => {
+        const dot = document.createElement('span');
+        dot.className = 'dot';
+        dot.dataset.step = step.id;
+        return dot;
+    }));
+}
 
 
 // ============================================
@@ -25,26 +143,481 @@ let hasTransformed = false;  // Track if user has tried the transform
 // ============================================
 
 document.addEventListener('DOMContentLoaded', () => {
+    setupSteps();
     setupKeyboardNavigation();
-    setupToneChips();
+    setupScenarioPicker();
     updateUI();
+    OnboardingAnalytics.enterStep(currentStep().analyticsName);
+    restoreOnboardingState();
 });
 
+// Handlers the data-on-* attributes in index.html name
+Dom.actions({
+    showSignIn,
+    hideSignIn,
+    updateSignInEmail,
+    requestSignInCode,
+    updateSignInCode,
+    confirmSignInCode,
+    toggleCompareMode,
+    transformText,
+    stopTransform,
+    retryTransform: () => retryTransform('button'),
+    copyResult,
+    grantPermission: button => grantPermission(button.dataset.permission),
+    updateEmailValidity,
+    acceptEmailSuggestion,
+    requestEmailCode,
+    updateVerifyCode,
+    confirmEmailCode,
+    updateTermsAcceptance,
+    openTermsOfService: (link, event) => openTermsOfService(event),
+    openPrivacyPolicy: (link, event) => openPrivacyPolicy(event),
+    showLimitedMode,
+    hideLimitedMode,
+    completeLimitedMode,
+    navigateBack,
+    navigateNext,
+    skipAhead
+});
+
+
+// ============================================
+// Persistence
+// ============================================
+//
+// Granting screen recording often restarts the app, so the whole onboarding
+// state is snapshotted through the bridge on every transition and restored
+// when the window reopens.
+
+const ONBOARDING_STATE_VERSION = 1;
+
+function snapshotOnboardingState() {
+    return {
+        version: ONBOARDING_STATE_VERSION,
+        stepId: currentStep().id,
+        completedSteps: [...completedSteps],
+        termsAccepted,
+        email: userEmail,
+        account: signedInAccount,
+        emailVerification: emailVerification.status === 'sending' ? null : emailVerification,
+        selectedScenario: selectedScenarioId,
+        hasTransformed,
+        output: committedOutput,
+        compareTones: compareMode,
+        analytics: OnboardingAnalytics.snapshot()
+    };
+}
+
+function saveOnboardingState() {
+    // Reopened from the menu bar after finishing: there is no first run to resume
+    if (screenContextSetupOnly) return;
+    NativeBridge.post('saveOnboardingState', { state: snapshotOnboardingState() });
+}
+
+async function restoreOnboardingState() {
+    let saved;
+    try {
+        saved = await NativeBridge.request('loadOnboardingState', {}, { timeout: 3000 });
+    } catch (error) {
+        console.log('No onboarding state restored:', error.message);
+        OnboardingAnalytics.track('onboarding_started');
+        return;
+    }
+
+    const state = saved && saved.state;
+    const resuming = !!state && state.version === ONBOARDING_STATE_VERSION;
+    // Before the permissions below, so a grant that arrived with a restart is timed from the first run
+    if (resuming) {
+        OnboardingAnalytics.restore(state.analytics);
+    }
+
+    // Swift reports live permissions with the snapshot so gates are accurate before polling starts
+    if (saved && saved.permissions) {
+        setPermissionStates(saved.permissions);
+    }
+
+    if (!resuming) {
+        OnboardingAnalytics.track('onboarding_started');
+        return;
+    }
+
+    // Pre-fill restored values
+    userEmail = state.email || '';
+    document.getElementById('email-field').value = userEmail;
+    updateEmailValidity();
+    restoreEmailVerification(state.emailVerification);
+
+    termsAccepted = !!state.termsAccepted;
+    document.getElementById('terms-checkbox').checked = termsAccepted;
+
+    selectScenario(state.selectedScenario || selectedScenarioId);
+
+    hasTransformed = !!state.hasTransformed;
+    if (state.output) {
+        committedOutput = state.output;
+        document.getElementById('output-text').textContent = committedOutput;
+        document.getElementById('output-section').style.display = 'block';
+        document.getElementById('win-text').style.display = 'block';
+    }
+    setCompareMode(!!state.compareTones);
+
+    completedSteps = new Set((state.completedSteps || []).filter(id => stepIndex(id) !== -1));
+
+    if (state.account) {
+        signedInAccount = state.account;
+        showAccountSummary();
+    }
+
+    // Resume at the first step that isn't done, or whose gate no longer holds
+    // (e.g. a permission revoked while the app was closed)
+    const resumeIndex = steps.findIndex(step => !(completedSteps.has(step.id) && step.canProceed()));
+    goToStep(resumeIndex === -1 ? steps.length - 1 : resumeIndex);
+    updateContinueButton();
+
+    OnboardingAnalytics.track('onboarding_resumed', {
+        step: currentStep().analyticsName,
+        saved_step: state.stepId
+    });
+}
+
+
+// ============================================
+// Panel 1: Returning Users
+// ============================================
+//
+// "I already have an account" signs in with an emailed code (or the magic
+// link in the same email). The API then links this Mac to the existing
+// account, so the demo and any terms already accepted are skipped and
+// Continue goes straight to the permissions this Mac still needs.
+
+// status: 'idle' | 'sending' | 'pending' | 'loading'
+let signIn = { status: 'idle', email: '', verificationId: null };
+
+// Reason Swift passes with a failed code or account request -> catalog key.
+// The API's reasons for email codes come through as they are; Swift adds
+// unregistered and offline. Anything else gets the caller's fallback.
+const ACCOUNT_ERROR_MESSAGES = {
+    invalid_code: 'accountError.invalidCode',
+    too_many_attempts: 'accountError.tooManyAttempts',
+    expired: 'accountError.expired',
+    not_found: 'accountError.notFound',
+    rate_limited: 'accountError.rateLimited',
+    invalid_email: 'accountError.invalidEmail',
+    unregistered: 'accountError.unregistered',
+    offline: 'accountError.offline'
+};
+
+function accountErrorMessage(error, fallbackKey) {
+    const details = error.details || {};
+    const key = error.code === NativeBridge.BridgeError.TIMEOUT ? null : ACCOUNT_ERROR_MESSAGES[details.reason];
+    return I18n.t(key || fallbackKey, details.attemptsLeft == null ? {} : { count: details.attemptsLeft });
+}
+
+function showSignIn() {
+    document.querySelector('.use-cases').style.display = 'none';
+    document.getElementById('sign-in-link').style.display = 'none';
+    document.getElementById('sign-in-card').style.display = 'block';
+    document.getElementById('sign-in-email').focus();
+    OnboardingAnalytics.track('onboarding_sign_in_started');
+}
+
+// Called by Swift when a restore on the upgrade window found no purchase for this Mac
+window.openSignIn = function() {
+    goToStep(stepIndex('intro'));
+    if (!signedInAccount) showSignIn();
+};
+
+function hideSignIn() {
+    if (signIn.status === 'pending') {
+        NativeBridge.post('watchEmailVerification', {});
+    }
+    signIn = { status: 'idle', email: '', verificationId: null };
+    document.getElementById('sign-in-code').value = '';
+    setSignInError('');
+    renderSignIn();
+
+    document.querySelector('.use-cases').style.display = '';
+    document.getElementById('sign-in-link').style.display = '';
+    document.getElementById('sign-in-card').style.display = 'none';
+}
+
+function renderSignIn() {
+    const email = document.getElementById('sign-in-email').value.trim();
+    const sendButton = document.getElementById('sign-in-send-btn');
+    sendButton.disabled = signIn.status === 'sending' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    sendButton.textContent = I18n.t(signIn.status === 'pending' ? 'signIn.resend' : 'signIn.sendCode');
+
+    document.getElementById('sign-in-code-row').style.display =
+        signIn.status === 'pending' || signIn.status === 'loading' ? 'flex' : 'none';
+}
+
+function setSignInError(message) {
+    document.getElementById('sign-in-error').textContent = message || '';
+}
+
+function updateSignInEmail() {
+    const email = document.getElementById('sign-in-email').value.trim();
+    if (signIn.status === 'pending' && email !== signIn.email) {
+        hideSignInCode();
+    }
+    renderSignIn();
+}
+
+// The code belongs to the address it was sent to
+function hideSignInCode() {
+    NativeBridge.post('watchEmailVerification', {});
+    signIn = { status: 'idle', email: '', verificationId: null };
+    document.getElementById('sign-in-code').value = '';
+}
+
+async function requestSignInCode() {
+    const email = document.getElementById('sign-in-email').value.trim();
+    signIn = { status: 'sending', email, verificationId: null };
+    setSignInError('');
+    renderSignIn();
+
+    try {
+        const result = await NativeBridge.request('requestEmailCode',
+            { email, purpose: 'sign_in' }, { timeout: 15000 });
+        if (signIn.email !== email) return;
+        signIn = { status: 'pending', email, verificationId: result.verificationId };
+        document.getElementById('sign-in-code').focus();
+    } catch (error) {
+        if (signIn.email !== email) return;
+        signIn = { status: 'idle', email: '', verificationId: null };
+        setSignInError(accountErrorMessage(error, 'verify.sendFailed'));
+    }
+    renderSignIn();
+}
+
+function updateSignInCode() {
+    const codeField = document.getElementById('sign-in-code');
+    codeField.value = codeField.value.replace(/\D/g, '').slice(0, 6);
+    document.getElementById('sign-in-confirm-btn').disabled = codeField.value.length !== 6;
+
+    if (codeField.value.length === 6) {
+        confirmSignInCode();
+    }
+}
+
+async function confirmSignInCode() {
+    const code = document.getElementById('sign-in-code').value;
+    const { status, verificationId, email } = signIn;
+    if (status !== 'pending' || code.length !== 6) return;
+
+    const confirmButton = document.getElementById('sign-in-confirm-btn');
+    confirmButton.disabled = true;
+    setSignInError('');
+
+    try {
+        await NativeBridge.request('confirmEmailCode', { verificationId, code }, { timeout: 15000 });
+        await completeSignIn(email, 'code');
+    } catch (error) {
+        if (signIn.verificationId !== verificationId) return;
+        confirmButton.disabled = false;
+        setSignInError(accountErrorMessage(error, 'verify.checkFailed'));
+    }
+}
+
+// The device now belongs to the account; fetch what it covers
+async function completeSignIn(email, method) {
+    // Code and link can both report the same sign-in
+    if (signIn.status !== 'pending' || signIn.email !== email) return;
+    signIn.status = 'loading';
+
+    try {
+        const account = await NativeBridge.request('loadAccount', {}, { timeout: 15000 });
+        applySignedInAccount({ ...account, email: account.email || email });
+        OnboardingAnalytics.track('onboarding_signed_in', {
+            method,
+            has_subscription: !!account.hasSubscription,
+            terms_accepted: !!account.termsAccepted
+        });
+    } catch (error) {
+        signIn.status = 'pending';
+        setSignInError(accountErrorMessage(error, 'signIn.loadFailed'));
+    }
+}
+
+function applySignedInAccount(account) {
+    signedInAccount = account;
+    signIn = { status: 'idle', email: '', verificationId: null };
+
+    // The account's address is verified by the sign-in itself
+    userEmail = account.email;
+    document.getElementById('email-field').value = userEmail;
+    updateEmailValidity();
+    emailVerification = { status: 'verified', email: userEmail, verificationId: null };
+    renderEmailVerification();
+
+    completedSteps.add('intro');
+    completedSteps.add('try-it');
+    if (account.termsAccepted) {
+        termsAccepted = true;
+        document.getElementById('terms-checkbox').checked = true;
+        completedSteps.add('account');
+    }
+
+    showAccountSummary();
+    updateContinueButton();
+    saveOnboardingState();
+}
+
+function showAccountSummary() {
+    const account = signedInAccount;
+    document.querySelector('.use-cases').style.display = 'none';
+    document.getElementById('sign-in-link').style.display = 'none';
+    document.getElementById('sign-in-card').style.display = 'block';
+    document.getElementById('sign-in-form').style.display = 'none';
+    document.getElementById('sign-in-summary').style.display = 'block';
+
+    document.getElementById('account-email').textContent = account.email;
+    document.getElementById('account-plan').textContent = planLine(account);
+    document.getElementById('account-usage').textContent = account.hasSubscription
+        ? ''
+        : I18n.t('signIn.repliesLeft', { count: account.trialQueriesRemaining });
+
+    const missing = steps.filter(step => step.id !== 'intro' && !isStepSatisfied(step));
+    document.getElementById('account-next').textContent = missing.length > 0
+        ? I18n.t('signIn.finishSetup')
+        : I18n.t('signIn.allSet');
+}
+
+// "Free trial", or the subscription with its price when Swift sent one
+function planLine(account) {
+    if (!account.hasSubscription) return I18n.t('signIn.plan.trial');
+    const { interval, amount, currency } = account.plan || {};
+    if (!['month', 'year'].includes(interval) || amount == null || !currency) {
+        return I18n.t('signIn.plan.active');
+    }
+    const format = new Intl.NumberFormat(I18n.locale, { style: 'currency', currency: currency.toUpperCase() });
+    const price = format.format(amount / 10 ** format.resolvedOptions().maximumFractionDigits);
+    return I18n.t(`signIn.plan.${interval}`, { price });
+}
+
+// Done already, or a permission this Mac has granted before
+function isStepSatisfied(step) {
+    return step.canProceed() && (completedSteps.has(step.id) || !!step.permission);
+}
+
+// Returning users pass over what their account and this Mac already cover
+function nextStepIndex() {
+    if (!signedInAccount) return currentStepIndex + 1;
+    const next = steps.findIndex((step, index) => index > currentStepIndex && !isStepSatisfied(step));
+    return next === -1 ? steps.length - 1 : next;
+}
+
 
 // ============================================
 // Panel 2: Interactive Transform
 // ============================================
 
-function setupToneChips() {
-    document.querySelectorAll('.tone-chip').forEach(chip => {
+// Always offered, and the only option when the server's scenarios can't be
+// fetched: a bare rewrite with no conversation around it
+const QUICK_REWRITE_SCENARIO = {
+    id: 'rewrite',
+    label: I18n.t('tryIt.quickRewrite'),
+    app_name: null,
+    contact: null,
+    tone: 'formal',
+    sample_input: 'hey can we reschedule mtg tmrw?',
+    messages: [],
+    local: true
+};
+
+// Scenarios from the API's presets: { id, label, app_name, contact, tone, sample_input, messages }.
+// Labels come from the catalog by id; the API's English label covers new ids.
+let demoScenarios = [QUICK_REWRITE_SCENARIO];
+
+function setupScenarioPicker() {
+    renderScenarioChips();
+    showScenario();
+    loadDemoScenarios();
+}
+
+async function loadDemoScenarios() {
+    try {
+        const scenarios = await NativeBridge.request('getDemoScenarios', {}, { timeout: 5000 });
+        demoScenarios = [QUICK_REWRITE_SCENARIO, ...(scenarios || [])];
+    } catch (error) {
+        console.log('Demo scenarios unavailable:', error.message);
+        return;
+    }
+    renderScenarioChips();
+    showScenario();
+}
+
+function currentScenario() {
+    return demoScenarios.find(scenario => scenario.id === selectedScenarioId) || QUICK_REWRITE_SCENARIO;
+}
+
+function scenarioLabel(scenario) {
+    const key = `tryIt.scenario.${scenario.id}`;
+    return I18n.has(key) ? I18n.t(key) : scenario.label;
+}
+
+function renderScenarioChips() {
+    const container = document.getElementById('scenario-chips');
+    container.replaceChildren(...demoScenarios.map(scenario => {
+        const chip = document.createElement('button');
+        chip.className = 'scenario-chip';
+        chip.dataset.scenario = scenario.id;
+        chip.textContent = scenarioLabel(scenario);
         chip.addEventListener('click', () => {
-            document.querySelectorAll('.tone-chip').forEach(c => c.classList.remove('active'));
-            chip.classList.add('active');
-            selectedTone = chip.dataset.tone;
+            selectScenario(scenario.id);
+            saveOnboardingState();
         });
+        return chip;
+    }));
+    // Nothing to pick between until the server's scenarios arrive
+    container.style.display = demoScenarios.length > 1 ? 'flex' : 'none';
+}
+
+// A restored id can arrive before the scenario list does; it stays selected
+// and shows up once the list loads
+function selectScenario(id) {
+    selectedScenarioId = id;
+    showScenario();
+}
+
+function showScenario() {
+    const scenario = currentScenario();
+
+    document.querySelectorAll('.scenario-chip').forEach(chip => {
+        chip.classList.toggle('active', chip.dataset.scenario === scenario.id);
     });
+
+    const context = document.getElementById('scenario-context');
+    if (scenario.messages && scenario.messages.length > 0) {
+        document.getElementById('scenario-app').textContent = scenario.app_name || '';
+        document.getElementById('scenario-contact').textContent = scenario.contact || '';
+        document.getElementById('scenario-messages').replaceChildren(...scenario.messages.map(message => {
+            const bubble = document.createElement('div');
+            bubble.className = `scenario-message ${message.from === 'you' ? 'you' : 'them'}`;
+            bubble.textContent = message.text;
+            return bubble;
+        }));
+        context.style.display = 'block';
+    } else {
+        context.style.display = 'none';
+    }
+
+    if (scenario.sample_input) {
+        document.getElementById('user-input').placeholder =
+            I18n.t('tryIt.inputPlaceholder', { sample: scenario.sample_input });
+    }
 }
 
+// Controller for the in-flight transform, so a second click supersedes the first
+let transformController = null;
+// Controller of the most recent transform, in flight or not
+let latestTransform = null;
+// When the most recent transform started, for the latency in demo events
+let transformStartedAt = 0;
+// Last fully received result; streamed text only replaces it once the stream completes
+let committedOutput = '';
+
 async function transformText() {
     const input = document.getElementById('user-input').value.trim();
     if (!input) {
@@ -52,91 +625,490 @@ async function transformText() {
         return;
     }
 
-    const btn = document.getElementById('transform-btn');
-    const btnText = btn.querySelector('.btn-text');
-    const btnLoader = btn.querySelector('.btn-loader');
-    const outputSection = document.getElementById('output-section');
-    const outputText = document.getElementById('output-text');
-    const winText = document.getElementById('win-text');
-
-    // Show loading state
-    btn.disabled = true;
-    btnText.style.display = 'none';
-    btnLoader.style.display = 'block';
+    if (transformController) {
+        transformController.abort();
+    }
+    const controller = new AbortController();
+    transformController = controller;
+    latestTransform = controller;
+    transformStartedAt = Date.now();
 
+    hideOfflineNotice();
+    setTransformBusy(true);
     try {
-        // Call the compose API via Swift bridge
-        const result = await callComposeAPI(input, selectedTone);
+        if (compareMode) {
+            await compareTones(input, controller);
+        } else {
+            await transformSingle(input, controller);
+        }
+    } finally {
+        if (transformController === controller) {
+            transformController = null;
+            setTransformBusy(false);
+        }
+    }
+}
 
-        // Show output
-        outputText.textContent = result;
+async function transformSingle(input, controller) {
+    const outputSection = document.getElementById('output-section');
+    const outputText = document.getElementById('output-text');
+    const winText = document.getElementById('win-text');
+    const scenario = currentScenario();
+    const tone = scenario.tone;
+    const startedAt = transformStartedAt;
+    let streamedText = '';
+    let firstTokenMs = null;
+
+    // `offline` is the failure reason when `text` is a local rewrite
+    const showResult = (text, offline = null) => {
+        if (offline) {
+            showOfflineNotice(offline);
+        } else {
+            committedOutput = text;
+            hideOfflineNotice();
+            winText.style.display = 'block';
+        }
+        outputText.textContent = text;
+        outputText.classList.remove('streaming');
         outputSection.style.display = 'block';
-        winText.style.display = 'block';
         hasTransformed = true;
+        announce('transform-announcer', offline
+            ? I18n.t('announce.offlineResult', { reason: I18n.t(FAILURE_MESSAGES[offline]) })
+            : I18n.t('announce.result', { text }));
 
         // Update button to show "Continue" instead of "Skip"
         updateContinueButton();
+    };
+
+    // Render tokens as they arrive, like the HUD does
+    const showChunk = (chunk) => {
+        if (transformController !== controller || !chunk || !chunk.token) return;
+        if (firstTokenMs === null) firstTokenMs = Date.now() - startedAt;
+        streamedText += chunk.token;
+        outputText.textContent = streamedText;
+        outputText.classList.add('streaming');
+        outputSection.style.display = 'block';
+    };
+
+    try {
+        // Call the compose API via Swift bridge
+        const result = await callComposeAPI(input, scenario, {
+            signal: controller.signal,
+            onChunk: showChunk,
+            // A slow reply still beats the offline preview, as long as nothing newer was requested
+            onLateReply: (late) => {
+                if (latestTransform === controller && late && late.text) {
+                    showResult(late.text);
+                }
+            }
+        });
+
+        showResult(result);
+        saveOnboardingState();
 
         // Track the win
-        sendMessage('track', { event: 'onboarding_transform_success', props: { tone: selectedTone } });
+        OnboardingAnalytics.track('onboarding_transform_success', {
+            tone,
+            scenario: scenario.id,
+            latency_ms: Date.now() - startedAt,
+            first_token_ms: firstTokenMs
+        });
 
     } catch (error) {
-        console.error('Transform failed:', error);
-        // Show a fallback response
-        const fallbackResponses = {
-            professional: `Thank you for your message. I wanted to follow up regarding: "${input}". Please let me know if you need any additional information.`,
-            friendly: `Hey there! Thanks for reaching out about "${input}". Happy to help with anything else!`,
-            formal: `Dear Sir/Madam, I am writing in reference to your inquiry: "${input}". Please do not hesitate to contact me should you require further assistance.`
-        };
-        outputText.textContent = fallbackResponses[selectedTone];
-        outputSection.style.display = 'block';
-        winText.style.display = 'block';
-        hasTransformed = true;
+        if (error.code === NativeBridge.BridgeError.CANCELLED) {
+            // Stopped by the user: drop the partial text and keep the last complete result.
+            // Superseded by a newer transform: that one owns the output now.
+            if (transformController === controller) {
+                restoreCommittedOutput();
+            }
+            return;
+        }
 
-        // Update button to show "Continue" instead of "Skip"
-        updateContinueButton();
-    } finally {
-        btn.disabled = false;
-        btnText.style.display = 'inline';
-        btnLoader.style.display = 'none';
+        const reason = classifyComposeFailure(error);
+        console.error(`Transform failed (${reason}):`, error);
+        showResult(OfflineRewriter.rewrite(input, tone), reason);
+
+        OnboardingAnalytics.track('onboarding_transform_failed', {
+            reason,
+            tone,
+            scenario: scenario.id,
+            latency_ms: Date.now() - startedAt
+        });
     }
 }
 
-function callComposeAPI(input, tone) {
-    return new Promise((resolve, reject) => {
-        // Send to Swift to call the actual API
-        sendMessage('composeDemo', {
-            input: input,
-            tone: tone,
-            callback: 'handleComposeResult'
+function setTransformBusy(busy) {
+    const btn = document.getElementById('transform-btn');
+    btn.disabled = busy;
+    btn.querySelector('.btn-text').style.display = busy ? 'none' : 'inline';
+    btn.querySelector('.btn-loader').style.display = busy ? 'block' : 'none';
+    document.getElementById('stop-btn').style.display = busy ? 'inline-flex' : 'none';
+}
+
+function stopTransform() {
+    if (transformController) {
+        transformController.abort();
+        announce('transform-announcer', I18n.t('tryIt.stopped'));
+        OnboardingAnalytics.track('onboarding_transform_stopped', {
+            scenario: selectedScenarioId,
+            compare: compareMode,
+            latency_ms: Date.now() - transformStartedAt
         });
+    }
+}
+
+function restoreCommittedOutput() {
+    const outputText = document.getElementById('output-text');
+    outputText.classList.remove('streaming');
+    outputText.textContent = committedOutput;
+    hideOfflineNotice();
+    if (!committedOutput) {
+        document.getElementById('output-section').style.display = 'none';
+    }
+}
+
+function callComposeAPI(input, scenario, options = {}) {
+    // Send to Swift to call the actual API; tokens stream back through options.onChunk.
+    // Server-side scenarios are composed against their preset conversation.
+    const data = { input, tone: scenario.tone };
+    if (!scenario.local) {
+        data.scenarioId = scenario.id;
+    }
+    return NativeBridge.request('composeDemo', data, { timeout: 15000, ...options })
+        .then(result => result.text);
+}
+
 
-        // Set up a listener for the response
-        window.handleComposeResult = function(result) {
-            if (result.success) {
-                resolve(result.text);
-            } else {
-                reject(new Error(result.error || 'API call failed'));
+// ============================================
+// Panel 2: Compare Tones
+// ============================================
+//
+// Runs the draft through every tone at once and shows one card per tone,
+// with the words each tone added highlighted and a thumbs up/down that goes
+// to the feedback pipeline.
+
+// Mirrors Swift's ResponseTone
+const DEMO_TONES = [
+    { id: 'friendly', label: I18n.t('tones.friendly') },
+    { id: 'formal', label: I18n.t('tones.formal') },
+    { id: 'flirty', label: I18n.t('tones.flirty') }
+];
+
+let compareMode = false;
+
+function setCompareMode(enabled) {
+    compareMode = enabled;
+    document.getElementById('compare-toggle').checked = enabled;
+    document.getElementById('transform-btn').querySelector('.btn-text').textContent =
+        I18n.t(enabled ? 'tryIt.compareTones' : 'tryIt.transform');
+
+    // Each mode keeps its own results; show the ones for the active mode
+    document.getElementById('compare-results').style.display =
+        enabled && document.getElementById('compare-results').childElementCount > 0 ? 'flex' : 'none';
+    document.getElementById('output-section').style.display =
+        !enabled && committedOutput ? 'block' : 'none';
+}
+
+function toggleCompareMode() {
+    if (transformController) {
+        transformController.abort();
+    }
+    restoreCommittedOutput();
+    setCompareMode(document.getElementById('compare-toggle').checked);
+    saveOnboardingState();
+    OnboardingAnalytics.track('onboarding_compare_toggled', { enabled: compareMode });
+}
+
+async function compareTones(input, controller) {
+    const scenario = currentScenario();
+    const startedAt = transformStartedAt;
+    const container = document.getElementById('compare-results');
+    const cards = DEMO_TONES.map(tone => createCompareCard(tone, input, scenario));
+
+    container.replaceChildren(...cards.map(card => card.element));
+    container.style.display = 'flex';
+
+    const outcomes = await Promise.all(DEMO_TONES.map(async (tone, index) => {
+        const card = cards[index];
+        try {
+            const text = await callComposeAPI(input, { ...scenario, tone: tone.id }, {
+                signal: controller.signal,
+                onChunk: (chunk) => {
+                    if (transformController === controller && chunk && chunk.token) {
+                        card.appendToken(chunk.token);
+                    }
+                }
+            });
+            card.showResult(text, false);
+            return 'success';
+        } catch (error) {
+            if (error.code === NativeBridge.BridgeError.CANCELLED) {
+                card.showStopped();
+                return 'cancelled';
             }
-            delete window.handleComposeResult;
-        };
+            const reason = classifyComposeFailure(error);
+            console.error(`Compare (${tone.id}) failed (${reason}):`, error);
+            card.showResult(OfflineRewriter.rewrite(input, tone.id), true);
+            return reason;
+        }
+    }));
 
-        // Timeout fallback
-        setTimeout(() => {
-            if (window.handleComposeResult) {
-                reject(new Error('Timeout'));
-                delete window.handleComposeResult;
+    if (outcomes.includes('cancelled')) return;
+
+    const failures = outcomes.filter(outcome => outcome !== 'success');
+    if (failures.length > 0) {
+        showOfflineNotice(failures[0]);
+    }
+    if (failures.length < outcomes.length) {
+        document.getElementById('win-text').style.display = 'block';
+    }
+    announce('transform-announcer', failures.length > 0
+        ? I18n.t('announce.compareOffline', { count: outcomes.length, offline: failures.length })
+        : I18n.t('announce.compare', { count: outcomes.length }));
+    hasTransformed = true;
+    updateContinueButton();
+    saveOnboardingState();
+
+    OnboardingAnalytics.track('onboarding_compare_success', {
+        scenario: scenario.id,
+        succeeded: outcomes.length - failures.length,
+        failed: failures.length,
+        reason: failures[0] || null,
+        latency_ms: Date.now() - startedAt
+    });
+}
+
+function createCompareCard(tone, input, scenario) {
+    const element = document.createElement('div');
+    element.className = 'compare-card';
+    element.dataset.tone = tone.id;
+
+    const header = document.createElement('div');
+    header.className = 'compare-card-header';
+
+    const title = document.createElement('span');
+    title.className = 'compare-card-tone';
+    title.textContent = tone.label;
+
+    const actions = document.createElement('div');
+    actions.className = 'compare-card-actions';
+
+    const body = document.createElement('div');
+    body.className = 'compare-card-text streaming';
+
+    header.append(title, actions);
+    element.append(header, body);
+
+    let streamedText = '';
+    let output = '';
+    let rating = null;
+
+    const rateButtons = ['up', 'down'].map(value => {
+        const button = document.createElement('button');
+        button.className = 'rate-btn';
+        button.dataset.rating = value;
+        button.textContent = value === 'up' ? '👍' : '👎';
+        button.title = I18n.t(value === 'up' ? 'tryIt.rateUp' : 'tryIt.rateDown');
+        button.addEventListener('click', () => {
+            // Clicking the active thumb again clears it locally; the earlier rating stays recorded
+            rating = rating === value ? null : value;
+            rateButtons.forEach(b => b.classList.toggle('active', b.dataset.rating === rating));
+            if (!rating) return;
+
+            NativeBridge.post('rateDemoResult', {
+                tone: tone.id,
+                rating,
+                scenarioId: scenario.id,
+                input,
+                output
+            });
+            OnboardingAnalytics.track('onboarding_tone_rated', {
+                tone: tone.id,
+                rating,
+                scenario: scenario.id
+            });
+        });
+        return button;
+    });
+
+    const copyButton = document.createElement('button');
+    copyButton.className = 'copy-btn';
+    copyButton.textContent = I18n.t('common.copy');
+    copyButton.addEventListener('click', () => {
+        navigator.clipboard.writeText(output).then(() => {
+            copyButton.textContent = I18n.t('common.copied');
+            setTimeout(() => {
+                copyButton.textContent = I18n.t('common.copy');
+            }, 1500);
+        });
+    });
+
+    return {
+        element,
+
+        appendToken(token) {
+            streamedText += token;
+            body.textContent = streamedText;
+        },
+
+        // A local rewrite is labelled and can't be rated - it says nothing about the tone
+        showResult(text, offline) {
+            output = text;
+            body.classList.remove('streaming');
+            body.replaceChildren(...renderDiff(input, text));
+            actions.replaceChildren(...(offline ? [createOfflineBadge()] : rateButtons), copyButton);
+        },
+
+        showStopped() {
+            body.classList.remove('streaming');
+            body.classList.add('stopped');
+            body.textContent = I18n.t('tryIt.stopped');
+        }
+    };
+}
+
+function createOfflineBadge() {
+    const badge = document.createElement('span');
+    badge.className = 'offline-badge';
+    badge.textContent = I18n.t('tryIt.offlineBadge');
+    return badge;
+}
+
+// Render `result` with the words that aren't in `original` highlighted
+function renderDiff(original, result) {
+    return diffWords(original, result).map(part => {
+        if (!part.added) return document.createTextNode(part.text);
+        const mark = document.createElement('mark');
+        mark.className = 'diff-added';
+        mark.textContent = part.text;
+        return mark;
+    });
+}
+
+// Word-level diff via longest common subsequence. Returns the parts of
+// `result` in order, each flagged as added or kept from `original`.
+function diffWords(original, result) {
+    const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+    const before = original.split(/\s+/).filter(Boolean).map(normalize);
+    const tokens = result.split(/(\s+)/).filter(Boolean);
+    const words = tokens.filter(token => !/^\s+$/.test(token));
+    const after = words.map(normalize);
+
+    // lengths[i][j] = LCS length of before[i:] and after[j:]
+    const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j] && before[i]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const kept = new Set();
+    for (let i = 0, j = 0; i < before.length && j < after.length;) {
+        if (before[i] === after[j] && before[i]) {
+            kept.add(j);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+
+    // Merge runs of words with the same flag. Whitespace joins a run only when
+    // it sits between two words of that run, so highlights never end in a space.
+    const parts = [];
+    let wordIndex = 0;
+    let space = '';
+    tokens.forEach(token => {
+        if (/^\s+$/.test(token)) {
+            space += token;
+            return;
+        }
+        const added = !kept.has(wordIndex++);
+        const last = parts[parts.length - 1];
+        if (last && last.added === added) {
+            last.text += space + token;
+        } else if (added) {
+            // `last` (if any) is an unhighlighted run here, so the space can join it
+            if (last) {
+                last.text += space;
+            } else if (space) {
+                parts.push({ text: space, added: false });
             }
-        }, 15000);
+            parts.push({ text: token, added });
+        } else {
+            parts.push({ text: space + token, added });
+        }
+        space = '';
+    });
+    if (space) parts.push({ text: space, added: false });
+    return parts;
+}
+
+// ============================================
+// Panel 2: Offline Preview
+// ============================================
+//
+// When the compose call fails, the demo says why and shows a rule-based local
+// rewrite (offline-rewriter.js) labelled "Offline preview" instead of passing
+// it off as AI output.
+
+// Failure reason -> catalog key of the notice shown above the local rewrite
+const FAILURE_MESSAGES = {
+    offline: 'failure.offline',
+    timeout: 'failure.timeout',
+    auth: 'failure.auth',
+    quota: 'failure.quota',
+    error: 'failure.error'
+};
+
+// Failure reason behind the result on screen; null when it came from the API
+let offlineReason = null;
+
+function classifyComposeFailure(error) {
+    if (!navigator.onLine) return 'offline';
+    if (error.code === NativeBridge.BridgeError.TIMEOUT) return 'timeout';
+    const reason = error.details && error.details.reason;
+    return FAILURE_MESSAGES[reason] ? reason : 'error';
+}
+
+function showOfflineNotice(reason) {
+    offlineReason = reason;
+    document.getElementById('offline-notice-text').textContent = I18n.t(FAILURE_MESSAGES[reason]);
+    document.getElementById('offline-notice').style.display = 'flex';
+    document.getElementById('offline-badge').style.display = compareMode ? 'none' : 'inline-block';
+}
+
+function hideOfflineNotice() {
+    offlineReason = null;
+    document.getElementById('offline-notice').style.display = 'none';
+    document.getElementById('offline-badge').style.display = 'none';
+}
+
+// Re-run the real request for the draft on screen
+function retryTransform(trigger) {
+    OnboardingAnalytics.track('onboarding_transform_retry', {
+        reason: offlineReason,
+        trigger
     });
+    transformText();
 }
 
+window.addEventListener('online', () => {
+    if (offlineReason === 'offline' && !transformController) {
+        retryTransform('online');
+    }
+});
+
 function copyResult() {
     const outputText = document.getElementById('output-text').textContent;
     navigator.clipboard.writeText(outputText).then(() => {
         const copyBtn = document.querySelector('.copy-btn');
         const originalText = copyBtn.textContent;
-        copyBtn.textContent = 'Copied!';
+        copyBtn.textContent = I18n.t('common.copied');
         setTimeout(() => {
             copyBtn.textContent = originalText;
         }, 1500);
@@ -147,54 +1119,211 @@ function copyResult() {
 // Permission Handling
 // ============================================
 
+// Swift reports each permission as one of these states, and every state
+// gets its own status line, troubleshooting steps and one-click fixes.
+// `primaryFix` is what the card's main button does. Texts are catalog keys;
+// steps get the System Settings pane as {pane}.
+const PERMISSION_STATE_UI = {
+    'not-determined': {
+        status: 'permissions.notDetermined.status',
+        button: 'permissions.notDetermined.button',
+        primaryFix: 'request',
+        steps: [],
+        fixes: []
+    },
+    denied: {
+        status: 'permissions.denied.status',
+        button: 'permissions.denied.button',
+        primaryFix: 'openSettings',
+        steps: [
+            'permissions.denied.openPane',
+            'permissions.denied.switchOn',
+            'permissions.denied.comeBack'
+        ],
+        fixes: []
+    },
+    'granted-but-needs-relaunch': {
+        status: 'permissions.relaunch.status',
+        button: 'permissions.relaunch.button',
+        primaryFix: 'relaunch',
+        steps: [
+            'permissions.relaunch.why',
+            'permissions.relaunch.progressSaved'
+        ],
+        fixes: []
+    },
+    'stale-entry': {
+        status: 'permissions.staleEntry.status',
+        button: 'permissions.staleEntry.button',
+        primaryFix: 'reset',
+        steps: [
+            'permissions.staleEntry.why',
+            'permissions.staleEntry.reset',
+            'permissions.staleEntry.removeAndAdd'
+        ],
+        fixes: ['openSettings']
+    },
+    granted: {
+        status: 'permissions.granted.status',
+        button: 'permissions.granted.button',
+        primaryFix: null,
+        steps: [],
+        fixes: []
+    }
+};
+
+const PERMISSION_FIX_LABELS = {
+    openSettings: 'permissions.fix.openSettings',
+    relaunch: 'permissions.fix.relaunch',
+    reset: 'permissions.fix.reset'
+};
+
+// Elements behind each permission's card (panel 3 and panel 5)
+const PERMISSION_CARDS = {
+    accessibility: {
+        pane: 'permissions.pane.accessibility',
+        card: 'accessibility-card',
+        button: 'accessibility-btn',
+        statusText: 'accessibility-status-text',
+        help: 'accessibility-help'
+    },
+    screenRecording: {
+        pane: 'permissions.pane.screenRecording',
+        card: 'screen-card',
+        button: 'screen-btn',
+        statusText: 'screen-status-text',
+        help: 'screen-help'
+    }
+};
+
+let permissionStates = {
+    accessibility: 'not-determined',
+    screenRecording: 'not-determined'
+};
+
 function grantPermission(type) {
-    sendMessage('requestPermissions', { type });
+    OnboardingAnalytics.mark(`${type}_requested`);
+    const fix = PERMISSION_STATE_UI[permissionStates[type]].primaryFix;
+    if (fix === 'request') {
+        NativeBridge.post('requestPermissions', { type });
+    } else if (fix) {
+        applyPermissionFix(type, fix);
+    }
 }
 
-window.updatePermissionStatus = function(status) {
-    console.log('Permission status update:', status);
-    permissionsGranted.accessibility = status.accessibility;
-    permissionsGranted.screenRecording = status.screenRecording;
-
-    // Update accessibility button/card (panel 3)
-    const accessibilityCard = document.getElementById('accessibility-card');
-    const accessibilityBtn = document.getElementById('accessibility-btn');
-    if (accessibilityCard && accessibilityBtn) {
-        if (permissionsGranted.accessibility) {
-            accessibilityCard.classList.add('granted');
-            accessibilityBtn.textContent = 'Enabled';
-            accessibilityBtn.classList.add('granted');
-            accessibilityBtn.disabled = true;
-        } else {
-            accessibilityCard.classList.remove('granted');
-            accessibilityBtn.textContent = 'Enable';
-            accessibilityBtn.classList.remove('granted');
-            accessibilityBtn.disabled = false;
-        }
+async function applyPermissionFix(permission, fix) {
+    OnboardingAnalytics.track('permission_fix', {
+        permission,
+        fix,
+        state: permissionStates[permission]
+    });
+    if (fix === 'relaunch') {
+        // The app quits right after: hand queued events to Swift first
+        appRestarting = true;
+        await OnboardingAnalytics.flush();
     }
+    NativeBridge.post('permissionAction', { permission, fix });
+}
 
-    // Update screen access button/card (panel 5)
-    const screenCard = document.getElementById('screen-card');
-    const screenBtn = document.getElementById('screen-btn');
-    const screenStatusText = document.getElementById('screen-status-text');
-    if (screenCard && screenBtn) {
-        if (permissionsGranted.screenRecording) {
-            screenCard.classList.add('granted');
-            screenBtn.textContent = 'Enabled';
-            screenBtn.classList.add('granted');
-            screenBtn.disabled = true;
-            if (screenStatusText) screenStatusText.textContent = 'Access granted!';
-        } else {
-            screenCard.classList.remove('granted');
-            screenBtn.textContent = 'Enable';
-            screenBtn.classList.remove('granted');
-            screenBtn.disabled = false;
-            if (screenStatusText) screenStatusText.textContent = 'Click Enable, then toggle on TheQuickFox';
-        }
+// Accepts `{accessibility: {state}}` as well as the older `{accessibility: true}`
+function permissionStateFrom(value) {
+    if (value && typeof value === 'object') {
+        return PERMISSION_STATE_UI[value.state] ? value.state : 'not-determined';
     }
+    return value ? 'granted' : 'not-determined';
+}
+
+function setPermissionStates(status) {
+    Object.keys(PERMISSION_CARDS).forEach(permission => {
+        if (!(permission in status)) return;
+        const previous = permissionStates[permission];
+        permissionStates[permission] = permissionStateFrom(status[permission]);
+        permissionsGranted[permission] = permissionStates[permission] === 'granted';
+        renderPermissionCard(permission);
+
+        // Polling repeats the same state; only changes on the card being shown are read out
+        const step = currentStep();
+        if (permissionStates[permission] !== previous && step && step.permission === permission) {
+            const ids = PERMISSION_CARDS[permission];
+            announce('permission-announcer', I18n.t('announce.permission', {
+                pane: I18n.t(ids.pane),
+                status: I18n.t(PERMISSION_STATE_UI[permissionStates[permission]].status)
+            }));
+        }
+    });
+    reportPermissionGrants();
+}
 
-    // If screen recording granted while on panel 5, auto-complete
-    if (currentPanel === 5 && permissionsGranted.screenRecording) {
+// Time-to-grant, once per permission, for permissions whose step the user has seen
+function reportPermissionGrants() {
+    Object.keys(PERMISSION_CARDS).forEach(permission => {
+        const shownFor = OnboardingAnalytics.since(`${permission}_shown`);
+        if (!permissionsGranted[permission] || shownFor === null) return;
+        if (OnboardingAnalytics.since(`${permission}_granted`) !== null) return;
+
+        OnboardingAnalytics.mark(`${permission}_granted`);
+        OnboardingAnalytics.track('permission_granted', {
+            permission,
+            ms_since_shown: shownFor,
+            ms_since_request: OnboardingAnalytics.since(`${permission}_requested`)
+        });
+    });
+}
+
+function renderPermissionCard(permission) {
+    const ids = PERMISSION_CARDS[permission];
+    const state = permissionStates[permission];
+    const ui = PERMISSION_STATE_UI[state];
+    const granted = state === 'granted';
+
+    const card = document.getElementById(ids.card);
+    const button = document.getElementById(ids.button);
+    if (!card || !button) return;
+
+    card.classList.toggle('granted', granted);
+    card.dataset.state = state;
+    button.textContent = I18n.t(ui.button);
+    button.classList.toggle('granted', granted);
+    button.disabled = granted;
+
+    const statusText = document.getElementById(ids.statusText);
+    if (statusText) statusText.textContent = I18n.t(ui.status);
+
+    const help = document.getElementById(ids.help);
+    if (!help) return;
+
+    const pane = I18n.t(ids.pane);
+    const steps = ui.steps.map(key => I18n.t(key, { pane }));
+    const list = document.createElement('ol');
+    steps.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'permission-help-actions';
+    ui.fixes.forEach(fix => {
+        const fixButton = document.createElement('button');
+        fixButton.type = 'button';
+        fixButton.className = 'link-btn';
+        fixButton.textContent = I18n.t(PERMISSION_FIX_LABELS[fix]);
+        fixButton.addEventListener('click', () => applyPermissionFix(permission, fix));
+        actions.appendChild(fixButton);
+    });
+
+    help.replaceChildren(...(steps.length > 0 ? [list] : []), ...(ui.fixes.length > 0 ? [actions] : []));
+    help.style.display = steps.length > 0 ? 'block' : 'none';
+}
+
+window.updatePermissionStatus = function(status) {
+    console.log('Permission status update:', status);
+    setPermissionStates(status);
+
+    // If the final step's permission was just granted, auto-complete.
+    // Polls keep coming until Swift handles the completion.
+    const step = currentStep();
+    if (!onboardingCompleted && step && isLastStep() && step.permission && permissionsGranted[step.permission]) {
         // Small delay to let user see the "granted" state
         setTimeout(() => {
             completeOnboarding();
@@ -204,12 +1333,87 @@ window.updatePermissionStatus = function(status) {
     updateContinueButton();
 };
 
-function skipToPermissions() {
-    currentPanel = 3;
-    updateUI();
-    sendMessage('track', { event: 'skipped_to_permissions' });
+function startPermissionMonitoring() {
+    NativeBridge.post('startPermissionMonitoring', {});
+}
+
+// Jump past the skippable intro steps to the next one that needs the user
+function skipAhead() {
+    const from = currentStep();
+    const target = steps.findIndex((step, index) => index > currentStepIndex && !step.skippable);
+    if (target === -1) return;
+
+    goToStep(target);
+    OnboardingAnalytics.track('skipped_to_permissions', {
+        from: from.analyticsName,
+        to: currentStep().analyticsName
+    });
+}
+
+
+// ============================================
+// Panel 5: Limited Mode
+// ============================================
+//
+// Users who won't grant screen recording can still finish. Replies are then
+// composed from the typed text only; Swift flags the app as limited and
+// offers "Enable Screen Context..." in the menu bar, which reopens this page
+// on the screen recording step alone.
+
+// Opened from the menu bar to add screen recording after a limited finish
+let screenContextSetupOnly = false;
+
+function showLimitedMode() {
+    document.getElementById('limited-mode-link').style.display = 'none';
+    document.getElementById('limited-mode-card').style.display = 'block';
+    OnboardingAnalytics.track('limited_mode_viewed', {
+        state: permissionStates.screenRecording
+    });
+}
+
+function hideLimitedMode() {
+    document.getElementById('limited-mode-card').style.display = 'none';
+    document.getElementById('limited-mode-link').style.display = 'inline';
+    document.getElementById('screen-btn').focus();
+}
+
+function completeLimitedMode() {
+    if (!canComplete({ limited: true })) {
+        // A step before this one no longer holds (e.g. accessibility was revoked)
+        const blocking = steps.findIndex(step => step.permission !== 'screenRecording' && !step.canProceed());
+        if (blocking === -1 || blocking === currentStepIndex) {
+            document.getElementById('limited-mode-note').textContent = I18n.t('limited.cantFinish');
+        } else {
+            goToStep(blocking);
+        }
+        return;
+    }
+
+    completeOnboarding({ limited: true });
+    OnboardingAnalytics.track('onboarding_limited_mode', {
+        state: permissionStates.screenRecording
+    });
+
+    document.getElementById('limited-mode-actions').style.display = 'none';
+    document.getElementById('limited-mode-note').textContent = I18n.t('limited.doneNote');
 }
 
+// Called by Swift when a limited-mode user picks "Enable Screen Context..."
+window.openScreenContextSetup = function() {
+    const index = steps.findIndex(step => step.permission === 'screenRecording');
+    if (index === -1) return;
+
+    screenContextSetupOnly = true;
+    document.getElementById('limited-mode-link').style.display = 'none';
+    document.getElementById('limited-mode-card').style.display = 'none';
+
+    goToStep(index);
+    updateUI();
+    OnboardingAnalytics.track('screen_context_setup_opened', {
+        state: permissionStates.screenRecording
+    });
+};
+
 
 // ============================================
 // Email & Terms Validation
@@ -220,109 +1424,310 @@ function updateEmailValidity() {
     userEmail = emailField.value.trim();
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     emailValid = emailRegex.test(userEmail);
+
+    // A verification belongs to the address it was started for
+    if (emailVerification.status !== 'unverified' && emailVerification.email !== userEmail) {
+        resetEmailVerification();
+    }
+
+    showEmailHints();
+    renderEmailVerification();
     updateContinueButton();
 }
 
+// Typo suggestion and disposable/role warning under the email field
+function showEmailHints() {
+    const suggestion = emailValid ? EmailChecks.suggest(userEmail) : null;
+    const suggestionRow = document.getElementById('email-suggestion');
+    if (suggestion) {
+        document.getElementById('email-suggestion-btn').textContent = suggestion;
+        if (suggestionRow.style.display !== 'block') {
+            OnboardingAnalytics.track('email_typo_suggested', {
+                domain: suggestion.split('@').pop()
+            });
+        }
+    }
+    suggestionRow.style.display = suggestion ? 'block' : 'none';
+
+    const warning = emailValid && !suggestion ? EmailChecks.warning(userEmail) : null;
+    const warningRow = document.getElementById('email-warning');
+    warningRow.textContent = warning ? I18n.t(`account.emailWarning.${warning.kind}`) : '';
+    warningRow.style.display = warning ? 'block' : 'none';
+}
+
+function acceptEmailSuggestion() {
+    const suggestion = document.getElementById('email-suggestion-btn').textContent;
+    OnboardingAnalytics.track('email_typo_accepted', {
+        domain: suggestion.split('@').pop()
+    });
+
+    const emailField = document.getElementById('email-field');
+    emailField.value = suggestion;
+    updateEmailValidity();
+    saveOnboardingState();
+    emailField.focus();
+}
+
 function updateTermsAcceptance() {
     const checkbox = document.getElementById('terms-checkbox');
     termsAccepted = checkbox.checked;
     updateContinueButton();
+    saveOnboardingState();
 
     if (termsAccepted) {
-        sendMessage('track', { event: 'terms_accepted' });
+        OnboardingAnalytics.track('terms_accepted');
+    }
+}
+
+// ============================================
+// Email Verification
+// ============================================
+//
+// Optional: "Verify now" emails a 6-digit code (plus a magic link). The user
+// either types the code here or opens the link anywhere; Swift listens on
+// the API's VerificationChannel and calls window.onEmailVerified either way.
+// Continue never waits for it.
+
+// status: 'unverified' | 'sending' | 'pending' | 'verified'
+let emailVerification = { status: 'unverified', email: '', verificationId: null };
+
+const VERIFY_STATE_LABELS = {
+    unverified: 'verify.state.unverified',
+    sending: 'verify.state.sending',
+    pending: 'verify.state.pending',
+    verified: 'verify.state.verified'
+};
+
+function renderEmailVerification() {
+    const { status } = emailVerification;
+    document.getElementById('email-verify').style.display = emailValid ? 'block' : 'none';
+
+    const stateLabel = document.getElementById('verify-state');
+    stateLabel.textContent = I18n.t(VERIFY_STATE_LABELS[status]);
+    stateLabel.className = `verify-state ${status}`;
+
+    const verifyButton = document.getElementById('verify-btn');
+    verifyButton.style.display = status === 'verified' ? 'none' : 'inline';
+    verifyButton.disabled = status === 'sending';
+    verifyButton.textContent = I18n.t(status === 'pending' ? 'verify.resend' : 'verify.verifyNow');
+
+    document.getElementById('verify-code-row').style.display = status === 'pending' ? 'flex' : 'none';
+}
+
+function setVerifyError(message) {
+    document.getElementById('verify-error').textContent = message || '';
+}
+
+function resetEmailVerification() {
+    if (emailVerification.status === 'pending') {
+        // Stop listening for the old address
+        NativeBridge.post('watchEmailVerification', {});
+    }
+    emailVerification = { status: 'unverified', email: '', verificationId: null };
+    document.getElementById('verify-code').value = '';
+    setVerifyError('');
+}
+
+async function requestEmailCode() {
+    if (!emailValid || emailVerification.status === 'sending') return;
+
+    const email = userEmail;
+    emailVerification = { status: 'sending', email, verificationId: null };
+    setVerifyError('');
+    renderEmailVerification();
+
+    try {
+        const result = await NativeBridge.request('requestEmailCode', { email }, { timeout: 15000 });
+        // The address changed while the request was out
+        if (emailVerification.email !== email) return;
+
+        emailVerification = { status: 'pending', email, verificationId: result.verificationId };
+        OnboardingAnalytics.track('email_code_requested');
+        document.getElementById('verify-code').focus();
+    } catch (error) {
+        if (emailVerification.email !== email) return;
+        emailVerification = { status: 'unverified', email: '', verificationId: null };
+        setVerifyError(accountErrorMessage(error, 'verify.sendFailed'));
     }
+    renderEmailVerification();
+    saveOnboardingState();
+}
+
+function updateVerifyCode() {
+    const codeField = document.getElementById('verify-code');
+    codeField.value = codeField.value.replace(/\D/g, '').slice(0, 6);
+    document.getElementById('verify-confirm-btn').disabled = codeField.value.length !== 6;
+
+    if (codeField.value.length === 6) {
+        confirmEmailCode();
+    }
+}
+
+async function confirmEmailCode() {
+    const code = document.getElementById('verify-code').value;
+    const { status, verificationId, email } = emailVerification;
+    if (status !== 'pending' || code.length !== 6) return;
+
+    const confirmButton = document.getElementById('verify-confirm-btn');
+    confirmButton.disabled = true;
+    setVerifyError('');
+
+    try {
+        await NativeBridge.request('confirmEmailCode', { verificationId, code }, { timeout: 15000 });
+        markEmailVerified(email, 'code');
+    } catch (error) {
+        if (emailVerification.verificationId !== verificationId) return;
+        confirmButton.disabled = false;
+        setVerifyError(accountErrorMessage(error, 'verify.checkFailed'));
+    }
+}
+
+function markEmailVerified(email, method) {
+    // Ignore a late confirmation for an address the user has since changed
+    if (emailVerification.status !== 'pending' || emailVerification.email !== email) return;
+
+    emailVerification = { status: 'verified', email, verificationId: null };
+    setVerifyError('');
+    renderEmailVerification();
+    saveOnboardingState();
+    OnboardingAnalytics.track('email_verified', { method });
+}
+
+// Called by Swift when the VerificationChannel reports the address confirmed
+window.onEmailVerified = function(payload) {
+    const method = (payload && payload.method) || 'link';
+    if (payload && payload.purpose === 'sign_in') {
+        completeSignIn(payload.email || signIn.email, method);
+        return;
+    }
+    const email = (payload && payload.email) || emailVerification.email;
+    markEmailVerified(email, method);
+};
+
+function restoreEmailVerification(saved) {
+    if (!saved || saved.email !== userEmail) return;
+
+    if (saved.status === 'verified') {
+        emailVerification = { status: 'verified', email: saved.email, verificationId: null };
+    } else if (saved.status === 'pending' && saved.verificationId) {
+        emailVerification = { status: 'pending', email: saved.email, verificationId: saved.verificationId };
+        // The link may still be clicked while the app was restarting
+        NativeBridge.post('watchEmailVerification', { verificationId: saved.verificationId });
+    }
+    renderEmailVerification();
 }
 
 function openTermsOfService(event) {
     event.preventDefault();
-    sendMessage('openLink', { url: 'https://www.thequickfox.ai/terms' });
+    NativeBridge.post('openLink', { url: 'https://www.thequickfox.ai/terms' });
 }
 
 function openPrivacyPolicy(event) {
     event.preventDefault();
-    sendMessage('openLink', { url: 'https://www.thequickfox.ai/privacy/' });
+    NativeBridge.post('openLink', { url: 'https://www.thequickfox.ai/privacy/' });
 }
 
 // ============================================
 // Navigation
 // ============================================
 
+// Move to the step at `index`, running the leave/enter hooks
+function goToStep(index) {
+    if (index < 0 || index >= steps.length || index === currentStepIndex) return;
+
+    const direction = index > currentStepIndex ? 'forward' : 'back';
+
+    // Everything passed on the way forward counts as done and is left, skipped
+    // steps included, so their saves still happen
+    const leaving = direction === 'forward' ? steps.slice(currentStepIndex, index) : [currentStep()];
+    leaving.forEach(step => {
+        if (step.onLeave) step.onLeave(direction);
+        if (direction === 'forward') completedSteps.add(step.id);
+    });
+
+    currentStepIndex = index;
+    const to = currentStep();
+    OnboardingAnalytics.enterStep(to.analyticsName, direction);
+    // Time-to-grant starts the first time the step is shown without the permission
+    if (to.permission && !permissionsGranted[to.permission]) {
+        OnboardingAnalytics.mark(`${to.permission}_shown`);
+    }
+
+    updateUI();
+    saveOnboardingState();
+
+    if (to.onEnter) to.onEnter(direction);
+}
+
 function navigateNext() {
-    if (currentPanel < totalPanels) {
-        // When leaving Panel 4 (email/TOS), save onboarding progress early
-        // This ensures the flag is set before screen recording (which may restart the app)
-        if (currentPanel === 4 && termsAccepted && emailValid) {
-            sendMessage('saveOnboardingProgress', { email: userEmail });
-        }
+    if (!currentStep().canProceed()) return;
 
-        currentPanel++;
-        updateUI();
-        sendMessage('track', { event: 'panel_view', props: { panel: currentPanel } });
-    } else if (currentPanel === totalPanels) {
-        if (canComplete()) {
-            completeOnboarding();
-        }
+    if (!isLastStep()) {
+        goToStep(nextStepIndex());
+        OnboardingAnalytics.track('panel_view', {
+            panel: currentStepIndex + 1,
+            step: currentStep().analyticsName
+        });
+    } else if (canComplete()) {
+        completeOnboarding();
     }
 }
 
 function navigateBack() {
-    if (currentPanel > 1) {
-        currentPanel--;
-        updateUI();
-        sendMessage('track', { event: 'panel_back', props: { panel: currentPanel } });
+    if (currentStepIndex > 0) {
+        goToStep(currentStepIndex - 1);
+        OnboardingAnalytics.track('panel_back', {
+            panel: currentStepIndex + 1,
+            step: currentStep().analyticsName
+        });
     }
 }
 
 function canProceed() {
-    switch (currentPanel) {
-        case 1:
-            return true;  // Always can proceed from demo
-        case 2:
-            return true;  // Can proceed even without trying (but encourage trying)
-        case 3:
-            return permissionsGranted.accessibility;  // Must grant accessibility
-        case 4:
-            return termsAccepted && emailValid;  // Must accept terms and enter email
-        case 5:
-            return permissionsGranted.screenRecording;  // Must grant screen recording
-        default:
-            return true;
-    }
+    return currentStep().canProceed();
 }
 
-function canComplete() {
-    return permissionsGranted.accessibility && permissionsGranted.screenRecording && termsAccepted && emailValid;
+// `limited` finishes without the screen recording grant. When reopened from
+// the menu bar, the other steps were already done on the first run.
+function canComplete({ limited = false } = {}) {
+    const required = screenContextSetupOnly
+        ? steps.filter(step => step.permission === 'screenRecording')
+        : steps;
+    return required.every(step => (limited && step.permission === 'screenRecording') || step.canProceed());
 }
 
 function updateUI() {
-    window.currentPanel = currentPanel;
+    const step = currentStep();
 
-    // Update carousel position
+    // Tell Swift which permission (if any) to keep polling
+    window.currentStepPermission = step.permission;
+
+    // Update carousel position; right-to-left pages lay the panels out the other way
     const carousel = document.getElementById('carousel');
-    const offset = -(currentPanel - 1) * 100;
+    const offset = (I18n.dir === 'rtl' ? 1 : -1) * currentStepIndex * 100;
     carousel.style.transform = `translateX(${offset}%)`;
 
-    // Update active panel class
-    document.querySelectorAll('.panel').forEach((panel, index) => {
-        panel.classList.toggle('active', index + 1 === currentPanel);
+    // Update active panel class; off-screen panels are inert so Tab and
+    // screen readers can't reach them
+    document.querySelectorAll('.panel[data-step]').forEach(panel => {
+        const active = panel.dataset.step === step.id;
+        panel.classList.toggle('active', active);
+        panel.toggleAttribute('inert', !active);
     });
 
     // Update progress dots
     document.querySelectorAll('.dot').forEach((dot, index) => {
-        dot.classList.toggle('active', index + 1 === currentPanel);
+        dot.classList.toggle('active', index === currentStepIndex);
     });
 
-    // Update navigation buttons
-    const backButton = document.querySelector('.back-button');
-    const continueButton = document.getElementById('continue-btn');
-
     // Show/hide back button
-    backButton.style.visibility = currentPanel === 1 ? 'hidden' : 'visible';
+    const backButton = document.querySelector('.back-button');
+    backButton.style.visibility = currentStepIndex === 0 || screenContextSetupOnly ? 'hidden' : 'visible';
 
-    // Show skip button only on panels 1 and 2 (before permission screens)
+    // Skip is offered on skippable steps only
     const skipButton = document.getElementById('skip-btn');
     if (skipButton) {
-        skipButton.style.display = (currentPanel === 1 || currentPanel === 2) ? 'inline-block' : 'none';
+        skipButton.style.display = step.skippable ? 'inline-block' : 'none';
     }
 
     // Show navigation on all panels
@@ -333,85 +1738,141 @@ function updateUI() {
 
     updateContinueButton();
 
-    // Handle panel-specific logic
-    if (currentPanel === 2) {
-        // Focus input after transition
-        setTimeout(() => {
-            const input = document.getElementById('user-input');
-            if (input) input.focus();
-        }, 500);
-    }
-
-    if (currentPanel === 4) {
-        // Focus email input after transition
-        setTimeout(() => {
-            const emailField = document.getElementById('email-field');
-            if (emailField) emailField.focus();
-        }, 500);
-    }
-
-    if (currentPanel === 3 || currentPanel === 5) {
-        // Start permission monitoring for permission panels
-        sendMessage('startPermissionMonitoring', {});
-    }
+    // Focus after transition
+    setTimeout(() => {
+        if (currentStep() !== step) return;
+        const target = step.focus
+            ? document.querySelector(step.focus)
+            : panelForStep(step.id).querySelector('h1');
+        if (target) target.focus();
+    }, 500);
 }
 
 function updateContinueButton() {
     const continueButton = document.getElementById('continue-btn');
+    const step = currentStep();
+    if (!step) return;
 
-    switch (currentPanel) {
-        case 1:
-            continueButton.textContent = 'Continue';
-            continueButton.disabled = false;
-            break;
-        case 2:
-            continueButton.textContent = 'Continue';
-            continueButton.disabled = false;
-            break;
-        case 3:
-            continueButton.textContent = 'Continue';
-            continueButton.disabled = !permissionsGranted.accessibility;
-            break;
-        case 4:
-            continueButton.textContent = 'Continue';
-            continueButton.disabled = !(termsAccepted && emailValid);  // Must accept terms and email
-            break;
-        case 5:
-            continueButton.textContent = 'Finish';
-            continueButton.disabled = !permissionsGranted.screenRecording;  // Must grant screen recording
-            break;
-        default:
-            continueButton.textContent = 'Continue';
-            continueButton.disabled = false;
-    }
+    continueButton.textContent = I18n.t(step.buttonLabel);
+    continueButton.disabled = !step.canProceed();
 }
 
 // ============================================
 // Keyboard Navigation
 // ============================================
 
+// Enter continues when the step allows it, Cmd+[ goes back and Esc closes the
+// video modal. Arrow keys stay unbound: they used to advance panels by accident.
+
 function setupKeyboardNavigation() {
-    // Disabled - arrow keys were accidentally advancing panels
+    document.addEventListener('keydown', handleKeyboardShortcut);
+}
+
+// Keys typed into a field belong to the field, not the carousel
+function isTypingTarget(element) {
+    return Boolean(element) &&
+        (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+}
+
+function handleKeyboardShortcut(event) {
+    if (event.defaultPrevented || event.isComposing) return;
+
+    if (isVideoModalOpen()) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            closeVideoModal();
+        } else if (event.key === 'Tab') {
+            trapFocus(document.getElementById('video-modal'), event);
+        }
+        return;
+    }
+
+    if (isTypingTarget(event.target)) return;
+
+    const modifiers = event.metaKey || event.ctrlKey || event.altKey || event.shiftKey;
+    if (event.key === 'Enter' && !modifiers && !event.repeat) {
+        // Buttons, links and the video thumbnails handle their own Enter
+        if (event.target.closest && event.target.closest('button, a, [role="button"]')) return;
+        if (!canProceed()) return;
+        event.preventDefault();
+        navigateNext();
+    } else if (event.key === '[' && event.metaKey) {
+        if (currentStepIndex === 0 || screenContextSetupOnly) return;
+        event.preventDefault();
+        navigateBack();
+    }
+}
+
+// Keep Tab and Shift+Tab cycling inside `container`
+function trapFocus(container, event) {
+    const focusable = [...container.querySelectorAll('button, [href], [tabindex]:not([tabindex="-1"])')]
+        .filter(element => !element.disabled);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (!container.contains(active)) {
+        event.preventDefault();
+        first.focus();
+    } else if (event.shiftKey && active === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+// Read `message` out through one of the live regions in index.html.
+// Cleared first so the same message twice is still announced.
+function announce(regionId, message) {
+    const region = document.getElementById(regionId);
+    if (!region) return;
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 100);
 }
 
 // ============================================
 // Completion
 // ============================================
 
-function completeOnboarding() {
-    sendMessage('completeOnboarding', { email: userEmail });
+// `limited`: finish without screen recording (see Panel 5: Limited Mode)
+function completeOnboarding({ limited = false } = {}) {
+    if (onboardingCompleted) return;
+    onboardingCompleted = true;
+    NativeBridge.post('completeOnboarding', { email: userEmail, limited });
 
     // Fire confetti!
     fireConfetti();
 
-    sendMessage('track', { event: 'onboarding_completed', props: {
+    OnboardingAnalytics.track('onboarding_completed', {
         has_screen_recording: permissionsGranted.screenRecording,
-        tried_transform: hasTransformed
-    }});
+        tried_transform: hasTransformed,
+        limited_mode: limited,
+        from_limited_mode: screenContextSetupOnly,
+        duration_ms: OnboardingAnalytics.since('session_started')
+    });
+    OnboardingAnalytics.flush();
 }
 
+// Called by Swift as the window closes
+window.onOnboardingWindowClose = function() {
+    OnboardingAnalytics.enterStep(null);
+    if (!onboardingCompleted && !appRestarting && !screenContextSetupOnly) {
+        OnboardingAnalytics.track('onboarding_abandoned', {
+            step: currentStep().analyticsName,
+            completed_steps: completedSteps.size,
+            duration_ms: OnboardingAnalytics.since('session_started')
+        });
+    }
+    OnboardingAnalytics.flush();
+};
+
 function closeOnboarding() {
-    sendMessage('closeWindow', {});
+    NativeBridge.post('closeWindow', {});
 }
 
 // ============================================
@@ -495,40 +1956,29 @@ function fireConfetti() {
 // Error Handling
 // ============================================
 
-window.navigateToPermissionsWithError = function(errorMessage) {
-    // Navigate to accessibility panel (panel 3)
-    currentPanel = 3;
-    updateUI();
+// Jump to the step that owns `target` - a permission ('accessibility',
+// 'screenRecording') or a step id such as 'account' - and show the error there
+window.navigateToPermissionsWithError = function(target = 'accessibility') {
+    const index = steps.findIndex(step => step.permission === target || step.id === target);
+    if (index === -1) return;
+    const stepId = steps[index].id;
+    const errorMessage = I18n.t(stepId === 'account' ? 'account.termsRequired' : `permissions.required.${steps[index].permission}`);
+    goToStep(index);
 
     setTimeout(() => {
-        const panelContent = document.querySelector('.panel[data-panel="3"] .panel-content');
+        document.querySelectorAll('.permissions-error').forEach(error => error.remove());
+
+        const panel = panelForStep(stepId);
+        const panelContent = panel && panel.querySelector('.panel-content');
         if (panelContent) {
-            let errorDiv = panelContent.querySelector('.permissions-error');
-            if (!errorDiv) {
-                errorDiv = document.createElement('div');
-                errorDiv.className = 'permissions-error';
-                panelContent.insertBefore(errorDiv, panelContent.firstChild);
-            }
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'permissions-error';
             errorDiv.textContent = errorMessage;
+            panelContent.insertBefore(errorDiv, panelContent.firstChild);
         }
     }, 100);
 };
 
-// ============================================
-// Swift Communication
-// ============================================
-
-function sendMessage(action, data = {}) {
-    if (window.webkit && window.webkit.messageHandlers.onboarding) {
-        window.webkit.messageHandlers.onboarding.postMessage({
-            action,
-            ...data
-        });
-    } else {
-        console.log('Swift bridge not available:', action, data);
-    }
-}
-
 // ============================================
 // System Appearance
 // ============================================
@@ -0,0 +1,531 @@
+// State
+let runningApps = [];
+let checklist = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    // Help along if the shortcut doesn't work
+    startTroubleshooting();
+
+    // Set system appearance
+    if (window.setSystemAppearance) {
+        // Will be called from Swift
+    }
+});
+
+// Called from Swift when HUD appears
+window.onHUDAppeared = function() {
+    showSuccess();
+
+    // Fire confetti!
+    fireConfetti();
+
+    checklistLoaded.then(() => {
+        if (!checklist.started) {
+            checklist.started = true;
+            saveChecklist();
+        }
+    });
+};
+
+function showSuccess() {
+    stopTroubleshooting();
+
+    // Transition to success state
+    document.getElementById('try-container').classList.add('hidden');
+    document.getElementById('success-container').classList.add('visible');
+}
+
+function closeWindow() {
+    NativeBridge.post('closeWindow', {});
+}
+
+Dom.actions({ closeWindow });
+
+// System appearance
+window.setSystemAppearance = function(mode) {
+    document.body.classList.toggle('dark-mode', mode === 'dark');
+};
+
+// Receive running apps from Swift - the checklist is built from them and shows their icons
+window.setRunningApps = function(apps) {
+    runningApps = apps || [];
+    if (!checklist) return;
+
+    // Nothing tried yet, so the list can still follow what's running
+    if (!checklist.started) {
+        checklist = buildChecklist(runningApps, checklist.lastUseId);
+    }
+    renderChecklist();
+};
+
+// ============================================
+// First-use checklist
+// ============================================
+//
+// Once the shortcut works, the success state lists a few things to try in the
+// apps that are running: "Reply in Mail", "Rewrite a Slack message", "Ask
+// about a screenshot". Swift logs every real HUD use with its app and mode
+// (FirstUseChecklist.swift), including uses made while this window is closed,
+// and the matching item ticks off. The checklist is saved in Swift, so the
+// "Things to Try..." menu item can reopen it until every item is done.
+
+const CHECKLIST_VERSION = 1;
+
+// Most specific first: a use ticks the first open item it matches
+const APP_TASKS = [
+    {
+        id: 'reply',
+        mode: 'compose',
+        bundles: ['com.apple.mail', 'com.microsoft.Outlook', 'com.readdle.smartemail-Mac', 'com.superhuman.electron']
+    },
+    {
+        id: 'rewrite',
+        mode: 'compose',
+        bundles: ['com.tinyspeck.slackmacgap', 'com.microsoft.teams2', 'com.hnc.Discord', 'com.apple.MobileSMS',
+            'net.whatsapp.WhatsApp', 'ru.keepcoder.Telegram']
+    },
+    {
+        id: 'code',
+        mode: 'code',
+        bundles: ['com.apple.dt.Xcode', 'com.microsoft.VSCode', 'com.todesktop.230313mzl4w4u92',
+            'dev.zed.Zed', 'com.sublimetext.4']
+    },
+    {
+        id: 'browse',
+        mode: 'ask',
+        bundles: ['com.apple.Safari', 'com.google.Chrome', 'company.thebrowser.Browser', 'org.mozilla.firefox',
+            'com.microsoft.edgemac', 'com.brave.Browser']
+    }
+];
+
+// Any app will do for these
+const ANYWHERE_TASKS = {
+    compose: { id: 'compose', mode: 'compose' },
+    ask: { id: 'ask', mode: 'ask' }
+};
+
+const MAX_APP_TASKS = 3;
+
+function taskFor(item) {
+    return APP_TASKS.find(task => task.id === item.id) || ANYWHERE_TASKS[item.id];
+}
+
+// One item per task with a running app, plus asking about a screenshot;
+// without an app to reply in, replying anywhere stands in for one
+function buildChecklist(apps, lastUseId = 0) {
+    const items = [];
+    APP_TASKS.forEach(task => {
+        const app = apps.find(candidate => task.bundles.includes(candidate.bundleId));
+        if (app && items.length < MAX_APP_TASKS) {
+            items.push({ id: task.id, app: { name: app.name, bundleId: app.bundleId }, done: false });
+        }
+    });
+
+    if (!items.some(item => taskFor(item).mode === 'compose')) {
+        items.unshift({ id: 'compose', app: null, done: false });
+    }
+    items.push({ id: 'ask', app: null, done: false });
+
+    return { version: CHECKLIST_VERSION, items, started: false, finished: false, lastUseId };
+}
+
+async function loadChecklist() {
+    let saved = null;
+    try {
+        saved = await NativeBridge.request('loadChecklist', {}, { timeout: 3000 });
+    } catch (error) {
+        console.log('No checklist restored:', error.message);
+    }
+
+    const restored = saved && saved.checklist;
+    if (restored && restored.version === CHECKLIST_VERSION && restored.started) {
+        checklist = restored;
+    } else {
+        checklist = buildChecklist(runningApps, (restored && restored.lastUseId) || 0);
+    }
+
+    // Back after trying the shortcut, e.g. from the menu bar: straight to the list
+    if (checklist.started) {
+        showSuccess();
+    }
+
+    const uses = (saved && saved.uses) || [];
+    const ticked = uses.filter(use => countUse(use)).length;
+    renderChecklist();
+    if (ticked > 0) saveChecklist();
+}
+
+const checklistLoaded = new Promise(resolve => {
+    document.addEventListener('DOMContentLoaded', () => loadChecklist().then(resolve));
+});
+
+// Called from Swift for each HUD use while the window is open
+window.onHUDUsed = function(use) {
+    checklistLoaded.then(() => {
+        if (!countUse(use)) return;
+        renderChecklist();
+        saveChecklist();
+        if (checklist.finished) fireConfetti();
+    });
+};
+
+// Tick the first open item `use` matches; true when the checklist changed.
+// Swift's ids only grow, so a use already counted is skipped
+function countUse(use) {
+    if (!use || use.id <= checklist.lastUseId) return false;
+    checklist.lastUseId = use.id;
+
+    const item = checklist.items.find(candidate =>
+        !candidate.done &&
+        taskFor(candidate).mode === use.mode &&
+        (!candidate.app || candidate.app.bundleId === use.bundleId));
+    if (!item) return false;
+
+    item.done = true;
+    checklist.started = true;
+    checklist.finished = checklist.items.every(candidate => candidate.done);
+    return true;
+}
+
+function saveChecklist() {
+    NativeBridge.post('saveChecklist', { checklist });
+}
+
+function renderChecklist() {
+    const done = checklist.items.filter(item => item.done).length;
+    document.getElementById('checklist-progress').textContent =
+        I18n.t('completion.checklist.progress', { done, total: checklist.items.length });
+    document.getElementById('checklist-items').replaceChildren(...checklist.items.map(checklistItem));
+    document.getElementById('checklist-done').hidden = !checklist.finished;
+}
+
+function checklistItem(item) {
+    const app = item.app && runningApps.find(candidate => candidate.bundleId === item.app.bundleId);
+    return Dom.h('li', { className: item.done ? 'checklist-item done' : 'checklist-item' }, [
+        Dom.h('span', { className: 'checklist-check', attrs: { 'aria-hidden': 'true' } }, item.done ? '✓' : ''),
+        app ? Dom.h('img', { className: 'app-icon', src: app.icon, alt: '' }) : null,
+        Dom.h('span', { className: 'checklist-label' },
+            I18n.t(`completion.checklist.${item.id}`, { app: item.app ? item.app.name : '' }))
+    ]);
+}
+
+// ============================================
+// Shortcut troubleshooting
+// ============================================
+//
+// While the shortcut hasn't opened the HUD, help steps up: the hint after 5
+// seconds, a live view of the Control presses reaching the app after 15, and
+// after 30 what Swift finds in the way (HotkeyDiagnostics.swift), with a fix
+// for each problem and a way to send it all to support.
+
+const TROUBLESHOOTING_STAGES = [
+    { after: 5000, show: showHint },
+    { after: 15000, show: showKeyVisualizer },
+    { after: 30000, show: showDiagnostics }
+];
+
+const MAX_SHOWN_PRESSES = 6;
+
+// Up to this many seconds apart, two presses read as a double press that was too slow
+const NEAR_MISS_SECONDS = 1;
+
+const SUPPORT_EMAIL = 'support@thequickfox.com';
+
+const troubleshooting = {
+    timers: [],
+    startedAt: 0,
+    presses: [],      // Control presses Swift reported: { interval, maxInterval, triggered }
+    pagePresses: 0,   // Control presses this page saw itself
+    diagnostics: null // what getHotkeyDiagnostics last reported
+};
+
+function startTroubleshooting() {
+    troubleshooting.startedAt = Date.now();
+    troubleshooting.timers = TROUBLESHOOTING_STAGES.map(stage => setTimeout(stage.show, stage.after));
+}
+
+function stopTroubleshooting() {
+    troubleshooting.timers.forEach(clearTimeout);
+    troubleshooting.timers = [];
+}
+
+function showHint() {
+    const hintText = document.getElementById('hint-text');
+    hintText.classList.remove('hidden');
+    hintText.classList.add('visible');
+}
+
+// Called from Swift for every Control press its key listener sees
+window.onControlKey = function(press) {
+    troubleshooting.presses = [...troubleshooting.presses, press].slice(-MAX_SHOWN_PRESSES);
+    renderKeyPresses();
+};
+
+// The page only sees keys while this window is focused, which is enough to tell
+// a keyboard that works from presses that never reach the app's key listener
+document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Control' || event.repeat) return;
+    troubleshooting.pagePresses += 1;
+    renderKeyPresses();
+
+    const visualizer = document.getElementById('key-visualizer');
+    if (!visualizer.hidden && pressesNotReachingApp()) {
+        showDiagnostics();
+    }
+});
+
+function pressesNotReachingApp() {
+    return troubleshooting.presses.length === 0 && troubleshooting.pagePresses >= 2;
+}
+
+function showKeyVisualizer() {
+    document.getElementById('key-visualizer').hidden = false;
+    renderKeyPresses();
+}
+
+function renderKeyPresses() {
+    const nodes = troubleshooting.presses.flatMap((press, index) => [
+        index > 0 && press.interval !== undefined ? pressInterval(press) : null,
+        Dom.h('span', { className: press.triggered ? 'key-press triggered' : 'key-press' }, '^')
+    ]).filter(Boolean);
+    document.getElementById('key-presses').replaceChildren(...nodes);
+
+    const [key, params] = keyStatus();
+    document.getElementById('key-status').textContent = I18n.t(key, params);
+}
+
+function pressInterval(press) {
+    const fast = press.interval <= press.maxInterval;
+    return Dom.h('span', { className: fast ? 'key-interval fast' : 'key-interval' },
+        I18n.t('completion.keys.interval', { ms: Math.round(press.interval * 1000) }));
+}
+
+function keyStatus() {
+    const last = troubleshooting.presses[troubleshooting.presses.length - 1];
+    if (!last) {
+        return [pressesNotReachingApp() ? 'completion.keys.notReaching' : 'completion.keys.waiting'];
+    }
+    if (last.triggered) {
+        return ['completion.keys.triggered'];
+    }
+    if (last.interval !== undefined && last.interval <= NEAR_MISS_SECONDS) {
+        return ['completion.keys.tooSlow', {
+            ms: Math.round(last.interval * 1000),
+            max: Math.round(last.maxInterval * 1000)
+        }];
+    }
+    return ['completion.keys.received'];
+}
+
+async function showDiagnostics() {
+    document.getElementById('diagnostics').hidden = false;
+    document.getElementById('diagnostics-checks').replaceChildren(
+        Dom.h('li', { className: 'diagnostics-check' }, I18n.t('completion.diagnostics.checking')));
+
+    try {
+        troubleshooting.diagnostics = await NativeBridge.request('getHotkeyDiagnostics', {}, { timeout: 5000 });
+    } catch (error) {
+        console.log('No hotkey diagnostics:', error.message);
+        troubleshooting.diagnostics = null;
+    }
+    renderDiagnostics();
+}
+
+function renderDiagnostics() {
+    const items = diagnosticChecks(troubleshooting.diagnostics).map(check =>
+        Dom.h('li', { className: check.problem ? 'diagnostics-check problem' : 'diagnostics-check' }, [
+            Dom.h('span', { className: 'diagnostics-mark', attrs: { 'aria-hidden': 'true' } }, check.problem ? '!' : '✓'),
+            Dom.h('div', { className: 'diagnostics-text' }, [
+                Dom.h('p', {}, check.text),
+                check.fixes && check.fixes.length > 0
+                    ? Dom.h('div', { className: 'diagnostics-fixes' }, check.fixes.map(fixButton))
+                    : null
+            ])
+        ]));
+    document.getElementById('diagnostics-checks').replaceChildren(...items);
+}
+
+// One line per thing that can block the shortcut; `fixes` are permissionAction fixes
+function diagnosticChecks(diagnostics) {
+    if (!diagnostics) {
+        return [{ problem: true, text: I18n.t('completion.diagnostics.unavailable') }];
+    }
+
+    const checks = [];
+    if (diagnostics.accessibility === 'stale-entry') {
+        checks.push({
+            problem: true,
+            text: I18n.t('completion.diagnostics.accessibilityStale'),
+            fixes: ['reset', 'openSettings']
+        });
+    } else if (diagnostics.accessibility !== 'granted') {
+        checks.push({
+            problem: true,
+            text: I18n.t('completion.diagnostics.accessibilityOff'),
+            fixes: ['openSettings', 'relaunch']
+        });
+    } else if (!diagnostics.listening) {
+        checks.push({ problem: true, text: I18n.t('completion.diagnostics.notListening'), fixes: ['relaunch'] });
+    } else {
+        checks.push({ problem: false, text: I18n.t('completion.diagnostics.listening') });
+    }
+
+    if (diagnostics.secureInput) {
+        checks.push({
+            problem: true,
+            text: diagnostics.secureInputApp
+                ? I18n.t('completion.diagnostics.secureInputApp', { app: diagnostics.secureInputApp })
+                : I18n.t('completion.diagnostics.secureInput')
+        });
+    } else {
+        checks.push({ problem: false, text: I18n.t('completion.diagnostics.noSecureInput') });
+    }
+
+    const interceptors = diagnostics.keyInterceptors || [];
+    if (interceptors.length > 0) {
+        checks.push({
+            problem: true,
+            text: I18n.t('completion.diagnostics.keyInterceptors', { apps: interceptors.join(', ') })
+        });
+    }
+    return checks;
+}
+
+function fixButton(fix) {
+    return Dom.h('button', { type: 'button', className: 'fix-btn', dataset: { onClick: 'applyHotkeyFix', fix } },
+        I18n.t(`permissions.fix.${fix}`));
+}
+
+function applyHotkeyFix(button) {
+    NativeBridge.post('permissionAction', { permission: 'accessibility', fix: button.dataset.fix });
+}
+
+function showSupportForm() {
+    document.getElementById('support-form').hidden = false;
+    document.getElementById('support-message').focus();
+}
+
+// What this page saw, next to the diagnostics Swift attaches itself
+function supportPageDetails() {
+    return {
+        control_presses: troubleshooting.pagePresses,
+        reported_presses: troubleshooting.presses.length,
+        seconds_waiting: Math.round((Date.now() - troubleshooting.startedAt) / 1000)
+    };
+}
+
+async function sendSupportRequest(button) {
+    const status = document.getElementById('support-status');
+    button.disabled = true;
+    status.textContent = I18n.t('completion.support.sending');
+    document.getElementById('support-email').hidden = true;
+
+    try {
+        await NativeBridge.request('contactSupport', {
+            message: document.getElementById('support-message').value,
+            details: supportPageDetails()
+        }, { timeout: 15000 });
+        status.textContent = I18n.t('completion.support.sent');
+    } catch (error) {
+        console.log('Support request failed:', error.message);
+        button.disabled = false;
+        status.textContent = I18n.t('completion.support.failed');
+        document.getElementById('support-email').hidden = false;
+    }
+}
+
+// Fallback when the request can't be sent: the same details in an email
+function emailSupport() {
+    const diagnostics = troubleshooting.diagnostics || {};
+    const lines = [
+        document.getElementById('support-message').value,
+        '',
+        ...Object.entries({ ...diagnostics, ...supportPageDetails() })
+            .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+    ];
+    const subject = encodeURIComponent("Double Control doesn't open TheQuickFox");
+    const body = encodeURIComponent(lines.join('\n'));
+    NativeBridge.post('openLink', { url: `mailto:${SUPPORT_EMAIL}?subject=${subject}&body=${body}` });
+}
+
+Dom.actions({
+    applyHotkeyFix,
+    recheckDiagnostics: showDiagnostics,
+    showSupportForm,
+    sendSupportRequest,
+    emailSupport
+});
+
+// Confetti animation (same as onboarding)
+function fireConfetti() {
+    const canvas = document.getElementById('confetti-canvas');
+    const ctx = canvas.getContext('2d');
+
+    canvas.width = window.innerWidth;
+    canvas.height = window.innerHeight;
+
+    const particles = [];
+    const particleCount = 150;
+    const colors = ['#007aff', '#0055d4', '#ff9500', '#34c759', '#5ac8fa', '#ff3b30'];
+
+    class Particle {
+        constructor() {
+            this.x = Math.random() * canvas.width;
+            this.y = -10;
+            this.size = Math.random() * 8 + 4;
+            this.speedY = Math.random() * 3 + 2;
+            this.speedX = Math.random() * 4 - 2;
+            this.color = colors[Math.floor(Math.random() * colors.length)];
+            this.rotation = Math.random() * 360;
+            this.rotationSpeed = Math.random() * 10 - 5;
+            this.opacity = 1;
+        }
+
+        update() {
+            this.y += this.speedY;
+            this.x += this.speedX;
+            this.rotation += this.rotationSpeed;
+            this.speedY += 0.1;
+
+            if (this.y > canvas.height - 100) {
+                this.opacity -= 0.02;
+            }
+        }
+
+        draw() {
+            ctx.save();
+            ctx.translate(this.x, this.y);
+            ctx.rotate(this.rotation * Math.PI / 180);
+            ctx.fillStyle = this.color;
+            ctx.globalAlpha = this.opacity;
+            ctx.fillRect(-this.size / 2, -this.size / 2, this.size, this.size / 2);
+            ctx.restore();
+        }
+    }
+
+    for (let i = 0; i < particleCount; i++) {
+        setTimeout(() => {
+            particles.push(new Particle());
+        }, i * 20);
+    }
+
+    function animate() {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        particles.forEach((particle, index) => {
+            particle.update();
+            particle.draw();
+
+            if (particle.opacity <= 0) {
+                particles.splice(index, 1);
+            }
+        });
+
+        if (particles.length > 0) {
+            requestAnimationFrame(animate);
+        }
+    }
+
+    animate();
+}
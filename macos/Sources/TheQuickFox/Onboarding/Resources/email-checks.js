@@ -0,0 +1,163 @@
+// ============================================
+// Email Checks
+// ============================================
+//
+// Client-side hints for the email step. Nothing here blocks the user: a
+// typo gets a "Did you mean ...?" suggestion, and disposable or shared
+// role addresses get a warning.
+//
+//   EmailChecks.suggest('jane@gmial.com')     // -> 'jane@gmail.com'
+//   EmailChecks.warning('info@mailinator.com') // -> { kind: 'disposable' }
+
+(function () {
+    // Domains common enough that a near miss is almost certainly a typo
+    const COMMON_DOMAINS = [
+        'gmail.com',
+        'googlemail.com',
+        'yahoo.com',
+        'yahoo.co.uk',
+        'hotmail.com',
+        'hotmail.co.uk',
+        'outlook.com',
+        'live.com',
+        'msn.com',
+        'icloud.com',
+        'me.com',
+        'mac.com',
+        'aol.com',
+        'proton.me',
+        'protonmail.com',
+        'gmx.com',
+        'gmx.de',
+        'web.de',
+        'mail.com',
+        'fastmail.com',
+        'zoho.com',
+        'yandex.com',
+        'comcast.net',
+        'verizon.net'
+    ];
+
+    // Real mail domains within an edit or two of a common one ("ymail.com",
+    // "yahoo.ca"). They are never "corrected".
+    const KNOWN_DOMAINS = new Set([
+        'ymail.com',
+        'email.com',
+        'fastmail.fm',
+        'cloud.com',
+        'hotmail.ca',
+        'hotmail.co.jp',
+        'yahoo.ca',
+        'yahoo.co.in',
+        'yahoo.co.jp'
+    ]);
+
+    const DISPOSABLE_DOMAINS = new Set([
+        'mailinator.com',
+        'guerrillamail.com',
+        'guerrillamail.net',
+        'sharklasers.com',
+        '10minutemail.com',
+        'tempmail.com',
+        'temp-mail.org',
+        'tempmailo.com',
+        'throwawaymail.com',
+        'yopmail.com',
+        'trashmail.com',
+        'getnada.com',
+        'dispostable.com',
+        'maildrop.cc',
+        'mintemail.com',
+        'fakeinbox.com',
+        'emailondeck.com',
+        'mohmal.com'
+    ]);
+
+    // Shared inboxes: receipts and trial reminders tend to get lost in them
+    const ROLE_LOCAL_PARTS = new Set([
+        'admin',
+        'administrator',
+        'billing',
+        'contact',
+        'hello',
+        'help',
+        'info',
+        'mail',
+        'noreply',
+        'no-reply',
+        'office',
+        'postmaster',
+        'sales',
+        'support',
+        'team',
+        'webmaster'
+    ]);
+
+    function splitAddress(email) {
+        const at = email.lastIndexOf('@');
+        if (at <= 0) return null;
+        return {
+            local: email.slice(0, at),
+            domain: email.slice(at + 1).toLowerCase()
+        };
+    }
+
+    // Levenshtein distance, with adjacent swaps ("gmial") counted as one edit
+    function editDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+
+    // Corrected address when the domain is a near miss of a common one, else null
+    function suggest(email) {
+        const parts = splitAddress(email);
+        if (!parts || !parts.domain) return null;
+        if (COMMON_DOMAINS.includes(parts.domain) || KNOWN_DOMAINS.has(parts.domain)) return null;
+
+        let best = null;
+        let bestDistance = Infinity;
+        for (const domain of COMMON_DOMAINS) {
+            // Short domains sit close to each other ("acme.com" vs "me.com"),
+            // so only allow a single edit there
+            const maxDistance = Math.min(parts.domain.length, domain.length) <= 7 ? 1 : 2;
+            const distance = editDistance(parts.domain, domain);
+            if (distance <= maxDistance && distance < bestDistance) {
+                best = domain;
+                bestDistance = distance;
+            }
+        }
+        return best ? `${parts.local}@${best}` : null;
+    }
+
+    // { kind } for addresses worth a second look, else null. The page words
+    // each kind from its string catalog.
+    function warning(email) {
+        const parts = splitAddress(email);
+        if (!parts) return null;
+
+        if (DISPOSABLE_DOMAINS.has(parts.domain)) {
+            return { kind: 'disposable' };
+        }
+        if (ROLE_LOCAL_PARTS.has(parts.local.toLowerCase())) {
+            return { kind: 'role' };
+        }
+        return null;
+    }
+
+    window.EmailChecks = { suggest, warning };
+})();
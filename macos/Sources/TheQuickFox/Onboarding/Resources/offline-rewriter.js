@@ -0,0 +1,194 @@
+// ============================================
+// Offline Rewriter
+// ============================================
+//
+// Rule-based stand-in for the compose API when the demo can't reach it.
+// It only tidies the draft (abbreviations, contractions, capitalization,
+// greeting and sign-off per tone), and the page labels its output as an
+// offline preview rather than AI.
+//
+//   OfflineRewriter.rewrite('hey can we move mtg to tmrw', 'formal')
+//   // -> "Hello,\n\nWould it be possible to move meeting to tomorrow?\n\nBest regards"
+
+(function () {
+    const ABBREVIATIONS = {
+        mtg: 'meeting',
+        mtgs: 'meetings',
+        tmrw: 'tomorrow',
+        tmr: 'tomorrow',
+        tmw: 'tomorrow',
+        tdy: 'today',
+        tonite: 'tonight',
+        pls: 'please',
+        plz: 'please',
+        thx: 'thanks',
+        thnx: 'thanks',
+        ty: 'thank you',
+        u: 'you',
+        ur: 'your',
+        r: 'are',
+        b4: 'before',
+        bc: 'because',
+        cuz: 'because',
+        abt: 'about',
+        msg: 'message',
+        ppl: 'people',
+        wk: 'week',
+        btw: 'by the way',
+        asap: 'as soon as possible',
+        idk: "I don't know",
+        rn: 'right now',
+        np: 'no problem',
+        w: 'with',
+        mon: 'Monday',
+        tue: 'Tuesday',
+        tues: 'Tuesday',
+        thu: 'Thursday',
+        thurs: 'Thursday',
+        fri: 'Friday',
+        // Not abbreviations, but commonly typed lowercase
+        monday: 'Monday',
+        tuesday: 'Tuesday',
+        wednesday: 'Wednesday',
+        thursday: 'Thursday',
+        friday: 'Friday',
+        saturday: 'Saturday',
+        sunday: 'Sunday'
+    };
+
+    // Contractions typed without the apostrophe
+    const MISSING_APOSTROPHES = {
+        dont: "don't",
+        doesnt: "doesn't",
+        didnt: "didn't",
+        cant: "can't",
+        wont: "won't",
+        isnt: "isn't",
+        arent: "aren't",
+        wasnt: "wasn't",
+        couldnt: "couldn't",
+        shouldnt: "shouldn't",
+        wouldnt: "wouldn't",
+        im: "I'm",
+        ive: "I've",
+        youre: "you're",
+        thats: "that's",
+        whats: "what's"
+    };
+
+    // Contracted -> expanded; formal expands, the other tones contract
+    const CONTRACTIONS = [
+        ["can't", 'cannot'],
+        ["won't", 'will not'],
+        ["don't", 'do not'],
+        ["doesn't", 'does not'],
+        ["didn't", 'did not'],
+        ["isn't", 'is not'],
+        ["aren't", 'are not'],
+        ["wasn't", 'was not'],
+        ["couldn't", 'could not'],
+        ["shouldn't", 'should not'],
+        ["wouldn't", 'would not'],
+        ["I'm", 'I am'],
+        ["I've", 'I have'],
+        ["I'll", 'I will'],
+        ["you're", 'you are'],
+        ["that's", 'that is'],
+        ["it's", 'it is'],
+        ["what's", 'what is']
+    ];
+
+    const TONES = {
+        formal: {
+            greeting: 'Hello,',
+            signOff: 'Best regards',
+            separator: '\n\n',
+            askPrefix: 'Would it be possible to',
+            contract: false
+        },
+        friendly: {
+            greeting: 'Hey!',
+            signOff: 'Thanks!',
+            separator: ' ',
+            askPrefix: 'Any chance we could',
+            contract: true
+        },
+        flirty: {
+            greeting: 'Well hello there.',
+            signOff: "Don't keep me waiting.",
+            separator: ' ',
+            askPrefix: 'How about we',
+            contract: true
+        }
+    };
+
+    const LEADING_GREETING = /^(hey+|hi+|hello|yo|hiya|sup|good (morning|afternoon|evening))\b[\s,!.]*/i;
+    const TRAILING_SIGN_OFF = /[\s,.!]*\b(thanks|thx|thank you|cheers|ty|best|regards)[\s,.!]*$/i;
+    const LEADING_REQUEST = /^(can|could) we\s+/i;
+    const QUESTION_START = /^(can|could|would|will|should|shall|do|does|did|is|are|was|were|any|what|when|where|why|who|how)\b/i;
+
+    function replaceWords(text, dictionary) {
+        return text.replace(/\b[\w']+\b/g, word => {
+            const replacement = dictionary[word.toLowerCase()];
+            return replacement === undefined ? word : replacement;
+        });
+    }
+
+    function applyContractions(text, contract) {
+        return CONTRACTIONS.reduce((result, [short, long]) => {
+            const [from, to] = contract ? [long, short] : [short, long];
+            const pattern = new RegExp(`\\b${from.replace("'", "['’]")}\\b`, 'gi');
+            return result.replace(pattern, match => matchCase(match, to));
+        }, text);
+    }
+
+    // Keep a leading capital when swapping one phrase for another
+    function matchCase(original, replacement) {
+        if (original[0] === original[0].toUpperCase() && original[0] !== original[0].toLowerCase()) {
+            return replacement[0].toUpperCase() + replacement.slice(1);
+        }
+        return replacement;
+    }
+
+    function capitalize(sentence) {
+        return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+    }
+
+    function punctuate(sentence) {
+        if (/[.!?]$/.test(sentence)) return sentence;
+        return sentence + (QUESTION_START.test(sentence) ? '?' : '.');
+    }
+
+    function rewrite(text, tone) {
+        const style = TONES[tone] || TONES.formal;
+
+        let body = text.trim()
+            .replace(/\s+/g, ' ')
+            .replace(LEADING_GREETING, '')
+            .replace(TRAILING_SIGN_OFF, '');
+
+        body = replaceWords(body, ABBREVIATIONS);
+        body = replaceWords(body, MISSING_APOSTROPHES);
+        body = body.replace(/\bi\b/g, 'I');
+        body = applyContractions(body, style.contract);
+
+        // "can we move it" -> tone-specific request phrasing
+        body = body.replace(LEADING_REQUEST, `${style.askPrefix} `);
+
+        const sentences = body
+            .split(/(?<=[.!?])\s+/)
+            .map(sentence => sentence.trim())
+            .filter(Boolean)
+            .map(sentence => punctuate(capitalize(sentence)));
+
+        if (sentences.length > 0 && style.askPrefix && sentences[0].startsWith(style.askPrefix)) {
+            sentences[0] = sentences[0].replace(/[.!]$/, '?');
+        }
+
+        return [style.greeting, sentences.join(' '), style.signOff]
+            .filter(Boolean)
+            .join(style.separator);
+    }
+
+    window.OfflineRewriter = { rewrite };
+})();
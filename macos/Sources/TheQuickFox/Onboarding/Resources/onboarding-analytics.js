@@ -0,0 +1,229 @@
+// ============================================
+// Onboarding Analytics
+// ============================================
+//
+// Funnel events for the onboarding page. Every event is checked against the
+// EVENTS catalog, stamped with an id, the session id and a timestamp, and
+// handed to Swift in batches. Swift keeps them in a persisted queue until the
+// API has them, so events recorded offline or just before a restart survive.
+//
+//   OnboardingAnalytics.track('email_verified', { method: 'code' })
+//   OnboardingAnalytics.enterStep('account', 'forward')  // step_dwell for the previous step
+//   OnboardingAnalytics.mark('accessibility_shown')      // first call wins
+//   OnboardingAnalytics.since('accessibility_shown')     // -> ms, or null if never marked
+
+(function () {
+    // Event name -> property -> type. A trailing '?' makes the property optional.
+    const EVENTS = {
+        onboarding_started: {},
+        onboarding_resumed: { step: 'string', saved_step: 'string?' },
+        onboarding_completed: {
+            has_screen_recording: 'boolean',
+            tried_transform: 'boolean',
+            limited_mode: 'boolean',
+            from_limited_mode: 'boolean',
+            duration_ms: 'number?'
+        },
+        onboarding_abandoned: { step: 'string', completed_steps: 'number', duration_ms: 'number?' },
+
+        // Navigation
+        panel_view: { panel: 'number', step: 'string' },
+        panel_back: { panel: 'number', step: 'string' },
+        step_dwell: { step: 'string', duration_ms: 'number', direction: 'string?' },
+        skipped_to_permissions: { from: 'string', to: 'string' },
+
+        // Panel 1: returning users
+        onboarding_sign_in_started: {},
+        onboarding_signed_in: { method: 'string', has_subscription: 'boolean', terms_accepted: 'boolean' },
+
+        // Panel 2: demo
+        onboarding_transform_success: {
+            tone: 'string',
+            scenario: 'string',
+            latency_ms: 'number',
+            first_token_ms: 'number?'
+        },
+        onboarding_transform_failed: { reason: 'string', tone: 'string', scenario: 'string', latency_ms: 'number' },
+        onboarding_transform_stopped: { scenario: 'string', compare: 'boolean', latency_ms: 'number?' },
+        onboarding_transform_retry: { reason: 'string?', trigger: 'string' },
+        onboarding_compare_toggled: { enabled: 'boolean' },
+        onboarding_compare_success: {
+            scenario: 'string',
+            succeeded: 'number',
+            failed: 'number',
+            reason: 'string?',
+            latency_ms: 'number'
+        },
+        onboarding_tone_rated: { tone: 'string', rating: 'string', scenario: 'string' },
+
+        // Permissions
+        permission_fix: { permission: 'string', fix: 'string', state: 'string' },
+        permission_granted: { permission: 'string', ms_since_shown: 'number', ms_since_request: 'number?' },
+        limited_mode_viewed: { state: 'string' },
+        onboarding_limited_mode: { state: 'string' },
+        screen_context_setup_opened: { state: 'string' },
+
+        // Panel 4: account
+        email_typo_suggested: { domain: 'string' },
+        email_typo_accepted: { domain: 'string' },
+        terms_accepted: {},
+        email_code_requested: {},
+        email_verified: { method: 'string' }
+    };
+
+    const BATCH_SIZE = 20;
+    const FLUSH_DELAY_MS = 2000;
+    const MAX_RETRY_DELAY_MS = 60000;
+
+    let sessionId = newId();
+    // Named timestamps (epoch ms), kept with the session across app restarts
+    let marks = { session_started: Date.now() };
+    let queue = [];
+    let flushTimer = null;
+    let inFlight = null;
+    let retryDelay = FLUSH_DELAY_MS;
+
+    let currentStep = null;
+    let stepEnteredAt = 0;
+
+    function newId() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // Drop what doesn't match the catalog, with a warning for whoever added the call
+    function checkedProperties(name, props) {
+        const schema = EVENTS[name];
+        const properties = {};
+
+        Object.keys(props).forEach(key => {
+            const value = props[key];
+            if (value === null || value === undefined) return;
+            if (!(key in schema)) {
+                console.warn(`Analytics: "${name}" has no property "${key}"`);
+                return;
+            }
+            const type = schema[key].replace('?', '');
+            if (typeof value !== type) {
+                console.warn(`Analytics: "${name}.${key}" should be a ${type}, got ${typeof value}`);
+                return;
+            }
+            properties[key] = type === 'number' ? Math.round(value) : value;
+        });
+
+        Object.keys(schema).forEach(key => {
+            if (!schema[key].endsWith('?') && !(key in properties)) {
+                console.warn(`Analytics: "${name}" is missing "${key}"`);
+            }
+        });
+        return properties;
+    }
+
+    function track(name, props = {}) {
+        if (!EVENTS[name]) {
+            console.warn(`Analytics: unknown event "${name}" dropped`);
+            return;
+        }
+
+        queue.push({
+            event_id: newId(),
+            name,
+            session_id: sessionId,
+            occurred_at: new Date().toISOString(),
+            properties: checkedProperties(name, props)
+        });
+
+        if (queue.length >= BATCH_SIZE) {
+            flush();
+        } else {
+            scheduleFlush(FLUSH_DELAY_MS);
+        }
+    }
+
+    function scheduleFlush(delay) {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush();
+        }, delay);
+    }
+
+    // Hand everything queued to Swift; resolves once it's there or has failed
+    function flush() {
+        if (inFlight) return inFlight.then(() => (queue.length > 0 ? flush() : undefined));
+        if (queue.length === 0) return Promise.resolve();
+
+        clearTimeout(flushTimer);
+        flushTimer = null;
+
+        const batch = queue;
+        queue = [];
+        inFlight = NativeBridge.request('trackEvents', { events: batch }, { timeout: 5000 })
+            .then(() => {
+                retryDelay = FLUSH_DELAY_MS;
+            })
+            .catch(error => {
+                // Keep order: the failed batch goes back in front of anything newer
+                console.log('Analytics batch not delivered, retrying:', error.message);
+                queue = batch.concat(queue);
+                scheduleFlush(retryDelay);
+                retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+            })
+            .finally(() => {
+                inFlight = null;
+            });
+        return inFlight;
+    }
+
+    // Report time on the step being left, then start timing `step`
+    function enterStep(step, direction = null) {
+        const now = Date.now();
+        if (currentStep && currentStep !== step) {
+            track('step_dwell', { step: currentStep, duration_ms: now - stepEnteredAt, direction });
+        }
+        if (currentStep !== step) {
+            currentStep = step;
+            stepEnteredAt = now;
+        }
+    }
+
+    function mark(name) {
+        if (!(name in marks)) marks[name] = Date.now();
+    }
+
+    function since(name) {
+        return name in marks ? Date.now() - marks[name] : null;
+    }
+
+    // Saved with the onboarding state so a restart continues the same session
+    function snapshot() {
+        return { sessionId, marks: { ...marks } };
+    }
+
+    function restore(saved) {
+        if (!saved || !saved.sessionId) return;
+        // Events recorded before the saved session was known belong to it too
+        queue.forEach(event => {
+            event.session_id = saved.sessionId;
+        });
+        sessionId = saved.sessionId;
+        marks = { ...marks, ...saved.marks };
+    }
+
+    window.addEventListener('online', () => {
+        flush();
+    });
+
+    window.OnboardingAnalytics = {
+        track,
+        flush,
+        enterStep,
+        mark,
+        since,
+        snapshot,
+        restore,
+        get sessionId() {
+            return sessionId;
+        }
+    };
+})();
@@ -0,0 +1,58 @@
+// ============================================
+// Video modal
+// ============================================
+//
+// Permission videos open larger in a modal
+
+// Element focused before the modal opened; focus returns there on close
+let videoModalOpener = null;
+
+function openVideoModal(videoSrc) {
+    const modal = document.getElementById('video-modal');
+    const modalVideo = document.getElementById('modal-video');
+    videoModalOpener = document.activeElement;
+    modalVideo.src = videoSrc;
+    modal.classList.add('visible');
+    modalVideo.play();
+    modal.querySelector('.video-modal-close-btn').focus();
+}
+
+function closeVideoModal() {
+    const modal = document.getElementById('video-modal');
+    const modalVideo = document.getElementById('modal-video');
+    modal.classList.remove('visible');
+    modalVideo.pause();
+    if (videoModalOpener) {
+        videoModalOpener.focus();
+        videoModalOpener = null;
+    }
+}
+
+Dom.actions({ closeVideoModal });
+
+function isVideoModalOpen() {
+    return document.getElementById('video-modal').classList.contains('visible');
+}
+
+// Add click and keyboard handlers to permission videos
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.permission-demo-video').forEach(container => {
+        const open = () => {
+            const video = container.querySelector('video source');
+            if (video) {
+                openVideoModal(video.src);
+            }
+        };
+        container.tabIndex = 0;
+        container.setAttribute('role', 'button');
+        container.setAttribute('aria-label', I18n.t('videoModal.enlarge'));
+        container.dataset.hint = I18n.t('videoModal.enlargeHint');
+        container.addEventListener('click', open);
+        container.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                open();
+            }
+        });
+    });
+});
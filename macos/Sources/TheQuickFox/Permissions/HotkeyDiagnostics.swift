@@ -0,0 +1,71 @@
+//
+//  HotkeyDiagnostics.swift
+//  TheQuickFox
+//
+//  What can keep a double Control press from opening the HUD: accessibility
+//  that isn't (or no longer) granted, a key listener that never started or
+//  that macOS switched off, secure input held by another app (password
+//  fields, some terminals), or a utility that intercepts modifier keys. The
+//  completion screen shows these when the shortcut doesn't work and attaches
+//  them to a support request.
+//
+
+import AppKit
+import Carbon
+
+enum HotkeyDiagnostics {
+    /// Utilities that remap or swallow modifier keys, or bind double presses of them
+    private static let keyInterceptorBundleIDs: Set<String> = [
+        "org.pqrs.Karabiner-Menu",
+        "org.pqrs.Karabiner-NotificationWindow",
+        "com.hegenberg.BetterTouchTool",
+        "com.stairways.keyboardmaestro.engine",
+        "org.hammerspoon.Hammerspoon",
+        "com.runningwithcrayons.Alfred",
+        "com.raycast.macos"
+    ]
+
+    /// Everything the completion screen's diagnostics card shows
+    static func snapshot() -> [String: Any] {
+        var result: [String: Any] = [
+            "accessibility": PermissionDiagnostics.shared.status(of: .accessibility).rawValue,
+            "listening": detector?.isListening ?? false,
+            "controlPresses": detector?.controlPressCount ?? 0,
+            "secureInput": IsSecureEventInputEnabled(),
+            "keyInterceptors": runningKeyInterceptors()
+        ]
+        if let app = secureInputApp() {
+            result["secureInputApp"] = app
+        }
+        return result
+    }
+
+    /// The snapshot as flat strings, for a feedback entry's details
+    static func supportDetails() -> [String: String] {
+        let snapshot = snapshot()
+        var details: [String: String] = [
+            "accessibility": snapshot["accessibility"] as? String ?? "unknown",
+            "listening": String(snapshot["listening"] as? Bool ?? false),
+            "control_presses": String(snapshot["controlPresses"] as? Int ?? 0),
+            "secure_input": String(snapshot["secureInput"] as? Bool ?? false),
+            "key_interceptors": (snapshot["keyInterceptors"] as? [String] ?? []).joined(separator: ", ")
+        ]
+        details["secure_input_app"] = snapshot["secureInputApp"] as? String
+        return details
+    }
+
+    // MARK: - Private
+
+    private static func runningKeyInterceptors() -> [String] {
+        NSWorkspace.shared.runningApplications
+            .filter { keyInterceptorBundleIDs.contains($0.bundleIdentifier ?? "") }
+            .compactMap { $0.localizedName }
+    }
+
+    /// The login session names the process holding secure input, if any
+    private static func secureInputApp() -> String? {
+        guard let session = CGSessionCopyCurrentDictionary() as? [String: Any],
+              let pid = session["kCGSSessionSecureInputPID"] as? Int, pid != 0 else { return nil }
+        return NSRunningApplication(processIdentifier: pid_t(pid))?.localizedName
+    }
+}
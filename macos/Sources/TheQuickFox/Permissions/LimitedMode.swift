@@ -0,0 +1,39 @@
+//
+//  LimitedMode.swift
+//  TheQuickFox
+//
+//  Onboarding can finish without screen recording. In that mode replies are
+//  composed from what the user types, with no screenshot of the window, and
+//  the menu bar offers a way back to the screen recording step. The flag
+//  clears itself once the grant shows up.
+//
+
+import Foundation
+
+enum LimitedMode {
+    private static let key = "com.foxwiseai.thequickfox.limitedMode"
+
+    static var isEnabled: Bool {
+        UserDefaults.standard.bool(forKey: key)
+    }
+
+    static func enable() {
+        UserDefaults.standard.set(true, forKey: key)
+        print("🔒 Limited mode enabled - composing without screen context")
+    }
+
+    static func disable() {
+        UserDefaults.standard.removeObject(forKey: key)
+    }
+
+    /// Switch back to full mode if screen recording now works. Returns true when it did.
+    @discardableResult
+    static func upgradeIfGranted() -> Bool {
+        guard isEnabled, PermissionDiagnostics.shared.status(of: .screenRecording) == .granted else {
+            return false
+        }
+        disable()
+        print("🔓 Screen recording granted - leaving limited mode")
+        return true
+    }
+}
@@ -0,0 +1,181 @@
+//
+//  PermissionDiagnostics.swift
+//  TheQuickFox
+//
+//  Explains *why* a permission isn't working, not just whether it is:
+//  never asked, turned off, granted but waiting for a relaunch, or granted
+//  to a previous copy of the app (moved or re-signed) so macOS no longer
+//  matches it. Onboarding shows a different fix for each.
+//
+
+import AppKit
+import Foundation
+import Security
+
+enum AppPermission: String, CaseIterable {
+    case accessibility
+    case screenRecording
+
+    /// Service name understood by `tccutil reset`
+    fileprivate var tccService: String {
+        switch self {
+        case .accessibility: return "Accessibility"
+        case .screenRecording: return "ScreenCapture"
+        }
+    }
+
+    /// Privacy pane in System Settings
+    var settingsURL: URL {
+        switch self {
+        case .accessibility:
+            return URL(string: "x-apple.systempreferences:com.apple.preference.security?Privacy_Accessibility")!
+        case .screenRecording:
+            return URL(string: "x-apple.systempreferences:com.apple.preference.security?Privacy_ScreenCapture")!
+        }
+    }
+}
+
+enum PermissionStatus: String {
+    case notDetermined = "not-determined"
+    case denied
+    case needsRelaunch = "granted-but-needs-relaunch"
+    case staleEntry = "stale-entry"
+    case granted
+}
+
+final class PermissionDiagnostics {
+    static let shared = PermissionDiagnostics()
+
+    private let defaults = UserDefaults.standard
+    private static let requestedKeyPrefix = "com.foxwiseai.thequickfox.permissionRequested."
+    private static let grantedIdentityKeyPrefix = "com.foxwiseai.thequickfox.permissionGrantedIdentity."
+
+    /// Screen recording only takes effect in a process started after the grant.
+    /// Captured on first use, which is onboarding loading - before it asks for anything.
+    private let screenRecordingGrantedAtLaunch = CGPreflightScreenCaptureAccess()
+
+    /// Where this copy of the app lives and who signed it; TCC matches grants against both
+    private lazy var appIdentity: String = {
+        "\(Bundle.main.bundleURL.path)|\(Self.signingIdentity() ?? "unsigned")"
+    }()
+
+    private init() {}
+
+    // MARK: - Status
+
+    /// Current status of `permission`. Uses cached screen recording results, so it never
+    /// triggers the system capture dialog and is cheap enough to poll.
+    func status(of permission: AppPermission) -> PermissionStatus {
+        let granted: Bool
+        switch permission {
+        case .accessibility:
+            granted = PermissionsState.shared.checkAccessibilityPermission()
+        case .screenRecording:
+            if PermissionsState.shared.hasScreenRecordingPermissions || screenRecordingGrantedAtLaunch {
+                granted = true
+            } else if CGPreflightScreenCaptureAccess() {
+                // Toggled on while we were running: capture keeps failing until a relaunch
+                return .needsRelaunch
+            } else {
+                granted = false
+            }
+        }
+
+        if granted {
+            defaults.set(appIdentity, forKey: Self.grantedIdentityKeyPrefix + permission.rawValue)
+            return .granted
+        }
+
+        // Granted to a copy of the app at another path or with another signature:
+        // the toggle looks on in System Settings but no longer applies to us
+        if let grantedIdentity = defaults.string(forKey: Self.grantedIdentityKeyPrefix + permission.rawValue),
+           grantedIdentity != appIdentity {
+            return .staleEntry
+        }
+
+        return defaults.bool(forKey: Self.requestedKeyPrefix + permission.rawValue) ? .denied : .notDetermined
+    }
+
+    /// Status of every permission, keyed by `AppPermission.rawValue`, in the shape onboarding expects
+    func snapshot() -> [String: Any] {
+        var result: [String: Any] = [:]
+        for permission in AppPermission.allCases {
+            result[permission.rawValue] = ["state": status(of: permission).rawValue]
+        }
+        return result
+    }
+
+    /// First permission that isn't working, in the order onboarding asks for them
+    func firstFailingPermission() -> AppPermission? {
+        AppPermission.allCases.first { status(of: $0) != .granted }
+    }
+
+    // MARK: - Actions
+
+    /// Remember that the user was asked, so a missing grant reads as "denied" rather than "not determined"
+    func markRequested(_ permission: AppPermission) {
+        defaults.set(true, forKey: Self.requestedKeyPrefix + permission.rawValue)
+    }
+
+    func openSettings(for permission: AppPermission) {
+        NSWorkspace.shared.open(permission.settingsURL)
+    }
+
+    /// Remove the app's (stale) entry from the privacy list so the next request starts clean
+    @discardableResult
+    func resetEntry(for permission: AppPermission) -> Bool {
+        guard let bundleID = Bundle.main.bundleIdentifier else { return false }
+
+        let process = Process()
+        process.executableURL = URL(fileURLWithPath: "/usr/bin/tccutil")
+        process.arguments = ["reset", permission.tccService, bundleID]
+        do {
+            try process.run()
+            process.waitUntilExit()
+        } catch {
+            print("❌ tccutil reset \(permission.tccService) failed: \(error)")
+            return false
+        }
+
+        defaults.removeObject(forKey: Self.grantedIdentityKeyPrefix + permission.rawValue)
+        defaults.removeObject(forKey: Self.requestedKeyPrefix + permission.rawValue)
+        print("🔄 Reset \(permission.tccService) entry (exit \(process.terminationStatus))")
+        return process.terminationStatus == 0
+    }
+
+    /// Start a fresh copy of the app and quit this one
+    func relaunch() {
+        let configuration = NSWorkspace.OpenConfiguration()
+        configuration.createsNewApplicationInstance = true
+        NSWorkspace.shared.openApplication(at: Bundle.main.bundleURL, configuration: configuration) { _, error in
+            DispatchQueue.main.async {
+                if let error = error {
+                    print("❌ Relaunch failed: \(error)")
+                    return
+                }
+                NSApp.terminate(nil)
+            }
+        }
+    }
+
+    // MARK: - Private
+
+    /// Team ID for Developer ID builds (stable across updates), else the code directory hash
+    private static func signingIdentity() -> String? {
+        var staticCode: SecStaticCode?
+        guard SecStaticCodeCreateWithPath(Bundle.main.bundleURL as CFURL, [], &staticCode) == errSecSuccess,
+              let code = staticCode else { return nil }
+
+        var information: CFDictionary?
+        guard SecCodeCopySigningInformation(code, SecCSFlags(rawValue: kSecCSSigningInformation), &information) == errSecSuccess,
+              let info = information as? [String: Any] else { return nil }
+
+        if let teamID = info[kSecCodeInfoTeamIdentifier as String] as? String {
+            return "team:\(teamID)"
+        }
+        if let cdhash = info[kSecCodeInfoUnique as String] as? Data {
+            return "cdhash:" + cdhash.map { String(format: "%02x", $0) }.joined()
+        }
+        return nil
+    }
+}
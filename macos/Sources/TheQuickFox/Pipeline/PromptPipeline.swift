@@ -207,6 +207,24 @@ public final class PromptPipeline {
                 } else {
                     shot = nil
                 }
+            } else if cachedScreenshot == nil && LimitedMode.isEnabled {
+                // Limited mode: no screen recording, so compose from the typed text alone
+                LoggingSystem.shared.logInfo(.pipeline, "Running in limited mode without screen context", sessionId: sessionId)
+
+                enhancedContext = EnhancedContext(
+                    appInfo: Self.frontmostAppInfo(),
+                    ocrData: OCRData(observations: [], extractedText: "", latencyMs: 0),
+                    accessibilityData: AccessibilityData(
+                        roleTree: nil,
+                        extractedTexts: [],
+                        uiElements: [],
+                        latencyMs: 0,
+                        error: "Limited mode - no screen context"
+                    ),
+                    scrollCaptureData: nil,
+                    captureLatencyMs: 0
+                )
+                shot = nil
             } else {
                 // Normal mode: use cached screenshot
                 LoggingManager.shared.info(
@@ -403,4 +421,19 @@ public final class PromptPipeline {
             delegate?.pipeline(self, didFail: error)
         }
     }
+
+    /// App the user is replying in, without a screenshot. Falls back to the bare
+    /// running-app details when the focused window can't be read.
+    private static func frontmostAppInfo() -> ActiveWindowInfo {
+        if let (info, _) = try? ApplicationContextProvider.fetch(includeRoleTree: false) {
+            return info
+        }
+        let app = NSWorkspace.shared.frontmostApplication
+        return ActiveWindowInfo(
+            bundleID: app?.bundleIdentifier,
+            appName: app?.localizedName,
+            windowTitle: nil,
+            pid: app?.processIdentifier ?? 0
+        )
+    }
 }
@@ -1,20 +1,29 @@
+const { h } = Dom;
+
 // State
 let selectedPriceId = null;
 let pricingData = null;
 let isProcessing = false;
+let promotion = null;  // the accepted promotion code, from checkPromoCode
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     loadAppImages();
-    fetchPricing();
+    setupPromoCode();
+    setupRestorePurchase();
+    setupDecline();
+    document.getElementById('runningLowContinue').addEventListener('click', () => {
+        NativeBridge.post('dismissRunningLow');
+    });
+    loadSubscription();
 });
 
 // Load app icon and logo
 function loadAppImages() {
     // Request images from native app
-    window.webkit.messageHandlers.upgrade.postMessage({
-        action: 'getAppImages'
-    });
+    NativeBridge.request('getAppImages')
+        .then(images => setAppImages(images.icon, images.logo))
+        .catch(error => console.log('App images unavailable:', error.message));
 }
 
 // Called by native app to set images
@@ -31,11 +40,10 @@ function setAppImages(iconBase64, logoBase64) {
 async function fetchPricing() {
     try {
         // Request pricing data from native app
-        window.webkit.messageHandlers.upgrade.postMessage({
-            action: 'fetchPricing'
-        });
+        const data = await NativeBridge.request('fetchPricing');
+        setPricingData(data);
     } catch (error) {
-        showError('Failed to load pricing options');
+        showError(I18n.t('upgrade.loadFailed'));
     }
 }
 
@@ -44,9 +52,12 @@ function setPricingData(data) {
     console.log('Received pricing data:', data);
     pricingData = data;
 
-    // Update trial limit in subtitle if provided
-    if (data.trial && data.trial.queries_limit) {
-        document.getElementById('trialLimit').textContent = data.trial.queries_limit;
+    // Update trial limit in subtitle if provided, unless the usage already
+    // picked the running-low variant
+    if (data.trial && data.trial.queries_limit && !trialQueriesLeft()) {
+        const subtitle = document.getElementById('trialLimit');
+        subtitle.dataset.i18nCount = data.trial.queries_limit;
+        I18n.render(subtitle);
     }
 
     // Render pricing options
@@ -57,7 +68,7 @@ function renderPricing(prices) {
     const container = document.getElementById('pricingContainer');
 
     if (!prices || prices.length === 0) {
-        container.innerHTML = '<p class="error">No pricing options available</p>';
+        showError(I18n.t('upgrade.noPrices'));
         return;
     }
 
@@ -66,74 +77,260 @@ function renderPricing(prices) {
     // Sort prices by amount (lowest first)
     prices.sort((a, b) => a.amount - b.amount);
 
-    // Create pricing cards with inline features and CTAs
-    const optionsHtml = prices.map((price, index) => {
-        const isMonthly = price.interval === 'month';
-        const isYearly = price.interval === 'year';
+    // Keep the user's pick when re-rendering, e.g. after applying a code
+    const selected = prices.find(p => p.price_id === selectedPriceId)
+        || prices.find(p => p.highlighted)
+        || prices[0];
 
-        let badge = '';
+    // Create pricing cards with inline features and CTAs. The server decides
+    // which card is highlighted, its badge and button, and the base plan its
+    // savings are measured against.
+    const cards = prices.map(price => {
         let cardClass = 'price-card';
-        if (isYearly) {
-            badge = 'RECOMMENDED';
-            cardClass += ' recommended selected';
+        if (price.highlighted) {
+            cardClass += ' recommended';
+        }
+        if (price === selected) {
+            cardClass += ' selected';
         }
+        const badge = price.badge ? serverLabel('badge', price.badge) : '';
 
         // Format price display
-        let priceDisplay = `$${(price.amount / 100).toFixed(2)}`;
-        let priceInterval = '';
+        let priceDisplay = formatMoney(price.amount, price);
+        let priceInterval = intervalLabel(price);
         let savings = '';
+        let originalPrice = '';
+        let promoNote = '';
+        const notes = [];
+
+        if (promoApplies(promotion, price)) {
+            originalPrice = priceDisplay;
+            priceDisplay = formatMoney(discountedAmount(promotion, price), price);
+            promoNote = promoDescription(promotion, price);
+        }
 
-        if (isMonthly) {
-            priceInterval = '/month';
-        } else if (isYearly) {
-            priceInterval = '/year';
-            const monthlyPrice = prices.find(p => p.interval === 'month');
-            if (monthlyPrice) {
-                const yearlySavings = (monthlyPrice.amount * 12 - price.amount) / 100;
-                savings = `Save $${yearlySavings.toFixed(2)}`;
+        const months = monthsIn(price);
+        if (months > 1) {
+            notes.push(I18n.t('upgrade.perMonthEquivalent', { amount: formatMoney(price.amount / months, price) }));
+        }
+
+        // Only comparable when both are charged in the same currency
+        const basePrice = prices.find(p => p.price_id === price.compare_to);
+        if (basePrice && basePrice.currency === price.currency) {
+            const baseCost = basePrice.amount * periodDays(price) / periodDays(basePrice);
+            const saved = Math.round(baseCost - price.amount);
+            if (saved > 0) {
+                savings = I18n.t('upgrade.save', {
+                    amount: formatMoney(saved, price),
+                    percent: formatPercent(saved / baseCost, price)
+                });
             }
         }
 
-        return `
-            <div class="${cardClass}"
-                 data-price-id="${price.price_id}"
-                 onclick="selectPrice('${price.price_id}')">
-                ${badge ? `<div class="badge">${badge}</div>` : ''}
-                <div class="card-content">
-                    <h3 class="plan-name">${capitalizeInterval(price.interval)}</h3>
-                    <div class="price-section">
-                        <span class="price-amount">${priceDisplay}</span>
-                        <span class="price-interval">${priceInterval}</span>
-                    </div>
-                    ${savings ? `<div class="savings">${savings}</div>` : '<div class="savings-spacer"></div>'}
+        if (TAX_LABELS[price.tax_behavior]) {
+            notes.push(I18n.t(TAX_LABELS[price.tax_behavior]));
+        }
+
+        return h('div', { className: cardClass, dataset: { priceId: price.price_id, onClick: 'selectPrice' } }, [
+            badge && h('div', { className: 'badge' }, badge),
+            h('div', { className: 'card-content' }, [
+                h('h3', { className: 'plan-name' }, planName(price)),
+                h('div', { className: 'price-section' }, [
+                    originalPrice && h('s', { className: 'price-original' }, originalPrice),
+                    h('span', { className: 'price-amount' }, priceDisplay),
+                    h('span', { className: 'price-interval' }, priceInterval)
+                ]),
+                promoNote && h('div', { className: 'promo-note' }, promoNote),
+                h('div', { className: 'price-note' }, notes.join(' · ')),
+                savings ? h('div', { className: 'savings' }, savings) : h('div', { className: 'savings-spacer' }),
+                h('div', { className: 'features-list' },
+                    price.features.map(feature => h('div', { className: 'feature-item' }, `✓ ${feature}`))),
+                h('button', {
+                    type: 'button',
+                    className: 'card-cta-btn',
+                    dataset: { priceId: price.price_id, onClick: 'selectAndUpgrade' }
+                }, serverLabel('cta', price.cta || 'start', { plan: planName(price) }))
+            ])
+        ]);
+    });
+
+    // Three or more plans (weekly, quarterly, lifetime...) go three to a row
+    const layout = prices.length > 2 ? ' many' : '';
+    container.replaceChildren(h('div', { className: `pricing-options${layout}` }, cards));
+    document.getElementById('promoSection').hidden = false;
+    document.getElementById('restoreSection').hidden = false;
+
+    if (selected) {
+        selectedPriceId = selected.price_id;
+    }
+}
+
+// Stripe's tax_behavior -> catalog key; "unspecified" gets no label
+const TAX_LABELS = {
+    inclusive: 'upgrade.taxIncluded',
+    exclusive: 'upgrade.taxExcluded'
+};
+
+// Lengths used to compare plans of different periods
+const INTERVAL_DAYS = { day: 1, week: 7, month: 365 / 12, year: 365 };
+
+function periodDays(price) {
+    return INTERVAL_DAYS[price.interval] * price.interval_count;
+}
+
+// Whole months a recurring price covers; 0 for one-time, daily and weekly
+function monthsIn(price) {
+    if (price.interval === 'month') return price.interval_count;
+    if (price.interval === 'year') return price.interval_count * 12;
+    return 0;
+}
+
+// Amounts come in the currency's smallest unit: cents for USD, whole yen for JPY
+function currencyDigits(currency) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+// A price can carry its own display locale; otherwise the page's
+function priceLocale(price) {
+    return price.locale || I18n.locale;
+}
+
+function formatMoney(minorUnits, price) {
+    const currency = price.currency.toUpperCase();
+    return new Intl.NumberFormat(priceLocale(price), { style: 'currency', currency })
+        .format(minorUnits / 10 ** currencyDigits(currency));
+}
+
+function formatPercent(fraction, price) {
+    return new Intl.NumberFormat(priceLocale(price), { style: 'percent', maximumFractionDigits: 0 })
+        .format(fraction);
+}
+
+// ============================================
+// Promotion codes
+// ============================================
+
+function setupPromoCode() {
+    const form = document.getElementById('promoForm');
+    const input = document.getElementById('promoInput');
+
+    document.getElementById('promoToggle').addEventListener('click', () => {
+        document.getElementById('promoToggle').hidden = true;
+        form.hidden = false;
+        input.focus();
+    });
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const code = input.value.trim();
+        if (code) applyPromoCode(code);
+    });
+}
+
+async function applyPromoCode(code) {
+    const applyButton = document.getElementById('promoApply');
+    applyButton.disabled = true;
+    setPromoStatus(I18n.t('upgrade.promo.checking'));
+
+    try {
+        const found = await NativeBridge.request('checkPromoCode', { code });
+        if (!pricingData.prices.some(price => promoApplies(found, price))) {
+            setPromoStatus(I18n.t('upgrade.promo.notApplicable'), true);
+            return;
+        }
+
+        promotion = found;
+        renderPricing(pricingData.prices);
+        document.getElementById('promoForm').hidden = true;
+        showAppliedPromo();
+    } catch (error) {
+        const invalid = error.details && error.details.reason === 'invalid';
+        setPromoStatus(I18n.t(invalid ? 'upgrade.promo.invalid' : 'upgrade.promo.checkFailed'), true);
+    } finally {
+        applyButton.disabled = false;
+    }
+}
+
+// "SPRING50 applied" with a way to take it off again
+function showAppliedPromo() {
+    const remove = h('button', { type: 'button', className: 'promo-remove' }, I18n.t('upgrade.promo.remove'));
+    remove.addEventListener('click', removePromoCode);
+
+    setPromoStatus(I18n.t('upgrade.promo.applied', { code: promotion.code }));
+    document.getElementById('promoStatus').append(' ', remove);
+}
+
+function removePromoCode() {
+    promotion = null;
+    renderPricing(pricingData.prices);
+    setPromoStatus('');
+    document.getElementById('promoForm').hidden = false;
+    document.getElementById('promoInput').focus();
+}
+
+function setPromoStatus(message, isError = false) {
+    const status = document.getElementById('promoStatus');
+    status.textContent = message;
+    status.classList.toggle('invalid', isError);
+}
 
-                    <div class="features-list">
-                        ${price.features.map(feature =>
-                            `<div class="feature-item">✓ ${feature}</div>`
-                        ).join('')}
-                    </div>
+// A coupon can be limited to some products, and a fixed amount off only
+// works in its own currency
+function promoApplies(promo, price) {
+    if (!promo) return false;
+    if (promo.product_ids && !promo.product_ids.includes(price.product_id)) return false;
+    if (promo.amount_off != null && promo.currency !== price.currency) return false;
+    return true;
+}
 
-                    <button class="card-cta-btn" data-price-id="${price.price_id}" onclick="event.stopPropagation(); selectAndUpgrade('${price.price_id}')">
-                        ${isMonthly ? 'Start Monthly' : 'Get Yearly'}
-                    </button>
-                </div>
-            </div>
-        `;
-    }).join('');
+function discountedAmount(promo, price) {
+    if (promo.percent_off != null) {
+        return Math.round(price.amount * (1 - promo.percent_off / 100));
+    }
+    return Math.max(0, price.amount - promo.amount_off);
+}
 
-    container.innerHTML = `<div class="pricing-options">${optionsHtml}</div>`;
+// "50% off for 3 months", "$5.00 off your first payment"
+function promoDescription(promo, price) {
+    const discount = promo.percent_off != null
+        ? formatPercent(promo.percent_off / 100, price)
+        : formatMoney(promo.amount_off, price);
 
-    // Select recommended option by default
-    const recommended = prices.find(p => p.interval === 'year') || prices[0];
-    if (recommended) {
-        selectedPriceId = recommended.price_id;
+    // A one-time price is only ever paid once
+    if (price.interval === 'one_time') return I18n.t('upgrade.promo.off', { discount });
+    if (promo.duration === 'repeating') {
+        return I18n.t('upgrade.promo.offForMonths', { discount, count: promo.duration_in_months });
     }
+    if (promo.duration === 'forever') return I18n.t('upgrade.promo.offForever', { discount });
+    return I18n.t('upgrade.promo.offFirstPayment', { discount });
 }
 
-function capitalizeInterval(interval) {
-    return interval.charAt(0).toUpperCase() + interval.slice(1) + 'ly';
+// "Monthly", "Quarterly", "2 Years", "Lifetime"
+function planName(price) {
+    if (price.interval === 'one_time') return I18n.t('upgrade.plan.lifetime');
+    if (price.interval === 'month' && price.interval_count === 3) return I18n.t('upgrade.plan.quarter');
+    return I18n.t(`upgrade.plan.${price.interval}`, { count: price.interval_count });
 }
 
+// "/month", "/3 months", "one-time"
+function intervalLabel(price) {
+    if (price.interval === 'one_time') return I18n.t('upgrade.per.once');
+    return I18n.t(`upgrade.per.${price.interval}`, { count: price.interval_count });
+}
+
+// The server sends badges and button texts as catalog names ("recommended",
+// "start"), or as text to show as written
+function serverLabel(kind, value, params) {
+    const key = `upgrade.${kind}.${value}`;
+    return I18n.has(key) ? I18n.t(key, params) : value;
+}
+
+// A card and its button carry the plan's price id
+Dom.actions({
+    selectPrice: card => selectPrice(card.dataset.priceId),
+    selectAndUpgrade: button => selectAndUpgrade(button.dataset.priceId)
+});
+
 function selectAndUpgrade(priceId) {
     if (isProcessing) return;
     
@@ -158,27 +355,737 @@ function selectPrice(priceId) {
     });
 }
 
-function updateFeaturesList(features) {
-    const list = document.getElementById('featuresList');
-    list.innerHTML = features.map(feature => `<li>${feature}</li>`).join('');
-}
-
 function handleUpgrade() {
     if (!selectedPriceId || isProcessing) return;
     
     isProcessing = true;
 
-    // Send message to native app with just the price ID
-    // The API will determine everything based on the price ID
-    window.webkit.messageHandlers.upgrade.postMessage({
-        action: 'upgrade',
-        priceId: selectedPriceId
+    // Send message to native app with the price ID, plus the promotion code
+    // when it covers that plan. The API will determine everything else.
+    const price = pricingData.prices.find(p => p.price_id === selectedPriceId);
+    const payload = { priceId: selectedPriceId };
+    if (price && promoApplies(promotion, price)) {
+        payload.promotionCodeId = promotion.promotion_code_id;
+    }
+
+    NativeBridge.request('upgrade', payload, { timeout: 30000 })
+        .then(result => startCheckout(result))
+        .catch(() => checkoutFailed());
+}
+
+// ============================================
+// Trial usage
+// ============================================
+//
+// Trial users see what their free queries went on: used against the limit,
+// queries per day and the modes they used most. While queries are left this
+// is the "running low" variant the app opens a few queries before the limit,
+// and the user can carry on with the free ones.
+
+const USAGE_DAYS = 14;  // the API's daily_usage window
+const TOP_MODES = 3;
+
+// HUD modes -> catalog key; unknown modes show as sent
+const MODE_LABELS = {
+    compose: 'upgrade.usage.mode.compose',
+    ask: 'upgrade.usage.mode.ask',
+    code: 'upgrade.usage.mode.code'
+};
+
+let usage = null;  // usage status from getSubscription, for trial users
+
+function showUsage(status) {
+    const used = status.trial_queries_used;
+    const remaining = status.trial_queries_remaining;
+    const limit = status.trial_queries_limit || used + remaining;
+    usage = { used, remaining, limit };
+
+    setHeaderVariant(remaining > 0 ? 'runningLow' : 'exhausted');
+
+    document.getElementById('usageCount').textContent = I18n.t('upgrade.usage.used', { used, count: limit });
+    const fill = document.getElementById('usageBarFill');
+    fill.style.width = `${Math.min(100, used / limit * 100)}%`;
+    fill.classList.toggle('exhausted', remaining === 0);
+
+    renderSparkline(status.daily_usage || []);
+    renderTopModes(status.queries_by_mode || {});
+    document.getElementById('usageSummary').hidden = false;
+}
+
+function trialQueriesLeft() {
+    return usage !== null && usage.remaining > 0;
+}
+
+// "You've used all 10 free queries" or "Only 2 free queries left", which
+// can be dismissed
+function setHeaderVariant(variant) {
+    const title = document.querySelector('.header h1');
+    const subtitle = document.getElementById('trialLimit');
+    const runningLow = variant === 'runningLow';
+
+    title.dataset.i18n = runningLow ? 'upgrade.runningLow.title' : 'upgrade.title';
+    subtitle.dataset.i18n = runningLow ? 'upgrade.runningLow.subtitle' : 'upgrade.subtitle';
+    subtitle.dataset.i18nCount = runningLow ? usage.remaining : usage.limit;
+    I18n.render(title);
+    I18n.render(subtitle);
+    document.getElementById('runningLowContinue').hidden = !runningLow;
+    document.getElementById('notNowButton').hidden = runningLow;
+}
+
+// One bar per day, oldest first; the API leaves out days without queries
+function renderSparkline(dailyUsage) {
+    const counts = new Map(dailyUsage.map(day => [day.date, day.count]));
+    const days = [];
+    for (let offset = USAGE_DAYS - 1; offset >= 0; offset--) {
+        const date = new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        days.push({ date, count: counts.get(date) || 0 });
+    }
+
+    const max = Math.max(1, ...days.map(day => day.count));
+    const total = days.reduce((sum, day) => sum + day.count, 0);
+    const dayFormat = new Intl.DateTimeFormat(I18n.locale, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    const svg = document.getElementById('usageSparkline');
+    const bars = days.map((day, index) => {
+        // Days with queries always show a sliver
+        const height = day.count ? Math.max(0.5, day.count / max * 10) : 0;
+        const tooltip = I18n.t('upgrade.usage.day', {
+            date: dayFormat.format(new Date(`${day.date}T00:00:00Z`)),
+            count: day.count
+        });
+        return Dom.svg('rect', { attrs: { x: index + 0.15, y: 10 - height, width: 0.7, height } }, [
+            Dom.svg('title', {}, tooltip)
+        ]);
+    });
+    svg.replaceChildren(...bars);
+
+    const summary = I18n.t('upgrade.usage.recent', { count: total, days: USAGE_DAYS });
+    svg.setAttribute('aria-label', summary);
+    document.getElementById('usageRecent').textContent = summary;
+}
+
+// "Most used: Compose (6), Ask (3) and Code (1)"
+function renderTopModes(queriesByMode) {
+    const modes = Object.entries(queriesByMode)
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_MODES)
+        .map(([mode, count]) => I18n.t('upgrade.usage.modeCount', {
+            mode: MODE_LABELS[mode] ? I18n.t(MODE_LABELS[mode]) : mode,
+            count
+        }));
+
+    const element = document.getElementById('usageModes');
+    element.textContent = modes.length
+        ? I18n.t('upgrade.usage.topModes', { modes: new Intl.ListFormat(I18n.locale).format(modes) })
+        : '';
+}
+
+// ============================================
+// Manage subscription
+// ============================================
+//
+// Subscribers get their plan and renewal date instead of the plans, and
+// change plan or billing details in the Stripe customer portal. Everyone
+// else can restore a purchase made on another Mac from the plans.
+
+// Monthly <-> yearly; any other plan gets the portal's plan picker
+const SWITCH_LABELS = {
+    month: 'upgrade.manage.switchToYearly',
+    year: 'upgrade.manage.switchToMonthly'
+};
+
+let subscription = null;  // usage status from getSubscription while managing
+
+async function loadSubscription() {
+    try {
+        const status = await NativeBridge.request('getSubscription');
+        if (status.has_subscription || status.has_lifetime_access) {
+            showManage(status);
+            return;
+        }
+        showUsage(status);
+    } catch (error) {
+        // Can't tell, so show the plans; checkout still knows a subscriber
+        console.log('Subscription status unavailable:', error.message);
+    }
+
+    subscription = null;
+    showManagePanel(false);
+    fetchPricing();
+}
+
+function showManage(status) {
+    const details = status.subscription_details || {};
+    subscription = status;
+    showManagePanel(true);
+    renderManagePlan(details, status.has_lifetime_access);
+    document.getElementById('manageRenewal').textContent = renewalText(details, status.has_lifetime_access);
+    setManageStatus('');
+
+    const actions = [];
+    if (!status.has_lifetime_access) {
+        actions.push([SWITCH_LABELS[switchableInterval(details)] || 'upgrade.manage.changePlan',
+            () => openPortal('switch_plan')]);
+        actions.push(['upgrade.manage.billing', () => openPortal()]);
+    }
+    actions.push(['upgrade.manage.done', closeWindow]);
+    document.getElementById('manageActions').replaceChildren(...actionButtons(actions));
+}
+
+// "month" or "year" for a plain monthly or yearly plan
+function switchableInterval(details) {
+    return details.interval_count === 1 ? details.interval : null;
+}
+
+// "Yearly  $40.00/year"; just the product when Stripe couldn't be reached
+function renderManagePlan(details, lifetime) {
+    const plan = document.getElementById('managePlan');
+
+    if (lifetime) {
+        plan.replaceChildren(h('strong', {}, I18n.t('upgrade.plan.lifetime')));
+    } else if (!details.interval) {
+        plan.replaceChildren(h('strong', {}, I18n.t('upgrade.manage.proPlan')));
+    } else if (details.amount == null || !details.currency) {
+        plan.replaceChildren(h('strong', {}, planName(details)));
+    } else {
+        plan.replaceChildren(...planParts(details, details.amount));
+    }
+}
+
+// "Renews on March 3, 2027", "Ends on ...", "Trial ends on ..."
+function renewalText(details, lifetime) {
+    if (lifetime) return I18n.t('upgrade.manage.lifetime');
+    if (!details.current_period_end) return '';
+
+    const date = new Intl.DateTimeFormat(I18n.locale, { dateStyle: 'long' })
+        .format(new Date(details.current_period_end * 1000));
+    if (details.cancel_at_period_end) return I18n.t('upgrade.manage.ends', { date });
+    if (details.status === 'trialing') return I18n.t('upgrade.manage.trialEnds', { date });
+    return I18n.t('upgrade.manage.renews', { date });
+}
+
+async function openPortal(flow) {
+    const buttons = document.querySelectorAll('#manageActions button');
+    buttons.forEach(button => { button.disabled = true; });
+    setManageStatus(I18n.t('upgrade.manage.opening'));
+
+    try {
+        await NativeBridge.request('openPortal', flow ? { flow } : {}, { timeout: 30000 });
+        setManageStatus(I18n.t('upgrade.manage.opened'));
+    } catch (error) {
+        setManageStatus(I18n.t('upgrade.manage.portalFailed'), true);
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+function setManageStatus(message, isError = false) {
+    const status = document.getElementById('manageStatus');
+    status.textContent = message;
+    status.classList.toggle('invalid', isError);
+}
+
+function showManagePanel(visible) {
+    document.querySelector('.header').hidden = visible;
+    document.getElementById('pricingContainer').hidden = visible;
+    document.getElementById('manageSection').hidden = !visible;
+    if (visible) {
+        document.getElementById('promoSection').hidden = true;
+        document.getElementById('restoreSection').hidden = true;
+        document.getElementById('usageSummary').hidden = true;
+    }
+}
+
+// Changes made in the portal show once the user is back from the browser
+window.addEventListener('focus', () => {
+    if (subscription) loadSubscription();
+});
+
+function setupRestorePurchase() {
+    document.getElementById('restoreButton').addEventListener('click', restorePurchase);
+    // Onboarding's sign-in moves this Mac onto the account that paid
+    document.getElementById('restoreSignInButton').addEventListener('click', () => {
+        NativeBridge.post('signIn');
+    });
+}
+
+async function restorePurchase() {
+    const button = document.getElementById('restoreButton');
+    const status = document.getElementById('restoreStatus');
+    const signInButton = document.getElementById('restoreSignInButton');
+    button.disabled = true;
+    signInButton.hidden = true;
+    status.classList.remove('invalid');
+    status.textContent = I18n.t('upgrade.restore.checking');
+
+    try {
+        const result = await NativeBridge.request('restorePurchase', {}, { timeout: 30000 });
+        if (result.restored) {
+            status.textContent = '';
+            loadSubscription();
+            return;
+        }
+        // A subscription whose renewal failed stays locked until it's paid
+        if (result.past_due) {
+            status.textContent = I18n.t('upgrade.restore.pastDue');
+            return;
+        }
+        status.textContent = I18n.t('upgrade.restore.notFound');
+        signInButton.hidden = false;
+    } catch (error) {
+        status.textContent = I18n.t('upgrade.restore.failed');
+        status.classList.add('invalid');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// ============================================
+// Not now
+// ============================================
+//
+// Instead of just closing, "Not now" asks why. Swift sends the reason to the
+// API, which may answer with an offer: a discount code for "too expensive",
+// a one-time trial extension for "not using it enough". Whatever the user
+// does with it goes back through the bridge before the window closes.
+
+const OFFERS = {
+    discount: {
+        title: 'upgrade.offer.discount.title',
+        accept: 'upgrade.offer.discount.accept'
+    },
+    trial_extension: {
+        title: 'upgrade.offer.trial.title',
+        accept: 'upgrade.offer.trial.accept'
+    }
+};
+
+let decline = null;  // { feedbackId, offer } once the reason is sent
+
+function setupDecline() {
+    const form = document.getElementById('declineSurvey');
+    const details = document.getElementById('declineDetails');
+
+    document.getElementById('notNowButton').addEventListener('click', () => showDeclinePanel(true));
+    document.getElementById('declineSkip').addEventListener('click', closeWindow);
+
+    form.addEventListener('change', () => {
+        const other = form.elements.declineReason.value === 'other';
+        details.hidden = !other;
+        if (other) details.focus();
+        document.getElementById('declineSubmit').disabled = !form.elements.declineReason.value;
+    });
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const reason = form.elements.declineReason.value;
+        if (reason) sendDeclineReason(reason, reason === 'other' ? details.value.trim() : '');
+    });
+}
+
+async function sendDeclineReason(reason, details) {
+    document.getElementById('declineSubmit').disabled = true;
+
+    try {
+        const result = await NativeBridge.request('declineUpgrade', { reason, details }, { timeout: 15000 });
+        decline = { feedbackId: result.feedback_id, offer: result.offer };
+        if (offerMessage(result.offer)) {
+            showOffer(result.offer);
+            return;
+        }
+    } catch (error) {
+        // Not worth keeping the user here for
+        console.log('Decline reason not sent:', error.message);
+    }
+    closeWindow();
+}
+
+// "50% off for 3 months with code STAY50"; null when the page can't make
+// use of the offer, e.g. a discount on none of the plans
+function offerMessage(offer) {
+    if (!offer || !OFFERS[offer.type]) return null;
+
+    if (offer.type === 'trial_extension') {
+        return I18n.t('upgrade.offer.trial.message', { count: offer.queries });
+    }
+
+    const prices = pricingData ? pricingData.prices : [];
+    const price = prices.find(p => p.price_id === selectedPriceId && promoApplies(offer.promotion, p))
+        || prices.find(p => promoApplies(offer.promotion, p));
+    if (!price) return null;
+    return I18n.t('upgrade.offer.discount.message', {
+        discount: promoDescription(offer.promotion, price),
+        code: offer.promotion.code
+    });
+}
+
+function showOffer(offer) {
+    const config = OFFERS[offer.type];
+    document.getElementById('declineSurvey').hidden = true;
+    document.getElementById('declineOffer').hidden = false;
+    document.getElementById('offerTitle').textContent = I18n.t(config.title);
+    document.getElementById('offerMessage').textContent = offerMessage(offer);
+    document.getElementById('offerStatus').textContent = '';
+    document.getElementById('offerActions').replaceChildren(...actionButtons([
+        [config.accept, acceptOffer],
+        ['upgrade.offer.noThanks', declineOffer]
+    ]));
+}
+
+async function acceptOffer() {
+    const buttons = document.querySelectorAll('#offerActions button');
+    buttons.forEach(button => { button.disabled = true; });
+    document.getElementById('offerStatus').textContent = '';
+
+    try {
+        const result = await NativeBridge.request('respondToOffer', {
+            feedbackId: decline.feedbackId,
+            accepted: true
+        }, { timeout: 15000 });
+        if (decline.offer.type === 'discount') {
+            applyOfferedDiscount(decline.offer.promotion);
+        } else {
+            showTrialExtended(result.trial_queries_remaining);
+        }
+    } catch (error) {
+        // A discount works without the server's say-so; the checkout checks the code again
+        if (decline.offer.type === 'discount') {
+            applyOfferedDiscount(decline.offer.promotion);
+            return;
+        }
+        document.getElementById('offerStatus').textContent = I18n.t('upgrade.offer.failed');
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+// Back to the plans with the code applied, as if it had been typed in
+function applyOfferedDiscount(found) {
+    promotion = found;
+    renderPricing(pricingData.prices);
+    document.getElementById('promoToggle').hidden = true;
+    document.getElementById('promoForm').hidden = true;
+    showAppliedPromo();
+    showDeclinePanel(false);
+}
+
+function showTrialExtended(remaining) {
+    document.getElementById('offerTitle').textContent = I18n.t('upgrade.offer.trial.doneTitle');
+    document.getElementById('offerMessage').textContent =
+        I18n.t('upgrade.offer.trial.done', { count: remaining });
+    document.getElementById('offerActions').replaceChildren(...actionButtons([
+        ['upgrade.offer.trial.continue', closeWindow]
+    ]));
+}
+
+async function declineOffer() {
+    document.querySelectorAll('#offerActions button').forEach(button => { button.disabled = true; });
+    try {
+        await NativeBridge.request('respondToOffer', {
+            feedbackId: decline.feedbackId,
+            accepted: false
+        }, { timeout: 15000 });
+    } catch (error) {
+        console.log('Offer answer not sent:', error.message);
+    }
+    closeWindow();
+}
+
+// The survey starts over each time it's opened
+function showDeclinePanel(visible) {
+    if (visible) {
+        const form = document.getElementById('declineSurvey');
+        form.reset();
+        form.hidden = false;
+        document.getElementById('declineDetails').hidden = true;
+        document.getElementById('declineSubmit').disabled = true;
+        document.getElementById('declineOffer').hidden = true;
+        decline = null;
+    }
+
+    document.querySelector('.header').hidden = visible;
+    document.getElementById('pricingContainer').hidden = visible;
+    document.getElementById('promoSection').hidden = visible;
+    document.getElementById('restoreSection').hidden = visible;
+    document.getElementById('usageSummary').hidden = visible || !usage;
+    document.getElementById('declineSection').hidden = !visible;
+}
+
+// ============================================
+// Checkout lifecycle
+// ============================================
+//
+// Swift opens Stripe Checkout in the browser and hands back the session id.
+// While the user is there the page polls checkoutStatus:
+//
+//   awaitingBrowser -> paymentPending -> success (closes itself)
+//                   -> cancelled -> back to the plans
+//
+// Each check in a state waits longer than the last. When a state has
+// been checked CHECKOUT_MAX_POLLS times (some 13 minutes) the page stops
+// in stillProcessing, which can pick up where it left off.
+//
+// The browser coming back through thequickfox:// (checkoutReturned) only
+// makes the next check happen sooner, or cancels straight away.
+
+const CHECKOUT_POLL_MS = 4000;
+const CHECKOUT_POLL_MAX_MS = 30000;
+const CHECKOUT_POLL_BACKOFF = 1.5;
+const CHECKOUT_MAX_POLLS = 30;
+const SUCCESS_CLOSE_SECONDS = 5;
+
+const CHECKOUT_STATES = {
+    awaitingBrowser: {
+        icon: 'waiting',
+        title: 'upgrade.checkout.awaiting.title',
+        message: 'upgrade.checkout.awaiting.message',
+        actions: [['upgrade.checkout.reopen', reopenCheckout], ['upgrade.checkout.backToPlans', backToPlans]],
+        polling: true
+    },
+    paymentPending: {
+        icon: 'waiting',
+        title: 'upgrade.checkout.pending.title',
+        message: 'upgrade.checkout.pending.message',
+        actions: [['upgrade.checkout.close', closeWindow]],
+        polling: true
+    },
+    success: {
+        icon: 'success',
+        title: 'upgrade.checkout.success.title',
+        message: 'upgrade.checkout.success.message',
+        actions: [['upgrade.checkout.startUsing', closeWindow]],
+        polling: false
+    },
+    cancelled: {
+        icon: 'cancelled',
+        title: 'upgrade.checkout.cancelled.title',
+        message: 'upgrade.checkout.cancelled.message',
+        actions: [['upgrade.checkout.backToPlans', backToPlans]],
+        polling: false
+    },
+    stillProcessing: {
+        icon: 'waiting',
+        title: 'upgrade.checkout.stillProcessing.title',
+        message: 'upgrade.checkout.stillProcessing.message',
+        actions: [['upgrade.checkout.checkAgain', checkAgain], ['upgrade.checkout.close', closeWindow]],
+        polling: false
+    }
+};
+
+// { sessionId, checkoutUrl, price, promotion, state, polls, resumeState }
+let checkout = null;
+let checkoutPollTimer = null;
+let checkoutPollInFlight = false;
+let closeCountdownTimer = null;
+
+function startCheckout(result) {
+    // Older app builds close the window themselves and send nothing back
+    if (!result || !result.sessionId) return;
+
+    checkout = {
+        sessionId: result.sessionId,
+        checkoutUrl: result.checkoutUrl,
+        price: pricingData.prices.find(p => p.price_id === selectedPriceId),
+        promotion,
+        state: null,
+        polls: 0,
+        resumeState: null
+    };
+    setCheckoutState('awaitingBrowser');
+}
+
+function setCheckoutState(state) {
+    const config = CHECKOUT_STATES[state];
+    checkout.state = state;
+    showCheckoutPanel(true);
+
+    document.getElementById('checkoutIcon').className = `checkout-icon ${config.icon}`;
+    document.getElementById('checkoutTitle').textContent = I18n.t(config.title);
+    document.getElementById('checkoutMessage').textContent = I18n.t(config.message);
+    document.getElementById('checkoutNote').textContent = '';
+    renderCheckoutPlan(state === 'cancelled' ? null : checkout.price);
+
+    document.getElementById('checkoutActions').replaceChildren(...actionButtons(config.actions));
+
+    stopCheckoutPolling();
+    if (config.polling) {
+        checkout.polls = 0;
+        scheduleCheckoutPoll();
+    }
+    if (state === 'success') startCloseCountdown();
+    if (state === 'cancelled') releaseCheckoutLock();
+}
+
+// "Yearly  $40.00/year", with the promotion's price when one was applied
+function renderCheckoutPlan(price) {
+    const plan = document.getElementById('checkoutPlan');
+    if (!price) {
+        plan.replaceChildren();
+        return;
+    }
+
+    const amount = promoApplies(checkout.promotion, price)
+        ? discountedAmount(checkout.promotion, price)
+        : price.amount;
+    plan.replaceChildren(...planParts(price, amount));
+}
+
+// <strong>Yearly</strong> <span>$40.00</span> <span>/year</span>
+function planParts(price, amount) {
+    return [
+        h('strong', {}, planName(price)),
+        h('span', {}, formatMoney(amount, price)),
+        h('span', { className: 'price-interval' }, intervalLabel(price))
+    ];
+}
+
+function showCheckoutPanel(visible) {
+    document.querySelector('.header').hidden = visible;
+    document.getElementById('pricingContainer').hidden = visible;
+    document.getElementById('promoSection').hidden = visible;
+    document.getElementById('restoreSection').hidden = visible;
+    document.getElementById('usageSummary').hidden = visible || !usage;
+    document.getElementById('checkoutState').hidden = !visible;
+}
+
+function scheduleCheckoutPoll(delay = nextCheckoutPollDelay()) {
+    clearTimeout(checkoutPollTimer);
+    checkoutPollTimer = setTimeout(pollCheckout, delay);
+}
+
+function nextCheckoutPollDelay() {
+    return Math.min(CHECKOUT_POLL_MS * CHECKOUT_POLL_BACKOFF ** checkout.polls, CHECKOUT_POLL_MAX_MS);
+}
+
+// Another check with nothing new: keep going, or stop and say so
+function continueCheckoutPolling() {
+    if (checkout.polls < CHECKOUT_MAX_POLLS) {
+        scheduleCheckoutPoll();
+        return;
+    }
+    checkout.resumeState = checkout.state;
+    setCheckoutState('stillProcessing');
+}
+
+function checkAgain() {
+    setCheckoutState(checkout.resumeState);
+    scheduleCheckoutPoll(0);
+}
+
+function stopCheckoutPolling() {
+    clearTimeout(checkoutPollTimer);
+    checkoutPollTimer = null;
+}
+
+async function pollCheckout() {
+    checkoutPollTimer = null;
+    if (!checkout || checkoutPollInFlight) return;
+
+    const polled = checkout;
+    polled.polls += 1;
+    checkoutPollInFlight = true;
+    try {
+        const status = await NativeBridge.request('checkoutStatus', { sessionId: polled.sessionId });
+        // The user may have gone back to the plans while this was in flight
+        if (checkout !== polled || !CHECKOUT_STATES[polled.state].polling) return;
+
+        const next = checkoutStateFor(status);
+        if (next === polled.state) {
+            continueCheckoutPolling();
+        } else {
+            setCheckoutState(next);
+        }
+    } catch (error) {
+        // A failed check says nothing about the payment; try again next tick
+        console.log('Checkout status unavailable:', error.message);
+        if (checkout === polled && CHECKOUT_STATES[polled.state].polling) continueCheckoutPolling();
+    } finally {
+        checkoutPollInFlight = false;
+    }
+}
+
+// Stripe's session status -> page state. A complete session that hasn't
+// unlocked Pro yet (a subscription, or a paid lifetime plan) is waiting on
+// the bank, or on our webhook.
+function checkoutStateFor(status) {
+    if (status.status === 'expired') return 'cancelled';
+    if (status.status !== 'complete') return 'awaitingBrowser';
+    return status.has_subscription ? 'success' : 'paymentPending';
+}
+
+function startCloseCountdown() {
+    let remaining = SUCCESS_CLOSE_SECONDS;
+    const note = document.getElementById('checkoutNote');
+    const tick = () => {
+        if (remaining === 0) {
+            closeWindow();
+            return;
+        }
+        note.textContent = I18n.t('upgrade.checkout.closing', { count: remaining });
+        remaining -= 1;
+        closeCountdownTimer = setTimeout(tick, 1000);
+    };
+    tick();
+}
+
+function reopenCheckout() {
+    if (checkout && checkout.checkoutUrl) {
+        NativeBridge.post('openCheckout', { url: checkout.checkoutUrl });
+    }
+}
+
+function backToPlans() {
+    stopCheckoutPolling();
+    checkout = null;
+    showCheckoutPanel(false);
+    releaseCheckoutLock();
+}
+
+// Restore the plan's button; the lock goes even if the card is gone
+function releaseCheckoutLock() {
+    setLoadingState(selectedPriceId, false);
+    isProcessing = false;
+}
+
+function closeWindow() {
+    clearTimeout(closeCountdownTimer);
+    stopCheckoutPolling();
+    NativeBridge.post('cancel');
+}
+
+// Called by native app when the browser hands back to the app
+function checkoutReturned(outcome) {
+    if (!checkout) return;
+    if (checkout.state === 'stillProcessing') setCheckoutState(checkout.resumeState);
+    if (!CHECKOUT_STATES[checkout.state].polling) return;
+
+    if (outcome === 'cancelled' && checkout.state === 'awaitingBrowser') {
+        setCheckoutState('cancelled');
+    } else {
+        scheduleCheckoutPoll(0);
+    }
+}
+
+// Called by native app when the window closes
+function onUpgradeWindowClose() {
+    clearTimeout(closeCountdownTimer);
+    stopCheckoutPolling();
+}
+
+// [catalog key, handler] pairs -> buttons, the first one primary
+function actionButtons(actions) {
+    return actions.map(([key, handler], index) => {
+        const button = h('button', {
+            type: 'button',
+            className: index === 0 ? 'action-btn primary' : 'action-btn'
+        }, I18n.t(key));
+        button.addEventListener('click', handler);
+        return button;
     });
 }
 
 function showError(message) {
     const container = document.getElementById('pricingContainer');
-    container.innerHTML = `<p class="error">${message}</p>`;
+    container.replaceChildren(h('p', { className: 'error' }, message));
 }
 
 // Handle system appearance changes
@@ -188,7 +1095,7 @@ function setSystemAppearance(appearance) {
 
 // Set loading state on button
 function setLoadingState(priceId, isLoading) {
-    const button = document.querySelector(`button[data-price-id="${priceId}"]`);
+    const button = [...document.querySelectorAll('.card-cta-btn')].find(btn => btn.dataset.priceId === priceId);
     if (!button) return;
     
     if (isLoading) {
@@ -198,7 +1105,7 @@ function setLoadingState(priceId, isLoading) {
         }
         
         button.disabled = true;
-        button.textContent = 'Loading...';
+        button.textContent = I18n.t('upgrade.loadingButton');
         
         // Disable all other buttons too
         document.querySelectorAll('.card-cta-btn').forEach(btn => {
@@ -222,10 +1129,10 @@ function setLoadingState(priceId, isLoading) {
 }
 
 // Called by native app when checkout fails
-function checkoutFailed(error) {
+function checkoutFailed() {
     isProcessing = false;
     if (selectedPriceId) {
         setLoadingState(selectedPriceId, false);
     }
-    showError(error || 'Checkout failed. Please try again.');
+    showError(I18n.t('upgrade.checkoutFailed'));
 }
@@ -6,6 +6,7 @@
 //
 
 import Cocoa
+import Combine
 import WebKit
 
 final class UpgradeWindowController: NSWindowController, NSWindowDelegate {
@@ -20,6 +21,11 @@ final class UpgradeWindowController: NSWindowController, NSWindowDelegate {
     private var messageHandler: UpgradeMessageHandler!
     private var remainingQueries: Int = 0
     private var selectedPriceType: String = "yearly"
+    private var runningLowWait: AnyCancellable?
+
+    /// Set once the user says "Not now" to the running-low page
+    // Queries left when the user dismissed the running-low page
+    private static let runningLowDismissedKey = "com.foxwiseai.thequickfox.upgradeRunningLowDismissedAt"
 
     // MARK: - Initialization
 
@@ -62,6 +68,8 @@ final class UpgradeWindowController: NSWindowController, NSWindowDelegate {
         
         // Add message handler
         userContentController.add(messageHandler, name: "upgrade")
+        // Page strings follow the user's language (i18n.js)
+        userContentController.addUserScript(WebLocale.userScript())
         configuration.userContentController = userContentController
         
         // Create web view
@@ -127,21 +135,69 @@ final class UpgradeWindowController: NSWindowController, NSWindowDelegate {
         window?.makeKeyAndOrderFront(nil)
         NSApp.activate(ignoringOtherApps: true)
 
-        // Reload HTML to reset state
+        // Reload HTML to reset state. The page asks for the subscription, then
+        // shows either the plans or, for subscribers, the manage view
         loadUpgradeContent()
-
-        // Fetch and show pricing
-        fetchPricingData()
     }
 
+    /// Soft-limit entry point, a few free queries before the hard stop. The page shows its
+    /// dismissible "running low" variant while queries are left; it opens once the HUD is out
+    /// of the way. After a dismissal it only opens again once fewer queries are left.
     func showTrialWarning(remaining: Int) {
         self.remainingQueries = remaining
-        // TODO: Could show a less intrusive notification for warnings
+        if let dismissedAt = UserDefaults.standard.object(forKey: Self.runningLowDismissedKey) as? Int,
+           remaining >= dismissedAt {
+            return
+        }
+        guard window?.isVisible != true, runningLowWait == nil else { return }
+
+        runningLowWait = AppStore.shared.hudStatePublisher
+            .map(\.isVisible)
+            .first(where: { !$0 })
+            .receive(on: DispatchQueue.main)
+            .sink { [weak self] _ in
+                guard let self = self else { return }
+                self.runningLowWait = nil
+                // The hard stop may have opened the window in the meantime
+                if self.window?.isVisible != true {
+                    self.showUpgradePrompt()
+                }
+            }
+    }
+
+    /// "Not now" on the running-low page
+    func dismissRunningLow() {
+        UserDefaults.standard.set(remainingQueries, forKey: Self.runningLowDismissedKey)
+        window?.close()
+    }
+
+    /// The query limit changed (a trial extension), so an earlier dismissal no longer applies
+    func resetRunningLowDismissal() {
+        UserDefaults.standard.removeObject(forKey: Self.runningLowDismissedKey)
+    }
+
+    /// The browser came back from Stripe ("success" or "cancelled") through the URL scheme.
+    /// Returns false when no upgrade window is open to show it.
+    @discardableResult
+    func checkoutReturned(_ outcome: String) -> Bool {
+        guard window?.isVisible == true, let webView = upgradeWebView else { return false }
+        window?.makeKeyAndOrderFront(nil)
+        webView.evaluateJavaScript("window.checkoutReturned && window.checkoutReturned('\(outcome)');")
+        return true
+    }
+
+    // MARK: - NSWindowDelegate
+
+    func windowWillClose(_ notification: Notification) {
+        // Stop polling checkout status in the background
+        upgradeWebView?.evaluateJavaScript("window.onUpgradeWindowClose && window.onUpgradeWindowClose();")
     }
     
     // MARK: - Pricing Data
     
-    func fetchPricingData() {
+    /// Fetch pricing and hand it to JS - resolves the NativeBridge request when JS asked for it,
+    /// otherwise pushes it through `setPricingData`
+    func fetchPricingData(requestId: String? = nil) {
         print("🔄 Fetching pricing data...")
         Task {
             do {
@@ -149,6 +205,12 @@ final class UpgradeWindowController: NSWindowController, NSWindowDelegate {
                 print("✅ Received pricing response: \(response)")
                 
                 DispatchQueue.main.async {
+                    if let requestId = requestId {
+                        self.upgradeWebView?.resolveBridgeRequest(
+                            requestId, result: response.data.bridgeJSONObject() ?? NSNull())
+                        return
+                    }
+
                     // Send pricing data to JavaScript
                     do {
                         let jsonData = try JSONEncoder().encode(response.data)
@@ -172,7 +234,12 @@ final class UpgradeWindowController: NSWindowController, NSWindowDelegate {
             } catch {
                 print("❌ Failed to fetch pricing: \(error)")
                 DispatchQueue.main.async {
-                    let script = "showError('Failed to load pricing options. Please try again.');"
+                    if let requestId = requestId {
+                        self.upgradeWebView?.rejectBridgeRequest(
+                            requestId, message: "Failed to load pricing options. Please try again.")
+                        return
+                    }
+                    let script = "showError(I18n.t('upgrade.loadFailed'));"
                     self.upgradeWebView?.evaluateJavaScript(script)
                 }
             }
@@ -205,18 +272,72 @@ private final class UpgradeMessageHandler: NSObject, @preconcurrency WKScriptMes
         Task { @MainActor in
             switch action {
             case "fetchPricing":
-                self.windowController?.fetchPricingData()
+                self.windowController?.fetchPricingData(requestId: body["requestId"] as? String)
                 
             case "upgrade":
                 if let priceId = body["priceId"] as? String {
-                    self.handleUpgrade(priceId: priceId)
+                    self.handleUpgrade(
+                        priceId: priceId,
+                        promotionCodeId: body["promotionCodeId"] as? String,
+                        requestId: body["requestId"] as? String)
+                }
+
+            case "checkoutStatus":
+                if let sessionId = body["sessionId"] as? String, let requestId = body["requestId"] as? String {
+                    self.handleCheckoutStatus(sessionId: sessionId, requestId: requestId)
+                }
+
+            case "openCheckout":
+                if let urlString = body["url"] as? String, let url = URL(string: urlString), url.scheme == "https" {
+                    NSWorkspace.shared.open(url)
+                }
+
+            case "checkPromoCode":
+                if let code = body["code"] as? String, let requestId = body["requestId"] as? String {
+                    self.handleCheckPromoCode(code: code, requestId: requestId)
+                }
+
+            case "getSubscription":
+                if let requestId = body["requestId"] as? String {
+                    self.handleGetSubscription(requestId: requestId)
+                }
+
+            case "openPortal":
+                if let requestId = body["requestId"] as? String {
+                    self.handleOpenPortal(flow: body["flow"] as? String, requestId: requestId)
+                }
+
+            case "restorePurchase":
+                if let requestId = body["requestId"] as? String {
+                    self.handleRestorePurchase(requestId: requestId)
                 }
                 
+            case "declineUpgrade":
+                if let reason = body["reason"] as? String, let requestId = body["requestId"] as? String {
+                    self.handleDeclineUpgrade(
+                        reason: reason, details: body["details"] as? String, requestId: requestId)
+                }
+
+            case "respondToOffer":
+                if let feedbackId = body["feedbackId"] as? String,
+                   let accepted = body["accepted"] as? Bool,
+                   let requestId = body["requestId"] as? String {
+                    self.handleRespondToOffer(feedbackId: feedbackId, accepted: accepted, requestId: requestId)
+                }
+
             case "cancel":
                 self.windowController?.window?.close()
+
+            case "signIn":
+                // A purchase on another Mac belongs to that Mac's account until this one signs in
+                self.windowController?.window?.close()
+                AppDelegate.shared.showOnboardingSignIn()
+
+            case "dismissRunningLow":
+                self.windowController?.dismissRunningLow()
                 
             case "getAppImages":
-                self.sendAppImages()
+                self.sendAppImages(requestId: body["requestId"] as? String)
                 
             default:
                 print("Unknown upgrade action: \(action)")
@@ -224,18 +345,26 @@ private final class UpgradeMessageHandler: NSObject, @preconcurrency WKScriptMes
         }
     }
     
-    private func handleUpgrade(priceId: String) {
+    private func handleUpgrade(priceId: String, promotionCodeId: String?, requestId: String?) {
         Task {
             do {
-                let response = try await APIClient.shared.createCheckoutSession(priceId: priceId)
+                let response = try await APIClient.shared.createCheckoutSession(
+                    priceId: priceId, promotionCodeId: promotionCodeId)
                 
                 // Open Stripe checkout in browser
                 if let url = URL(string: response.data.checkout_url) {
                     NSWorkspace.shared.open(url)
                 }
                 
-                // Close the upgrade window
                 DispatchQueue.main.async {
+                    // The page waits for the browser and polls checkoutStatus with the session id
+                    if let requestId = requestId {
+                        self.windowController?.upgradeWebView?.resolveBridgeRequest(requestId, result: [
+                            "sessionId": response.data.session_id,
+                            "checkoutUrl": response.data.checkout_url
+                        ])
+                        return
+                    }
                     self.windowController?.window?.close()
                 }
             } catch {
@@ -243,14 +372,171 @@ private final class UpgradeMessageHandler: NSObject, @preconcurrency WKScriptMes
                 DispatchQueue.main.async { [weak self] in
                     guard let windowController = self?.windowController,
                           let webView = windowController.upgradeWebView else { return }
-                    let script = "showError('Checkout failed. Please try again.');"
-                    webView.evaluateJavaScript(script)
+                    if let requestId = requestId {
+                        webView.rejectBridgeRequest(requestId, message: "Checkout failed. Please try again.")
+                    } else {
+                        webView.evaluateJavaScript("checkoutFailed();")
+                    }
                 }
             }
         }
     }
     
-    private func sendAppImages() {
+    private func handleCheckoutStatus(sessionId: String, requestId: String) {
+        Task {
+            do {
+                let status = try await APIClient.shared.getCheckoutStatus(sessionId: sessionId)
+                DispatchQueue.main.async { [weak self] in
+                    // Refresh the app's own subscription state as soon as it's active
+                    if status.has_subscription {
+                        AppStore.shared.dispatch(.subscription(.startFetch))
+                    }
+                    self?.windowController?.upgradeWebView?.resolveBridgeRequest(
+                        requestId, result: status.bridgeJSONObject() ?? NSNull())
+                }
+            } catch {
+                print("❌ Failed to fetch checkout status: \(error)")
+                DispatchQueue.main.async { [weak self] in
+                    self?.windowController?.upgradeWebView?.rejectBridgeRequest(
+                        requestId, message: "Couldn't check the payment status.")
+                }
+            }
+        }
+    }
+
+    /// Look up a promotion code for the "Have a code?" field. An unknown code rejects with
+    /// `details.reason == "invalid"` so the page can tell it apart from a failed lookup.
+    private func handleCheckPromoCode(code: String, requestId: String) {
+        Task {
+            do {
+                let promotion = try await APIClient.shared.findPromotionCode(code)
+                DispatchQueue.main.async { [weak self] in
+                    guard let webView = self?.windowController?.upgradeWebView else { return }
+                    if let promotion = promotion {
+                        webView.resolveBridgeRequest(requestId, result: promotion.bridgeJSONObject() ?? NSNull())
+                    } else {
+                        webView.rejectBridgeRequest(
+                            requestId, message: "That code isn't valid.", details: ["reason": "invalid"])
+                    }
+                }
+            } catch {
+                print("❌ Failed to check promotion code: \(error)")
+                DispatchQueue.main.async { [weak self] in
+                    self?.windowController?.upgradeWebView?.rejectBridgeRequest(
+                        requestId, message: "Couldn't check the code. Please try again.")
+                }
+            }
+        }
+    }
+
+    private func handleGetSubscription(requestId: String) {
+        Task {
+            do {
+                let status = try await APIClient.shared.getUsageStatus()
+                DispatchQueue.main.async { [weak self] in
+                    self?.windowController?.upgradeWebView?.resolveBridgeRequest(
+                        requestId, result: status.data.bridgeJSONObject() ?? NSNull())
+                }
+            } catch {
+                print("❌ Failed to fetch subscription: \(error)")
+                DispatchQueue.main.async { [weak self] in
+                    self?.windowController?.upgradeWebView?.rejectBridgeRequest(
+                        requestId, message: "Couldn't load your subscription.")
+                }
+            }
+        }
+    }
+
+    /// Open the Stripe customer portal in the browser; `flow == "switch_plan"` lands on the plan picker
+    private func handleOpenPortal(flow: String?, requestId: String) {
+        Task {
+            do {
+                let portalUrl = try await APIClient.shared.createCustomerPortalSession(flow: flow)
+                DispatchQueue.main.async { [weak self] in
+                    guard let webView = self?.windowController?.upgradeWebView else { return }
+                    guard let url = URL(string: portalUrl) else {
+                        webView.rejectBridgeRequest(requestId, message: "Couldn't open subscription management.")
+                        return
+                    }
+                    NSWorkspace.shared.open(url)
+                    webView.resolveBridgeRequest(requestId)
+                }
+            } catch {
+                print("❌ Failed to open customer portal: \(error)")
+                DispatchQueue.main.async { [weak self] in
+                    self?.windowController?.upgradeWebView?.rejectBridgeRequest(
+                        requestId, message: "Couldn't open subscription management.")
+                }
+            }
+        }
+    }
+
+    /// Re-sync the subscription from Stripe for a user who paid on another Mac
+    private func handleRestorePurchase(requestId: String) {
+        Task {
+            do {
+                let result = try await APIClient.shared.restorePurchase()
+                DispatchQueue.main.async { [weak self] in
+                    if result.restored {
+                        AppStore.shared.dispatch(.subscription(.startFetch))
+                    }
+                    self?.windowController?.upgradeWebView?.resolveBridgeRequest(
+                        requestId, result: result.bridgeJSONObject() ?? NSNull())
+                }
+            } catch {
+                print("❌ Failed to restore purchase: \(error)")
+                DispatchQueue.main.async { [weak self] in
+                    self?.windowController?.upgradeWebView?.rejectBridgeRequest(
+                        requestId, message: "Couldn't check your purchase. Please try again.")
+                }
+            }
+        }
+    }
+
+    /// Send the reason picked in the "Not now" survey; resolves with any retention offer it earned
+    private func handleDeclineUpgrade(reason: String, details: String?, requestId: String) {
+        Task {
+            do {
+                let result = try await APIClient.shared.declineUpgrade(reason: reason, details: details)
+                DispatchQueue.main.async { [weak self] in
+                    self?.windowController?.upgradeWebView?.resolveBridgeRequest(
+                        requestId, result: result.bridgeJSONObject() ?? NSNull())
+                }
+            } catch {
+                print("❌ Failed to send upgrade decline: \(error)")
+                DispatchQueue.main.async { [weak self] in
+                    self?.windowController?.upgradeWebView?.rejectBridgeRequest(
+                        requestId, message: "Couldn't send your answer.")
+                }
+            }
+        }
+    }
+
+    private func handleRespondToOffer(feedbackId: String, accepted: Bool, requestId: String) {
+        Task {
+            do {
+                let result = try await APIClient.shared.respondToRetentionOffer(
+                    feedbackId: feedbackId, accepted: accepted)
+                DispatchQueue.main.async { [weak self] in
+                    // A trial extension changes the query limit the app shows
+                    if result.accepted {
+                        AppStore.shared.dispatch(.subscription(.startFetch))
+                        self?.windowController?.resetRunningLowDismissal()
+                    }
+                    self?.windowController?.upgradeWebView?.resolveBridgeRequest(
+                        requestId, result: result.bridgeJSONObject() ?? NSNull())
+                }
+            } catch {
+                print("❌ Failed to answer retention offer: \(error)")
+                DispatchQueue.main.async { [weak self] in
+                    self?.windowController?.upgradeWebView?.rejectBridgeRequest(
+                        requestId, message: "Couldn't apply the offer. Please try again.")
+                }
+            }
+        }
+    }
+
+    private func sendAppImages(requestId: String?) {
         var iconBase64: String? = nil
         var logoBase64: String? = nil
         
@@ -274,6 +560,14 @@ private final class UpgradeMessageHandler: NSObject, @preconcurrency WKScriptMes
         DispatchQueue.main.async { [weak self] in
             guard let windowController = self?.windowController,
                   let webView = windowController.upgradeWebView else { return }
+
+            if let requestId = requestId {
+                webView.resolveBridgeRequest(requestId, result: [
+                    "icon": (iconBase64 as Any?) ?? NSNull(),
+                    "logo": (logoBase64 as Any?) ?? NSNull()
+                ])
+                return
+            }
                   
             let iconJS = iconBase64 != nil ? "'\(iconBase64!)'" : "null"
             let logoJS = logoBase64 != nil ? "'\(logoBase64!)'" : "null"
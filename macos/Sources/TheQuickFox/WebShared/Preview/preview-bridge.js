@@ -0,0 +1,962 @@
+// ============================================
+// Browser Preview Bridge
+// ============================================
+//
+// Stand-in for the Swift side when a page is opened in a regular browser
+// (no window.webkit). Installs fake message handlers for NativeBridge to talk
+// to, plus a control panel that drives the page the way Swift would.
+//
+// Serve the pages with scripts/preview-web.py, which adds it before bridge.js:
+//   <script src="preview-bridge.js" data-page="onboarding"></script>
+// It isn't part of the app bundle, and does nothing if a page has a native side.
+
+(function () {
+    if (window.webkit && window.webkit.messageHandlers) return;
+
+    const page = (document.currentScript && document.currentScript.dataset.page) || 'onboarding';
+
+    // ?locale=de previews a catalog, standing in for the locale WebLocale.swift hands in
+    const previewLocale = new URLSearchParams(location.search).get('locale');
+    if (previewLocale) {
+        window.appLocale = previewLocale;
+    }
+    const LATENCY_MS = 250;
+    const TOKEN_INTERVAL_MS = 60;
+    const STATE_STORAGE_KEY = 'preview.onboardingState';
+    const CHECKLIST_STORAGE_KEY = 'preview.firstUseChecklist';
+    const USES_STORAGE_KEY = 'preview.firstUses';
+
+    const state = {
+        permissions: { accessibility: 'not-determined', screenRecording: 'not-determined' },
+        composeMode: 'canned',    // canned | offline | auth | quota | error | hang
+        checkoutMode: 'succeed',  // succeed | fail
+        checkoutSession: 'open',  // what checkoutStatus reports: open | pending | paid | expired
+        pricingCurrency: 'usd',   // a PRICING_CURRENCIES key
+        pricingPlans: 'standard', // standard (monthly + yearly) | all
+        subscription: 'none',     // what getSubscription reports: a SAMPLE_SUBSCRIPTIONS key, none or error
+        restoreMode: 'notFound',  // found | pastDue | notFound | fail
+        trialRemaining: 0,        // free queries a trial user has left: 0 is the hard stop
+        retentionOffer: 'byReason', // what "Not now" earns: byReason (as the API decides) | none | fail
+        declines: new Map(),      // feedback id -> the offer made for it
+        hudUse: { app: 'Mail', mode: 'compose' }, // what "Use the HUD" reports
+        hotkeyDiagnostics: 'healthy', // a SAMPLE_HOTKEY_DIAGNOSTICS key, or fail
+        supportMode: 'succeed',   // succeed | fail
+        controlPresses: 0,        // Control presses sent with the "Press Control" buttons
+        lastControlPress: 0,      // when the previous one was sent
+        verification: null,       // { verificationId, email, purpose, attempts } while a code is outstanding
+        dropEvents: false,        // reject analytics batches, as if Swift were unreachable
+        account: {                // what loadAccount reports after a sign-in
+            exists: true,
+            termsAccepted: true,
+            hasSubscription: false
+        },
+        streams: new Map()        // requestId -> interval id
+    };
+
+    // Keyed by scenario id, falling back to tone for the local quick rewrite
+    const CANNED_REPLIES = {
+        friendly: 'Hey! Any chance we could push our meeting to tomorrow? Totally flexible on the time!',
+        formal: 'Hi, would it be possible to move our meeting to tomorrow? Let me know what time works best for you.',
+        flirty: 'Rain check on tomorrow? I promise the rescheduled version will be worth the wait.',
+        whatsapp: "Not at all, I'm so sorry! Work has been crazy, but that's no excuse. Coffee on Saturday? My treat.",
+        linkedin: 'Hi Jake, just following up on the demo. Would a slot next week suit you?',
+        email: "Hi Marcus, thanks for sending this over. It's approved and the reimbursement will go out by Friday.",
+        linkedin_recruiter: "Hi Peter, thanks for reaching out. I'd be glad to hear more. Would Thursday afternoon work?"
+    };
+
+    const PERMISSION_STATES = ['not-determined', 'denied', 'granted-but-needs-relaunch', 'stale-entry', 'granted'];
+
+    // The simulated email always carries this code
+    const VERIFICATION_CODE = '123456';
+
+    // Wrong codes the API allows per verification
+    const MAX_CODE_ATTEMPTS = 5;
+
+    // Mirrors the API's ScenarioPresets.demo_scenarios/0
+    const SAMPLE_SCENARIOS = [
+        {
+            id: 'whatsapp',
+            label: 'Reassure a friend',
+            app_name: 'WhatsApp',
+            contact: 'Clingy Cliff',
+            tone: 'friendly',
+            sample_input: 'sorry been swamped w work, coffee sat?',
+            messages: [
+                { from: 'them', text: 'You\'ve been really distant lately and always "busy" when I want to hang out' },
+                { from: 'them', text: 'Did I do something wrong? I thought we were best friends...' }
+            ]
+        },
+        {
+            id: 'linkedin',
+            label: 'Follow up on a lead',
+            app_name: 'LinkedIn',
+            contact: 'Jake Morrison · VP of Sales at TechFlow',
+            tone: 'formal',
+            sample_input: 'still keen on that demo? can do next week',
+            messages: [
+                { from: 'them', text: 'Thanks for reaching out. We\'re evaluating CRMs right now, so good timing. Let me check my calendar and get back to you.' },
+                { from: 'you', text: 'Sounds great! I\'m free Thursday or Friday afternoon if either works for you.' }
+            ]
+        },
+        {
+            id: 'email',
+            label: 'Answer an email',
+            app_name: 'Gmail',
+            contact: 'Marcus Chen · Expense Report - Client Dinner Dec 12',
+            tone: 'formal',
+            sample_input: 'approved, will reimburse by fri',
+            messages: [
+                { from: 'them', text: 'Please find attached my expense report for the client dinner last Thursday with the Acme Corp team. Total: $347.82. Let me know if you need anything else!' }
+            ]
+        }
+    ];
+
+    const SAMPLE_PRICING = {
+        prices: [
+            {
+                price_id: 'price_preview_monthly',
+                product_id: 'prod_preview',
+                amount: 999,
+                currency: 'usd',
+                interval: 'month',
+                interval_count: 1,
+                name: 'TheQuickFox Pro',
+                description: null,
+                metadata: {},
+                display_price: '$9.99/month',
+                tax_behavior: 'exclusive',
+                locale: null,
+                highlighted: false,
+                badge: null,
+                cta: 'start',
+                compare_to: null,
+                features: [
+                    'Unlimited AI-powered replies',
+                    'Screenshot context capture',
+                    'Compose and reply to emails, messages, etc',
+                    'Ask questions about your screen in Ask mode',
+                    'Chat & Email support'
+                ]
+            },
+            {
+                price_id: 'price_preview_yearly',
+                product_id: 'prod_preview',
+                amount: 7999,
+                currency: 'usd',
+                interval: 'year',
+                interval_count: 1,
+                name: 'TheQuickFox Pro',
+                description: null,
+                metadata: {},
+                display_price: '$79.99/year',
+                tax_behavior: 'exclusive',
+                locale: null,
+                highlighted: true,
+                badge: 'recommended',
+                cta: 'get',
+                compare_to: 'price_preview_monthly',
+                features: [
+                    'Unlimited AI-powered replies',
+                    'Screenshot context capture',
+                    'Compose and reply to emails, messages, etc',
+                    'Ask questions about your screen in Ask mode',
+                    'Chat & Email support',
+                    '33% discount vs monthly'
+                ]
+            }
+        ],
+        trial: { queries_limit: 10, queries_used: 10, queries_remaining: 0 }
+    };
+
+    // Every plan shape the paywall handles, with the display fields the
+    // server would pick when STRIPE_EXTRA_PRICE_IDS adds them. Savings are
+    // measured against the shortest plan, weekly.
+    const ALL_PLANS = [
+        { id: 'weekly', amount: 299, interval: 'week', interval_count: 1, cta: 'start' },
+        { id: 'monthly', amount: 999, interval: 'month', interval_count: 1, cta: 'start' },
+        { id: 'quarterly', amount: 2499, interval: 'month', interval_count: 3, cta: 'get', highlighted: true, badge: 'popular' },
+        { id: 'yearly', amount: 7999, interval: 'year', interval_count: 1, cta: 'start', badge: 'bestValue' },
+        { id: 'two_years', amount: 13999, interval: 'year', interval_count: 2, cta: 'start' },
+        { id: 'lifetime', amount: 19999, interval: 'one_time', interval_count: 1, cta: 'buy' }
+    ];
+
+    function allPlansPricing() {
+        const pricing = clone(SAMPLE_PRICING);
+        const template = pricing.prices[0];
+        pricing.prices = ALL_PLANS.map(({ id, ...plan }) => ({
+            ...template,
+            highlighted: false,
+            badge: null,
+            ...plan,
+            price_id: `price_preview_${id}`,
+            compare_to: plan.interval === 'one_time' || id === 'weekly' ? null : 'price_preview_weekly'
+        }));
+        return pricing;
+    }
+
+    // Re-priced as Stripe would send it for other markets. Amounts are in
+    // the currency's smallest unit, so yen are rounded to whole tens.
+    const PRICING_CURRENCIES = {
+        usd: { rate: 1, step: 1, tax_behavior: 'exclusive', locale: null },
+        eur: { rate: 1, step: 1, tax_behavior: 'inclusive', locale: 'de-DE' },
+        jpy: { rate: 1.5, step: 10, tax_behavior: 'inclusive', locale: 'ja-JP' },
+        unspecified: { rate: 1, step: 1, tax_behavior: 'unspecified', locale: null }
+    };
+
+    function pricingIn(key, plans) {
+        const { rate, step, tax_behavior, locale } = PRICING_CURRENCIES[key];
+        const currency = key === 'unspecified' ? 'usd' : key;
+        const pricing = plans === 'all' ? allPlansPricing() : clone(SAMPLE_PRICING);
+        pricing.prices.forEach(price => {
+            const amount = Math.round(price.amount * rate / step) * step;
+            Object.assign(price, { amount, currency, tax_behavior, locale });
+        });
+        return pricing;
+    }
+
+    // Codes the "Have a code?" field accepts, as the server returns them.
+    // Any other code is unknown; "ERROR" fails the lookup itself.
+    const SAMPLE_PROMOTION_CODES = {
+        SPRING50: { percent_off: 50, duration: 'repeating', duration_in_months: 3 },
+        FIVEOFF: { amount_off: 500, currency: 'usd', duration: 'once' },
+        FOREVER20: { percent_off: 20, duration: 'forever' },
+        OTHERPRODUCT: { percent_off: 30, duration: 'once', product_ids: ['prod_other'] }
+    };
+
+    function promotionCode(code) {
+        const coupon = SAMPLE_PROMOTION_CODES[code.toUpperCase()];
+        if (!coupon) return null;
+        return {
+            promotion_code_id: `promo_preview_${code.toLowerCase()}`,
+            code: code.toUpperCase(),
+            percent_off: null,
+            amount_off: null,
+            currency: null,
+            duration_in_months: null,
+            product_ids: null,
+            ...coupon
+        };
+    }
+
+    // The plan a subscriber is on, for the upgrade page's manage view
+    const SAMPLE_SUBSCRIPTIONS = {
+        monthly: { interval: 'month', amount: 999, price_id: 'price_preview_monthly' },
+        yearly: { interval: 'year', amount: 7999, price_id: 'price_preview_yearly' },
+        cancelling: { interval: 'month', amount: 999, price_id: 'price_preview_monthly', cancel_at_period_end: true },
+        trialing: { interval: 'year', amount: 7999, price_id: 'price_preview_yearly', status: 'trialing' },
+        lifetime: null
+    };
+
+    const TRIAL_LIMIT = 10;
+
+    // The trial's queries every other day lately, mostly composing
+    function sampleUsage(used) {
+        const daily = [];
+        for (let offset = 0, left = used; left > 0; offset += 2) {
+            const count = Math.min(left, 2 + (offset % 3));
+            daily.unshift({ date: new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10), count });
+            left -= count;
+        }
+        const compose = Math.ceil(used * 0.6);
+        const ask = Math.floor(used * 0.3);
+        return { daily_usage: daily, queries_by_mode: used ? { compose, ask, code: used - compose - ask } : {} };
+    }
+
+    const TRIAL_EXTENSION_QUERIES = 20;
+
+    // The API's offer for a "Not now" reason
+    function retentionOfferFor(reason) {
+        if (state.retentionOffer !== 'byReason') return null;
+        if (reason === 'too_expensive') {
+            return { type: 'discount', queries: null, promotion: { ...promotionCode('SPRING50'), code: 'STAY50' } };
+        }
+        if (reason === 'not_using_enough') {
+            return { type: 'trial_extension', queries: TRIAL_EXTENSION_QUERIES, promotion: null };
+        }
+        return null;
+    }
+
+    function subscriptionStatus(kind) {
+        const plan = SAMPLE_SUBSCRIPTIONS[kind];
+        const used = plan || kind === 'lifetime' ? 0 : TRIAL_LIMIT - state.trialRemaining;
+        const details = plan
+            ? {
+                type: 'subscription',
+                status: 'active',
+                interval_count: 1,
+                currency: 'usd',
+                cancel_at_period_end: false,
+                current_period_end: Math.floor(Date.now() / 1000) + 21 * 24 * 60 * 60,
+                ...plan
+            }
+            : { type: 'trial', trial_queries_remaining: TRIAL_LIMIT - used };
+        return {
+            trial_queries_used: used,
+            trial_queries_remaining: TRIAL_LIMIT - used,
+            trial_queries_limit: TRIAL_LIMIT,
+            queries_today: 0,
+            ...sampleUsage(used),
+            has_subscription: Boolean(plan),
+            has_lifetime_access: kind === 'lifetime',
+            subscription_details: details
+        };
+    }
+
+    const SAMPLE_APPS = [
+        { name: 'Mail', bundleId: 'com.apple.mail', color: '#1e88e5' },
+        { name: 'Slack', bundleId: 'com.tinyspeck.slackmacgap', color: '#4a154b' },
+        { name: 'Safari', bundleId: 'com.apple.Safari', color: '#0fb5ee' },
+        { name: 'Notes', bundleId: 'com.apple.Notes', color: '#f7c600' },
+        { name: 'Messages', bundleId: 'com.apple.MobileSMS', color: '#34c759' }
+    ].map(app => ({ name: app.name, bundleId: app.bundleId, icon: letterIcon(app.name[0], app.color) }));
+
+    // What HotkeyDiagnostics.snapshot() reports in each situation
+    const HEALTHY_HOTKEY = {
+        accessibility: 'granted',
+        listening: true,
+        controlPresses: 0,
+        secureInput: false,
+        keyInterceptors: []
+    };
+    const SAMPLE_HOTKEY_DIAGNOSTICS = {
+        healthy: HEALTHY_HOTKEY,
+        accessibilityOff: { ...HEALTHY_HOTKEY, accessibility: 'denied', listening: false },
+        staleEntry: { ...HEALTHY_HOTKEY, accessibility: 'stale-entry', listening: false },
+        notListening: { ...HEALTHY_HOTKEY, listening: false },
+        secureInput: { ...HEALTHY_HOTKEY, secureInput: true, secureInputApp: '1Password' },
+        keyInterceptors: { ...HEALTHY_HOTKEY, keyInterceptors: ['Karabiner-Elements', 'BetterTouchTool'] }
+    };
+
+    function letterIcon(letter, color) {
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64">` +
+            `<rect width="64" height="64" rx="14" fill="${color}"/>` +
+            `<text x="32" y="42" font-family="-apple-system, sans-serif" font-size="30" ` +
+            `fill="white" text-anchor="middle">${letter}</text></svg>`;
+        return 'data:image/svg+xml,' + encodeURIComponent(svg);
+    }
+
+    // ============================================
+    // Swift -> JS
+    // ============================================
+
+    function deliver(message, delay = LATENCY_MS) {
+        setTimeout(() => {
+            if (window.NativeBridge) window.NativeBridge.receive(message);
+        }, delay);
+    }
+
+    function resolve(requestId, result = null) {
+        deliver({ requestId, type: 'resolve', result });
+    }
+
+    function reject(requestId, message, code = 'native', details = null) {
+        deliver({ requestId, type: 'reject', error: { code, message, details } });
+    }
+
+    // Call a page global the way Swift's evaluateJavaScript does
+    function callPage(name, ...args) {
+        if (typeof window[name] === 'function') {
+            window[name](...args);
+        } else {
+            console.warn(`[preview] window.${name} is not defined on this page`);
+        }
+    }
+
+    // Same shape as PermissionDiagnostics.snapshot() on the Swift side
+    function permissionSnapshot() {
+        return {
+            accessibility: { state: state.permissions.accessibility },
+            screenRecording: { state: state.permissions.screenRecording }
+        };
+    }
+
+    function pushPermissions() {
+        callPage('updatePermissionStatus', permissionSnapshot());
+    }
+
+    // ============================================
+    // JS -> Swift
+    // ============================================
+
+    function handleOnboarding(message) {
+        const { action, requestId } = message;
+
+        switch (action) {
+            case 'composeDemo':
+                streamCompose(requestId, cannedReply(message));
+                break;
+
+            case 'getDemoScenarios':
+                resolve(requestId, clone(SAMPLE_SCENARIOS));
+                break;
+
+            case 'requestEmailCode':
+                // Like the API, a sign-in for an unknown address looks sent but no code goes out
+                state.verification = {
+                    verificationId: `preview-${Date.now()}`,
+                    email: message.email,
+                    purpose: message.purpose || 'verify',
+                    noAccount: message.purpose === 'sign_in' && !state.account.exists,
+                    attempts: 0
+                };
+                if (state.verification.noAccount) {
+                    console.log(`[preview] No account for ${message.email}; no code was sent`);
+                } else {
+                    console.log(`[preview] Verification code for ${message.email}: ${VERIFICATION_CODE}`);
+                }
+                resolve(requestId, {
+                    verificationId: state.verification.verificationId,
+                    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+                });
+                break;
+
+            case 'confirmEmailCode':
+                // Rejects carry the API's reasons, which the page words from its catalog
+                if (!state.verification || state.verification.verificationId !== message.verificationId) {
+                    reject(requestId, 'Verification not found', 'native', { reason: 'not_found' });
+                } else if (state.verification.attempts >= MAX_CODE_ATTEMPTS) {
+                    reject(requestId, 'Too many wrong codes', 'native', { reason: 'too_many_attempts' });
+                } else if (message.code !== VERIFICATION_CODE || state.verification.noAccount) {
+                    state.verification.attempts += 1;
+                    console.log(`[preview] Wrong code; the preview code is ${VERIFICATION_CODE}`);
+                    reject(requestId, "That code doesn't match", 'native', {
+                        reason: 'invalid_code',
+                        attemptsLeft: MAX_CODE_ATTEMPTS - state.verification.attempts
+                    });
+                } else {
+                    state.account.email = state.verification.email;
+                    resolve(requestId, {
+                        status: 'verified',
+                        email: state.verification.email,
+                        purpose: state.verification.purpose
+                    });
+                    state.verification = null;
+                }
+                break;
+
+            case 'watchEmailVerification':
+                // Swift re-subscribes after a restart; the preview keeps whatever it already has
+                if (message.verificationId && !state.verification) {
+                    state.verification = { verificationId: message.verificationId, email: null, purpose: 'verify', attempts: 0 };
+                }
+                break;
+
+            case 'loadAccount':
+                resolve(requestId, {
+                    email: state.account.email || null,
+                    termsAccepted: state.account.termsAccepted,
+                    hasSubscription: state.account.hasSubscription,
+                    plan: state.account.hasSubscription
+                        ? { interval: 'month', amount: 999, currency: 'usd' }
+                        : null,
+                    trialQueriesUsed: 3,
+                    trialQueriesRemaining: 7
+                });
+                break;
+
+            case 'cancelRequest':
+                clearInterval(state.streams.get(message.requestId));
+                state.streams.delete(message.requestId);
+                break;
+
+            case 'requestPermissions':
+                console.log(`[preview] Swift would open System Settings for ${message.type}; use the preview panel to grant it`);
+                break;
+
+            // Relaunch and reset are simulated by their outcome
+            case 'permissionAction':
+                if (message.fix === 'relaunch') {
+                    state.permissions[message.permission] = 'granted';
+                } else if (message.fix === 'reset') {
+                    state.permissions[message.permission] = 'not-determined';
+                } else {
+                    console.log(`[preview] Swift would open System Settings for ${message.permission}`);
+                }
+                // The completion screen's diagnostics card re-checks on its own
+                if (page === 'onboarding') pushPermissions();
+                break;
+
+            case 'startPermissionMonitoring':
+                pushPermissions();
+                break;
+
+            case 'openLink':
+                window.open(message.url, '_blank');
+                break;
+
+            // Onboarding state survives reloads like it survives app restarts
+            case 'saveOnboardingState':
+                localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(message.state));
+                break;
+
+            case 'loadOnboardingState':
+                resolve(requestId, {
+                    state: JSON.parse(localStorage.getItem(STATE_STORAGE_KEY) || 'null'),
+                    permissions: permissionSnapshot()
+                });
+                break;
+
+            case 'saveChecklist':
+                localStorage.setItem(CHECKLIST_STORAGE_KEY, JSON.stringify(message.checklist));
+                if (message.checklist.finished) localStorage.removeItem(USES_STORAGE_KEY);
+                break;
+
+            case 'loadChecklist':
+                resolve(requestId, {
+                    checklist: JSON.parse(localStorage.getItem(CHECKLIST_STORAGE_KEY) || 'null'),
+                    uses: loggedUses()
+                });
+                break;
+
+            case 'getHotkeyDiagnostics':
+                if (state.hotkeyDiagnostics === 'fail') {
+                    reject(requestId, 'Diagnostics unavailable (preview)');
+                } else {
+                    resolve(requestId, {
+                        ...clone(SAMPLE_HOTKEY_DIAGNOSTICS[state.hotkeyDiagnostics]),
+                        controlPresses: state.controlPresses
+                    });
+                }
+                break;
+
+            case 'contactSupport':
+                logAction(message);
+                if (state.supportMode === 'fail') {
+                    reject(requestId, "Couldn't reach TheQuickFox", 'native', { reason: 'offline' });
+                } else {
+                    resolve(requestId, { feedbackId: `preview-support-${Date.now()}` });
+                }
+                break;
+
+            case 'completeOnboarding':
+                localStorage.removeItem(STATE_STORAGE_KEY);
+                logAction(message);
+                break;
+
+            case 'trackEvents':
+                if (state.dropEvents) {
+                    reject(requestId, 'Events dropped (preview)', 'unavailable');
+                    break;
+                }
+                message.events.forEach(event => {
+                    console.log(`[preview] event ${event.name}`, event.properties);
+                });
+                resolve(requestId, { queued: message.events.length });
+                break;
+
+            default:
+                logAction(message);
+        }
+    }
+
+    function handleUpgrade(message) {
+        const { action, requestId } = message;
+
+        switch (action) {
+            case 'getAppImages':
+                resolve(requestId, { icon: null, logo: null });
+                break;
+
+            case 'fetchPricing':
+                resolve(requestId, pricingIn(state.pricingCurrency, state.pricingPlans));
+                break;
+
+            case 'upgrade':
+                if (state.checkoutMode === 'fail') {
+                    reject(requestId, 'Checkout failed. Please try again.');
+                } else {
+                    const discount = message.promotionCodeId ? ` with ${message.promotionCodeId}` : '';
+                    console.log(`[preview] Swift would open Stripe checkout for ${message.priceId}${discount}`);
+                    resolve(requestId, {
+                        sessionId: 'cs_preview',
+                        checkoutUrl: 'https://checkout.stripe.com/c/pay/cs_preview'
+                    });
+                }
+                break;
+
+            case 'checkoutStatus':
+                resolve(requestId, {
+                    open: { status: 'open', payment_status: 'unpaid', has_subscription: false },
+                    pending: { status: 'complete', payment_status: 'unpaid', has_subscription: false },
+                    paid: { status: 'complete', payment_status: 'paid', has_subscription: true },
+                    expired: { status: 'expired', payment_status: 'unpaid', has_subscription: false }
+                }[state.checkoutSession]);
+                break;
+
+            case 'getSubscription':
+                if (state.subscription === 'error') {
+                    reject(requestId, "Couldn't load your subscription.");
+                } else {
+                    resolve(requestId, subscriptionStatus(state.subscription));
+                }
+                break;
+
+            case 'openPortal':
+                console.log(`[preview] Swift would open the Stripe customer portal${message.flow ? ` (${message.flow})` : ''}`);
+                resolve(requestId);
+                break;
+
+            case 'restorePurchase':
+                if (state.restoreMode === 'fail') {
+                    reject(requestId, "Couldn't check your purchase. Please try again.");
+                } else {
+                    if (state.restoreMode === 'found') state.subscription = 'yearly';
+                    resolve(requestId, {
+                        restored: state.restoreMode === 'found',
+                        past_due: state.restoreMode === 'pastDue',
+                    });
+                }
+                break;
+
+            case 'declineUpgrade':
+                if (state.retentionOffer === 'fail') {
+                    reject(requestId, "Couldn't send your answer.");
+                } else {
+                    const feedbackId = `feedback_preview_${state.declines.size + 1}`;
+                    const offer = retentionOfferFor(message.reason);
+                    console.log(`[preview] Swift would send the reason "${message.reason}"`, message.details || '');
+                    state.declines.set(feedbackId, offer);
+                    resolve(requestId, { feedback_id: feedbackId, offer });
+                }
+                break;
+
+            case 'respondToOffer':
+                if (!state.declines.get(message.feedbackId)) {
+                    reject(requestId, "Couldn't apply the offer. Please try again.");
+                } else {
+                    const offer = state.declines.get(message.feedbackId);
+                    const extended = message.accepted && offer.type === 'trial_extension';
+                    resolve(requestId, {
+                        accepted: message.accepted,
+                        trial_queries_remaining: state.trialRemaining + (extended ? offer.queries : 0)
+                    });
+                }
+                break;
+
+            case 'checkPromoCode':
+                if (message.code.toUpperCase() === 'ERROR') {
+                    reject(requestId, "Couldn't check the code. Please try again.");
+                } else if (promotionCode(message.code)) {
+                    resolve(requestId, promotionCode(message.code));
+                } else {
+                    reject(requestId, "That code isn't valid.", 'native', { reason: 'invalid' });
+                }
+                break;
+
+            default:
+                logAction(message);
+        }
+    }
+
+    // The scenario's own reply when composing in its default tone, so comparing
+    // tones still shows a different reply per tone
+    // Same shape as FirstUseChecklist.uses on the Swift side
+    function loggedUses() {
+        return JSON.parse(localStorage.getItem(USES_STORAGE_KEY) || '[]');
+    }
+
+    // What FirstUseChecklist does when a HUD query completes
+    function recordHUDUse() {
+        const uses = loggedUses();
+        const app = SAMPLE_APPS.find(candidate => candidate.name === state.hudUse.app);
+        const use = {
+            id: uses.length > 0 ? uses[uses.length - 1].id + 1 : 1,
+            mode: state.hudUse.mode,
+            bundleId: app ? app.bundleId : 'com.example.Other',
+            appName: app ? app.name : 'Other'
+        };
+        localStorage.setItem(USES_STORAGE_KEY, JSON.stringify([...uses, use].slice(-20)));
+        callPage('onHUDUsed', use);
+    }
+
+    // What DoubleControlDetector reports for a Control press, optionally `secondsLater` than the previous one
+    function pressControl(secondsLater) {
+        const now = Date.now() / 1000;
+        const press = { triggered: false, maxInterval: 0.25 };
+        if (state.lastControlPress) {
+            press.interval = secondsLater === undefined ? now - state.lastControlPress : secondsLater;
+            press.triggered = press.interval <= press.maxInterval;
+        }
+        state.lastControlPress = now;
+        state.controlPresses += 1;
+        callPage('onControlKey', press);
+    }
+
+    function cannedReply({ scenarioId, tone }) {
+        const scenario = SAMPLE_SCENARIOS.find(s => s.id === scenarioId);
+        if (scenario && scenario.tone === tone && CANNED_REPLIES[scenarioId]) {
+            return CANNED_REPLIES[scenarioId];
+        }
+        return CANNED_REPLIES[tone];
+    }
+
+    function streamCompose(requestId, reply) {
+        if (state.composeMode === 'hang') return;
+        if (state.composeMode !== 'canned') {
+            // Same reasons Swift attaches to failed compose requests
+            reject(requestId, `Simulated ${state.composeMode} failure`, 'native', { reason: state.composeMode });
+            return;
+        }
+
+        const tokens = (reply || CANNED_REPLIES.formal).split(/(?<= )/);
+        let index = 0;
+        const interval = setInterval(() => {
+            if (index < tokens.length) {
+                deliver({ requestId, type: 'chunk', chunk: { token: tokens[index++] } }, 0);
+                return;
+            }
+            clearInterval(interval);
+            state.streams.delete(requestId);
+            deliver({ requestId, type: 'resolve', result: { text: tokens.join('') } }, 0);
+        }, TOKEN_INTERVAL_MS);
+        state.streams.set(requestId, interval);
+    }
+
+    function logAction(message) {
+        console.log('[preview] Swift received:', message);
+    }
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    const handler = page === 'upgrade' ? handleUpgrade : handleOnboarding;
+    window.webkit = {
+        messageHandlers: {
+            [page === 'upgrade' ? 'upgrade' : 'onboarding']: {
+                postMessage: (message) => setTimeout(() => handler(message), 0)
+            }
+        }
+    };
+
+    // ============================================
+    // Control Panel
+    // ============================================
+
+    function el(tag, props = {}, children = []) {
+        const node = document.createElement(tag);
+        Object.entries(props).forEach(([key, value]) => {
+            if (key.startsWith('on')) {
+                node.addEventListener(key.slice(2), value);
+            } else if (key === 'className') {
+                node.className = value;
+            } else {
+                node[key] = value;
+            }
+        });
+        children.forEach(child => node.append(child));
+        return node;
+    }
+
+    function button(label, onclick) {
+        return el('button', { type: 'button', textContent: label, onclick });
+    }
+
+    function checkbox(label, checked, onchange) {
+        return el('label', { className: 'preview-row' }, [
+            el('input', { type: 'checkbox', checked, onchange: (event) => onchange(event.target.checked) }),
+            label
+        ]);
+    }
+
+    function select(label, options, value, onchange) {
+        return el('label', { className: 'preview-row' }, [
+            label,
+            el('select', { onchange: (event) => onchange(event.target.value) },
+                options.map(option => el('option', { value: option, textContent: option, selected: option === value })))
+        ]);
+    }
+
+    function section(title, children) {
+        return el('fieldset', {}, [el('legend', { textContent: title }), ...children]);
+    }
+
+    function onboardingControls() {
+        return [
+            section('Permissions', [
+                select('Accessibility', PERMISSION_STATES, state.permissions.accessibility, (permissionState) => {
+                    state.permissions.accessibility = permissionState;
+                    pushPermissions();
+                }),
+                select('Screen recording', PERMISSION_STATES, state.permissions.screenRecording, (permissionState) => {
+                    state.permissions.screenRecording = permissionState;
+                    pushPermissions();
+                }),
+                // What the "Enable Screen Context..." menu item does after a limited finish
+                button('Open screen context setup', () => callPage('openScreenContextSetup'))
+            ]),
+            section('Analytics', [
+                checkbox('Drop event batches', state.dropEvents, (drop) => {
+                    state.dropEvents = drop;
+                }),
+                button('Close window', () => callPage('onOnboardingWindowClose'))
+            ]),
+            section('Compose demo', [
+                select('Result', ['canned', 'offline', 'auth', 'quota', 'error', 'hang'], state.composeMode, (mode) => {
+                    state.composeMode = mode;
+                })
+            ]),
+            section('Email verification', [
+                button('Open magic link', () => {
+                    if (!state.verification || state.verification.noAccount) {
+                        console.log('[preview] No verification pending; click "Verify now" first');
+                        return;
+                    }
+                    state.account.email = state.verification.email;
+                    callPage('onEmailVerified', {
+                        email: state.verification.email,
+                        method: 'link',
+                        purpose: state.verification.purpose
+                    });
+                    state.verification = null;
+                })
+            ]),
+            section('Returning user', [
+                checkbox('Account exists', state.account.exists, (exists) => {
+                    state.account.exists = exists;
+                }),
+                checkbox('Terms accepted', state.account.termsAccepted, (accepted) => {
+                    state.account.termsAccepted = accepted;
+                }),
+                checkbox('Subscribed', state.account.hasSubscription, (subscribed) => {
+                    state.account.hasSubscription = subscribed;
+                })
+            ])
+        ];
+    }
+
+    function completionControls() {
+        return [
+            section('HUD', [
+                button('setRunningApps', () => callPage('setRunningApps', clone(SAMPLE_APPS))),
+                button('onHUDAppeared', () => callPage('onHUDAppeared'))
+            ]),
+            section('Shortcut', [
+                button('Press Control', () => pressControl()),
+                button('Press Control (0.4s later)', () => pressControl(0.4)),
+                select('Diagnostics', [...Object.keys(SAMPLE_HOTKEY_DIAGNOSTICS), 'fail'], state.hotkeyDiagnostics,
+                    (kind) => {
+                        state.hotkeyDiagnostics = kind;
+                    }),
+                select('Contact support', ['succeed', 'fail'], state.supportMode, (mode) => {
+                    state.supportMode = mode;
+                })
+            ]),
+            section('Checklist', [
+                select('App', [...SAMPLE_APPS.map(app => app.name), 'Other'], state.hudUse.app, (app) => {
+                    state.hudUse.app = app;
+                }),
+                select('Mode', ['compose', 'ask', 'code'], state.hudUse.mode, (mode) => {
+                    state.hudUse.mode = mode;
+                }),
+                button('Use the HUD', recordHUDUse),
+                button('Forget checklist', () => {
+                    localStorage.removeItem(CHECKLIST_STORAGE_KEY);
+                    localStorage.removeItem(USES_STORAGE_KEY);
+                })
+            ])
+        ];
+    }
+
+    function upgradeControls() {
+        const pricing = () => pricingIn(state.pricingCurrency, state.pricingPlans);
+        const payload = el('textarea', { rows: 8, value: JSON.stringify(pricing(), null, 2) });
+        const pushPricing = () => {
+            payload.value = JSON.stringify(pricing(), null, 2);
+            callPage('setPricingData', pricing());
+        };
+        return [
+            section('Pricing', [
+                select('Plans', ['standard', 'all'], state.pricingPlans, (plans) => {
+                    state.pricingPlans = plans;
+                    pushPricing();
+                }),
+                select('Currency', Object.keys(PRICING_CURRENCIES), state.pricingCurrency, (currency) => {
+                    state.pricingCurrency = currency;
+                    pushPricing();
+                }),
+                payload,
+                button('setPricingData', () => {
+                    try {
+                        callPage('setPricingData', JSON.parse(payload.value));
+                    } catch (error) {
+                        console.error('[preview] Pricing payload is not valid JSON:', error);
+                    }
+                })
+            ]),
+            section('Checkout', [
+                select('Upgrade request', ['succeed', 'fail'], state.checkoutMode, (mode) => {
+                    state.checkoutMode = mode;
+                }),
+                button('checkoutFailed', () => callPage('checkoutFailed')),
+                select('Session status', ['open', 'pending', 'paid', 'expired'], state.checkoutSession, (status) => {
+                    state.checkoutSession = status;
+                }),
+                button('Browser returned: success', () => callPage('checkoutReturned', 'success')),
+                button('Browser returned: cancelled', () => callPage('checkoutReturned', 'cancelled')),
+                el('p', { className: 'preview-row' }, [
+                    `Promo codes: ${Object.keys(SAMPLE_PROMOTION_CODES).join(', ')}, ERROR`
+                ])
+            ]),
+            section('Subscription', [
+                select('Current plan', ['none', ...Object.keys(SAMPLE_SUBSCRIPTIONS), 'error'], state.subscription, (kind) => {
+                    state.subscription = kind;
+                    callPage('loadSubscription');
+                }),
+                select('Restore purchase', ['found', 'pastDue', 'notFound', 'fail'], state.restoreMode, (mode) => {
+                    state.restoreMode = mode;
+                }),
+                select('Free queries left', ['0', '2', '7'], String(state.trialRemaining), (remaining) => {
+                    state.trialRemaining = Number(remaining);
+                    callPage('loadSubscription');
+                }),
+                select('Not now offer', ['byReason', 'none', 'fail'], state.retentionOffer, (mode) => {
+                    state.retentionOffer = mode;
+                })
+            ])
+        ];
+    }
+
+    function buildPanel() {
+        const controls = {
+            onboarding: onboardingControls,
+            completion: completionControls,
+            upgrade: upgradeControls
+        }[page] || onboardingControls;
+
+        const body = el('div', { className: 'preview-body' }, [
+            ...controls(),
+            section('Session', [
+                button('Forget saved onboarding state', () => localStorage.removeItem(STATE_STORAGE_KEY))
+            ]),
+            section('Appearance', [
+                checkbox('Dark mode', false, (dark) => callPage('setSystemAppearance', dark ? 'dark' : 'light')),
+                // "ar" has no catalog: English text in the right-to-left layout
+                select('Locale', [...I18n.locales, 'ar'], I18n.locale.split('-')[0], (locale) => {
+                    const url = new URL(location.href);
+                    url.searchParams.set('locale', locale);
+                    location.href = url.href;
+                })
+            ])
+        ]);
+
+        const panel = el('aside', { className: 'preview-panel' }, [
+            el('header', { onclick: () => panel.classList.toggle('collapsed') }, [`Preview bridge · ${page}`]),
+            body
+        ]);
+        document.body.append(panel);
+
+        I18n.locales.forEach(locale => {
+            const missing = I18n.missingKeys(locale);
+            if (missing.length > 0) {
+                console.warn(`[preview] ${locale} catalog is missing: ${missing.join(', ')}`);
+            }
+        });
+    }
+
+    const stylesheet = el('link', { rel: 'stylesheet', href: 'preview-bridge.css' });
+    document.head.append(stylesheet);
+    document.addEventListener('DOMContentLoaded', buildPanel);
+
+    console.log(`[preview] Swift bridge simulated for ${page} page`);
+})();
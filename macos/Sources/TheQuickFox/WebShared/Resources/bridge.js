@@ -0,0 +1,180 @@
+// ============================================
+// Native Bridge
+// ============================================
+//
+// Promise-based request/response layer over WKWebView message handlers,
+// shared by the onboarding, completion and upgrade pages.
+//
+// Pages pick their message handler through the script tag:
+//   <script src="bridge.js" data-handler="onboarding"></script>
+//
+// JS -> Swift:  { action, requestId?, ...data }
+// Swift -> JS:  NativeBridge.receive({ requestId, type: 'resolve' | 'reject' | 'chunk', ... })
+
+(function () {
+    const DEFAULT_TIMEOUT_MS = 15000;
+    const LATE_REPLY_WINDOW_MS = 60000;
+
+    const handlerName = (document.currentScript && document.currentScript.dataset.handler) || 'onboarding';
+
+    // requestId -> { resolve, reject, onChunk, timer, armTimer, cleanup }
+    const pending = new Map();
+    // requestId -> { onLateReply, timer } for calls that timed out but may still answer
+    const expired = new Map();
+    let nextRequestId = 1;
+
+    class BridgeError extends Error {
+        constructor(code, message, details) {
+            super(message || code);
+            this.name = 'BridgeError';
+            this.code = code;
+            this.details = details || null;
+        }
+    }
+
+    BridgeError.TIMEOUT = 'timeout';
+    BridgeError.CANCELLED = 'cancelled';
+    BridgeError.UNAVAILABLE = 'unavailable';
+    BridgeError.NATIVE = 'native';
+
+    function getHandler() {
+        const handlers = window.webkit && window.webkit.messageHandlers;
+        return handlers ? handlers[handlerName] : null;
+    }
+
+    function isAvailable() {
+        return !!getHandler();
+    }
+
+    // Fire-and-forget message. Returns false when there is no native side.
+    function post(action, data = {}) {
+        const handler = getHandler();
+        if (!handler) {
+            console.log('Swift bridge not available:', action, data);
+            return false;
+        }
+        handler.postMessage({ action, ...data });
+        return true;
+    }
+
+    // Send a message and wait for Swift to answer it.
+    //
+    // Options:
+    //   timeout      ms without a reply or chunk before rejecting with
+    //                BridgeError.TIMEOUT (0 disables)
+    //   signal       AbortSignal; aborting rejects with BridgeError.CANCELLED
+    //                and tells Swift to stop working on the request
+    //   onChunk      called with each partial payload Swift emits before resolving
+    //   onLateReply  called with the result if Swift answers after the timeout
+    function request(action, data = {}, options = {}) {
+        const timeout = options.timeout === undefined ? DEFAULT_TIMEOUT_MS : options.timeout;
+        const signal = options.signal;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new BridgeError(BridgeError.CANCELLED, 'Request was cancelled'));
+                return;
+            }
+
+            const handler = getHandler();
+            if (!handler) {
+                reject(new BridgeError(BridgeError.UNAVAILABLE, 'Swift bridge not available'));
+                return;
+            }
+
+            const requestId = `${action}-${nextRequestId++}`;
+            const entry = { resolve, reject, onChunk: options.onChunk, timer: null, armTimer: null, cleanup: null };
+
+            if (timeout > 0) {
+                entry.armTimer = () => {
+                    if (entry.timer) clearTimeout(entry.timer);
+                    entry.timer = setTimeout(() => {
+                        settle(requestId);
+                        if (options.onLateReply) {
+                            expired.set(requestId, {
+                                onLateReply: options.onLateReply,
+                                timer: setTimeout(() => expired.delete(requestId), LATE_REPLY_WINDOW_MS)
+                            });
+                        }
+                        reject(new BridgeError(BridgeError.TIMEOUT, `${action} timed out after ${timeout}ms`));
+                    }, timeout);
+                };
+                entry.armTimer();
+            }
+
+            if (signal) {
+                const onAbort = () => {
+                    settle(requestId);
+                    post('cancelRequest', { requestId });
+                    reject(new BridgeError(BridgeError.CANCELLED, 'Request was cancelled'));
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                entry.cleanup = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            pending.set(requestId, entry);
+
+            try {
+                handler.postMessage({ action, requestId, ...data });
+            } catch (error) {
+                settle(requestId);
+                reject(new BridgeError(BridgeError.UNAVAILABLE, error.message));
+            }
+        });
+    }
+
+    // Drop a pending entry and its timers. Returns the entry if it was pending.
+    function settle(requestId) {
+        const entry = pending.get(requestId);
+        if (!entry) return null;
+
+        pending.delete(requestId);
+        if (entry.timer) clearTimeout(entry.timer);
+        if (entry.cleanup) entry.cleanup();
+        return entry;
+    }
+
+    // Called from Swift with the outcome (or a partial chunk) of a request
+    function receive(message) {
+        if (!message || !message.requestId) return;
+        const { requestId, type } = message;
+
+        if (type === 'chunk') {
+            const entry = pending.get(requestId);
+            if (!entry) return;
+            // A streaming request is alive as long as chunks keep coming
+            if (entry.armTimer) entry.armTimer();
+            if (entry.onChunk) entry.onChunk(message.chunk);
+            return;
+        }
+
+        const entry = settle(requestId);
+        if (entry) {
+            if (type === 'reject') {
+                const error = message.error || {};
+                entry.reject(new BridgeError(error.code || BridgeError.NATIVE, error.message, error.details));
+            } else {
+                entry.resolve(message.result);
+            }
+            return;
+        }
+
+        const late = expired.get(requestId);
+        if (late) {
+            expired.delete(requestId);
+            clearTimeout(late.timer);
+            if (type === 'resolve') late.onLateReply(message.result);
+            return;
+        }
+
+        console.log('Dropping reply for unknown request:', requestId);
+    }
+
+    window.NativeBridge = {
+        BridgeError,
+        isAvailable,
+        post,
+        request,
+        receive
+    };
+})();
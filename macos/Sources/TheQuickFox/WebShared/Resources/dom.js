@@ -0,0 +1,87 @@
+// ============================================
+// Building markup
+// ============================================
+//
+// The pages build markup from elements, never from HTML strings, so text from
+// the server or Swift (plan features, price ids, app names) always ends up as
+// text and can't break the page or run script. Handlers are named in markup
+// and looked up here instead of living in onclick="..." attributes. Together
+// that lets the pages run under a Content-Security-Policy without
+// 'unsafe-inline' (see the meta tag in each page). Load this before the
+// page's own scripts:
+//
+//   Dom.h('div', { className: 'app-item' }, [
+//       Dom.h('img', { className: 'app-icon', src: app.icon, alt: app.name }),
+//       Dom.h('span', { className: 'app-name' }, app.name)
+//   ])
+//
+//   <button data-on-click="showSignIn">                     handler by name
+//   <input data-on-input="updateSignInEmail">
+//   Dom.actions({ showSignIn, updateSignInEmail })          the page's handlers
+//
+// A handler gets the element carrying the data-on-* attribute and the event;
+// the innermost element with a handler for the event is the one that runs.
+
+(function () {
+    const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+    const EVENTS = ['click', 'input', 'change', 'submit'];
+
+    const handlers = {};
+
+    // Props are DOM properties (textContent, type, disabled, src...), plus
+    // className, dataset and attrs for plain attributes. Children are nodes or
+    // strings, and strings are only ever text; null and false are left out.
+    function h(tag, props, children) {
+        return build(document.createElement(tag), props, children);
+    }
+
+    // SVG properties are read-only, so give them as attrs
+    function svg(tag, props, children) {
+        return build(document.createElementNS(SVG_NAMESPACE, tag), props, children);
+    }
+
+    function build(node, props = {}, children = []) {
+        Object.entries(props).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+            if (key === 'className') {
+                node.setAttribute('class', value);
+            } else if (key === 'dataset') {
+                Object.assign(node.dataset, value);
+            } else if (key === 'attrs') {
+                Object.entries(value).forEach(([name, attribute]) => node.setAttribute(name, attribute));
+            } else {
+                node[key] = value;
+            }
+        });
+        [].concat(children)
+            .filter(child => child !== null && child !== undefined && child !== false)
+            .forEach(child => node.append(child));
+        return node;
+    }
+
+    function actions(named) {
+        Object.assign(handlers, named);
+    }
+
+    function dispatch(event) {
+        const attribute = `data-on-${event.type}`;
+        const target = event.target instanceof Element ? event.target : event.target.parentElement;
+        const element = target && target.closest(`[${attribute}]`);
+        if (!element) return;
+
+        const name = element.getAttribute(attribute);
+        if (handlers[name]) {
+            handlers[name](element, event);
+        } else {
+            console.warn(`Dom: no handler "${name}" for ${event.type}`);
+        }
+    }
+
+    EVENTS.forEach(type => document.addEventListener(type, dispatch));
+
+    window.Dom = {
+        h,
+        svg,
+        actions
+    };
+})();
@@ -0,0 +1,175 @@
+// ============================================
+// Localization
+// ============================================
+//
+// String catalogs for the onboarding, completion and upgrade pages. Swift
+// sets window.appLocale before any page script runs (WebLocale.swift); each
+// catalog in locales/ registers itself, and English fills whatever a catalog
+// is missing. Load this before the catalogs, and both before the page's own
+// scripts:
+//
+//   <h1 data-i18n="intro.title">...</h1>                        text content
+//   <input data-i18n-placeholder="account.emailPlaceholder">    attributes
+//   <p data-i18n="upgrade.subtitle" data-i18n-count="10">       plural in markup
+//   I18n.t('signIn.repliesLeft', { count: 3 })                  plural by count
+//
+// Strings take {name} placeholders. A plural string is an object keyed by
+// Intl.PluralRules category (zero, one, two, few, many, other); `other` is
+// required. In markup, a placeholder can also stand for a child element
+// marked data-i18n-slot="name", so links and buttons keep their place
+// whatever the word order:
+//
+//   "account.terms": "I agree to the {terms} and {privacy}"
+//
+// scripts/check-locales.py reports keys a catalog is missing.
+
+(function () {
+    const FALLBACK_LOCALE = 'en';
+    const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ps', 'ur', 'yi'];
+    const ATTRIBUTES = ['placeholder', 'title', 'aria-label', 'alt'];
+
+    const catalogs = {};
+    let locale = FALLBACK_LOCALE;
+    let pluralRules = new Intl.PluralRules(FALLBACK_LOCALE);
+    let numberFormat = new Intl.NumberFormat(FALLBACK_LOCALE);
+
+    function register(tag, strings) {
+        catalogs[tag] = { ...catalogs[tag], ...strings };
+    }
+
+    function language(tag) {
+        return tag.split(/[-_]/)[0].toLowerCase();
+    }
+
+    // 'pt-BR' looks in pt-BR, then pt, then English
+    function catalogFor(key) {
+        const candidates = [locale, language(locale), FALLBACK_LOCALE];
+        const tag = candidates.find(tag => catalogs[tag] && key in catalogs[tag]);
+        return tag ? catalogs[tag] : null;
+    }
+
+    function lookup(key) {
+        const catalog = catalogFor(key);
+        if (catalog) return catalog[key];
+        console.warn(`I18n: no string for "${key}"`);
+        return key;
+    }
+
+    // For keys built from data, e.g. a badge name the server sent
+    function has(key) {
+        return catalogFor(key) !== null;
+    }
+
+    function setLocale(tag) {
+        try {
+            pluralRules = new Intl.PluralRules(tag);
+            numberFormat = new Intl.NumberFormat(tag);
+            locale = tag;
+        } catch (error) {
+            console.warn(`I18n: unsupported locale "${tag}", using ${FALLBACK_LOCALE}`);
+            locale = FALLBACK_LOCALE;
+        }
+
+        const root = document.documentElement;
+        root.lang = locale;
+        root.dir = direction();
+        if (document.readyState !== 'loading') apply();
+    }
+
+    function direction() {
+        return RTL_LANGUAGES.includes(language(locale)) ? 'rtl' : 'ltr';
+    }
+
+    function interpolate(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? numberFormat.format(value) : String(value);
+        });
+    }
+
+    function t(key, params = {}) {
+        let value = lookup(key);
+        if (value && typeof value === 'object') {
+            value = value[pluralRules.select(params.count)] || value.other;
+        }
+        return interpolate(value, params);
+    }
+
+    // Rebuild `element` from `template`, putting its data-i18n-slot children
+    // where their {name} placeholders are
+    function fillSlots(element, template) {
+        const slots = {};
+        element.querySelectorAll('[data-i18n-slot]').forEach(slot => {
+            slots[slot.dataset.i18nSlot] = slot;
+        });
+
+        const nodes = template.split(/\{(\w+)\}/).map((part, index) => {
+            if (index % 2 === 0) return document.createTextNode(part);
+            return slots[part] || document.createTextNode(`{${part}}`);
+        });
+        element.replaceChildren(...nodes);
+    }
+
+    // Translate one data-i18n element, e.g. after changing its data-i18n-count
+    function render(element) {
+        const params = {};
+        if (element.dataset.i18nCount !== undefined) {
+            params.count = Number(element.dataset.i18nCount);
+        }
+
+        const text = t(element.dataset.i18n, params);
+        if (element.querySelector('[data-i18n-slot]')) {
+            fillSlots(element, text);
+        } else {
+            element.textContent = text;
+        }
+    }
+
+    function apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(render);
+
+        ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    // Keys English has that `tag` doesn't; plural strings also need every
+    // category the language uses
+    function missingKeys(tag) {
+        const catalog = catalogs[tag] || {};
+        const categories = new Intl.PluralRules(tag).resolvedOptions().pluralCategories;
+        return Object.keys(catalogs[FALLBACK_LOCALE] || {}).filter(key => {
+            const english = catalogs[FALLBACK_LOCALE][key];
+            if (!(key in catalog)) return true;
+            if (english && typeof english === 'object') {
+                return categories.some(category => !(category in catalog[key]));
+            }
+            return false;
+        });
+    }
+
+    setLocale(window.appLocale || navigator.language || FALLBACK_LOCALE);
+    document.addEventListener('DOMContentLoaded', () => apply());
+
+    window.I18n = {
+        t,
+        has,
+        apply,
+        render,
+        register,
+        setLocale,
+        missingKeys,
+        get locale() {
+            return locale;
+        },
+        get dir() {
+            return direction();
+        },
+        get locales() {
+            return Object.keys(catalogs);
+        }
+    };
+})();
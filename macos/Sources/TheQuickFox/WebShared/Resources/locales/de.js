@@ -0,0 +1,388 @@
+// German strings. Same keys as en.js; scripts/check-locales.py reports gaps.
+// System Settings names follow what macOS shows in German.
+I18n.register('de', {
+    "onboarding.pageTitle": "TheQuickFox einrichten",
+
+    "common.emailPlaceholder": "deine@email.de",
+    "common.codePlaceholder": "6-stelliger Code",
+    "common.copy": "Kopieren",
+    "common.copied": "Kopiert!",
+
+    "nav.back": "Zurück",
+    "nav.skip": "Überspringen",
+    "nav.continue": "Weiter",
+    "nav.finish": "Fertig",
+
+    "intro.title": "Dein KI-Assistent, der den Kontext kennt",
+    "intro.subtitle": "Stell Fragen zu dem, was auf deinem Bildschirm ist. Ohne Kopieren und Einfügen.",
+    "intro.debugTitle": "Schneller debuggen",
+    "intro.debugText": "Fehler erklären, Lösungen vorschlagen",
+    "intro.respondTitle": "Schneller antworten",
+    "intro.respondText": "Antworten auf E-Mails, Nachrichten und Kommentare entwerfen",
+    "intro.learnTitle": "Schneller lernen",
+    "intro.learnText": "Formeln aufschlüsseln, Begriffe erklären",
+
+    "signIn.link": "Ich habe schon ein Konto",
+    "signIn.title": "Willkommen zurück",
+    "signIn.hint": "Gib die E-Mail-Adresse ein, mit der du dich registriert hast. Wenn es dazu ein Konto gibt, schicken wir dir einen Anmeldecode.",
+    "signIn.sendCode": "Code senden",
+    "signIn.resend": "Erneut senden",
+    "signIn.confirm": "Anmelden",
+    "signIn.newUser": "Stattdessen als neuer Nutzer einrichten",
+    "signIn.signedInAs": "Angemeldet als {email}",
+    "signIn.repliesLeft": {
+        "one": "Noch {count} kostenlose Antwort",
+        "other": "Noch {count} kostenlose Antworten"
+    },
+    "signIn.finishSetup": "Klick auf Weiter, um TheQuickFox auf diesem Mac fertig einzurichten.",
+    "signIn.allSet": "Auf diesem Mac ist alles bereit. Klick auf Weiter zum Abschließen.",
+    "signIn.loadFailed": "Dein Konto konnte nicht geladen werden. Bitte versuch es noch einmal.",
+    "signIn.plan.trial": "Kostenlose Testphase",
+    "signIn.plan.active": "Aktives Abo",
+    "signIn.plan.month": "Unbegrenzte Anfragen • {price}/Monat",
+    "signIn.plan.year": "Unbegrenzte Anfragen • {price}/Jahr",
+
+    "tryIt.title": "Jetzt du",
+    "tryIt.subtitle": "Schreib etwas Grobes. Sieh zu, wie es sich verwandelt.",
+    "tryIt.quickRewrite": "Schnell umformulieren",
+    "tryIt.scenario.whatsapp": "Einen Freund beruhigen",
+    "tryIt.scenario.linkedin": "Bei einem Lead nachhaken",
+    "tryIt.scenario.email": "Eine E-Mail beantworten",
+    "tryIt.scenario.flirty": "Mit einem Match flirten",
+    "tryIt.scenario.linkedin_recruiter": "Einem Recruiter antworten",
+    "tryIt.inputLabel": "Dein grober Entwurf:",
+    "tryIt.inputPlaceholder": "z. B. „{sample}“",
+    "tryIt.compareToggle": "Alle Tonfälle vergleichen",
+    "tryIt.transform": "Verwandeln",
+    "tryIt.compareTones": "Tonfälle vergleichen",
+    "tryIt.stop": "Stopp",
+    "tryIt.stopped": "Gestoppt",
+    "tryIt.retry": "Erneut versuchen",
+    "tryIt.resultLabel": "Überarbeitetes Ergebnis:",
+    "tryIt.offlineBadge": "Offline-Vorschau",
+    "tryIt.rateUp": "Gute Antwort",
+    "tryIt.rateDown": "Nicht mein Stil",
+    "tryIt.win": "Das war's. Du hast dir gerade 5 Minuten Überarbeiten gespart.",
+
+    "tones.friendly": "Freundlich",
+    "tones.formal": "Förmlich",
+    "tones.flirty": "Flirty",
+
+    "failure.offline": "Du bist offline, daher ist das nur eine einfache lokale Umformulierung, nicht TheQuickFox AI. Sobald du wieder online bist, versuchen wir es erneut.",
+    "failure.timeout": "TheQuickFox hat zu lange gebraucht, daher ist das nur eine einfache lokale Umformulierung, nicht die KI.",
+    "failure.auth": "Dieser Mac ist noch nicht bei TheQuickFox angemeldet, daher ist das nur eine einfache lokale Umformulierung, nicht die KI.",
+    "failure.quota": "Deine kostenlosen Antworten sind aufgebraucht, daher ist das nur eine einfache lokale Umformulierung, nicht die KI.",
+    "failure.error": "Bei uns ist etwas schiefgelaufen, daher ist das nur eine einfache lokale Umformulierung, nicht die KI.",
+
+    "accessibility.title": "Bedienungshilfen aktivieren",
+    "accessibility.subtitle": "Nötig, damit das Tastenkürzel in jeder App funktioniert.",
+    "accessibility.cardTitle": "Zugriff auf Bedienungshilfen",
+
+    "screen.title": "Kontext aktivieren",
+    "screen.subtitle": "KI-Antworten passend zu dem, was auf deinem Bildschirm ist. Ohne Kopieren und Einfügen.",
+    "screen.cardTitle": "Bildschirmkontext",
+
+    "permissions.pane.accessibility": "Bedienungshilfen",
+    "permissions.pane.screenRecording": "Bildschirm- & Systemaudioaufnahme",
+    "permissions.videoCaption": "Such „TheQuickFox“ und schalte es ein",
+    "permissions.notDetermined.status": "Klick auf Aktivieren und schalte TheQuickFox dann ein",
+    "permissions.notDetermined.button": "Aktivieren",
+    "permissions.denied.status": "TheQuickFox ist in den Systemeinstellungen ausgeschaltet",
+    "permissions.denied.button": "Einstellungen öffnen",
+    "permissions.denied.openPane": "Öffne Systemeinstellungen → Datenschutz & Sicherheit → {pane}",
+    "permissions.denied.switchOn": "Such TheQuickFox in der Liste und schalte es ein",
+    "permissions.denied.comeBack": "Komm hierher zurück. Diese Seite aktualisiert sich von selbst",
+    "permissions.relaunch.status": "Zugriff erteilt. Starte TheQuickFox neu, damit er greift",
+    "permissions.relaunch.button": "Neu starten",
+    "permissions.relaunch.why": "macOS übernimmt diese Berechtigung erst nach einem Neustart von TheQuickFox",
+    "permissions.relaunch.progressSaved": "Dein Fortschritt ist gespeichert, die Einrichtung geht an derselben Stelle weiter",
+    "permissions.staleEntry.status": "macOS merkt sich noch eine ältere Kopie von TheQuickFox",
+    "permissions.staleEntry.button": "Zurücksetzen",
+    "permissions.staleEntry.why": "TheQuickFox wurde verschoben oder neu installiert, daher gehört der Schalter unter {pane} zur alten Kopie",
+    "permissions.staleEntry.reset": "Klick auf Zurücksetzen und schalte TheQuickFox wieder ein, wenn du gefragt wirst",
+    "permissions.staleEntry.removeAndAdd": "Klappt es immer noch nicht? Entferne TheQuickFox unter {pane} mit der Taste „−“ und füge es erneut hinzu",
+    "permissions.granted.status": "Zugriff erteilt!",
+    "permissions.granted.button": "Aktiviert",
+    "permissions.fix.openSettings": "Systemeinstellungen öffnen",
+    "permissions.fix.relaunch": "TheQuickFox neu starten",
+    "permissions.fix.reset": "Eintrag zurücksetzen",
+    "permissions.required.accessibility": "TheQuickFox braucht die Berechtigung für Bedienungshilfen, um zu funktionieren.",
+    "permissions.required.screenRecording": "TheQuickFox braucht die Berechtigung für Bildschirmaufnahmen, um zu sehen, was auf deinem Bildschirm ist.",
+
+    "limited.link": "Ohne Bildschirmkontext fortfahren",
+    "limited.title": "Ohne Bildschirmkontext",
+    "limited.worksTitle": "Funktioniert weiterhin",
+    "limited.worksCompose": "Antworten aus dem verfassen, was du tippst",
+    "limited.worksTone": "Den Tonfall deines Entwurfs ändern",
+    "limited.worksQuestions": "Allgemeine Fragen stellen",
+    "limited.needsTitle": "Braucht Bildschirmkontext",
+    "limited.needsReplies": "Antworten, die die E-Mail oder den Chat lesen, auf den du antwortest",
+    "limited.needsAnswers": "Antworten zu dem, was im aktuellen Fenster steht",
+    "limited.note": "Du kannst den Bildschirmkontext später über die Menüleiste einschalten: Enable Screen Context...",
+    "limited.doneNote": "Alles bereit. Den Bildschirmkontext kannst du jederzeit über die Menüleiste einschalten: Enable Screen Context...",
+    "limited.setUp": "Bildschirmkontext einrichten",
+    "limited.finish": "Ohne ihn abschließen",
+    "limited.cantFinish": "Die Einrichtung kann noch nicht abgeschlossen werden, weil ein früherer Schritt fehlt. Geh zurück, prüfe jeden Schritt und versuch es dann noch einmal.",
+
+    "account.title": "Fast geschafft",
+    "account.subtitle": "Nur noch eine Sache, um deine kostenlose Testphase zu starten.",
+    "account.didYouMean": "Meintest du {suggestion}?",
+    "account.emailWarning.disposable": "Das sieht nach einem Wegwerf-Postfach aus. Sobald es abläuft, kannst du dein Konto und deine Belege nicht mehr wiederherstellen.",
+    "account.emailWarning.role": "Das sieht nach einem geteilten Postfach aus. E-Mails zu Testphase und Abrechnung erreichen dich dort vielleicht nicht.",
+    "account.terms": "Ich stimme den {terms} und der {privacy} zu",
+    "account.termsRequired": "Bitte akzeptiere unsere Nutzungsbedingungen, um TheQuickFox weiter zu nutzen.",
+    "account.termsOfService": "Nutzungsbedingungen",
+    "account.privacyPolicy": "Datenschutzerklärung",
+    "account.trialBadge": "GRATIS TESTEN",
+    "account.trialText": "TheQuickFox 1 Woche kostenlos testen",
+
+    "verify.state.unverified": "Nicht bestätigt",
+    "verify.state.sending": "Code wird gesendet …",
+    "verify.state.pending": "Sieh in deinem Postfach nach",
+    "verify.state.verified": "Bestätigt",
+    "verify.verifyNow": "Jetzt bestätigen",
+    "verify.resend": "Code erneut senden",
+    "verify.confirm": "Bestätigen",
+    "verify.sendFailed": "Der Code konnte nicht gesendet werden. Bitte versuch es noch einmal.",
+    "verify.checkFailed": "Der Code konnte nicht geprüft werden. Bitte versuch es noch einmal.",
+
+    "accountError.invalidCode": {
+        "one": "Der Code stimmt nicht. Noch {count} Versuch.",
+        "other": "Der Code stimmt nicht. Noch {count} Versuche."
+    },
+    "accountError.tooManyAttempts": "Zu viele falsche Codes. Bitte fordere einen neuen an.",
+    "accountError.expired": "Dieser Code ist abgelaufen. Bitte fordere einen neuen an.",
+    "accountError.notFound": "Dieser Code gilt nicht mehr. Bitte fordere einen neuen an.",
+    "accountError.rateLimited": "Zu viele Bestätigungs-E-Mails. Bitte versuch es später noch einmal.",
+    "accountError.invalidEmail": "Das sieht nicht nach einer gültigen E-Mail-Adresse aus.",
+    "accountError.unregistered": "Dieser Mac ist noch nicht registriert. Bitte versuch es gleich noch einmal.",
+    "accountError.offline": "TheQuickFox ist nicht erreichbar. Prüf deine Verbindung und versuch es noch einmal.",
+
+    "videoModal.label": "Video zur Berechtigung",
+    "videoModal.close": "Schließen",
+    "videoModal.closeLabel": "Video schließen",
+    "videoModal.enlarge": "Video vergrößern",
+    "videoModal.enlargeHint": "Zum Vergrößern klicken",
+
+    "announce.result": "Überarbeitetes Ergebnis: {text}",
+    "announce.offlineResult": "Offline-Vorschau. {reason}",
+    "announce.compare": {
+        "one": "{count} Tonfall fertig",
+        "other": "{count} Tonfälle fertig"
+    },
+    "announce.compareOffline": {
+        "one": "{count} Tonfall fertig, {offline} davon als Offline-Vorschau",
+        "other": "{count} Tonfälle fertig, {offline} davon als Offline-Vorschau"
+    },
+    "announce.permission": "{pane}: {status}",
+
+    "completion.pageTitle": "TheQuickFox ist bereit!",
+    "completion.title": "Alles bereit!",
+    "completion.subtitle": "Probier das Tastenkürzel gleich aus:",
+    "completion.controlKey": "control",
+    "completion.hint": "Versuch, etwas schneller zu drücken!",
+    "completion.successTitle": "Geschafft! 🎉",
+    "completion.successSubtitle": "Nutze es jetzt in all deinen Apps. Merk dir einfach das Tastenkürzel:",
+    "completion.close": "TheQuickFox verwenden",
+    "completion.checklist.title": "Probier das mal aus",
+    "completion.checklist.progress": "{done} von {total} erledigt",
+    "completion.checklist.reply": "In {app} antworten",
+    "completion.checklist.rewrite": "Eine {app}-Nachricht umformulieren",
+    "completion.checklist.code": "In {app} Code schreiben",
+    "completion.checklist.browse": "In {app} etwas zu einer Seite fragen",
+    "completion.checklist.compose": "In einer beliebigen App antworten",
+    "completion.checklist.ask": "Etwas zu einem Screenshot fragen",
+    "completion.checklist.done": "Alles erledigt! Du kennst dich jetzt mit TheQuickFox aus.",
+    "completion.keys.title": "Control-Tastendrücke, die bei TheQuickFox ankommen",
+    "completion.keys.waiting": "Drück ein paar Mal Control ...",
+    "completion.keys.received": "Angekommen. Jetzt zweimal schnell Control drücken.",
+    "completion.keys.interval": "{ms} ms",
+    "completion.keys.tooSlow": "Fast: {ms} ms zwischen den Tastendrücken. Drück zweimal innerhalb von {max} ms.",
+    "completion.keys.triggered": "Doppeldruck erkannt. Das HUD sollte sich jetzt öffnen.",
+    "completion.keys.notReaching": "Deine Tastatur funktioniert, aber die Tastendrücke kommen nicht bei TheQuickFox an.",
+    "completion.diagnostics.title": "Was im Weg sein könnte",
+    "completion.diagnostics.checking": "Wird geprüft ...",
+    "completion.diagnostics.unavailable": "Die Prüfung konnte nicht ausgeführt werden.",
+    "completion.diagnostics.listening": "Bedienungshilfen sind an und TheQuickFox wartet auf Control.",
+    "completion.diagnostics.accessibilityOff": "Bedienungshilfen sind für TheQuickFox aus, deshalb sieht es die Control-Taste nicht. Schalte sie in den Systemeinstellungen ein und starte TheQuickFox dann neu.",
+    "completion.diagnostics.accessibilityStale": "Bedienungshilfen sind für eine ältere Kopie von TheQuickFox eingeschaltet, nicht für diese. Setz den Eintrag zurück und erlaube den Zugriff erneut.",
+    "completion.diagnostics.notListening": "Bedienungshilfen sind an, aber TheQuickFox wartet noch nicht auf Tastendrücke. Starte es neu, damit es loslegt.",
+    "completion.diagnostics.secureInput": "Die sichere Eingabe ist aktiv und verbirgt Tastendrücke vor anderen Apps. Verlass das Passwortfeld oder beende die App, die sie eingeschaltet hat.",
+    "completion.diagnostics.secureInputApp": "{app} hat die sichere Eingabe aktiviert und verbirgt damit Tastendrücke vor anderen Apps. Verlass das Passwortfeld oder beende {app}.",
+    "completion.diagnostics.noSecureInput": "Keine App blockiert Tastendrücke mit sicherer Eingabe.",
+    "completion.diagnostics.keyInterceptors": "Diese Apps können Sondertasten abfangen: {apps}. Stell sicher, dass keine davon Control oder einen doppelten Control-Druck belegt.",
+    "completion.diagnostics.recheck": "Erneut prüfen",
+    "completion.support.open": "Support kontaktieren",
+    "completion.support.label": "Was passiert, wenn du zweimal Control drückst?",
+    "completion.support.placeholder": "z. B. gar nichts, oder eine andere App reagiert",
+    "completion.support.note": "Die Prüfergebnisse oben werden mit deiner Nachricht gesendet.",
+    "completion.support.send": "An den Support senden",
+    "completion.support.sending": "Wird gesendet ...",
+    "completion.support.sent": "Gesendet. Wir sehen uns das an und melden uns bei dir.",
+    "completion.support.failed": "Deine Nachricht konnte nicht gesendet werden. Du kannst uns stattdessen eine E-Mail schreiben.",
+    "completion.support.email": "Stattdessen per E-Mail",
+
+    "upgrade.pageTitle": "Upgrade auf TheQuickFox Pro",
+    "upgrade.title": "Wähle deinen Tarif",
+    "upgrade.subtitle": {
+        "one": "Du hast deine {count} kostenlose Anfrage verbraucht. Upgrade, um TheQuickFox weiter zu nutzen.",
+        "other": "Du hast alle {count} kostenlosen Anfragen verbraucht. Upgrade, um TheQuickFox weiter zu nutzen."
+    },
+    "upgrade.runningLow.title": "Deine kostenlosen Anfragen werden knapp",
+    "upgrade.runningLow.subtitle": {
+        "one": "Nur noch {count} kostenlose Anfrage übrig. Upgrade, damit TheQuickFox weiter funktioniert.",
+        "other": "Nur noch {count} kostenlose Anfragen übrig. Upgrade, damit TheQuickFox weiter funktioniert."
+    },
+    "upgrade.runningLow.continue": "Kostenlose Anfragen weiter nutzen",
+    "upgrade.decline.notNow": "Jetzt nicht",
+    "upgrade.decline.title": "Bevor du gehst",
+    "upgrade.decline.question": "Was hält dich vom Upgrade ab?",
+    "upgrade.decline.reason.tooExpensive": "Es ist zu teuer",
+    "upgrade.decline.reason.notUsingEnough": "Ich nutze es noch zu selten",
+    "upgrade.decline.reason.missingFeature": "Mir fehlt eine Funktion",
+    "upgrade.decline.reason.other": "Etwas anderes",
+    "upgrade.decline.detailsPlaceholder": "Erzähl uns mehr (optional)",
+    "upgrade.decline.submit": "Senden",
+    "upgrade.decline.skip": "Überspringen",
+    "upgrade.offer.discount.title": "Wie wäre es mit einem Rabatt?",
+    "upgrade.offer.discount.message": "Mit dem Code {code} bekommst du {discount}.",
+    "upgrade.offer.discount.accept": "Rabatt anwenden",
+    "upgrade.offer.trial.title": "Nimm dir mehr Zeit",
+    "upgrade.offer.trial.message": {
+        "one": "Wir können deiner Testphase einmalig {count} kostenlose Anfrage hinzufügen.",
+        "other": "Wir können deiner Testphase einmalig {count} kostenlose Anfragen hinzufügen."
+    },
+    "upgrade.offer.trial.accept": "Kostenlose Anfragen hinzufügen",
+    "upgrade.offer.trial.doneTitle": "Viel Spaß!",
+    "upgrade.offer.trial.done": {
+        "one": "Du hast noch {count} kostenlose Anfrage.",
+        "other": "Du hast noch {count} kostenlose Anfragen."
+    },
+    "upgrade.offer.trial.continue": "Weiter",
+    "upgrade.offer.noThanks": "Nein danke",
+    "upgrade.offer.failed": "Das Angebot konnte nicht angewendet werden. Bitte versuch es noch einmal.",
+    "upgrade.usage.used": {
+        "one": "{used} von {count} kostenlosen Anfrage genutzt",
+        "other": "{used} von {count} kostenlosen Anfragen genutzt"
+    },
+    "upgrade.usage.recent": {
+        "one": "{count} Anfrage in den letzten {days} Tagen",
+        "other": "{count} Anfragen in den letzten {days} Tagen"
+    },
+    "upgrade.usage.day": {
+        "one": "{date}: {count} Anfrage",
+        "other": "{date}: {count} Anfragen"
+    },
+    "upgrade.usage.topModes": "Am meisten genutzt: {modes}",
+    "upgrade.usage.modeCount": "{mode} ({count})",
+    "upgrade.usage.mode.compose": "Compose",
+    "upgrade.usage.mode.ask": "Ask",
+    "upgrade.usage.mode.code": "Code",
+    "upgrade.loading": "Preise werden geladen ...",
+    "upgrade.loadFailed": "Preise konnten nicht geladen werden",
+    "upgrade.noPrices": "Keine Tarife verfügbar",
+    "upgrade.badge.recommended": "EMPFOHLEN",
+    "upgrade.badge.bestValue": "BESTER PREIS",
+    "upgrade.badge.popular": "AM BELIEBTESTEN",
+    "upgrade.plan.lifetime": "Lebenslang",
+    "upgrade.plan.quarter": "Vierteljährlich",
+    "upgrade.plan.day": {
+        "one": "Täglich",
+        "other": "{count} Tage"
+    },
+    "upgrade.plan.week": {
+        "one": "Wöchentlich",
+        "other": "{count} Wochen"
+    },
+    "upgrade.plan.month": {
+        "one": "Monatlich",
+        "other": "{count} Monate"
+    },
+    "upgrade.plan.year": {
+        "one": "Jährlich",
+        "other": "{count} Jahre"
+    },
+    "upgrade.per.once": "einmalig",
+    "upgrade.per.day": {
+        "one": "/Tag",
+        "other": "/{count} Tage"
+    },
+    "upgrade.per.week": {
+        "one": "/Woche",
+        "other": "/{count} Wochen"
+    },
+    "upgrade.per.month": {
+        "one": "/Monat",
+        "other": "/{count} Monate"
+    },
+    "upgrade.per.year": {
+        "one": "/Jahr",
+        "other": "/{count} Jahre"
+    },
+    "upgrade.save": "Spare {amount} ({percent})",
+    "upgrade.perMonthEquivalent": "Entspricht {amount}/Monat",
+    "upgrade.taxIncluded": "inkl. MwSt.",
+    "upgrade.taxExcluded": "zzgl. MwSt.",
+    "upgrade.cta.start": "{plan} starten",
+    "upgrade.cta.get": "{plan} holen",
+    "upgrade.cta.buy": "{plan} kaufen",
+    "upgrade.promo.toggle": "Hast du einen Code?",
+    "upgrade.promo.placeholder": "Aktionscode",
+    "upgrade.promo.apply": "Einlösen",
+    "upgrade.promo.checking": "Code wird geprüft …",
+    "upgrade.promo.applied": "{code} eingelöst",
+    "upgrade.promo.remove": "Entfernen",
+    "upgrade.promo.invalid": "Dieser Code ist nicht gültig.",
+    "upgrade.promo.notApplicable": "Dieser Code gilt nicht für diese Tarife.",
+    "upgrade.promo.checkFailed": "Der Code konnte nicht geprüft werden. Bitte versuch es noch einmal.",
+    "upgrade.promo.off": "{discount} Rabatt",
+    "upgrade.promo.offFirstPayment": "{discount} Rabatt auf die erste Zahlung",
+    "upgrade.promo.offForever": "{discount} Rabatt auf jede Zahlung",
+    "upgrade.promo.offForMonths": {
+        "one": "{discount} Rabatt für {count} Monat",
+        "other": "{discount} Rabatt für {count} Monate"
+    },
+    "upgrade.checkout.awaiting.title": "Schließ den Kauf in deinem Browser ab",
+    "upgrade.checkout.awaiting.message": "Wir haben Stripe Checkout in deinem Browser geöffnet. Dieses Fenster aktualisiert sich, sobald du fertig bist.",
+    "upgrade.checkout.pending.title": "Deine Zahlung wird bestätigt",
+    "upgrade.checkout.pending.message": "Deine Zahlung wird noch bestätigt, das kann ein paar Minuten dauern. Du kannst dieses Fenster schließen: Pro wird freigeschaltet, sobald sie eingegangen ist.",
+    "upgrade.checkout.success.title": "Willkommen bei TheQuickFox Pro",
+    "upgrade.checkout.success.message": "Dein Tarif ist aktiv. Viel Spaß mit unbegrenzten Antworten.",
+    "upgrade.checkout.cancelled.title": "Kauf abgebrochen",
+    "upgrade.checkout.cancelled.message": "Dir wurde nichts berechnet. Wähl einen Tarif, wann immer du so weit bist.",
+    "upgrade.checkout.stillProcessing.title": "Wir warten noch auf den Checkout",
+    "upgrade.checkout.stillProcessing.message": "Wir haben noch keine Rückmeldung. Wenn du bezahlt hast, wird Pro automatisch freigeschaltet, sobald die Zahlung eingegangen ist. Du kannst dieses Fenster also schließen und später nachsehen.",
+    "upgrade.checkout.closing": {
+        "one": "Dieses Fenster schließt sich in {count} Sekunde",
+        "other": "Dieses Fenster schließt sich in {count} Sekunden"
+    },
+    "upgrade.checkout.reopen": "Checkout erneut öffnen",
+    "upgrade.checkout.backToPlans": "Zurück zu den Tarifen",
+    "upgrade.checkout.close": "Schließen",
+    "upgrade.checkout.checkAgain": "Erneut prüfen",
+    "upgrade.checkout.startUsing": "TheQuickFox verwenden",
+    "upgrade.loadingButton": "Wird geladen ...",
+    "upgrade.checkoutFailed": "Der Bezahlvorgang ist fehlgeschlagen. Bitte versuch es noch einmal.",
+    "upgrade.restore.prompt": "Schon auf einem anderen Mac bezahlt?",
+    "upgrade.restore.button": "Kauf wiederherstellen",
+    "upgrade.restore.checking": "Dein Kauf wird geprüft ...",
+    "upgrade.restore.notFound": "Für diesen Mac wurde kein Kauf gefunden. Melde dich mit der E-Mail-Adresse an, mit der du bezahlt hast, um ihn hier zu nutzen.",
+    "upgrade.restore.pastDue": "Wir haben dein Abo gefunden, aber die letzte Zahlung ist nicht durchgegangen. Aktualisiere deine Karte über die Zahlungs-E-Mail von Stripe und stelle den Kauf dann erneut wieder her.",
+    "upgrade.restore.signIn": "Anmelden",
+    "upgrade.restore.failed": "Dein Kauf konnte nicht geprüft werden. Bitte versuch es noch einmal.",
+    "upgrade.manage.title": "Dein Tarif",
+    "upgrade.manage.subtitle": "Du nutzt TheQuickFox Pro. Danke für deine Unterstützung!",
+    "upgrade.manage.proPlan": "TheQuickFox Pro",
+    "upgrade.manage.renews": "Verlängert sich am {date}",
+    "upgrade.manage.ends": "Endet am {date}",
+    "upgrade.manage.trialEnds": "Testphase endet am {date}",
+    "upgrade.manage.lifetime": "Für immer deins, ohne Verlängerung",
+    "upgrade.manage.switchToYearly": "Zu jährlich wechseln",
+    "upgrade.manage.switchToMonthly": "Zu monatlich wechseln",
+    "upgrade.manage.changePlan": "Tarif ändern",
+    "upgrade.manage.billing": "Zahlungsdaten verwalten",
+    "upgrade.manage.done": "Fertig",
+    "upgrade.manage.opening": "Abo-Verwaltung wird geöffnet ...",
+    "upgrade.manage.opened": "In deinem Browser geöffnet. Dein Tarif hier wird aktualisiert, wenn du zurückkommst.",
+    "upgrade.manage.portalFailed": "Die Abo-Verwaltung konnte nicht geöffnet werden. Bitte versuch es noch einmal."
+});
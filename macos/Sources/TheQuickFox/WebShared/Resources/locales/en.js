@@ -0,0 +1,390 @@
+// English strings for the onboarding, completion and upgrade pages, and the
+// fallback for every other catalog. The object is plain JSON so
+// scripts/check-locales.py can read it: double quotes, no comments, no
+// trailing commas.
+I18n.register('en', {
+    "onboarding.pageTitle": "TheQuickFox Onboarding",
+
+    "common.emailPlaceholder": "your@email.com",
+    "common.codePlaceholder": "6-digit code",
+    "common.copy": "Copy",
+    "common.copied": "Copied!",
+
+    "nav.back": "Back",
+    "nav.skip": "Skip",
+    "nav.continue": "Continue",
+    "nav.finish": "Finish",
+
+    "intro.title": "Your Context-Aware AI Assistant",
+    "intro.subtitle": "Ask questions about what's on your screen. No copy-paste needed.",
+    "intro.debugTitle": "Debug faster",
+    "intro.debugText": "Explain errors, suggest fixes",
+    "intro.respondTitle": "Respond faster",
+    "intro.respondText": "Draft replies to emails, messages, comments",
+    "intro.learnTitle": "Learn faster",
+    "intro.learnText": "Clarify formulas, explain concepts",
+
+    "signIn.link": "I already have an account",
+    "signIn.title": "Welcome back",
+    "signIn.hint": "Enter the email you signed up with. If there's an account for it, we'll send you a sign-in code.",
+    "signIn.sendCode": "Send code",
+    "signIn.resend": "Resend",
+    "signIn.confirm": "Sign in",
+    "signIn.newUser": "Set up as a new user instead",
+    "signIn.signedInAs": "Signed in as {email}",
+    "signIn.repliesLeft": {
+        "one": "{count} free reply left",
+        "other": "{count} free replies left"
+    },
+    "signIn.finishSetup": "Continue to finish setting up TheQuickFox on this Mac.",
+    "signIn.allSet": "This Mac is all set. Continue to finish.",
+    "signIn.loadFailed": "Couldn't load your account. Please try again.",
+    "signIn.plan.trial": "Free trial",
+    "signIn.plan.active": "Active subscription",
+    "signIn.plan.month": "Unlimited queries • {price}/month",
+    "signIn.plan.year": "Unlimited queries • {price}/year",
+
+    "tryIt.title": "Now you try",
+    "tryIt.subtitle": "Type something rough. Watch it transform.",
+    "tryIt.quickRewrite": "Quick rewrite",
+    "tryIt.scenario.whatsapp": "Reassure a friend",
+    "tryIt.scenario.linkedin": "Follow up on a lead",
+    "tryIt.scenario.email": "Answer an email",
+    "tryIt.scenario.flirty": "Flirt with a match",
+    "tryIt.scenario.linkedin_recruiter": "Reply to a recruiter",
+    "tryIt.inputLabel": "Your rough draft:",
+    "tryIt.inputPlaceholder": "e.g. \"{sample}\"",
+    "tryIt.compareToggle": "Compare all tones",
+    "tryIt.transform": "Transform",
+    "tryIt.compareTones": "Compare tones",
+    "tryIt.stop": "Stop",
+    "tryIt.stopped": "Stopped",
+    "tryIt.retry": "Retry",
+    "tryIt.resultLabel": "Polished result:",
+    "tryIt.offlineBadge": "Offline preview",
+    "tryIt.rateUp": "Good reply",
+    "tryIt.rateDown": "Not for me",
+    "tryIt.win": "That's it. You just saved 5 minutes of editing.",
+
+    "tones.friendly": "Friendly",
+    "tones.formal": "Formal",
+    "tones.flirty": "Flirty",
+
+    "failure.offline": "You're offline, so this is a simple local rewrite, not TheQuickFox AI. We'll retry once you're back online.",
+    "failure.timeout": "TheQuickFox took too long to answer, so this is a simple local rewrite, not the AI.",
+    "failure.auth": "This Mac isn't signed in to TheQuickFox yet, so this is a simple local rewrite, not the AI.",
+    "failure.quota": "You've used up your free replies, so this is a simple local rewrite, not the AI.",
+    "failure.error": "Something went wrong on our side, so this is a simple local rewrite, not the AI.",
+
+    "accessibility.title": "Enable Accessibility",
+    "accessibility.subtitle": "Required for shortcut to work on any app.",
+    "accessibility.cardTitle": "Accessibility Access",
+
+    "screen.title": "Enable Context Awareness",
+    "screen.subtitle": "Get AI responses based on what's on your screen. No copy-paste needed.",
+    "screen.cardTitle": "Screen Context",
+
+    "permissions.pane.accessibility": "Accessibility",
+    "permissions.pane.screenRecording": "Screen & System Audio Recording",
+    "permissions.videoCaption": "Find \"TheQuickFox\" and toggle it on",
+    "permissions.notDetermined.status": "Click Enable, then toggle on TheQuickFox",
+    "permissions.notDetermined.button": "Enable",
+    "permissions.denied.status": "TheQuickFox is switched off in System Settings",
+    "permissions.denied.button": "Open Settings",
+    "permissions.denied.openPane": "Open System Settings → Privacy & Security → {pane}",
+    "permissions.denied.switchOn": "Find TheQuickFox in the list and switch it on",
+    "permissions.denied.comeBack": "Come back here. This page updates by itself",
+    "permissions.relaunch.status": "Access granted. Restart TheQuickFox to apply it",
+    "permissions.relaunch.button": "Restart",
+    "permissions.relaunch.why": "macOS only applies this permission once TheQuickFox restarts",
+    "permissions.relaunch.progressSaved": "Your progress is saved, and setup continues where you left off",
+    "permissions.staleEntry.status": "macOS is remembering an older copy of TheQuickFox",
+    "permissions.staleEntry.button": "Reset",
+    "permissions.staleEntry.why": "TheQuickFox was moved or re-installed, so the switch in {pane} belongs to the old copy",
+    "permissions.staleEntry.reset": "Click Reset, then switch TheQuickFox on again when asked",
+    "permissions.staleEntry.removeAndAdd": "Still not working? Remove TheQuickFox from {pane} with the \"−\" button and add it again",
+    "permissions.granted.status": "Access granted!",
+    "permissions.granted.button": "Enabled",
+    "permissions.fix.openSettings": "Open System Settings",
+    "permissions.fix.relaunch": "Restart TheQuickFox",
+    "permissions.fix.reset": "Reset entry",
+    "permissions.required.accessibility": "Accessibility permission is required for TheQuickFox to work.",
+    "permissions.required.screenRecording": "Screen recording permission is needed for TheQuickFox to see what's on your screen.",
+
+    "limited.link": "Continue without screen context",
+    "limited.title": "Without screen context",
+    "limited.worksTitle": "Still works",
+    "limited.worksCompose": "Compose replies from what you type",
+    "limited.worksTone": "Change the tone of your draft",
+    "limited.worksQuestions": "Ask general questions",
+    "limited.needsTitle": "Needs screen context",
+    "limited.needsReplies": "Replies that read the email or chat you're answering",
+    "limited.needsAnswers": "Answers about what's in the current window",
+    "limited.note": "You can turn on screen context later from the menu bar: Enable Screen Context...",
+    "limited.doneNote": "You're all set. Turn on screen context any time from the menu bar: Enable Screen Context...",
+    "limited.setUp": "Set up screen context",
+    "limited.finish": "Finish without it",
+    "limited.cantFinish": "Setup can't finish yet because an earlier step isn't done. Go back, check each step, then try again.",
+
+    "account.title": "Almost there",
+    "account.subtitle": "One last thing to activate your free trial.",
+    "account.didYouMean": "Did you mean {suggestion}?",
+    "account.emailWarning.disposable": "This looks like a temporary inbox. You won't be able to recover your account or receipts once it expires.",
+    "account.emailWarning.role": "This looks like a shared inbox. Trial and billing emails may not reach you.",
+    "account.terms": "I agree to the {terms} and {privacy}",
+    "account.termsRequired": "Please accept our Terms of Service to continue using TheQuickFox.",
+    "account.termsOfService": "Terms of Service",
+    "account.privacyPolicy": "Privacy Policy",
+    "account.trialBadge": "FREE TRIAL",
+    "account.trialText": "1 week free to try TheQuickFox",
+
+    "verify.state.unverified": "Not verified",
+    "verify.state.sending": "Sending code…",
+    "verify.state.pending": "Check your inbox",
+    "verify.state.verified": "Verified",
+    "verify.verifyNow": "Verify now",
+    "verify.resend": "Resend code",
+    "verify.confirm": "Confirm",
+    "verify.sendFailed": "Couldn't send the code. Please try again.",
+    "verify.checkFailed": "Couldn't check the code. Please try again.",
+
+    "accountError.invalidCode": {
+        "one": "That code doesn't match. {count} attempt left.",
+        "other": "That code doesn't match. {count} attempts left."
+    },
+    "accountError.tooManyAttempts": "Too many wrong codes. Please request a new one.",
+    "accountError.expired": "This code has expired. Please request a new one.",
+    "accountError.notFound": "This code can no longer be used. Please request a new one.",
+    "accountError.rateLimited": "Too many verification emails. Please try again later.",
+    "accountError.invalidEmail": "That doesn't look like a valid email address.",
+    "accountError.unregistered": "This Mac isn't registered yet. Please try again in a moment.",
+    "accountError.offline": "Couldn't reach TheQuickFox. Check your connection and try again.",
+
+    "videoModal.label": "Permission video",
+    "videoModal.close": "Close",
+    "videoModal.closeLabel": "Close video",
+    "videoModal.enlarge": "Enlarge video",
+    "videoModal.enlargeHint": "Click to enlarge",
+
+    "announce.result": "Polished result: {text}",
+    "announce.offlineResult": "Offline preview. {reason}",
+    "announce.compare": {
+        "one": "{count} tone result ready",
+        "other": "{count} tone results ready"
+    },
+    "announce.compareOffline": {
+        "one": "{count} tone result ready, {offline} as an offline preview",
+        "other": "{count} tone results ready, {offline} as offline previews"
+    },
+    "announce.permission": "{pane}: {status}",
+
+    "completion.pageTitle": "TheQuickFox - Ready!",
+    "completion.title": "You're all set!",
+    "completion.subtitle": "Try the shortcut now:",
+    "completion.controlKey": "control",
+    "completion.hint": "Try pressing a bit faster!",
+    "completion.successTitle": "You got it! 🎉",
+    "completion.successSubtitle": "Now use it in any of your apps — just remember the shortcut:",
+    "completion.close": "Start using TheQuickFox",
+    "completion.checklist.title": "Things to try",
+    "completion.checklist.progress": "{done} of {total} done",
+    "completion.checklist.reply": "Reply in {app}",
+    "completion.checklist.rewrite": "Rewrite a {app} message",
+    "completion.checklist.code": "Write code in {app}",
+    "completion.checklist.browse": "Ask about a page in {app}",
+    "completion.checklist.compose": "Write a reply in any app",
+    "completion.checklist.ask": "Ask about a screenshot",
+    "completion.checklist.done": "All done! You know your way around TheQuickFox.",
+    "completion.keys.title": "Control presses TheQuickFox receives",
+    "completion.keys.waiting": "Press Control a few times...",
+    "completion.keys.received": "Got it. Now press Control twice, quickly.",
+    "completion.keys.interval": "{ms} ms",
+    "completion.keys.tooSlow": "Almost: {ms} ms between presses. Press twice within {max} ms.",
+    "completion.keys.triggered": "Double press detected. The HUD should open now.",
+    "completion.keys.notReaching": "Your keyboard works, but the presses aren't reaching TheQuickFox.",
+    "completion.diagnostics.title": "What might be in the way",
+    "completion.diagnostics.checking": "Checking...",
+    "completion.diagnostics.unavailable": "Couldn't run the checks.",
+    "completion.diagnostics.listening": "Accessibility is on and TheQuickFox is listening for Control.",
+    "completion.diagnostics.accessibilityOff": "Accessibility is off for TheQuickFox, so it can't see the Control key. Turn it on in System Settings, then restart TheQuickFox.",
+    "completion.diagnostics.accessibilityStale": "Accessibility is switched on for an older copy of TheQuickFox, not this one. Reset the entry and allow it again.",
+    "completion.diagnostics.notListening": "Accessibility is on, but TheQuickFox isn't listening for keys yet. Restart it to start listening.",
+    "completion.diagnostics.secureInput": "Secure input is on, which hides key presses from other apps. Leave any password field, or quit the app that turned it on.",
+    "completion.diagnostics.secureInputApp": "{app} has secure input on, which hides key presses from other apps. Leave its password field, or quit {app}.",
+    "completion.diagnostics.noSecureInput": "No app is blocking key presses with secure input.",
+    "completion.diagnostics.keyInterceptors": "These apps can intercept modifier keys: {apps}. Make sure none of them uses Control or a double press of Control.",
+    "completion.diagnostics.recheck": "Check again",
+    "completion.support.open": "Contact support",
+    "completion.support.label": "What happens when you press Control twice?",
+    "completion.support.placeholder": "e.g. nothing at all, or a different app reacts",
+    "completion.support.note": "The checks above are sent along with your message.",
+    "completion.support.send": "Send to support",
+    "completion.support.sending": "Sending...",
+    "completion.support.sent": "Sent. We'll look into it and get back to you.",
+    "completion.support.failed": "Couldn't send your message. You can email us instead.",
+    "completion.support.email": "Email instead",
+
+    "upgrade.pageTitle": "Upgrade to TheQuickFox Pro",
+    "upgrade.title": "Choose your plan",
+    "upgrade.subtitle": {
+        "one": "You've used your {count} free query. Upgrade to continue using TheQuickFox.",
+        "other": "You've used all {count} free queries. Upgrade to continue using TheQuickFox."
+    },
+    "upgrade.runningLow.title": "You're running low on free queries",
+    "upgrade.runningLow.subtitle": {
+        "one": "Only {count} free query left. Upgrade to keep TheQuickFox working.",
+        "other": "Only {count} free queries left. Upgrade to keep TheQuickFox working."
+    },
+    "upgrade.runningLow.continue": "Keep using my free queries",
+    "upgrade.decline.notNow": "Not now",
+    "upgrade.decline.title": "Before you go",
+    "upgrade.decline.question": "What's keeping you from upgrading?",
+    "upgrade.decline.reason.tooExpensive": "It's too expensive",
+    "upgrade.decline.reason.notUsingEnough": "I don't use it enough yet",
+    "upgrade.decline.reason.missingFeature": "It's missing something I need",
+    "upgrade.decline.reason.other": "Something else",
+    "upgrade.decline.detailsPlaceholder": "Tell us more (optional)",
+    "upgrade.decline.submit": "Send",
+    "upgrade.decline.skip": "Skip",
+    "upgrade.offer.discount.title": "How about a discount?",
+    "upgrade.offer.discount.message": "Get {discount} with the code {code}.",
+    "upgrade.offer.discount.accept": "Apply discount",
+    "upgrade.offer.trial.title": "Take some more time",
+    "upgrade.offer.trial.message": {
+        "one": "We can add {count} free query to your trial, once.",
+        "other": "We can add {count} free queries to your trial, once."
+    },
+    "upgrade.offer.trial.accept": "Add free queries",
+    "upgrade.offer.trial.doneTitle": "Enjoy!",
+    "upgrade.offer.trial.done": {
+        "one": "You have {count} free query left.",
+        "other": "You have {count} free queries left."
+    },
+    "upgrade.offer.trial.continue": "Continue",
+    "upgrade.offer.noThanks": "No thanks",
+    "upgrade.offer.failed": "Couldn't apply the offer. Please try again.",
+    "upgrade.usage.used": {
+        "one": "{used} of {count} free query used",
+        "other": "{used} of {count} free queries used"
+    },
+    "upgrade.usage.recent": {
+        "one": "{count} query in the last {days} days",
+        "other": "{count} queries in the last {days} days"
+    },
+    "upgrade.usage.day": {
+        "one": "{date}: {count} query",
+        "other": "{date}: {count} queries"
+    },
+    "upgrade.usage.topModes": "Most used: {modes}",
+    "upgrade.usage.modeCount": "{mode} ({count})",
+    "upgrade.usage.mode.compose": "Compose",
+    "upgrade.usage.mode.ask": "Ask",
+    "upgrade.usage.mode.code": "Code",
+    "upgrade.loading": "Loading pricing options...",
+    "upgrade.loadFailed": "Failed to load pricing options",
+    "upgrade.noPrices": "No pricing options available",
+    "upgrade.badge.recommended": "RECOMMENDED",
+    "upgrade.badge.bestValue": "BEST VALUE",
+    "upgrade.badge.popular": "MOST POPULAR",
+    "upgrade.plan.lifetime": "Lifetime",
+    "upgrade.plan.quarter": "Quarterly",
+    "upgrade.plan.day": {
+        "one": "Daily",
+        "other": "{count} Days"
+    },
+    "upgrade.plan.week": {
+        "one": "Weekly",
+        "other": "{count} Weeks"
+    },
+    "upgrade.plan.month": {
+        "one": "Monthly",
+        "other": "{count} Months"
+    },
+    "upgrade.plan.year": {
+        "one": "Yearly",
+        "other": "{count} Years"
+    },
+    "upgrade.per.once": "one-time",
+    "upgrade.per.day": {
+        "one": "/day",
+        "other": "/{count} days"
+    },
+    "upgrade.per.week": {
+        "one": "/week",
+        "other": "/{count} weeks"
+    },
+    "upgrade.per.month": {
+        "one": "/month",
+        "other": "/{count} months"
+    },
+    "upgrade.per.year": {
+        "one": "/year",
+        "other": "/{count} years"
+    },
+    "upgrade.save": "Save {amount} ({percent})",
+    "upgrade.perMonthEquivalent": "That's {amount}/month",
+    "upgrade.taxIncluded": "Tax included",
+    "upgrade.taxExcluded": "Plus applicable tax",
+    "upgrade.cta.start": "Start {plan}",
+    "upgrade.cta.get": "Get {plan}",
+    "upgrade.cta.buy": "Buy {plan}",
+    "upgrade.promo.toggle": "Have a code?",
+    "upgrade.promo.placeholder": "Promotion code",
+    "upgrade.promo.apply": "Apply",
+    "upgrade.promo.checking": "Checking code…",
+    "upgrade.promo.applied": "{code} applied",
+    "upgrade.promo.remove": "Remove",
+    "upgrade.promo.invalid": "That code isn't valid.",
+    "upgrade.promo.notApplicable": "That code doesn't apply to these plans.",
+    "upgrade.promo.checkFailed": "Couldn't check the code. Please try again.",
+    "upgrade.promo.off": "{discount} off",
+    "upgrade.promo.offFirstPayment": "{discount} off your first payment",
+    "upgrade.promo.offForever": "{discount} off every payment",
+    "upgrade.promo.offForMonths": {
+        "one": "{discount} off for {count} month",
+        "other": "{discount} off for {count} months"
+    },
+    "upgrade.checkout.awaiting.title": "Finish checking out in your browser",
+    "upgrade.checkout.awaiting.message": "We opened Stripe Checkout in your browser. This window updates as soon as you're done.",
+    "upgrade.checkout.pending.title": "Confirming your payment",
+    "upgrade.checkout.pending.message": "Your payment is still being confirmed, which can take a few minutes. You can close this window: Pro unlocks as soon as it clears.",
+    "upgrade.checkout.success.title": "Welcome to TheQuickFox Pro",
+    "upgrade.checkout.success.message": "Your plan is active. Enjoy unlimited replies.",
+    "upgrade.checkout.cancelled.title": "Checkout cancelled",
+    "upgrade.checkout.cancelled.message": "You haven't been charged. Pick a plan whenever you're ready.",
+    "upgrade.checkout.stillProcessing.title": "Still waiting on checkout",
+    "upgrade.checkout.stillProcessing.message": "We haven't heard back yet. If you've paid, Pro unlocks by itself once the payment clears, so you can close this window and check back later.",
+    "upgrade.checkout.closing": {
+        "one": "This window closes in {count} second",
+        "other": "This window closes in {count} seconds"
+    },
+    "upgrade.checkout.reopen": "Reopen checkout",
+    "upgrade.checkout.backToPlans": "Back to plans",
+    "upgrade.checkout.close": "Close",
+    "upgrade.checkout.checkAgain": "Check again",
+    "upgrade.checkout.startUsing": "Start using TheQuickFox",
+    "upgrade.loadingButton": "Loading...",
+    "upgrade.checkoutFailed": "Checkout failed. Please try again.",
+    "upgrade.restore.prompt": "Already paid on another Mac?",
+    "upgrade.restore.button": "Restore purchase",
+    "upgrade.restore.checking": "Checking your purchase...",
+    "upgrade.restore.notFound": "We couldn't find a purchase for this Mac. Sign in with the email you paid with to use it here.",
+    "upgrade.restore.pastDue": "We found your subscription, but its latest payment didn't go through. Update your card from Stripe's payment email, then restore again.",
+    "upgrade.restore.signIn": "Sign in",
+    "upgrade.restore.failed": "Couldn't check your purchase. Please try again.",
+    "upgrade.manage.title": "Your plan",
+    "upgrade.manage.subtitle": "You're on TheQuickFox Pro. Thanks for supporting us!",
+    "upgrade.manage.proPlan": "TheQuickFox Pro",
+    "upgrade.manage.renews": "Renews on {date}",
+    "upgrade.manage.ends": "Ends on {date}",
+    "upgrade.manage.trialEnds": "Trial ends on {date}",
+    "upgrade.manage.lifetime": "Yours for good, no renewals",
+    "upgrade.manage.switchToYearly": "Switch to yearly",
+    "upgrade.manage.switchToMonthly": "Switch to monthly",
+    "upgrade.manage.changePlan": "Change plan",
+    "upgrade.manage.billing": "Manage billing",
+    "upgrade.manage.done": "Done",
+    "upgrade.manage.opening": "Opening subscription management...",
+    "upgrade.manage.opened": "Opened in your browser. Your plan here updates when you come back.",
+    "upgrade.manage.portalFailed": "Couldn't open subscription management. Please try again."
+});
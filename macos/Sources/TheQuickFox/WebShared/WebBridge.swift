@@ -0,0 +1,80 @@
+//
+//  WebBridge.swift
+//  TheQuickFox
+//
+//  Native side of the NativeBridge request/response protocol (WebShared/Resources/bridge.js)
+//
+
+import Foundation
+import WebKit
+
+/// Error codes understood by `NativeBridge.BridgeError` in bridge.js
+enum WebBridgeErrorCode: String {
+    case native
+    case cancelled
+    case unavailable
+    case timeout
+}
+
+extension WKWebView {
+
+    /// Resolve a pending `NativeBridge.request` call
+    func resolveBridgeRequest(_ requestId: String, result: Any = NSNull()) {
+        deliverBridgeMessage([
+            "requestId": requestId,
+            "type": "resolve",
+            "result": result
+        ])
+    }
+
+    /// Reject a pending `NativeBridge.request` call with a typed error.
+    /// `details` ends up on `BridgeError.details` for pages that need more than the code.
+    func rejectBridgeRequest(
+        _ requestId: String, code: WebBridgeErrorCode = .native, message: String,
+        details: [String: Any]? = nil
+    ) {
+        var error: [String: Any] = ["code": code.rawValue, "message": message]
+        if let details = details {
+            error["details"] = details
+        }
+        deliverBridgeMessage([
+            "requestId": requestId,
+            "type": "reject",
+            "error": error
+        ])
+    }
+
+    /// Send a partial result for a pending request, before it resolves
+    func emitBridgeChunk(_ requestId: String, chunk: Any) {
+        deliverBridgeMessage([
+            "requestId": requestId,
+            "type": "chunk",
+            "chunk": chunk
+        ])
+    }
+
+    private func deliverBridgeMessage(_ message: [String: Any]) {
+        // JSON is valid JS, so the payload needs no further escaping
+        guard JSONSerialization.isValidJSONObject(message),
+              let data = try? JSONSerialization.data(withJSONObject: message),
+              let json = String(data: data, encoding: .utf8) else {
+            print("❌ Bridge message is not JSON serializable: \(message["requestId"] ?? "?")")
+            return
+        }
+
+        let script = "window.NativeBridge && window.NativeBridge.receive(\(json));"
+        evaluateJavaScript(script) { _, error in
+            if let error = error {
+                print("❌ Failed to deliver bridge message: \(error)")
+            }
+        }
+    }
+}
+
+extension Encodable {
+    /// JSON object form of an Encodable, for passing API models through the bridge
+    func bridgeJSONObject() -> Any? {
+        guard let data = try? JSONEncoder().encode(self) else { return nil }
+        return try? JSONSerialization.jsonObject(with: data, options: [.fragmentsAllowed])
+    }
+}
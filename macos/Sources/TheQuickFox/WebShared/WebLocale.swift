@@ -0,0 +1,29 @@
+//
+//  WebLocale.swift
+//  TheQuickFox
+//
+//  Hands the user's language to the web pages' string catalogs (WebShared/Resources/i18n.js)
+//
+
+import Foundation
+import WebKit
+
+enum WebLocale {
+
+    /// BCP 47 tag of the user's first preferred language, e.g. "de-DE".
+    /// Includes a per-app language picked in System Settings.
+    static var current: String {
+        Locale.preferredLanguages.first ?? "en"
+    }
+
+    /// Sets `window.appLocale` before any page script runs
+    static func userScript() -> WKUserScript {
+        // Language tags are letters, digits and dashes; anything else can't end up in the script
+        let tag = String(current.filter { $0.isASCII && ($0.isLetter || $0.isNumber || $0 == "-") })
+        return WKUserScript(
+            source: "window.appLocale = '\(tag.isEmpty ? "en" : tag)';",
+            injectionTime: .atDocumentStart,
+            forMainFrameOnly: true
+        )
+    }
+}
@@ -14,6 +14,13 @@
 import AppKit
 import Foundation
 
+extension NSNotification.Name {
+    /// Posted for every Control press the detector sees; userInfo has "triggered", "maxInterval"
+    /// and, after an earlier press, "interval" (seconds since it). The completion screen shows these
+    /// when the shortcut doesn't work.
+    static let controlKeyPressed = NSNotification.Name("com.foxwiseai.thequickfox.controlKeyPressed")
+}
+
 /// Detects two consecutive Control-key presses within a short time-window.
 final class DoubleControlDetector {
     /// Maximum time-interval between the two presses (seconds).
@@ -25,6 +32,10 @@ final class DoubleControlDetector {
     private var lastPressTime: TimeInterval = 0
     /// Indicates whether the Control key was pressed (down) during the current flagsChanged event.
     private var lastControlWasDown = false
+    /// Time of the previous Control press, kept across timeouts so slow presses can be reported.
+    private var previousPressTime: TimeInterval = 0
+    /// Control presses seen since the detector started.
+    private(set) var controlPressCount = 0
 
     /// Hold a strong reference to the CFMachPort so it isn't deallocated.
     private var eventTap: CFMachPort?
@@ -41,6 +52,12 @@ final class DoubleControlDetector {
         }
     }
 
+    /// Whether key events reach the detector: the tap exists and macOS hasn't switched it off.
+    var isListening: Bool {
+        guard let tap = eventTap else { return false }
+        return CGEvent.tapIsEnabled(tap: tap)
+    }
+
     /// Set up an event-tap listening for modifier flag changes.
     private func setupEventTap() {
         let mask = CGEventMask(1 << CGEventType.flagsChanged.rawValue)
@@ -112,9 +129,10 @@ final class DoubleControlDetector {
         if controlIsDown && !lastControlWasDown {
             LoggingManager.shared.debug(.generic, "Control key down detected.")
             let interval = now - lastPressTime
+            let triggered = lastPressTime != 0 && interval <= maxInterval
 
             // Is this the second press in a double-press?
-            if lastPressTime != 0 && interval <= maxInterval {
+            if triggered {
                 LoggingManager.shared.info(.generic, "Double-press detected, triggering action.")
                 onTrigger()
                 // Reset state immediately to be ready for the next sequence.
@@ -124,6 +142,14 @@ final class DoubleControlDetector {
                 LoggingManager.shared.debug(.generic, "First press recorded.")
                 lastPressTime = now
             }
+
+            controlPressCount += 1
+            var info: [String: Any] = ["triggered": triggered, "maxInterval": maxInterval]
+            if previousPressTime != 0 {
+                info["interval"] = now - previousPressTime
+            }
+            previousPressTime = now
+            NotificationCenter.default.post(name: .controlKeyPressed, object: nil, userInfo: info)
         }
 
         // Update the state for the next event, which reflects the current key state.
@@ -294,6 +320,9 @@ class AppDelegate: NSObject, NSApplicationDelegate {
                 let response = try await APIClient.shared.registerDevice()
                 print("✅ Device registered - User ID: \(response.data.user_id), Queries remaining: \(response.data.trial_queries_remaining), Has subscription: \(response.data.has_subscription)")
 
+                // Onboarding events recorded before the device had a token, or while offline
+                await OnboardingEventQueue.shared.flush()
+
                 // Check if we should show any warnings - but only if user doesn't have a subscription
                 if !response.data.has_subscription {
                     if response.data.trial_queries_remaining == 0 {
@@ -330,6 +359,12 @@ class AppDelegate: NSObject, NSApplicationDelegate {
             }
         }
 
+        // Users who finished without screen recording get full mode as soon as it's granted
+        LimitedMode.upgradeIfGranted()
+
+        // HUD uses count toward the first-use checklist even while its window is closed
+        FirstUseChecklist.startRecording()
+
         // Check if onboarding has been completed
         let hasCompletedOnboarding = UserDefaults.standard.bool(forKey: onboardingCompletedKey)
         let needsPostRestartScreen = UserDefaults.standard.bool(forKey: needsPostRestartScreenKey)
@@ -497,13 +532,16 @@ class AppDelegate: NSObject, NSApplicationDelegate {
                     // Activate the app and bring it to front
                     NSApplication.shared.activate(ignoringOtherApps: true)
 
-                    // Close any open upgrade window
-                    if let upgradeWindow = NSApplication.shared.windows.first(where: { $0.contentViewController is UpgradeWindowController }) {
-                        upgradeWindow.close()
+                    // The upgrade window confirms the plan itself once the payment is seen;
+                    // without one, fall back to an alert
+                    if !UpgradeWindowController.shared.checkoutReturned("success") {
+                        showSubscriptionSuccessNotification()
                     }
 
-                    // Optionally show a success notification
-                    showSubscriptionSuccessNotification()
+                case "checkout-cancelled":
+                    print("↩️ Checkout cancelled")
+                    NSApplication.shared.activate(ignoringOtherApps: true)
+                    UpgradeWindowController.shared.checkoutReturned("cancelled")
 
                 default:
                     print("⚠️ Unknown URL path: \(url.host ?? "nil")")
@@ -547,6 +585,17 @@ class AppDelegate: NSObject, NSApplicationDelegate {
         onboardingWindowController?.showWithTOSError()
     }
 
+    @objc func showScreenContextSetup() {
+        onboardingWindowController = OnboardingWindowController()
+        onboardingWindowController?.showScreenContextSetup()
+    }
+
+    /// "Sign in" after a restore found no purchase: links this Mac to the account that paid
+    func showOnboardingSignIn() {
+        onboardingWindowController = OnboardingWindowController()
+        onboardingWindowController?.showSignIn()
+    }
+
     @objc func showAccountSettings() {
         AccountWindowController.show()
     }
@@ -620,7 +669,10 @@ class AppDelegate: NSObject, NSApplicationDelegate {
 
     @objc func showTrialWarning(_ notification: Notification) {
         if let remaining = notification.userInfo?["remaining"] as? Int {
-            UpgradeWindowController.shared.showTrialWarning(remaining: remaining)
+            // Posted from the query pipeline's task
+            DispatchQueue.main.async {
+                UpgradeWindowController.shared.showTrialWarning(remaining: remaining)
+            }
         }
     }
 
@@ -641,6 +693,19 @@ class AppDelegate: NSObject, NSApplicationDelegate {
 
 }
 
+extension AppDelegate: NSMenuItemValidation {
+    // Screen context setup is only offered while running in limited mode,
+    // the first-use checklist until it's finished
+    func validateMenuItem(_ menuItem: NSMenuItem) -> Bool {
+        if menuItem.action == #selector(showScreenContextSetup) {
+            menuItem.isHidden = !LimitedMode.isEnabled
+        } else if menuItem.action == #selector(showCompletionScreen) {
+            menuItem.isHidden = !FirstUseChecklist.isOffered
+        }
+        return true
+    }
+}
+
 /// Keep a strong reference.
 /// Capture the active window immediately after the shortcut triggers, then
 /// present the HUD once the capture finishes. This prevents the HUD itself
@@ -97,6 +97,10 @@ if [ "$BUILD_CONFIG" = "debug" ]; then
     mkdir -p "$DEBUG_RESOURCES_DIR/Upgrade"
     cp -r "Sources/TheQuickFox/Upgrade/Resources"/* "$DEBUG_RESOURCES_DIR/Upgrade/"
 
+    # Shared web scripts live next to each page that loads them
+    cp -r "Sources/TheQuickFox/WebShared/Resources"/* "$DEBUG_RESOURCES_DIR/Onboarding/"
+    cp -r "Sources/TheQuickFox/WebShared/Resources"/* "$DEBUG_RESOURCES_DIR/Upgrade/"
+
     # Copy Metal shader
     if [ -f "Sources/TheQuickFox/Visual/MorphShader.metal" ]; then
         echo "⚡ Copying Metal shader for debug..."
@@ -151,6 +155,14 @@ if [ -d "Sources/TheQuickFox/Upgrade/Resources" ]; then
     cp -r "Sources/TheQuickFox/Upgrade/Resources"/* "$RESOURCES_DIR/Upgrade/"
 fi
 
+# Copy shared web scripts next to each page that loads them
+if [ -d "Sources/TheQuickFox/WebShared/Resources" ]; then
+    echo "🔗 Copying shared web resources..."
+    mkdir -p "$RESOURCES_DIR/Onboarding" "$RESOURCES_DIR/Upgrade"
+    cp -r "Sources/TheQuickFox/WebShared/Resources"/* "$RESOURCES_DIR/Onboarding/"
+    cp -r "Sources/TheQuickFox/WebShared/Resources"/* "$RESOURCES_DIR/Upgrade/"
+fi
+
 # Copy Metal shader
 if [ -f "Sources/TheQuickFox/Visual/MorphShader.metal" ]; then
     echo "⚡ Copying Metal shader..."
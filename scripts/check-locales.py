@@ -0,0 +1,116 @@
+#!/usr/bin/env python3
+"""Report missing and stray strings in the web pages' locale catalogs.
+
+Reads every WebShared/Resources/locales/*.js catalog and checks:
+  - keys the onboarding, completion and upgrade pages use exist in English
+  - every other catalog has each English key, and no keys English lacks
+  - plural strings stay plural, with an "other" form
+  - translations keep the English {placeholders}
+
+Exits non-zero when anything is missing, so it can run before a release.
+
+Usage: scripts/check-locales.py
+"""
+import json
+import os
+import re
+import sys
+
+SOURCES = os.path.join(os.path.dirname(os.path.abspath(__file__)), "..", "macos", "Sources", "TheQuickFox")
+LOCALES = os.path.join(SOURCES, "WebShared", "Resources", "locales")
+PAGES = [
+    os.path.join(SOURCES, "Onboarding", "Resources"),
+    os.path.join(SOURCES, "Upgrade", "Resources"),
+]
+FALLBACK = "en"
+
+REGISTER = re.compile(r"I18n\.register\('([^']+)',\s*(\{.*\})\);", re.DOTALL)
+MARKUP_KEY = re.compile(r'data-i18n(?:-[a-z-]+)?="([^"]+)"')
+QUOTED = re.compile(r"'([a-zA-Z]+(?:\.[a-zA-Z]+)+)'")
+PLACEHOLDER = re.compile(r"\{(\w+)\}")
+
+
+def load_catalogs():
+    catalogs = {}
+    for name in sorted(os.listdir(LOCALES)):
+        if not name.endswith(".js"):
+            continue
+        with open(os.path.join(LOCALES, name), encoding="utf-8") as f:
+            match = REGISTER.search(f.read())
+        if not match:
+            sys.exit(f"{name}: no I18n.register('<locale>', {{...}}) call found")
+        try:
+            catalogs[match.group(1)] = json.loads(match.group(2))
+        except json.JSONDecodeError as error:
+            sys.exit(f"{name}: catalog is not plain JSON ({error})")
+    return catalogs
+
+
+def used_keys(namespaces):
+    """Keys in data-i18n attributes, plus quoted strings in a catalog namespace.
+
+    Keys built at runtime (e.g. `account.emailWarning.${kind}`) aren't seen.
+    """
+    keys = set()
+    for root in PAGES:
+        for name in os.listdir(root):
+            if not name.endswith((".html", ".js")):
+                continue
+            with open(os.path.join(root, name), encoding="utf-8") as f:
+                text = f.read()
+            keys.update(key for key in MARKUP_KEY.findall(text) if "." in key)
+            keys.update(key for key in QUOTED.findall(text) if key.split(".")[0] in namespaces)
+    return keys
+
+
+def forms(value):
+    """The strings of a catalog value, plural or not"""
+    return list(value.values()) if isinstance(value, dict) else [value]
+
+
+def placeholders(value):
+    return set(name for text in forms(value) for name in PLACEHOLDER.findall(text))
+
+
+def main():
+    catalogs = load_catalogs()
+    english = catalogs.get(FALLBACK)
+    if english is None:
+        sys.exit(f"No {FALLBACK}.js catalog in {LOCALES}")
+
+    problems = []
+    namespaces = {key.split(".")[0] for key in english}
+    for key in sorted(used_keys(namespaces) - set(english)):
+        problems.append(f"{FALLBACK}: missing \"{key}\" (used by a page)")
+
+    for key, value in english.items():
+        if isinstance(value, dict) and "other" not in value:
+            problems.append(f"{FALLBACK}: plural \"{key}\" has no \"other\" form")
+
+    for locale, catalog in sorted(catalogs.items()):
+        if locale == FALLBACK:
+            continue
+        for key in sorted(set(english) - set(catalog)):
+            problems.append(f"{locale}: missing \"{key}\"")
+        for key in sorted(set(catalog) - set(english)):
+            problems.append(f"{locale}: \"{key}\" is not in {FALLBACK}.js")
+
+        for key in sorted(set(english) & set(catalog)):
+            value = catalog[key]
+            if isinstance(english[key], dict) != isinstance(value, dict):
+                problems.append(f"{locale}: \"{key}\" should {'' if isinstance(english[key], dict) else 'not '}be plural")
+            elif isinstance(value, dict) and "other" not in value:
+                problems.append(f"{locale}: plural \"{key}\" has no \"other\" form")
+            if placeholders(value) != placeholders(english[key]):
+                problems.append(f"{locale}: \"{key}\" placeholders {sorted(placeholders(value))} "
+                                f"don't match {FALLBACK} {sorted(placeholders(english[key]))}")
+
+    for problem in problems:
+        print(problem)
+    summary = ", ".join(f"{locale} ({len(catalog)} keys)" for locale, catalog in sorted(catalogs.items()))
+    print(f"{'✅' if not problems else '❌'} {len(problems)} problem(s) in {summary}")
+    sys.exit(1 if problems else 0)
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,113 @@
+#!/usr/bin/env python3
+"""Serve the onboarding, completion and upgrade pages for browser preview.
+
+Maps /onboarding/* and /upgrade/* onto each page's Resources folder, with the
+shared WebShared scripts overlaid the same way build-app.sh copies them into
+the app bundle. Each page gets a preview-bridge.js tag ahead of bridge.js; it
+simulates the Swift side and adds a control panel. The preview files live in
+WebShared/Preview and never go into the app bundle.
+
+Usage: scripts/preview-web.py [port]
+"""
+import os
+import re
+import sys
+from functools import partial
+from http.server import SimpleHTTPRequestHandler, ThreadingHTTPServer
+
+SOURCES = os.path.join(os.path.dirname(os.path.abspath(__file__)), "..", "macos", "Sources", "TheQuickFox")
+SHARED = os.path.join(SOURCES, "WebShared", "Resources")
+PREVIEW = os.path.join(SOURCES, "WebShared", "Preview")
+PAGES = {
+    "onboarding": os.path.join(SOURCES, "Onboarding", "Resources"),
+    "upgrade": os.path.join(SOURCES, "Upgrade", "Resources"),
+}
+
+# Page file -> the data-page preview-bridge.js simulates
+PREVIEW_PAGES = {
+    "index.html": "onboarding",
+    "completion.html": "completion",
+    "upgrade.html": "upgrade",
+}
+BRIDGE_TAG = re.compile(rb'<script src="bridge\.js"')
+
+INDEX = """<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>TheQuickFox web preview</title></head>
+<body style="font-family: -apple-system, system-ui, sans-serif; padding: 24px;">
+<h1>TheQuickFox web preview</h1>
+<ul>
+<li><a href="/onboarding/index.html">Onboarding</a></li>
+<li><a href="/onboarding/completion.html">Completion</a></li>
+<li><a href="/upgrade/upgrade.html">Upgrade</a></li>
+</ul>
+</body></html>
+"""
+
+
+class PreviewHandler(SimpleHTTPRequestHandler):
+    def do_GET(self):
+        if self.path in ("/", "/index.html"):
+            body = INDEX.encode("utf-8")
+            self.send_response(200)
+            self.send_header("Content-Type", "text/html; charset=utf-8")
+            self.send_header("Content-Length", str(len(body)))
+            self.end_headers()
+            self.wfile.write(body)
+            return
+
+        page = PREVIEW_PAGES.get(os.path.basename(self.path.split("?", 1)[0]))
+        if page:
+            self.send_page(page)
+            return
+        super().do_GET()
+
+    def send_page(self, page):
+        path = self.translate_path(self.path)
+        if not os.path.isfile(path):
+            self.send_error(404)
+            return
+
+        with open(path, "rb") as f:
+            html = f.read()
+        tag = f'<script src="preview-bridge.js" data-page="{page}"></script>\n    '.encode("utf-8")
+        body = BRIDGE_TAG.sub(lambda match: tag + match.group(0), html, count=1)
+
+        self.send_response(200)
+        self.send_header("Content-Type", "text/html; charset=utf-8")
+        self.send_header("Content-Length", str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def translate_path(self, path):
+        path = path.split("?", 1)[0].split("#", 1)[0]
+        parts = [p for p in path.split("/") if p and p not in (".", "..")]
+        if not parts or parts[0] not in PAGES:
+            return os.path.join(SOURCES, "__missing__")
+
+        relative = os.path.join(*parts[1:]) if len(parts) > 1 else ""
+        for root in (PAGES[parts[0]], SHARED, PREVIEW):
+            candidate = os.path.join(root, relative)
+            if os.path.exists(candidate):
+                return candidate
+        return os.path.join(PAGES[parts[0]], relative)
+
+    def end_headers(self):
+        # Always serve fresh files while editing
+        self.send_header("Cache-Control", "no-store")
+        super().end_headers()
+
+
+def main():
+    port = int(sys.argv[1]) if len(sys.argv) > 1 else 8765
+    server = ThreadingHTTPServer(("127.0.0.1", port), partial(PreviewHandler, directory=SOURCES))
+    print(f"🦊 Web preview at http://127.0.0.1:{port}/ (Ctrl+C to stop)")
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+    finally:
+        server.server_close()
+
+
+if __name__ == "__main__":
+    main()